@@ -0,0 +1,287 @@
+import {
+  buildUnit, isPriceInRange, parseAvailabilityText, readFirstText, readAllText, parseLeaseTerm, normalizeLeaseTerms,
+  openLeaseTerms,
+} from './common.js';
+import { parseSqft } from '../attributes.js';
+import { formatShortDate } from '../dates.js';
+
+/**
+ * Selectors tried in order to find the plan name on a plan detail page
+ */
+const NAME_SELECTORS = [
+  '.plan-name',
+  '.floor-plan-name',
+  '.unit-name',
+  'h1',
+  'h2',
+  '.spaces-detail-name',
+];
+
+/**
+ * Selectors for the plan summary line (e.g. "1 Bed • 1 Bath • 812 Sq. Ft.")
+ */
+const PLAN_DETAILS_SELECTORS = [
+  '.spaces-detail-meta',
+  '.spaces-detail-info',
+  '.floor-plan-details',
+];
+
+/**
+ * Selectors for a unit card's own size
+ */
+const UNIT_SQFT_SELECTORS = [
+  '[data-spaces-control="unit-sqft"]',
+  '.spaces-unit-sqft',
+];
+
+/**
+ * Listed features on a unit card (one element each)
+ */
+const UNIT_FEATURES_SELECTOR = '.spaces-unit-features li, .spaces-unit-amenities li';
+
+/**
+ * Selectors for a special shown on one unit card
+ */
+const UNIT_CONCESSION_SELECTORS = [
+  '[data-spaces-control="unit-special"]',
+  '.spaces-unit-special',
+  '.spaces-unit-promo',
+];
+
+/**
+ * Selectors for a special shown for the whole plan
+ */
+const PLAN_CONCESSION_SELECTORS = [
+  '[data-spaces-control="plan-special"]',
+  '.spaces-detail-special',
+  '.spaces-specials',
+];
+
+/**
+ * Structured unit card on a plan page
+ */
+const UNIT_ARTICLE = 'article[data-spaces-unit]';
+
+/**
+ * Button on a unit card that opens its lease term pricing
+ */
+const LEASE_TERMS_TOGGLE = '[data-spaces-control="unit-lease-terms"]';
+
+/**
+ * One row of lease term pricing (term length in data-spaces-term, or in the text)
+ */
+const LEASE_TERM_ROW = '[data-spaces-term]';
+
+// How long to wait for the lease term panel after opening it
+const LEASE_TERMS_TIMEOUT = 5000;
+
+/**
+ * Parse CityLine availability text (e.g. "Avail.\n Feb 20" -> "Feb 20")
+ * @param {string} text - Availability text from a unit card
+ * @returns {string} - Display availability, or 'Unknown'
+ */
+function parseAvailability(text) {
+  return parseAvailabilityText(text, 'Unknown');
+}
+
+/**
+ * Extract units from the structured `article[data-spaces-unit]` cards
+ * @param {import('playwright').Page} page - Playwright page instance
+ * @param {Object} plan - Plan from the config
+ * @param {Function} log - Where progress messages go
+ * @returns {Promise<Array>} - Array of unit objects
+ */
+async function extractStructuredUnits(page, plan, log) {
+  const units = [];
+  
+  // Look for article elements with data-spaces-unit attribute (specific to this website)
+  const unitArticles = await page.$$(UNIT_ARTICLE);
+  
+  log(`  Found ${unitArticles.length} unit articles`);
+  
+  for (const article of unitArticles) {
+    try {
+      // Get unit number from data attribute
+      const unitNumber = await article.getAttribute('data-spaces-unit');
+      if (!unitNumber) continue;
+      
+      // Get price from the .spaces-unit-price element
+      const priceElement = await article.$('.spaces-unit-price');
+      if (!priceElement) continue;
+      
+      const priceText = await priceElement.textContent();
+      const price = parseInt(priceText.replace(/[$,]/g, ''), 10);
+      
+      if (!isPriceInRange(price, plan.options)) continue;
+      
+      // Get availability date - prioritize the actual text display
+      let availability = 'Unknown';
+      
+      // First: check the availability text element (most accurate for "Available Now")
+      const availElement = await article.$('[data-spaces-control="unit-default-available-date"]');
+      if (availElement) {
+        availability = parseAvailability(await availElement.textContent());
+      }
+      
+      // Fallback: if still unknown, try data-spaces-soonest attribute
+      let availableFrom;
+      if (availability === 'Unknown') {
+        const soonestDate = await article.getAttribute('data-spaces-soonest');
+        const isoMatch = soonestDate && soonestDate.match(/^\d{4}-\d{2}-\d{2}/);
+        if (isoMatch) {
+          // Format: "2026-02-20" -> "Feb 20", keeping the full date alongside
+          availableFrom = isoMatch[0];
+          availability = formatShortDate(availableFrom);
+        }
+      }
+      
+      const concession = await readFirstText(article, UNIT_CONCESSION_SELECTORS);
+      const sqft = parseSqft(await readFirstText(article, UNIT_SQFT_SELECTORS)) ?? undefined;
+      const features = await readAllText(article, UNIT_FEATURES_SELECTOR);
+      
+      const unit = buildUnit({ unitNumber, price, availability, availableFrom, concession, sqft, features });
+      units.push(unit);
+      
+      log(`    ✓ Unit ${unitNumber}: $${price} - ${availability}${concession ? ` - 🎁 ${concession}` : ''}`);
+      
+    } catch (error) {
+      log(`    ✗ Error processing unit: ${error.message}`);
+      continue;
+    }
+  }
+  
+  return units;
+}
+
+/**
+ * Extract units by matching "Unit 320-504 ... $5,114 / mo" in the page text
+ * @param {import('playwright').Page} page - Playwright page instance
+ * @param {Object} plan - Plan from the config
+ * @param {Function} log - Where progress messages go
+ * @returns {Promise<Array>} - Array of unit objects
+ */
+async function extractTextUnits(page, plan, log) {
+  const units = [];
+  
+  const bodyText = await page.textContent('body');
+  const unitPattern = /Unit\s+(\d{3}-\d{3}|\d{3,4}[A-Z]?)([\s\S]{0,500}?)\$(\d{1,2},?\d{3})\s*\/\s*mo/gi;
+  let match;
+  
+  while ((match = unitPattern.exec(bodyText)) !== null) {
+    const unitNumber = match[1];
+    const contextText = match[2];
+    const priceStr = match[3];
+    const price = parseInt(priceStr.replace(/,/g, ''), 10);
+    
+    if (!isPriceInRange(price, plan.options)) continue;
+    if (units.find(u => u.unitNumber === unitNumber)) continue;
+    
+    let availability = 'Call for Details';
+    if (/Avail\.\s*Now|Available\s*Now/i.test(contextText)) {
+      availability = 'Available Now';
+    } else {
+      const availMatch = contextText.match(/Avail\.\s*([A-Z][a-z]+\s+\d{1,2}|\d{1,2}[\/\-]\d{1,2})/i);
+      if (availMatch) {
+        availability = parseAvailability(availMatch[1]);
+      }
+    }
+    
+    units.push(buildUnit({ unitNumber, price, availability }));
+    
+    log(`    ✓ Unit ${unitNumber}: $${price} - ${availability}`);
+  }
+  
+  return units;
+}
+
+/**
+ * Site adapter for CityLine Flats (and other sites on the same "spaces" platform)
+ * @type {import('./index.js').SiteAdapter}
+ */
+export const citylineAdapter = {
+  name: 'cityline',
+  
+  async extractUnits(page, plan, { log = console.log } = {}) {
+    const units = await extractStructuredUnits(page, plan, log);
+    
+    // Fallback: if no articles found, try text-based extraction
+    if (units.length === 0) {
+      log('  No article elements found, trying text-based extraction...');
+      return extractTextUnits(page, plan, log);
+    }
+    
+    return units;
+  },
+  
+  async waitForUnits(page, plan, { timeout }) {
+    // Unit cards, or unit prices in the page text for the text-based fallback
+    try {
+      await page.waitForFunction(
+        selector => document.querySelector(selector)
+          || /Unit\s+\S+[\s\S]{0,500}?\$\d{1,2},?\d{3}\s*\/\s*mo/i.test(document.body?.innerText || ''),
+        UNIT_ARTICLE,
+        { timeout }
+      );
+      return true;
+    } catch {
+      return false;
+    }
+  },
+  
+  async detectPlanName(page, plan) {
+    for (const selector of NAME_SELECTORS) {
+      try {
+        const element = await page.$(selector);
+        if (element) {
+          const text = await element.textContent();
+          if (text && text.trim() && text.trim().length < 50) {
+            // Only use if it looks like a plan name
+            if (/plan|bed|studio|den/i.test(text)) {
+              return text.trim();
+            }
+          }
+        }
+      } catch {
+        // Selector not found, continue
+      }
+    }
+    
+    return null;
+  },
+  
+  async extractLeaseTerms(page, unit) {
+    const article = await page.$(`article[data-spaces-unit="${unit.unitNumber}"]`);
+    if (!article) return [];
+    
+    // Terms are often behind a "Lease options" button that loads them in place
+    const toggle = await article.$(LEASE_TERMS_TOGGLE);
+    if (toggle) {
+      await openLeaseTerms(page, toggle, article, LEASE_TERM_ROW, LEASE_TERMS_TIMEOUT);
+    }
+    
+    const terms = [];
+    for (const row of await article.$$(LEASE_TERM_ROW)) {
+      terms.push(parseLeaseTerm(await row.textContent(), await row.getAttribute('data-spaces-term') || undefined));
+    }
+    
+    return normalizeLeaseTerms(terms);
+  },
+  
+  async detectPlanDetails(page) {
+    try {
+      return await readFirstText(page, PLAN_DETAILS_SELECTORS);
+    } catch {
+      return null;
+    }
+  },
+  
+  async detectConcession(page) {
+    try {
+      return await readFirstText(page, PLAN_CONCESSION_SELECTORS);
+    } catch {
+      return null;
+    }
+  },
+  
+  parseAvailability,
+};
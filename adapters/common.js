@@ -0,0 +1,190 @@
+import { parseUnitNumber } from '../attributes.js';
+import { getUnitId } from '../identity.js';
+
+/**
+ * Helpers shared by the site adapters
+ */
+
+/**
+ * Extract price from text (handles formats like "$1,234", "$1234", "Starting at $1,234")
+ * @param {string} text - Text containing a price
+ * @returns {number|null} - Price as number or null if not found
+ */
+export function extractPrice(text) {
+  if (!text) return null;
+  const match = text.match(/\$[\d,]+/);
+  if (match) {
+    return parseInt(match[0].replace(/[$,]/g, ''), 10);
+  }
+  return null;
+}
+
+/**
+ * Parse availability text into a display string
+ * (e.g. "Avail. Now" -> "Available Now", "Avail.\n Feb 20" -> "Feb 20")
+ * @param {string} text - Availability text from the page
+ * @param {string} [fallback] - Value to return when no date is found
+ * @returns {string} - Display availability
+ */
+export function parseAvailabilityText(text, fallback = 'Unknown') {
+  if (!text) return fallback;
+  
+  if (/\bnow\b/i.test(text)) {
+    return 'Available Now';
+  }
+  
+  const datePatterns = [
+    /([A-Z][a-z]+\s+\d{1,2})/,
+    /(\d{1,2}[\/\-]\d{1,2})/,
+  ];
+  
+  for (const pattern of datePatterns) {
+    const dateMatch = text.match(pattern);
+    if (dateMatch) {
+      return dateMatch[1];
+    }
+  }
+  
+  return fallback;
+}
+
+/**
+ * Parse one lease term price (e.g. "12 months $5,114" or "15 Mo. - $5,050/mo")
+ * @param {string} text - Text of the lease term row
+ * @param {string|number} [months] - Term length if the site gives it separately (e.g. a data attribute)
+ * @returns {Object|null} - { months, price }, or null if either is missing
+ */
+export function parseLeaseTerm(text, months) {
+  const termMonths = parseInt(months ?? text?.match(/(\d{1,2})\s*-?\s*(?:months?|mos?)\b/i)?.[1], 10);
+  const price = extractPrice(text);
+  
+  if (!Number.isInteger(termMonths) || termMonths < 1 || !Number.isFinite(price)) return null;
+  return { months: termMonths, price };
+}
+
+/**
+ * Sort lease terms by length, keeping the first price seen for each length
+ * @param {Array<Object|null>} terms - Parsed terms ({ months, price }), nulls are skipped
+ * @returns {Array<Object>}
+ */
+export function normalizeLeaseTerms(terms) {
+  const byMonths = new Map();
+  for (const term of terms) {
+    if (term && !byMonths.has(term.months)) byMonths.set(term.months, term);
+  }
+  return [...byMonths.values()].sort((a, b) => a.months - b.months);
+}
+
+/**
+ * Lease term panels in a row that can fail to load on a page before the
+ * rest of its units stop waiting for theirs
+ */
+export const LEASE_TERMS_MAX_FAILURES = 3;
+
+/**
+ * Lease term panels in a row that didn't load, by page
+ * @type {WeakMap<import('playwright').Page, number>}
+ */
+const leaseTermFailures = new WeakMap();
+
+/**
+ * Open a unit's lease term panel and wait for its rows. Each unit waits on
+ * its own; once LEASE_TERMS_MAX_FAILURES panels in a row on the page haven't
+ * loaded, the rest of its units fail straight away, so a plan can't run past
+ * its timeout waiting on panels that never load.
+ * @param {import('playwright').Page} page - The plan's page
+ * @param {import('playwright').ElementHandle} toggle - Button that opens the panel
+ * @param {import('playwright').ElementHandle} card - Unit card the rows appear in
+ * @param {string} rowSelector - Selector for one lease term row
+ * @param {number} timeout - Milliseconds to wait for the rows
+ * @throws {Error} - If the rows didn't load, so the unit is stored as missing its terms
+ */
+export async function openLeaseTerms(page, toggle, card, rowSelector, timeout) {
+  await toggle.click();
+
+  const failures = leaseTermFailures.get(page) ?? 0;
+  if (failures >= LEASE_TERMS_MAX_FAILURES) {
+    throw new Error(`Not waiting: lease terms didn't load for the last ${failures} units on the page`);
+  }
+
+  try {
+    await card.waitForSelector(rowSelector, { timeout });
+    leaseTermFailures.set(page, 0);
+  } catch {
+    leaseTermFailures.set(page, failures + 1);
+    throw new Error(`Lease terms didn't load within ${timeout / 1000}s`);
+  }
+}
+
+/**
+ * Read the text of the first element matching any of the selectors
+ * @param {import('playwright').ElementHandle|import('playwright').Page} root - Element or page to search in
+ * @param {Array<string>} selectors - Selectors tried in order
+ * @returns {Promise<string|null>} - Text with whitespace collapsed, or null if none match
+ */
+export async function readFirstText(root, selectors) {
+  for (const selector of selectors) {
+    const element = await root.$(selector);
+    const text = element ? (await element.textContent()).replace(/\s+/g, ' ').trim() : '';
+    if (text) return text;
+  }
+  return null;
+}
+
+/**
+ * Read the text of every element matching a selector
+ * @param {import('playwright').ElementHandle|import('playwright').Page} root - Element or page to search in
+ * @param {string} selector
+ * @returns {Promise<Array<string>>} - Non-empty texts with whitespace collapsed
+ */
+export async function readAllText(root, selector) {
+  const texts = [];
+  for (const element of await root.$$(selector)) {
+    const text = (await element.textContent()).replace(/\s+/g, ' ').trim();
+    if (text) texts.push(text);
+  }
+  return texts;
+}
+
+/**
+ * Check if a price is within the plan's sanity bounds
+ * @param {number} price - Parsed price
+ * @param {Object} [options] - Plan options with minPrice and maxPrice
+ * @returns {boolean}
+ */
+export function isPriceInRange(price, options = {}) {
+  const { minPrice = 1000, maxPrice = 20000 } = options;
+  return Number.isFinite(price) && price >= minPrice && price <= maxPrice;
+}
+
+/**
+ * Build a unit record in the shape stored in history
+ * @param {Object} fields
+ * @param {string} fields.unitNumber - Unit number as shown on the site
+ * @param {number} fields.price - Monthly rent
+ * @param {string} fields.availability - Display availability
+ * @param {string} [fields.availableFrom] - Move-in date (YYYY-MM-DD) if the site gives one;
+ *   otherwise the scraper works it out from the availability text
+ * @param {string} [fields.concession] - Special shown on the unit (e.g. "6 weeks free")
+ * @param {number} [fields.sqft] - Size shown on the unit card, if it has its own
+ * @param {Array<string>} [fields.features] - Features listed on the unit card (e.g. "Balcony", "City views")
+ * @returns {Object} - Unit record, with a stable `id` from the building and unit number
+ */
+export function buildUnit({ unitNumber, price, availability, availableFrom, concession, sqft, features }) {
+  // Building and floor come from the unit number ("320-504" is building 320, floor 5)
+  const { building, floor } = parseUnitNumber(unitNumber);
+  
+  return {
+    id: getUnitId({ unitNumber, building }),
+    unitNumber,
+    building,
+    floor,
+    price,
+    priceFormatted: `$${price.toLocaleString()}`,
+    availability,
+    ...(availableFrom ? { availableFrom } : {}),
+    ...(concession ? { concession } : {}),
+    ...(Number.isFinite(sqft) ? { sqft } : {}),
+    ...(features && features.length > 0 ? { features } : {}),
+  };
+}
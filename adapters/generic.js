@@ -0,0 +1,145 @@
+import {
+  buildUnit, extractPrice, isPriceInRange, parseAvailabilityText, readAllText, parseLeaseTerm, normalizeLeaseTerms,
+  openLeaseTerms,
+} from './common.js';
+import { parseSqft } from '../attributes.js';
+
+/**
+ * Read a configured field from an element.
+ * A field is either a CSS selector string (text content of the first match)
+ * or an object `{ selector, attribute }` - without a selector the attribute
+ * is read from the element itself.
+ * @param {import('playwright').ElementHandle|import('playwright').Page} root - Element or page to search in
+ * @param {string|Object} field - Field definition from the config
+ * @returns {Promise<string|null>} - Trimmed value or null if not found
+ */
+async function readField(root, field) {
+  if (!field) return null;
+  
+  const { selector, attribute } = typeof field === 'string' ? { selector: field } : field;
+  const element = selector ? await root.$(selector) : root;
+  if (!element) return null;
+  
+  const value = attribute
+    ? await element.getAttribute(attribute)
+    : await element.textContent();
+  
+  return value ? value.trim() : null;
+}
+
+/**
+ * Site adapter driven entirely by CSS selectors from the property config.
+ *
+ * Expects `plan.selectors` with:
+ * - `unit` (required): selector matching one element per unit
+ * - `unitNumber` (required): field holding the unit number
+ * - `price` (required): field holding the monthly rent
+ * - `availability` (optional): field holding the move-in date text
+ * - `concession` (optional): field holding a special shown on the unit
+ * - `sqft` (optional): field holding the unit's size
+ * - `features` (optional): selector matching each feature listed on the unit
+ * - `planName` (optional): page-level field holding the plan name
+ * - `planDetails` (optional): page-level field holding the bed/bath/size summary
+ * - `planConcession` (optional): page-level field holding a special for the whole plan
+ * - `leaseTerm` (optional): selector matching one lease term price row inside a unit,
+ *   with `leaseTermMonths` / `leaseTermPrice` fields inside the row (default: the row text)
+ *   and `leaseTermsToggle` to click first if the terms are hidden behind a button
+ * @type {import('./index.js').SiteAdapter}
+ */
+export const genericAdapter = {
+  name: 'generic',
+  
+  async extractUnits(page, plan, { log = console.log } = {}) {
+    const { selectors } = plan;
+    const units = [];
+    
+    const unitElements = await page.$$(selectors.unit);
+    
+    log(`  Found ${unitElements.length} elements matching "${selectors.unit}"`);
+    
+    for (const element of unitElements) {
+      try {
+        const unitNumber = await readField(element, selectors.unitNumber);
+        if (!unitNumber) continue;
+        
+        const price = extractPrice(await readField(element, selectors.price));
+        if (!isPriceInRange(price, plan.options)) continue;
+        
+        const availability = this.parseAvailability(await readField(element, selectors.availability));
+        const concession = await readField(element, selectors.concession);
+        const sqft = parseSqft(await readField(element, selectors.sqft)) ?? undefined;
+        const features = selectors.features ? await readAllText(element, selectors.features) : [];
+        
+        units.push(buildUnit({ unitNumber, price, availability, concession, sqft, features }));
+        
+        log(`    ✓ Unit ${unitNumber}: $${price} - ${availability}${concession ? ` - 🎁 ${concession}` : ''}`);
+      } catch (error) {
+        log(`    ✗ Error processing unit: ${error.message}`);
+      }
+    }
+    
+    return units;
+  },
+  
+  async waitForUnits(page, plan, { timeout }) {
+    try {
+      await page.waitForSelector(plan.selectors.unit, { timeout });
+      return true;
+    } catch {
+      return false;
+    }
+  },
+  
+  async extractLeaseTerms(page, unit, plan) {
+    const { selectors } = plan;
+    if (!selectors.leaseTerm) return [];
+    
+    for (const element of await page.$$(selectors.unit)) {
+      if (await readField(element, selectors.unitNumber) !== unit.unitNumber) continue;
+      
+      if (selectors.leaseTermsToggle) {
+        const toggle = await element.$(selectors.leaseTermsToggle);
+        if (toggle) {
+          await openLeaseTerms(page, toggle, element, selectors.leaseTerm, 5000);
+        }
+      }
+      
+      const terms = [];
+      for (const row of await element.$$(selectors.leaseTerm)) {
+        const text = await readField(row, selectors.leaseTermPrice) ?? await row.textContent();
+        terms.push(parseLeaseTerm(text, await readField(row, selectors.leaseTermMonths) ?? undefined));
+      }
+      return normalizeLeaseTerms(terms);
+    }
+    
+    return [];
+  },
+  
+  async detectPlanName(page, plan) {
+    try {
+      return await readField(page, plan.selectors.planName);
+    } catch {
+      return null;
+    }
+  },
+  
+  async detectPlanDetails(page, plan) {
+    try {
+      return await readField(page, plan.selectors.planDetails);
+    } catch {
+      return null;
+    }
+  },
+  
+  async detectConcession(page, plan) {
+    try {
+      return await readField(page, plan.selectors.planConcession);
+    } catch {
+      return null;
+    }
+  },
+  
+  parseAvailability(text) {
+    return parseAvailabilityText(text, 'Unknown');
+  },
+};
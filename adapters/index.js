@@ -0,0 +1,57 @@
+import { citylineAdapter } from './cityline.js';
+import { genericAdapter } from './generic.js';
+
+/**
+ * A site adapter knows how to read one kind of property website.
+ *
+ * @typedef {Object} SiteAdapter
+ * @property {string} name - Adapter name used in the config
+ * @property {(page: import('playwright').Page, plan: Object, options?: { log?: Function }) => Promise<Array>} extractUnits
+ *   - Extract unit records ({ unitNumber, building, floor, price, priceFormatted, availability, concession?, sqft?, features? }) from a loaded plan page,
+ *     logging each unit to `log` (default: console.log)
+ * @property {(page: import('playwright').Page, plan: Object, options: { timeout: number }) => Promise<boolean>} waitForUnits
+ *   - Wait until the page shows its unit listings; resolves false (never throws) if they don't appear in time
+ * @property {(page: import('playwright').Page, plan: Object) => Promise<string|null>} detectPlanName
+ *   - Read the plan name from the page, or null to keep the configured name
+ * @property {(page: import('playwright').Page, unit: Object, plan: Object) => Promise<Array>} extractLeaseTerms
+ *   - Open a unit's lease term pricing and read it ([{ months, price }], sorted by months), or [] if the page has none
+ * @property {(page: import('playwright').Page, plan: Object) => Promise<string|null>} detectPlanDetails
+ *   - Read the plan's summary line (e.g. "1 Bed • 1 Bath • 812 Sq. Ft."), or null if there isn't one
+ * @property {(page: import('playwright').Page, plan: Object) => Promise<string|null>} detectConcession
+ *   - Read a special shown for the whole plan (e.g. "6 weeks free"), or null if there isn't one
+ * @property {(text: string) => string} parseAvailability
+ *   - Turn raw availability text into the display string stored in history
+ */
+
+/**
+ * Registered adapters by name
+ * @type {Map<string, SiteAdapter>}
+ */
+const ADAPTERS = new Map([
+  [citylineAdapter.name, citylineAdapter],
+  [genericAdapter.name, genericAdapter],
+]);
+
+export const DEFAULT_ADAPTER = citylineAdapter.name;
+
+/**
+ * Look up an adapter by name
+ * @param {string} [name] - Adapter name from the config (defaults to cityline)
+ * @returns {SiteAdapter}
+ * @throws {Error} - If no adapter is registered under that name
+ */
+export function getAdapter(name = DEFAULT_ADAPTER) {
+  const adapter = ADAPTERS.get(name);
+  if (!adapter) {
+    throw new Error(`Unknown site adapter "${name}" (available: ${listAdapters().join(', ')})`);
+  }
+  return adapter;
+}
+
+/**
+ * List the names of all registered adapters
+ * @returns {Array<string>}
+ */
+export function listAdapters() {
+  return [...ADAPTERS.keys()];
+}
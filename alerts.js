@@ -0,0 +1,209 @@
+import { normalizeAvailability, formatShortDate } from './dates.js';
+import { matchesAttributeFilters, validateAttributeFilters } from './attributes.js';
+
+/**
+ * Declarative alert rules evaluated against a comparePrices() report.
+ *
+ * Each rule has a type with its own threshold, optional filters, and the
+ * recipients to email when it fires:
+ *
+ *   { "id": "plan-b-under-5000", "type": "priceBelow", "price": 5000,
+ *     "plans": ["Plan B"], "recipients": ["me@example.com"] }
+ *
+ * Rules only look at units that changed in this run (new, increased,
+ * decreased or with a new move-in date) so the same unit doesn't fire again every run; set
+ * `includeUnchanged: true` to match unchanged units too.
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Format a price for rule descriptions
+ * @param {number} price
+ * @returns {string}
+ */
+function formatPrice(price) {
+  return `$${price.toLocaleString()}`;
+}
+
+/**
+ * Rule types: how to validate, describe and match each one
+ */
+const RULE_TYPES = {
+  priceBelow: {
+    validate(rule, path, problems) {
+      if (!Number.isFinite(rule.price) || rule.price <= 0) {
+        problems.push(`${path}.price must be a positive number`);
+      }
+    },
+    describe: rule => `${rule.plans ? rule.plans.join('/') : 'Any plan'} under ${formatPrice(rule.price)}`,
+    matches: (unit, rule) => unit.currentPrice !== null && unit.currentPrice < rule.price,
+  },
+
+  priceDrop: {
+    validate(rule, path, problems) {
+      if (!Number.isFinite(rule.amount) || rule.amount <= 0) {
+        problems.push(`${path}.amount must be a positive number`);
+      }
+    },
+    describe: rule => `Price drop of ${formatPrice(rule.amount)}+`,
+    matches: (unit, rule) => unit.status === 'decreased' && -unit.difference >= rule.amount,
+  },
+
+  newUnit: {
+    validate() {},
+    describe: rule => `New unit${rule.minFloor ? ` on floor ${rule.minFloor}+` : ''}`,
+    matches: unit => unit.status === 'new',
+  },
+
+  availableBefore: {
+    validate(rule, path, problems) {
+      if (typeof rule.date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(rule.date) || Number.isNaN(Date.parse(rule.date))) {
+        problems.push(`${path}.date must be a date like 2026-03-01`);
+      }
+    },
+    describe: rule => `Available before ${formatShortDate(rule.date)}`,
+    matches: (unit, rule, report) => {
+      const date = unit.availableFrom || normalizeAvailability(unit.availability, report.date).availableFrom;
+      return date !== null && date < rule.date;
+    },
+  },
+};
+
+/**
+ * Validate the alert rules from the config and push any problems found
+ * @param {*} alerts - `alerts` section of the config
+ * @param {Array<string>} problems - List to push problems onto
+ */
+export function validateAlertRules(alerts, problems) {
+  if (alerts === undefined) return;
+
+  if (alerts === null || typeof alerts !== 'object' || !Array.isArray(alerts.rules)) {
+    problems.push('alerts.rules must be an array');
+    return;
+  }
+
+  const ids = new Set();
+
+  alerts.rules.forEach((rule, i) => {
+    const path = `alerts.rules[${i}]`;
+
+    if (rule === null || typeof rule !== 'object' || Array.isArray(rule)) {
+      problems.push(`${path} must be an object`);
+      return;
+    }
+
+    if (typeof rule.id !== 'string' || !rule.id.trim()) {
+      problems.push(`${path}.id must be a non-empty string`);
+    } else if (ids.has(rule.id)) {
+      problems.push(`${path}.id "${rule.id}" is used by more than one rule`);
+    } else {
+      ids.add(rule.id);
+    }
+
+    const type = RULE_TYPES[rule.type];
+    if (!type) {
+      problems.push(`${path}.type must be one of: ${Object.keys(RULE_TYPES).join(', ')}`);
+    } else {
+      type.validate(rule, path, problems);
+    }
+
+    if (rule.name !== undefined && (typeof rule.name !== 'string' || !rule.name.trim())) {
+      problems.push(`${path}.name must be a non-empty string`);
+    }
+
+    if (rule.plans !== undefined && (!Array.isArray(rule.plans) || rule.plans.length === 0 || !rule.plans.every(p => typeof p === 'string'))) {
+      problems.push(`${path}.plans must be a non-empty array of plan names`);
+    }
+
+    validateAttributeFilters(rule, path, problems);
+
+    if (rule.includeUnchanged !== undefined && typeof rule.includeUnchanged !== 'boolean') {
+      problems.push(`${path}.includeUnchanged must be true or false`);
+    }
+
+    if (!Array.isArray(rule.recipients) || rule.recipients.length === 0) {
+      problems.push(`${path}.recipients must be a non-empty array of email addresses`);
+    } else {
+      for (const recipient of rule.recipients) {
+        if (typeof recipient !== 'string' || !EMAIL_PATTERN.test(recipient)) {
+          problems.push(`${path}.recipients contains an invalid email address: ${JSON.stringify(recipient)}`);
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Get the display name of a rule (its configured name, or one built from its type)
+ * @param {Object} rule - Alert rule from the config
+ * @returns {string}
+ */
+export function getRuleName(rule) {
+  return rule.name || RULE_TYPES[rule.type].describe(rule);
+}
+
+/**
+ * Check if a unit passes a rule's filters (plan, unit attributes, changed in this run)
+ * @param {Object} unit - Unit change from the report
+ * @param {Object} plan - Plan report the unit belongs to
+ * @param {Object} rule - Alert rule
+ * @returns {boolean}
+ */
+function passesFilters(unit, plan, rule) {
+  if (unit.status === 'removed') return false;
+  if (unit.status === 'unchanged' && !unit.availabilityChanged && !rule.includeUnchanged) return false;
+  if (rule.plans && !rule.plans.includes(plan.planName)) return false;
+
+  return matchesAttributeFilters(unit, rule);
+}
+
+/**
+ * Evaluate alert rules against a report
+ * @param {Object} report - Report from comparePrices()
+ * @param {Array<Object>} rules - Alert rules from the config
+ * @returns {Array<Object>} - Fired alerts: { rule, name, matches: [{ planId, propertyId, planName, url, unit }] }
+ */
+export function evaluateAlertRules(report, rules = []) {
+  const fired = [];
+
+  for (const rule of rules) {
+    const type = RULE_TYPES[rule.type];
+    const matches = [];
+
+    for (const plan of report.plans) {
+      for (const unit of plan.units) {
+        if (passesFilters(unit, plan, rule) && type.matches(unit, rule, report)) {
+          matches.push({ planId: plan.planId, propertyId: plan.propertyId, planName: plan.planName, url: plan.url, unit });
+        }
+      }
+    }
+
+    if (matches.length > 0) {
+      fired.push({ rule, name: getRuleName(rule), matches });
+    }
+  }
+
+  return fired;
+}
+
+/**
+ * Group fired alerts by recipient, so each person gets one email
+ * @param {Array<Object>} fired - Fired alerts from evaluateAlertRules()
+ * @returns {Map<string, Array<Object>>} - Email address -> alerts that fired for them
+ */
+export function groupAlertsByRecipient(fired) {
+  const byRecipient = new Map();
+
+  for (const alert of fired) {
+    for (const recipient of alert.rule.recipients) {
+      const key = recipient.toLowerCase();
+      if (!byRecipient.has(key)) {
+        byRecipient.set(key, []);
+      }
+      byRecipient.get(key).push(alert);
+    }
+  }
+
+  return byRecipient;
+}
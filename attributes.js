@@ -0,0 +1,312 @@
+/**
+ * Unit attributes: building and floor from the unit number, size and
+ * bed/bath count from the plan page or unit card, listed features, and
+ * helpers to group and filter units by them.
+ */
+
+/**
+ * Attributes units can be grouped by in reports
+ */
+export const UNIT_GROUPINGS = ['building', 'floor', 'beds', 'view'];
+
+/**
+ * Read the building and floor from a unit number.
+ * "320-504" is building 320, floor 5, unit 04; "1204" is floor 12, unit 04.
+ * @param {string} unitNumber - Unit number as shown on the site
+ * @returns {Object} - { building, floor }, each a string or null
+ */
+export function parseUnitNumber(unitNumber) {
+  const text = String(unitNumber || '').trim();
+
+  const buildingMatch = text.match(/^([A-Z0-9]+)[-\s](\d{3,4})[A-Z]?$/i);
+  if (buildingMatch) {
+    return { building: buildingMatch[1], floor: String(parseInt(buildingMatch[2].slice(0, -2), 10)) };
+  }
+
+  const unitMatch = text.match(/^(\d{3,4})[A-Z]?$/i);
+  if (unitMatch) {
+    return { building: null, floor: String(parseInt(unitMatch[1].slice(0, -2), 10)) };
+  }
+
+  return { building: null, floor: null };
+}
+
+/**
+ * Parse a square footage (e.g. "812 Sq. Ft.", "1,040 sqft", "812 SF")
+ * @param {string} text
+ * @returns {number|null}
+ */
+export function parseSqft(text) {
+  const match = text?.match(/([\d,]{3,6})\s*(?:sq\.?\s*(?:ft|feet)\.?|sqft|sf|square\s+feet)\b/i);
+  return match ? parseInt(match[1].replace(/,/g, ''), 10) : null;
+}
+
+/**
+ * Parse a plan summary line (e.g. "1 Bed • 1 Bath • 812 Sq. Ft.", "Studio / 1 BA / 540 SF")
+ * @param {string} text - Summary text from the plan page
+ * @returns {Object} - { beds, baths, sqft }, each a number or null (beds is 0 for a studio)
+ */
+export function parsePlanDetails(text) {
+  if (!text) return { beds: null, baths: null, sqft: null };
+
+  const beds = /\bstudio\b/i.test(text)
+    ? 0
+    : parseFloat(text.match(/(\d+(?:\.\d+)?)\s*(?:bed(?:room)?s?|br|bd)\b/i)?.[1]);
+  const baths = parseFloat(text.match(/(\d+(?:\.\d+)?)\s*(?:bath(?:room)?s?|ba)\b/i)?.[1]);
+
+  return {
+    beds: Number.isFinite(beds) ? beds : null,
+    baths: Number.isFinite(baths) ? baths : null,
+    sqft: parseSqft(text),
+  };
+}
+
+/**
+ * Pick out the view from a unit's listed features (e.g. "City view", "Courtyard views")
+ * @param {Array<string>} [features]
+ * @returns {string|null} - The feature naming the view, as listed
+ */
+export function detectView(features = []) {
+  return features.find(f => /\bviews?\b/i.test(f)) ?? null;
+}
+
+/**
+ * Get the price per square foot, rounded to the cent
+ * @param {number} price - Monthly rent
+ * @param {number|null} sqft
+ * @returns {number|null}
+ */
+export function getPricePerSqft(price, sqft) {
+  if (!Number.isFinite(price) || !Number.isFinite(sqft) || sqft <= 0) return null;
+  return Math.round((price / sqft) * 100) / 100;
+}
+
+/**
+ * Fill in unit attributes from the plan page: size and bed/bath count
+ * (a unit card's own size wins), the view, and price per square foot
+ * @param {Array<Object>} units - Units from a site adapter
+ * @param {Object} [planDetails] - { beds, baths, sqft } from parsePlanDetails()
+ * @returns {Array<Object>} - Units with beds, baths, sqft, view and pricePerSqft where known
+ */
+export function applyUnitAttributes(units, planDetails = {}) {
+  return units.map((unit) => {
+    const sqft = unit.sqft ?? planDetails.sqft ?? null;
+    const beds = unit.beds ?? planDetails.beds ?? null;
+    const baths = unit.baths ?? planDetails.baths ?? null;
+    const view = detectView(unit.features);
+
+    return {
+      ...unit,
+      ...(beds !== null ? { beds } : {}),
+      ...(baths !== null ? { baths } : {}),
+      ...(sqft !== null ? { sqft, pricePerSqft: getPricePerSqft(unit.price, sqft) } : {}),
+      ...(view ? { view } : {}),
+    };
+  });
+}
+
+/**
+ * Describe a unit's attributes in one line (e.g. "1 bd / 1 ba • 812 sq ft • $6.30/sq ft • City views")
+ * @param {Object} unit - Unit record or unit change from a report
+ * @param {number} [price] - Price to use for price per square foot (defaults to the stored one)
+ * @returns {string} - Empty if the unit has no attributes
+ */
+export function describeUnitAttributes(unit, price) {
+  const parts = [];
+  if (unit.beds != null) {
+    parts.push(`${unit.beds === 0 ? 'Studio' : `${unit.beds} bd`}${unit.baths != null ? ` / ${unit.baths} ba` : ''}`);
+  }
+  if (unit.sqft != null) {
+    parts.push(`${unit.sqft.toLocaleString()} sq ft`);
+    const perSqft = price != null ? getPricePerSqft(price, unit.sqft) : unit.pricePerSqft;
+    if (perSqft != null) parts.push(`$${perSqft.toFixed(2)}/sq ft`);
+  }
+  if (unit.view) parts.push(unit.view);
+  return parts.join(' • ');
+}
+
+/**
+ * Get the label of the group a unit falls in (e.g. "Building 320", "Floor 5", "2 bed", "City view")
+ * @param {Object} unit - Unit record or unit change from a report
+ * @param {string} attribute - One of UNIT_GROUPINGS
+ * @returns {string}
+ */
+export function getGroupLabel(unit, attribute) {
+  const value = unit[attribute];
+  if (value === null || value === undefined) {
+    return {
+      building: 'Other buildings',
+      floor: 'Unknown floor',
+      beds: 'Unknown beds',
+      view: 'No listed view',
+    }[attribute];
+  }
+
+  switch (attribute) {
+    case 'building':
+      return `Building ${value}`;
+    case 'floor':
+      return `Floor ${value}`;
+    case 'beds':
+      return value === 0 ? 'Studio' : `${value} bed`;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Group units by an attribute, keeping their order within each group.
+ * Groups are sorted by value, with units missing the attribute last.
+ * @param {Array<Object>} units - Unit records or unit changes from a report
+ * @param {string} attribute - One of UNIT_GROUPINGS
+ * @returns {Array<Object>} - [{ label, units }]
+ */
+export function groupUnits(units, attribute) {
+  const groups = new Map();
+  for (const unit of units) {
+    const value = unit[attribute] ?? null;
+    if (!groups.has(value)) groups.set(value, []);
+    groups.get(value).push(unit);
+  }
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => {
+      if (a === null || b === null) return (a === null) - (b === null);
+      return String(a).localeCompare(String(b), undefined, { numeric: true });
+    })
+    .map(([, grouped]) => ({ label: getGroupLabel(grouped[0], attribute), units: grouped }));
+}
+
+/**
+ * Check a unit against attribute filters. Every filter that is set must
+ * match, and a unit missing the attribute doesn't match it:
+ * - `buildings`: building numbers to include (e.g. ["320", "345"])
+ * - `minFloor`: lowest floor
+ * - `beds`: bedroom counts to include (0 for studios)
+ * - `minSqft`: smallest size in square feet
+ * - `maxPricePerSqft`: highest price per square foot
+ * - `features`: words every unit must list among its features (e.g. ["balcony"])
+ * @param {Object} unit - Unit record or unit change from a report
+ * @param {Object} filters
+ * @returns {boolean}
+ */
+export function matchesAttributeFilters(unit, filters) {
+  if (filters.buildings !== undefined && !filters.buildings.includes(unit.building)) return false;
+
+  if (filters.minFloor !== undefined) {
+    const floor = parseInt(unit.floor, 10);
+    if (!Number.isFinite(floor) || floor < filters.minFloor) return false;
+  }
+
+  if (filters.beds !== undefined && !filters.beds.includes(unit.beds)) return false;
+  if (filters.minSqft !== undefined && !(unit.sqft >= filters.minSqft)) return false;
+
+  if (filters.maxPricePerSqft !== undefined) {
+    const perSqft = getPricePerSqft(unit.currentPrice ?? unit.price, unit.sqft);
+    if (perSqft === null || perSqft > filters.maxPricePerSqft) return false;
+  }
+
+  if (filters.features !== undefined) {
+    const features = (unit.features || []).join(' ').toLowerCase();
+    if (!filters.features.every(f => features.includes(f.toLowerCase()))) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Leave units that don't match attribute filters out of a report
+ * (see matchesAttributeFilters). Plan totals and price ranges still cover every unit.
+ * @param {Object} report - Report from comparePrices()
+ * @param {Object} [filters] - `report.filters` from the config, or from parseAttributeFilters()
+ * @returns {Object} - The report itself when there are no filters, otherwise a filtered copy
+ */
+export function filterReport(report, filters) {
+  if (!filters || Object.keys(filters).length === 0) return report;
+
+  return {
+    ...report,
+    plans: report.plans.map(plan => ({ ...plan, units: plan.units.filter(unit => matchesAttributeFilters(unit, filters)) })),
+  };
+}
+
+/**
+ * Build attribute filters from text, as given on the command line or in a
+ * query string. Lists can be repeated or comma-separated; filters not given
+ * are left out.
+ * @param {Object<string, string|Array<string>|undefined>} values - Text values by filter name
+ * @returns {Object} - Filters, to check with validateAttributeFilters()
+ */
+export function parseAttributeFilters(values) {
+  const list = value => [value].flat().flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean);
+  const filters = {};
+
+  for (const key of ['buildings', 'features']) {
+    if (values[key] !== undefined) filters[key] = list(values[key]);
+  }
+  if (values.beds !== undefined) filters.beds = list(values.beds).map(Number);
+  for (const key of ['minFloor', 'minSqft', 'maxPricePerSqft']) {
+    if (values[key] !== undefined) filters[key] = Number(values[key]);
+  }
+
+  return filters;
+}
+
+/**
+ * Validate attribute filters (see matchesAttributeFilters) and push any problems found
+ * @param {Object} filters - Object holding the filters (e.g. an alert rule)
+ * @param {string} path - Path of the object in the config (for error messages)
+ * @param {Array<string>} problems - List to push problems onto
+ */
+export function validateAttributeFilters(filters, path, problems) {
+  const isStringList = value => Array.isArray(value) && value.length > 0 && value.every(v => typeof v === 'string' && v.trim());
+
+  if (filters.buildings !== undefined && !isStringList(filters.buildings)) {
+    problems.push(`${path}.buildings must be a non-empty array of building numbers`);
+  }
+
+  if (filters.minFloor !== undefined && !Number.isInteger(filters.minFloor)) {
+    problems.push(`${path}.minFloor must be a whole number`);
+  }
+
+  if (filters.beds !== undefined && (!Array.isArray(filters.beds) || filters.beds.length === 0
+    || !filters.beds.every(b => Number.isFinite(b) && b >= 0))) {
+    problems.push(`${path}.beds must be a non-empty array of bedroom counts`);
+  }
+
+  for (const key of ['minSqft', 'maxPricePerSqft']) {
+    if (filters[key] !== undefined && (!Number.isFinite(filters[key]) || filters[key] <= 0)) {
+      problems.push(`${path}.${key} must be a positive number`);
+    }
+  }
+
+  if (filters.features !== undefined && !isStringList(filters.features)) {
+    problems.push(`${path}.features must be a non-empty array of words`);
+  }
+}
+
+/**
+ * Validate the report section of the config and push any problems found
+ * @param {Object} [report] - { groupBy, filters }
+ * @param {Array<string>} problems - List to push problems onto
+ */
+export function validateReportOptions(report, problems) {
+  if (report === undefined) return;
+
+  if (report === null || typeof report !== 'object' || Array.isArray(report)) {
+    problems.push('report must be an object');
+    return;
+  }
+
+  if (report.groupBy !== undefined && !UNIT_GROUPINGS.includes(report.groupBy)) {
+    problems.push(`report.groupBy "${report.groupBy}" is not one of: ${UNIT_GROUPINGS.join(', ')}`);
+  }
+
+  if (report.filters !== undefined) {
+    if (report.filters === null || typeof report.filters !== 'object' || Array.isArray(report.filters)) {
+      problems.push('report.filters must be an object');
+    } else {
+      validateAttributeFilters(report.filters, 'report.filters', problems);
+    }
+  }
+}
@@ -0,0 +1,139 @@
+import { describeLeaseTermChange } from '../lease.js';
+
+/**
+ * Helpers shared by the notification channels
+ */
+
+// Give up on a webhook that hasn't answered after this long
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * POST a JSON body to a webhook
+ * @param {string} url - Webhook URL
+ * @param {Object} body - Payload to send
+ * @param {Object} [headers] - Extra request headers
+ * @returns {Promise<string>} - Response body
+ * @throws {Error} - If the request fails or the webhook doesn't answer with a 2xx status
+ */
+export async function postJson(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+
+  const text = await response.text();
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} from ${new URL(url).host}: ${text.slice(0, 200)}`);
+  }
+  return text;
+}
+
+/**
+ * Get a channel's webhook URL from the config, or from its environment variable
+ * @param {Object} channel - Channel entry from the config
+ * @param {string} envVar - Environment variable to fall back to
+ * @returns {string}
+ * @throws {Error} - If neither is set
+ */
+export function getWebhookUrl(channel, envVar) {
+  const url = channel.url || process.env[envVar];
+  if (!url) {
+    throw new Error(`No webhook URL for the ${channel.type} channel (set "url" in the config or ${envVar})`);
+  }
+  return url;
+}
+
+/**
+ * Cut text down to a length limit, marking the cut
+ * @param {string} text
+ * @param {number} max - Maximum length
+ * @returns {string}
+ */
+export function truncate(text, max) {
+  return text.length <= max ? text : `${text.slice(0, max - 1)}…`;
+}
+
+/**
+ * Format a price for chat messages
+ * @param {number|null} price
+ * @returns {string}
+ */
+function formatPrice(price) {
+  return Number.isFinite(price) ? `$${price.toLocaleString()}` : 'N/A';
+}
+
+/**
+ * Get the units worth posting from a plan report (anything but unchanged units)
+ * @param {Object} plan - Plan report from comparePrices()
+ * @returns {Array<Object>}
+ */
+export function getChangedUnits(plan) {
+  return plan.units.filter(u => u.status !== 'unchanged' || u.moved || u.availabilityChanged || u.concessionChanged || u.leaseTermsChanged);
+}
+
+/**
+ * Describe a unit's special for a chat line (e.g. " • 🎁 6 weeks free ($4,600/mo effective)")
+ * @param {Object} unit - Unit change from a report
+ * @returns {string}
+ */
+function describeConcession(unit) {
+  if (unit.concession) {
+    const effective = unit.effectivePrice != null && unit.effectivePrice !== unit.currentPrice
+      ? ` (${formatPrice(unit.effectivePrice)}/mo effective)`
+      : '';
+    return ` • 🎁 ${unit.concession}${effective}`;
+  }
+  return unit.concessionChanged ? ` • 🎁 Special ended (was ${unit.previousConcession})` : '';
+}
+
+/**
+ * Describe a unit's cheapest lease term and term price changes for a chat line
+ * (e.g. " • cheapest 15 mo $5,050 • 📝 12 mo ↓ $50")
+ * @param {Object} unit - Unit change from a report
+ * @returns {string}
+ */
+function describeTerms(unit) {
+  if (!unit.cheapestTerm) return '';
+  const changes = unit.leaseTermsChanged ? ` • 📝 ${unit.leaseTermChanges.map(describeLeaseTermChange).join(', ')}` : '';
+  return ` • cheapest ${unit.cheapestTerm.months} mo ${formatPrice(unit.cheapestTerm.price)}${changes}`;
+}
+
+/**
+ * Describe a unit change in one line (e.g. "320-504: $5,010 ↓ $104 • Available Now")
+ * @param {Object} unit - Unit change from a report
+ * @returns {string}
+ */
+export function describeUnitChange(unit) {
+  const label = unit.unitNumber || 'Unit';
+  const change = Math.abs(unit.difference || 0).toLocaleString();
+  const extras = (unit.moved ? ` • 🔀 from ${unit.movedFrom}` : '') + describeConcession(unit) + describeTerms(unit);
+
+  switch (unit.status) {
+    case 'decreased':
+      return `${label}: ${formatPrice(unit.currentPrice)} ↓ $${change} • ${unit.availability}${extras}`;
+    case 'increased':
+      return `${label}: ${formatPrice(unit.currentPrice)} ↑ $${change} • ${unit.availability}${extras}`;
+    case 'new':
+      return `${label}: ${formatPrice(unit.currentPrice)} ★ New • ${unit.availability}${extras}`;
+    case 'removed':
+      return `${label}: ✕ Removed (was ${formatPrice(unit.previousPrice)})`;
+    default:
+      return unit.availabilityChanged
+        ? `${label}: ${formatPrice(unit.currentPrice)} 📅 ${unit.availability} (was ${unit.previousAvailability})${extras}`
+        : `${label}: ${formatPrice(unit.currentPrice)} • ${unit.availability}${extras}`;
+  }
+}
+
+/**
+ * Describe a plan's listing in one line (e.g. "5 units • $5,010 - $5,400")
+ * @param {Object} plan - Plan report from comparePrices()
+ * @returns {string}
+ */
+export function describePlan(plan) {
+  const range = plan.priceRange
+    ? `${formatPrice(plan.priceRange.min)} - ${formatPrice(plan.priceRange.max)}`
+    : 'no prices';
+  return `${plan.totalUnits} unit${plan.totalUnits !== 1 ? 's' : ''} • ${range}`;
+}
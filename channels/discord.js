@@ -0,0 +1,130 @@
+import {
+  postJson,
+  getWebhookUrl,
+  truncate,
+  getChangedUnits,
+  describeUnitChange,
+  describePlan,
+} from './common.js';
+
+// Discord limits: message content, embed description, embeds per message and
+// the text of all of a message's embeds together
+const MAX_CONTENT_LENGTH = 2000;
+const MAX_DESCRIPTION_LENGTH = 4096;
+const MAX_EMBEDS = 10;
+const MAX_EMBEDS_LENGTH = 6000;
+
+const COLORS = {
+  plan: 0x3b82f6, // blue
+  alerts: 0xf59e0b, // amber
+  problem: 0xdc2626, // red
+};
+
+/**
+ * Count the text of an embed the way Discord does against MAX_EMBEDS_LENGTH
+ * @param {Object} embed
+ * @returns {number}
+ */
+function getEmbedLength(embed) {
+  return (embed.title || '').length + (embed.description || '').length;
+}
+
+/**
+ * Split embeds into messages within Discord's per-message limits
+ * @param {Array<Object>} embeds
+ * @returns {Array<Array<Object>>} - Embeds for each message, in order
+ */
+function splitEmbeds(embeds) {
+  const batches = [];
+  let batch = [];
+  let length = 0;
+  for (const embed of embeds) {
+    if (batch.length === MAX_EMBEDS || (batch.length > 0 && length + getEmbedLength(embed) > MAX_EMBEDS_LENGTH)) {
+      batches.push(batch);
+      batch = [];
+      length = 0;
+    }
+    batch.push(embed);
+    length += getEmbedLength(embed);
+  }
+  if (batch.length > 0) batches.push(batch);
+  return batches;
+}
+
+/**
+ * Build the webhook payloads for a notification: one message, or several
+ * when the embeds don't fit in one (only the first has the content)
+ * @param {Object} message - Notification from notifier.js
+ * @returns {Array<Object>} - Discord webhook payloads, to post in order
+ */
+export function buildDiscordPayloads(message) {
+  const embeds = [];
+
+  if (message.alerts && message.alerts.length > 0) {
+    embeds.push({
+      title: '🔔 Alerts',
+      color: COLORS.alerts,
+      description: truncate(
+        message.alerts.map(a => `• **${a.name}**: ${a.matches.map(m => `${m.unit.unitNumber} (${m.planName})`).join(', ')}`).join('\n'),
+        MAX_DESCRIPTION_LENGTH
+      ),
+    });
+  }
+
+  if (message.report) {
+    for (const plan of message.report.plans) {
+      const changed = getChangedUnits(plan);
+      const lines = changed.map(u => `• ${describeUnitChange(u)}`);
+      const unchanged = plan.units.length - changed.length;
+      if (unchanged > 0) {
+        lines.push(`*${unchanged} unchanged*`);
+      }
+
+      embeds.push({
+        title: plan.planName,
+        url: plan.url,
+        color: COLORS.plan,
+        description: truncate(`${describePlan(plan)}\n${lines.join('\n')}`, MAX_DESCRIPTION_LENGTH),
+      });
+    }
+  } else if (message.health) {
+    embeds.push({
+      title: 'Problems',
+      color: COLORS.problem,
+      description: truncate(
+        message.health.issues.map(i => `• **${i.planName || 'All plans'}**: ${i.message}`).join('\n'),
+        MAX_DESCRIPTION_LENGTH
+      ),
+    });
+  }
+
+  const content = message.summary ? `**${message.subject}**\n${message.summary}` : `**${message.subject}**`;
+
+  if (embeds.length === 0) {
+    return [{ content: truncate(`${content}\n${message.text}`, MAX_CONTENT_LENGTH), embeds: [] }];
+  }
+
+  return splitEmbeds(embeds).map((batch, i) => (
+    i === 0 ? { content: truncate(content, MAX_CONTENT_LENGTH), embeds: batch } : { embeds: batch }
+  ));
+}
+
+/**
+ * Discord webhook channel
+ *
+ *   { "type": "discord", "url": "https://discord.com/api/webhooks/..." }
+ *
+ * The URL can be left out of the config and set in DISCORD_WEBHOOK_URL instead.
+ */
+export const discordChannel = {
+  name: 'discord',
+
+  validate() {},
+
+  async send(message, channel) {
+    const url = getWebhookUrl(channel, 'DISCORD_WEBHOOK_URL');
+    for (const payload of buildDiscordPayloads(message)) {
+      await postJson(url, payload);
+    }
+  },
+};
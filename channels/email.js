@@ -0,0 +1,79 @@
+import { sendWithFallback, validateTransportOptions } from '../transports/index.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Send an email through the configured transports (Resend by default)
+ * @param {Object} email
+ * @param {Array<string>|string} [email.recipients] - Recipients (defaults to RECIPIENT_EMAIL)
+ * @param {string} email.subject
+ * @param {string} email.html
+ * @param {string} email.text
+ * @param {Object} [options] - Email channel config (transports, smtp, outboxDir)
+ * @param {Object} [io]
+ * @param {Function} [io.log] - Where progress messages go (default: console.log)
+ * @returns {Promise<Object>} - { transport, id } for the transport that sent it
+ */
+export async function sendEmail({ recipients: recipientOverride, subject, html, text }, options = {}, { log = console.log } = {}) {
+  const recipientEmail = recipientOverride || process.env.RECIPIENT_EMAIL;
+  const senderEmail = process.env.SENDER_EMAIL || 'onboarding@resend.dev';
+
+  if (!recipientEmail) {
+    throw new Error('RECIPIENT_EMAIL environment variable is not set');
+  }
+
+  // Support multiple recipients - comma-separated string becomes array
+  const recipients = Array.isArray(recipientEmail)
+    ? recipientEmail
+    : recipientEmail.split(',').map(e => e.trim());
+
+  log(`Sending email to ${recipients.join(', ')}...`);
+
+  try {
+    const result = await sendWithFallback({
+      from: senderEmail,
+      to: recipients,
+      subject,
+      html,
+      text,
+    }, options, { log });
+
+    log(`Email sent successfully via ${result.transport}!`);
+    log('Email ID:', result.id);
+
+    return result;
+  } catch (error) {
+    console.error('Failed to send email:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Email channel
+ *
+ *   { "type": "email", "recipients": ["me@example.com"], "transports": ["resend", "smtp", "file"] }
+ *
+ * Recipients default to RECIPIENT_EMAIL; transports are tried in order
+ * (see transports/index.js).
+ */
+export const emailChannel = {
+  name: 'email',
+
+  validate(channel, path, problems) {
+    if (channel.recipients !== undefined && (!Array.isArray(channel.recipients) || channel.recipients.length === 0
+      || !channel.recipients.every(r => typeof r === 'string' && EMAIL_PATTERN.test(r)))) {
+      problems.push(`${path}.recipients must be a non-empty array of email addresses`);
+    }
+
+    validateTransportOptions(channel, path, problems);
+  },
+
+  async send(message, channel, { log } = {}) {
+    await sendEmail({
+      recipients: channel.recipients,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+    }, channel, { log });
+  },
+};
@@ -0,0 +1,179 @@
+import { createHash } from 'crypto';
+import { emailChannel } from './email.js';
+import { slackChannel } from './slack.js';
+import { discordChannel } from './discord.js';
+import { webhookChannel } from './webhook.js';
+
+/**
+ * A notification channel delivers reports and alerts to one kind of destination.
+ *
+ * Channels are listed in the `notifications` section of the config:
+ *
+ *   { "notifications": { "channels": [
+ *     { "type": "email" },
+ *     { "type": "slack", "url": "https://hooks.slack.com/services/..." }
+ *   ] } }
+ *
+ * @typedef {Object} NotificationChannel
+ * @property {string} name - Channel type used in the config
+ * @property {(channel: Object, path: string, problems: Array<string>) => void} validate
+ *   - Push problems with the channel's own config fields
+ * @property {(message: Object, channel: Object, options?: { log?: Function }) => Promise<void>} send
+ *   - Deliver a notification ({ type, subject, summary, text, html, report?, alerts?, health? }),
+ *     logging progress to `log` (default: console.log)
+ */
+
+/**
+ * Registered channels by type
+ * @type {Map<string, NotificationChannel>}
+ */
+const CHANNELS = new Map([
+  [emailChannel.name, emailChannel],
+  [slackChannel.name, slackChannel],
+  [discordChannel.name, discordChannel],
+  [webhookChannel.name, webhookChannel],
+]);
+
+/**
+ * Channels used when the config has no `notifications` section
+ */
+export const DEFAULT_CHANNELS = [{ type: emailChannel.name }];
+
+/**
+ * Loose check for an email address
+ */
+const EMAIL_ADDRESS = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Look up a channel by type
+ * @param {string} type - Channel type from the config
+ * @returns {NotificationChannel}
+ * @throws {Error} - If no channel is registered under that type
+ */
+export function getChannel(type) {
+  const channel = CHANNELS.get(type);
+  if (!channel) {
+    throw new Error(`Unknown notification channel "${type}" (available: ${listChannels().join(', ')})`);
+  }
+  return channel;
+}
+
+/**
+ * List the types of all registered channels
+ * @returns {Array<string>}
+ */
+export function listChannels() {
+  return [...CHANNELS.keys()];
+}
+
+/**
+ * Get a channel's label for logs (its configured name, or its type)
+ * @param {Object} channel - Channel entry from the config
+ * @returns {string}
+ */
+export function getChannelLabel(channel) {
+  return channel.name || channel.type;
+}
+
+/**
+ * Get who a channel delivers to, for quiet hours and the notification ledger
+ * @param {Object} channel - Channel entry from the config
+ * @returns {Array<string>} - Email addresses for email (from RECIPIENT_EMAIL unless the
+ *   channel lists its own), or the channel's label for chat and webhook channels
+ */
+export function getChannelRecipients(channel) {
+  if (channel.type !== 'email') return [getChannelLabel(channel)];
+
+  const recipients = channel.recipients ?? process.env.RECIPIENT_EMAIL ?? '';
+  return (Array.isArray(recipients) ? recipients : recipients.split(',')).map(r => r.trim()).filter(r => EMAIL_ADDRESS.test(r));
+}
+
+/**
+ * Get the key a recipient is stored under in committed state (the ledger and
+ * held notifications): a hash for an email address, so the addresses from
+ * RECIPIENT_EMAIL and the config never land in data/, or a channel's label as is
+ * @param {string} recipient - Email address or channel label
+ * @returns {string} - e.g. "sha256:1f3a..." or "team"
+ */
+export function getRecipientKey(recipient) {
+  const address = recipient.trim().toLowerCase();
+  if (!EMAIL_ADDRESS.test(address)) return recipient;
+  return `sha256:${createHash('sha256').update(address).digest('hex').slice(0, 16)}`;
+}
+
+/**
+ * Validate the `notifications` section of the config and push any problems found
+ * @param {*} notifications - `notifications` section of the config
+ * @param {Array<string>} problems - List to push problems onto
+ */
+export function validateNotifications(notifications, problems) {
+  if (notifications === undefined) return;
+
+  if (notifications === null || typeof notifications !== 'object' || !Array.isArray(notifications.channels)) {
+    problems.push('notifications.channels must be an array');
+    return;
+  }
+
+  notifications.channels.forEach((channel, i) => {
+    const path = `notifications.channels[${i}]`;
+
+    if (channel === null || typeof channel !== 'object' || Array.isArray(channel)) {
+      problems.push(`${path} must be an object`);
+      return;
+    }
+
+    const implementation = CHANNELS.get(channel.type);
+    if (!implementation) {
+      problems.push(`${path}.type must be one of: ${listChannels().join(', ')}`);
+    } else {
+      implementation.validate(channel, path, problems);
+    }
+
+    if (channel.name !== undefined && (typeof channel.name !== 'string' || !channel.name.trim())) {
+      problems.push(`${path}.name must be a non-empty string`);
+    }
+
+    if (channel.enabled !== undefined && typeof channel.enabled !== 'boolean') {
+      problems.push(`${path}.enabled must be true or false`);
+    }
+
+    if (channel.url !== undefined) {
+      let valid = false;
+      try {
+        valid = ['http:', 'https:'].includes(new URL(channel.url).protocol);
+      } catch {
+        valid = false;
+      }
+      if (!valid) {
+        problems.push(`${path}.url must be an http(s) URL`);
+      }
+    }
+  });
+}
+
+/**
+ * Send a notification to every enabled channel.
+ * Each channel is tried even if an earlier one fails.
+ * @param {Object} message - Notification from notifier.js
+ * @param {Array<Object>} [channels] - Channel entries from the config
+ * @param {Object} [options]
+ * @param {Function} [options.log] - Where progress messages go (default: console.log)
+ * @returns {Promise<Array<Object>>} - One result per channel: { channel, error }
+ */
+export async function sendToChannels(message, channels = DEFAULT_CHANNELS, { log = console.log } = {}) {
+  const results = [];
+
+  for (const channel of channels.filter(c => c.enabled !== false)) {
+    const label = getChannelLabel(channel);
+    try {
+      await getChannel(channel.type).send(message, channel, { log });
+      log(`✅ Sent "${message.subject}" to ${label}`);
+      results.push({ channel: label, error: null });
+    } catch (error) {
+      console.error(`Warning: Could not send to ${label}:`, error.message);
+      results.push({ channel: label, error });
+    }
+  }
+
+  return results;
+}
@@ -0,0 +1,93 @@
+import {
+  postJson,
+  getWebhookUrl,
+  truncate,
+  getChangedUnits,
+  describeUnitChange,
+  describePlan,
+} from './common.js';
+
+// Block Kit limits: header text, section text and blocks per message
+const MAX_HEADER_LENGTH = 150;
+const MAX_SECTION_LENGTH = 3000;
+const MAX_BLOCKS = 50;
+
+/**
+ * Escape the characters Slack reads as markup in mrkdwn text
+ * @param {string} text - Text from a plan, unit or notification
+ * @returns {string}
+ */
+function escapeMrkdwn(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Build a mrkdwn section block
+ * @param {string} text
+ * @returns {Object}
+ */
+function section(text) {
+  return { type: 'section', text: { type: 'mrkdwn', text: truncate(text, MAX_SECTION_LENGTH) } };
+}
+
+/**
+ * Build the Block Kit payload for a notification
+ * @param {Object} message - Notification from notifier.js
+ * @returns {Object} - Slack incoming webhook payload
+ */
+export function buildSlackPayload(message) {
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: truncate(message.subject, MAX_HEADER_LENGTH), emoji: true } },
+  ];
+
+  if (message.summary) {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: escapeMrkdwn(message.summary) }] });
+  }
+
+  if (message.alerts && message.alerts.length > 0) {
+    const lines = message.alerts.map(a => `• *${escapeMrkdwn(a.name)}*: ${escapeMrkdwn(a.matches.map(m => `${m.unit.unitNumber} (${m.planName})`).join(', '))}`);
+    blocks.push(section(`*🔔 Alerts*\n${lines.join('\n')}`));
+  }
+
+  if (message.report) {
+    for (const plan of message.report.plans) {
+      const changed = getChangedUnits(plan);
+      const lines = changed.map(u => `• ${escapeMrkdwn(describeUnitChange(u))}`);
+      const unchanged = plan.units.length - changed.length;
+      if (unchanged > 0) {
+        lines.push(`_${unchanged} unchanged_`);
+      }
+
+      blocks.push({ type: 'divider' });
+      blocks.push(section(`*<${plan.url}|${escapeMrkdwn(plan.planName)}>* — ${escapeMrkdwn(describePlan(plan))}\n${lines.join('\n')}`));
+    }
+  } else if (message.health) {
+    const lines = message.health.issues.map(i => `• *${escapeMrkdwn(i.planName || 'All plans')}*: ${escapeMrkdwn(i.message)}`);
+    blocks.push(section(lines.join('\n')));
+  } else {
+    blocks.push(section(escapeMrkdwn(message.text)));
+  }
+
+  return {
+    // Shown in notifications and by clients that can't render blocks
+    text: message.subject,
+    blocks: blocks.slice(0, MAX_BLOCKS),
+  };
+}
+
+/**
+ * Slack incoming webhook channel
+ *
+ *   { "type": "slack", "url": "https://hooks.slack.com/services/..." }
+ *
+ * The URL can be left out of the config and set in SLACK_WEBHOOK_URL instead.
+ */
+export const slackChannel = {
+  name: 'slack',
+
+  validate() {},
+
+  async send(message, channel) {
+    await postJson(getWebhookUrl(channel, 'SLACK_WEBHOOK_URL'), buildSlackPayload(message));
+  },
+};
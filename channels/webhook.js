@@ -0,0 +1,44 @@
+import { postJson, getWebhookUrl } from './common.js';
+
+/**
+ * Build the JSON payload for a notification
+ * @param {Object} message - Notification from notifier.js
+ * @returns {Object}
+ */
+export function buildWebhookPayload(message) {
+  return {
+    type: message.type,
+    subject: message.subject,
+    summary: message.summary ?? null,
+    text: message.text,
+    report: message.report ?? null,
+    // Leave out rule recipients, which are only meant for the email channel
+    alerts: message.alerts
+      ? message.alerts.map(a => ({ id: a.rule.id, name: a.name, matches: a.matches }))
+      : null,
+    health: message.health ?? null,
+    digest: message.digest ?? null,
+  };
+}
+
+/**
+ * Generic JSON webhook channel, for anything that can take a POST
+ *
+ *   { "type": "webhook", "url": "https://example.com/hook", "headers": { "Authorization": "Bearer ..." } }
+ *
+ * The URL can be left out of the config and set in WEBHOOK_URL instead.
+ */
+export const webhookChannel = {
+  name: 'webhook',
+
+  validate(channel, path, problems) {
+    if (channel.headers !== undefined && (channel.headers === null || typeof channel.headers !== 'object'
+      || Array.isArray(channel.headers) || !Object.values(channel.headers).every(v => typeof v === 'string'))) {
+      problems.push(`${path}.headers must be an object of header names to string values`);
+    }
+  },
+
+  async send(message, channel) {
+    await postJson(getWebhookUrl(channel, 'WEBHOOK_URL'), buildWebhookPayload(message), channel.headers);
+  },
+};
@@ -0,0 +1,592 @@
+#!/usr/bin/env node
+import 'dotenv/config';
+import { parseArgs } from 'util';
+import { writeFile } from 'fs/promises';
+import { realpathSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { loadConfig, getConfiguredAddresses } from './config.js';
+import { loadHistory } from './store.js';
+import { runTracker, runScheduled, SEND_MODES } from './index.js';
+import { buildUnitTimelines, buildPlanSeries } from './timeline.js';
+import { buildRunReport } from './runs.js';
+import { startServer, DEFAULT_PORT } from './server.js';
+import { getSchedule, findDueWork, loadScheduleState } from './schedule.js';
+import { formatTimestamp } from './dates.js';
+import { getRecipientKey } from './channels/index.js';
+import { filterReport, parseAttributeFilters, validateAttributeFilters } from './attributes.js';
+import { loadLedger, saveLedger, addSnooze, removeSnooze, parseDuration } from './ledger.js';
+import { generateEmailHtml, generateEmailText, sendReport, createTestReport } from './notifier.js';
+
+/**
+ * Command-line interface: run any step of the tracker locally.
+ *
+ *   node cli.js <command> [options]
+ *
+ * Output goes to stdout; progress messages go to stderr whenever the output
+ * isn't text, so `--format json` (or csv, html) can be piped straight into
+ * another tool. Each command gets the `log` to write them with.
+ */
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  scrape                 Scrape and compare with the last run; nothing is sent or saved
+  run                    Scrape, compare, send the report and alerts, and save the run to history
+  report                 Compare two stored runs: --to (default: the latest) against --from
+                         (default: the run before it)
+  history units          List every unit seen in history with its price range
+  history plans          List each plan's latest lowest, median and highest price
+  history export         Print every stored run
+  preview-email          Write the report email for the latest run (or --date) to a file
+  notify                 Send the report for the latest run (or --date) to the notification channels
+  serve                  Serve history and reports over a local HTTP API (see server.js)
+  scheduled              Do whatever the schedule says is due now: a run, digests, or
+                         notifications held for quiet hours (see schedule.js)
+  snooze list            List snoozed units and plans
+  snooze add <target>    Leave a unit (number or ID) or plan (name or ID) out of reports and
+                         alerts, for everyone or --recipient, for --for (default: until removed)
+  snooze remove <target> Remove a snooze
+
+Options:
+  --config <path>        Config file (default: config.json, or TRACKER_CONFIG)
+  --history <path>       History store (default: data/history.jsonl)
+  --send-mode <mode>     always, conditional or alerts (default: SEND_MODE, then always)
+  --format <format>      text or json; report and preview-email also take html, history export takes csv
+  --out <path>           Write the output to a file instead of stdout
+  --date <run>           Run to use for preview-email and notify (same as --to for report)
+  --from <run>           Run for report to compare against
+  --to <run>             Run for report to report on
+  --record <dir>         Record the scrape to a directory (scrape, run)
+  --replay <dir>         Replay a recorded scrape instead of the live site (scrape, run)
+  --test                 Use a sample report (preview-email, notify)
+  --port <port>          Port for serve (default: 8787)
+  --state <path>         Scheduler state file (default: data/schedule.json)
+  --check                Print what scheduled would do as GitHub Actions outputs, and do nothing
+  --ledger <path>        Notification ledger (default: data/ledger.json)
+  --recipient <who>      Email address or channel name a snooze is for (default: everyone)
+  --for <length>         How long to snooze: hours, days or weeks (12h, 7d, 2w)
+  --building <n>         Only report units in these buildings (repeat or comma-separate)
+  --beds <n>             Only report units with these bedroom counts (0 for studios)
+  --min-floor <n>        Only report units on this floor or higher
+  --min-sqft <n>         Only report units at least this big
+  --max-price-per-sqft <n>
+                         Only report units at most this price per square foot
+  --feature <word>       Only report units listing every one of these features
+                         (filters add to report.filters in the config; scrape, run,
+                         report, preview-email and notify)
+  -h, --help             Show this help
+
+A run is "latest", a date (the last run that day), a run's timestamp, or a time
+before the --to run: last-week, last-month, or a count of days, weeks or months
+(3d, 2w, 1m), which picks the run nearest that time.`;
+
+const OPTIONS = {
+  config: { type: 'string' },
+  history: { type: 'string' },
+  'send-mode': { type: 'string' },
+  format: { type: 'string' },
+  out: { type: 'string' },
+  date: { type: 'string' },
+  from: { type: 'string' },
+  to: { type: 'string' },
+  record: { type: 'string' },
+  replay: { type: 'string' },
+  test: { type: 'boolean' },
+  port: { type: 'string' },
+  state: { type: 'string' },
+  check: { type: 'boolean' },
+  ledger: { type: 'string' },
+  recipient: { type: 'string' },
+  for: { type: 'string' },
+  building: { type: 'string', multiple: true },
+  beds: { type: 'string', multiple: true },
+  'min-floor': { type: 'string' },
+  'min-sqft': { type: 'string' },
+  'max-price-per-sqft': { type: 'string' },
+  feature: { type: 'string', multiple: true },
+  help: { type: 'boolean', short: 'h' },
+};
+
+/**
+ * Command-line options for the unit filters, by filter name (see matchesAttributeFilters())
+ */
+const FILTER_OPTIONS = {
+  buildings: 'building',
+  beds: 'beds',
+  minFloor: 'min-floor',
+  minSqft: 'min-sqft',
+  maxPricePerSqft: 'max-price-per-sqft',
+  features: 'feature',
+};
+
+/**
+ * Mistake in how the CLI was called; shown with the usage instead of a stack trace
+ */
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Get the store options for loadHistory(). A store given with --history
+ * never falls back to the legacy data/history.json.
+ * @param {Object} values - Parsed options
+ * @returns {Object}
+ */
+function getStoreOptions(values) {
+  return values.history ? { file: values.history, legacyFile: values.history } : {};
+}
+
+/**
+ * Get the unit filters for a report: the config's `report.filters`, with
+ * any given on the command line in place of the same ones
+ * @param {Object} values - Parsed options
+ * @param {Object} config - Loaded config
+ * @returns {Object} - Filters for filterReport()
+ * @throws {UsageError} - For a filter option that isn't valid
+ */
+function getReportFilters(values, config) {
+  const filters = parseAttributeFilters(Object.fromEntries(Object.entries(FILTER_OPTIONS).map(([key, option]) => [key, values[option]])));
+
+  const problems = [];
+  validateAttributeFilters(filters, 'filter', problems);
+  if (problems.length > 0) {
+    // e.g. "filter.minFloor must be a whole number" -> "--min-floor must be a whole number"
+    throw new UsageError(problems[0].replace(/^filter\.(\w+)/, (_, key) => `--${FILTER_OPTIONS[key]}`));
+  }
+  return { ...config.report?.filters, ...filters };
+}
+
+/**
+ * Write command output to --out, or to stdout
+ * @param {string} output
+ * @param {Object} values - Parsed options
+ * @param {Function} log - Where to say which file was written
+ */
+async function emit(output, values, log) {
+  if (values.out) {
+    await writeFile(values.out, output.endsWith('\n') ? output : `${output}\n`);
+    log(`📝 Wrote ${values.out}`);
+  } else {
+    process.stdout.write(output.endsWith('\n') ? output : `${output}\n`);
+  }
+}
+
+/**
+ * Quote a value for a CSV cell when it needs it
+ * @param {*} value
+ * @returns {string}
+ */
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format a price for a text table
+ * @param {number|null} price
+ * @returns {string}
+ */
+function formatPrice(price) {
+  return Number.isFinite(price) ? `$${price.toLocaleString()}` : '–';
+}
+
+/**
+ * Lay rows out in aligned columns
+ * @param {Array<string>} headers
+ * @param {Array<Array<string>>} rows
+ * @returns {string}
+ */
+function formatTable(headers, rows) {
+  const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => String(row[i]).length)));
+  const line = cells => cells.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd();
+  return [line(headers), line(widths.map(w => '-'.repeat(w))), ...rows.map(line)].join('\n');
+}
+
+/**
+ * Render a report in the requested format
+ * @param {Object} report - Report from comparePrices()
+ * @param {string} format - text, html or json
+ * @param {Object} config - Loaded config (for report.groupBy and timezone)
+ * @returns {string}
+ */
+function renderReport(report, format, config) {
+  const options = { groupBy: config.report?.groupBy, timeZone: config.timezone };
+  if (format === 'json') return JSON.stringify(report, null, 2);
+  if (format === 'html') return generateEmailHtml(report, options);
+  return generateEmailText(report, options);
+}
+
+/**
+ * `scrape` and `run`: the tracker pipeline, as a dry run or for real
+ * @param {Object} values - Parsed options
+ * @param {Object} config - Loaded config
+ * @param {Function} log - Where progress messages go
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Only scrape, compare and print
+ */
+async function runPipeline(values, config, log, { dryRun }) {
+  const filters = getReportFilters(values, config);
+  const report = await runTracker({ ...config, report: { ...config.report, filters } }, {
+    dryRun,
+    sendMode: values['send-mode'],
+    record: values.record,
+    replay: values.replay,
+    historyFile: values.history,
+    stateFile: values.state,
+    ledgerFile: values.ledger,
+    log,
+  });
+
+  if (report && values.format === 'json') {
+    await emit(JSON.stringify(report, null, 2), values, log);
+  }
+}
+
+/**
+ * `report`: re-render the comparison between two stored runs
+ * @param {Object} values - Parsed options
+ * @param {Object} config - Loaded config
+ * @param {Function} log - Where progress messages go
+ */
+async function runReport(values, config, log) {
+  const filters = getReportFilters(values, config);
+  const report = buildRunReport(await loadHistory({ ...getStoreOptions(values), log }), {
+    from: values.from,
+    to: values.to ?? values.date ?? 'latest',
+  });
+  await emit(renderReport(filterReport(report, filters), values.format, config), values, log);
+}
+
+/**
+ * `history units`: every unit seen in history
+ * @param {Array} history - Array of historical entries (oldest first)
+ * @param {string} format - text or json
+ * @returns {string}
+ */
+function renderHistoryUnits(history, format) {
+  const timelines = [...buildUnitTimelines(history).values()]
+    .sort((a, b) => a.planName.localeCompare(b.planName) || a.unitNumber.localeCompare(b.unitNumber, undefined, { numeric: true }));
+
+  if (format === 'json') {
+    return JSON.stringify(timelines.map(({ observations, ...timeline }) => timeline), null, 2);
+  }
+
+  return formatTable(
+    ['Unit', 'Plan', 'Price', 'Low', 'High', 'First seen', 'Last seen', 'Changes', 'Listed'],
+    timelines.map(t => [
+      t.unitNumber,
+      t.planName,
+      formatPrice(t.currentPrice),
+      formatPrice(t.minPrice),
+      formatPrice(t.maxPrice),
+      t.firstSeen,
+      t.lastSeen,
+      t.priceChanges.length,
+      t.currentlyListed ? 'yes' : 'no',
+    ])
+  );
+}
+
+/**
+ * `history plans`: each plan's prices on the last day it was seen
+ * @param {Array} history - Array of historical entries (oldest first)
+ * @param {string} format - text or json
+ * @returns {string}
+ */
+function renderHistoryPlans(history, format) {
+  const plans = [...buildPlanSeries(history)].map(([planName, points]) => ({
+    planName,
+    days: points.length,
+    ...points[points.length - 1],
+  }));
+
+  if (format === 'json') {
+    return JSON.stringify(plans, null, 2);
+  }
+
+  return formatTable(
+    ['Plan', 'Last seen', 'Units', 'Low', 'Median', 'High', 'Days tracked'],
+    plans.map(p => [p.planName, p.date, p.units, formatPrice(p.min), formatPrice(p.median), formatPrice(p.max), p.days])
+  );
+}
+
+/**
+ * `history export`: every stored run, or one CSV row per unit per run
+ * @param {Array} history - Array of historical entries (oldest first)
+ * @param {string} format - json or csv
+ * @returns {string}
+ */
+function renderHistoryExport(history, format) {
+  if (format !== 'csv') {
+    return JSON.stringify(history, null, 2);
+  }
+
+  const headers = ['date', 'timestamp', 'property', 'plan', 'unit', 'price', 'effectivePrice', 'availability', 'availableFrom'];
+  const rows = history.flatMap(entry => (entry.plans || []).flatMap(plan => (plan.units || []).map(unit => [
+    entry.date,
+    entry.timestamp,
+    plan.propertyName,
+    plan.name,
+    unit.unitNumber,
+    unit.price,
+    unit.effectivePrice,
+    unit.availability,
+    unit.availableFrom,
+  ])));
+
+  return [headers, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
+}
+
+const HISTORY_VIEWS = {
+  units: renderHistoryUnits,
+  plans: renderHistoryPlans,
+  export: renderHistoryExport,
+};
+
+/**
+ * `history units|plans|export`
+ * @param {Object} values - Parsed options
+ * @param {Object} config - Loaded config
+ * @param {Function} log - Where progress messages go
+ * @param {string} view - Which listing (a key of HISTORY_VIEWS)
+ */
+async function runHistory(values, config, log, view) {
+  const render = HISTORY_VIEWS[view];
+  if (!render) {
+    throw new UsageError(`history needs one of: ${Object.keys(HISTORY_VIEWS).join(', ')}`);
+  }
+  if (values.format === 'csv' && view !== 'export') {
+    throw new UsageError('--format csv only works with history export');
+  }
+
+  await emit(render(await loadHistory({ ...getStoreOptions(values), log }), values.format), values, log);
+}
+
+/**
+ * `preview-email`: write the report email to a file to open in a browser
+ * @param {Object} values - Parsed options
+ * @param {Object} config - Loaded config
+ * @param {Function} log - Where progress messages go
+ */
+async function runPreviewEmail(values, config, log) {
+  const filters = getReportFilters(values, config);
+  const fullReport = values.test
+    ? createTestReport()
+    : buildRunReport(await loadHistory({ ...getStoreOptions(values), log }), { to: values.date ?? 'latest' });
+  const report = filterReport(fullReport, filters);
+
+  await emit(renderReport(report, values.format, config), {
+    ...values,
+    out: values.out ?? (values.format === 'text' ? 'email-preview.txt' : 'email-preview.html'),
+  }, log);
+}
+
+/**
+ * `notify`: send a stored run's report (or a sample with --test) to the channels
+ * @param {Object} values - Parsed options
+ * @param {Object} config - Loaded config
+ * @param {Function} log - Where progress messages go
+ */
+async function runNotify(values, config, log) {
+  const filters = getReportFilters(values, config);
+  const fullReport = values.test
+    ? createTestReport()
+    : buildRunReport(await loadHistory({ ...getStoreOptions(values), log }), { to: values.date ?? 'latest' });
+  const report = filterReport(fullReport, filters);
+
+  const results = await sendReport(report, { channels: config.notifications?.channels, groupBy: config.report?.groupBy, timeZone: config.timezone, log });
+  if (results.some(r => r.error)) {
+    process.exitCode = 1;
+  }
+
+  if (values.format === 'json') {
+    await emit(JSON.stringify(results.map(r => ({ channel: r.channel, error: r.error?.message ?? null })), null, 2), values, log);
+  }
+}
+
+/**
+ * `serve`: answer HTTP requests until stopped
+ * @param {Object} values - Parsed options
+ * @param {Object} config - Loaded config
+ * @param {Function} log - Where progress messages go
+ */
+async function runServe(values, config, log) {
+  const port = values.port === undefined ? DEFAULT_PORT : Number(values.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new UsageError(`--port "${values.port}" is not a port number`);
+  }
+
+  await startServer({
+    port,
+    store: getStoreOptions(values),
+    groupBy: config.report?.groupBy,
+    filters: getReportFilters(values, config),
+    timeZone: config.timezone,
+    log,
+  });
+}
+
+/**
+ * `scheduled`: do what's due now, or with --check only say what is
+ * (`due` and `scrape` as key=value lines for $GITHUB_OUTPUT)
+ * @param {Object} values - Parsed options
+ * @param {Object} config - Loaded config
+ * @param {Function} log - Where progress messages go
+ */
+async function runScheduledCommand(values, config, log) {
+  const due = values.check
+    ? findDueWork(getSchedule(config), await loadScheduleState(values.state), { now: Date.now(), timeZone: config.timezone })
+    : await runScheduled(config, { stateFile: values.state, historyFile: values.history, ledgerFile: values.ledger, log });
+
+  if (values.format === 'json') {
+    await emit(JSON.stringify(due, null, 2), values, log);
+  } else if (values.check) {
+    const isDue = Boolean(due.run) || due.digests.length > 0 || due.held.length > 0;
+    await emit(`due=${isDue}\nscrape=${Boolean(due.run)}`, values, log);
+  }
+}
+
+/**
+ * `snooze list|add|remove`: manage snoozes in the notification ledger
+ * @param {Object} values - Parsed options
+ * @param {Object} config - Loaded config
+ * @param {Function} log - Where progress messages go
+ * @param {string} action - list, add or remove
+ * @param {string} [target] - Unit number or ID, or plan name or ID
+ */
+async function runSnooze(values, config, log, action, target) {
+  if (!['list', 'add', 'remove'].includes(action)) {
+    throw new UsageError('snooze needs one of: list, add, remove');
+  }
+  if (action !== 'list' && !target) {
+    throw new UsageError(`snooze ${action} needs a unit or plan`);
+  }
+
+  const duration = values.for === undefined ? null : parseDuration(values.for);
+  if (values.for !== undefined && !duration) {
+    throw new UsageError(`--for "${values.for}" is not a length like 12h, 7d or 2w`);
+  }
+
+  const ledger = await loadLedger(values.ledger);
+  if (action === 'add') {
+    const snooze = addSnooze(ledger, target, { recipient: values.recipient ?? null, duration });
+    await saveLedger(ledger, values.ledger);
+    log(`😴 Snoozed ${target} for ${values.recipient ?? 'everyone'} ${snooze.until ? `until ${formatTimestamp(snooze.until, config.timezone)}` : 'until removed'}`);
+  } else if (action === 'remove') {
+    if (removeSnooze(ledger, target, { recipient: values.recipient ?? null }) === 0) {
+      throw new Error(`${target} isn't snoozed for ${values.recipient ?? 'everyone'}`);
+    }
+    await saveLedger(ledger, values.ledger);
+    log(`🔔 Removed the snooze of ${target} for ${values.recipient ?? 'everyone'}`);
+  }
+
+  // The ledger keeps a hash of each email address; show the addresses the config knows
+  const known = values.recipient ? [...getConfiguredAddresses(config), values.recipient] : getConfiguredAddresses(config);
+  const addresses = new Map(known.map(address => [getRecipientKey(address).toLowerCase(), address]));
+  const snoozes = ledger.snoozes.map(s => ({ ...s, recipient: s.recipient && (addresses.get(s.recipient) ?? s.recipient) }));
+
+  if (values.format === 'json') {
+    await emit(JSON.stringify(snoozes, null, 2), values, log);
+  } else if (action === 'list') {
+    await emit(snoozes.length === 0 ? 'Nothing is snoozed' : formatTable(
+      ['Target', 'Recipient', 'Until'],
+      snoozes.map(s => [s.target, s.recipient ?? 'everyone', s.until ? formatTimestamp(s.until, config.timezone) : 'no end'])
+    ), values, log);
+  }
+}
+
+/**
+ * Commands by name, with the output formats each one accepts (the first is the default)
+ */
+const COMMANDS = {
+  scrape: { formats: ['text', 'json'], run: (values, config, log) => runPipeline(values, config, log, { dryRun: true }) },
+  run: { formats: ['text', 'json'], run: (values, config, log) => runPipeline(values, config, log, { dryRun: false }) },
+  report: { formats: ['text', 'html', 'json'], run: runReport },
+  history: { formats: ['text', 'json', 'csv'], run: runHistory },
+  'preview-email': { formats: ['html', 'text'], run: runPreviewEmail },
+  notify: { formats: ['text', 'json'], run: runNotify },
+  serve: { formats: ['text'], run: runServe },
+  scheduled: { formats: ['text', 'json'], run: runScheduledCommand },
+  snooze: { formats: ['text', 'json'], run: runSnooze },
+};
+
+/**
+ * Parse command-line arguments into a command and its options
+ * @param {Array<string>} args - Arguments after `node cli.js`
+ * @returns {Object} - { command, rest, values }, with values.format filled in
+ * @throws {UsageError} - For an unknown command, option or format
+ */
+export function parseCliArgs(args) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const [command, ...rest] = parsed.positionals;
+  const values = { ...parsed.values };
+  if (values.help || !command) {
+    return { command: null, rest, values };
+  }
+
+  const definition = COMMANDS[command];
+  if (!definition) {
+    throw new UsageError(`Unknown command "${command}" (available: ${Object.keys(COMMANDS).join(', ')})`);
+  }
+
+  values.format ??= command === 'history' && rest[0] === 'export' ? 'json' : definition.formats[0];
+  if (!definition.formats.includes(values.format)) {
+    throw new UsageError(`${command} can't output "${values.format}" (use ${definition.formats.join(' or ')})`);
+  }
+
+  if (values['send-mode'] !== undefined && !SEND_MODES.includes(values['send-mode'])) {
+    throw new UsageError(`--send-mode "${values['send-mode']}" is not one of: ${SEND_MODES.join(', ')}`);
+  }
+
+  if (values.record && values.replay) {
+    throw new UsageError('Choose either --record or --replay, not both');
+  }
+
+  if (values.to && values.date) {
+    throw new UsageError('Choose either --to or --date, not both');
+  }
+
+  return { command, rest, values };
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} args - Arguments after `node cli.js`
+ * @returns {Promise<void>} - Sets process.exitCode on failure
+ */
+export async function runCli(args) {
+  try {
+    const { command, rest, values } = parseCliArgs(args);
+    if (!command) {
+      process.stdout.write(`${USAGE}\n`);
+      return;
+    }
+
+    // Keep stdout for the output itself
+    const log = values.format !== 'text' && !values.out ? console.error : console.log;
+
+    const config = await loadConfig(values.config);
+    await COMMANDS[command].run(values, config, log, ...rest);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`${error.message}\n\n${USAGE}`);
+    } else {
+      console.error('Error:', error.message);
+    }
+    process.exitCode = 1;
+  }
+}
+
+// Run when executed directly: `node cli.js <command> [options]`, or through the `rent-tracker` bin link
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  runCli(process.argv.slice(2));
+}
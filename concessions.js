@@ -0,0 +1,147 @@
+/**
+ * Concessions: specials like "6 weeks free" or "$500 off" shown on a plan
+ * or unit, and the effective monthly rent they work out to over a lease.
+ */
+
+/**
+ * Lease length used for effective rent when a plan doesn't set leaseMonths
+ */
+export const DEFAULT_LEASE_MONTHS = 12;
+
+const WEEKS_PER_MONTH = 52 / 12;
+
+const NUMBER_WORDS = {
+  a: 1,
+  an: 1,
+  one: 1,
+  first: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+  twelve: 12,
+  half: 0.5,
+  'half a': 0.5,
+  '1/2': 0.5,
+};
+
+const COUNT = String.raw`(\d+(?:\.\d+)?|1\/2|half a|half|an?|one|first|two|three|four|five|six|seven|eight|nine|ten|twelve)`;
+const FREE = String.raw`(?:of\s+)?(?:free|rent[\s-]*free|free\s+rent|off)`;
+
+const FREE_WEEKS_PATTERN = new RegExp(String.raw`\b${COUNT}[\s-]*(?:weeks?|wks?)\.?\s+${FREE}`, 'i');
+const FREE_MONTHS_PATTERN = new RegExp(String.raw`\b${COUNT}[\s-]*(?:months?|mos?)\.?\s+${FREE}`, 'i');
+const MONTHLY_OFF_PATTERN = /\$\s*([\d,]+(?:\.\d+)?)\s*off\s*(?:(?:per|a|each|every|\/)\s*(?:month|mo)\b|monthly)/i;
+const ONE_TIME_OFF_PATTERN = /\$\s*([\d,]+(?:\.\d+)?)\s*off\b/i;
+const PERCENT_OFF_PATTERN = /\b(\d+(?:\.\d+)?)\s*%\s*off\b/i;
+
+/**
+ * Turn a count from concession text ("6", "six", "half a") into a number
+ * @param {string} value
+ * @returns {number}
+ */
+function parseCount(value) {
+  const word = value.toLowerCase().replace(/\s+/g, ' ');
+  return NUMBER_WORDS[word] ?? parseFloat(word);
+}
+
+/**
+ * Turn a dollar amount from concession text ("1,000") into a number
+ * @param {string} value
+ * @returns {number}
+ */
+function parseAmount(value) {
+  return parseFloat(value.replace(/,/g, ''));
+}
+
+/**
+ * Parse concession text into the terms that change the rent.
+ * Understands free weeks or months ("6 weeks free", "first month free"),
+ * a one-time amount ("$500 off move-in"), a monthly amount ("$100 off per
+ * month") and a percentage ("5% off"). Terms in the same text are added
+ * together; text with none of them (e.g. "Waived admin fee") is kept but
+ * doesn't change the rent.
+ * @param {string} text - Concession text from the page
+ * @returns {Object|null} - { text, freeWeeks, freeMonths, oneTimeOff, monthlyOff, percentOff, recognized }, or null for empty text
+ */
+export function parseConcession(text) {
+  const cleaned = text ? text.replace(/\s+/g, ' ').trim() : '';
+  if (!cleaned) return null;
+
+  const weeks = cleaned.match(FREE_WEEKS_PATTERN);
+  const months = cleaned.match(FREE_MONTHS_PATTERN);
+  const monthly = cleaned.match(MONTHLY_OFF_PATTERN);
+  // A monthly amount would also match the one-time pattern
+  const oneTime = monthly ? null : cleaned.match(ONE_TIME_OFF_PATTERN);
+  const percent = cleaned.match(PERCENT_OFF_PATTERN);
+
+  const terms = {
+    text: cleaned,
+    freeWeeks: weeks ? parseCount(weeks[1]) : 0,
+    freeMonths: months ? parseCount(months[1]) : 0,
+    oneTimeOff: oneTime ? parseAmount(oneTime[1]) : 0,
+    monthlyOff: monthly ? parseAmount(monthly[1]) : 0,
+    percentOff: percent ? parseFloat(percent[1]) : 0,
+  };
+
+  return {
+    ...terms,
+    recognized: Boolean(terms.freeWeeks || terms.freeMonths || terms.oneTimeOff || terms.monthlyOff || terms.percentOff),
+  };
+}
+
+/**
+ * Work out the effective monthly rent: the total paid over the lease,
+ * after the concession, spread evenly across every month of the lease
+ * @param {number} price - Advertised monthly rent
+ * @param {Object|null} concession - Terms from parseConcession()
+ * @param {number} [leaseMonths] - Lease length in months
+ * @returns {number} - Effective monthly rent, rounded to the dollar
+ */
+export function getEffectiveRent(price, concession, leaseMonths = DEFAULT_LEASE_MONTHS) {
+  if (!concession || !concession.recognized) return price;
+
+  // Free time can't be more than the whole lease
+  const freeMonths = Math.min(concession.freeMonths + concession.freeWeeks / WEEKS_PER_MONTH, leaseMonths);
+  const savings = freeMonths * price
+    + concession.oneTimeOff
+    + (concession.monthlyOff + price * concession.percentOff / 100) * leaseMonths;
+
+  return Math.max(0, Math.round(price - savings / leaseMonths));
+}
+
+/**
+ * Add concession text and effective rent to scraped units.
+ * A unit's own special wins over the plan-wide one.
+ * @param {Array<Object>} units - Units from a site adapter
+ * @param {Object} [options]
+ * @param {string|null} [options.planConcession] - Special shown for the whole plan
+ * @param {number} [options.leaseMonths] - Lease length for the effective rent
+ * @returns {Array<Object>} - Units with concession and effectivePrice when a special applies
+ */
+export function applyConcessions(units, { planConcession = null, leaseMonths = DEFAULT_LEASE_MONTHS } = {}) {
+  return units.map((unit) => {
+    const concession = parseConcession(unit.concession || planConcession);
+    if (!concession) return unit;
+
+    return {
+      ...unit,
+      concession: concession.text,
+      effectivePrice: getEffectiveRent(unit.price, concession, leaseMonths),
+    };
+  });
+}
+
+/**
+ * Describe how a unit's special changed between runs
+ * @param {Object} unit - Unit change from comparePrices() with concessionChanged set
+ * @returns {string} - "Special added", "Special ended" or "Special changed"
+ */
+export function describeConcessionChange(unit) {
+  if (!unit.concession) return 'Special ended';
+  return unit.previousConcession ? 'Special changed' : 'Special added';
+}
@@ -0,0 +1,338 @@
+import { readFile } from 'fs/promises';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { DEFAULT_ADAPTER, listAdapters } from './adapters/index.js';
+import { validateAlertRules } from './alerts.js';
+import { validateHealthOptions } from './health.js';
+import { validateNotifications, getChannelRecipients, DEFAULT_CHANNELS } from './channels/index.js';
+import { DEFAULT_LEASE_MONTHS } from './concessions.js';
+import { validateReportOptions } from './attributes.js';
+import { slugify, getDefaultPlanId } from './identity.js';
+import { validateScraperOptions } from './runner.js';
+import { isValidTimeZone } from './dates.js';
+import { validateSchedule } from './schedule.js';
+import { validateLedgerOptions } from './ledger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const DEFAULT_CONFIG_FILE = join(__dirname, 'config.json');
+
+/**
+ * Default per-plan options, merged under property and plan level options
+ */
+const DEFAULT_PLAN_OPTIONS = {
+  enabled: true,
+  minPrice: 1000,
+  maxPrice: 20000,
+  leaseMonths: DEFAULT_LEASE_MONTHS,
+};
+
+/**
+ * Error thrown when the tracker config file is missing or malformed
+ */
+export class ConfigError extends Error {
+  /**
+   * @param {string} message - Summary of the problem
+   * @param {Array<string>} [problems] - Individual validation problems
+   */
+  constructor(message, problems = []) {
+    super(problems.length > 0
+      ? `${message}\n${problems.map(p => `  - ${p}`).join('\n')}`
+      : message);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Check if a value is a plain object (not null or an array)
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check if a string is an absolute http(s) URL
+ * @param {string} value - Value to check
+ * @returns {boolean}
+ */
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate plan options and push any problems found
+ * @param {*} options - Options object from the config
+ * @param {string} path - Path of the options in the config (for error messages)
+ * @param {Array<string>} problems - List to push problems onto
+ */
+function validateOptions(options, path, problems) {
+  if (options === undefined) return;
+
+  if (!isObject(options)) {
+    problems.push(`${path} must be an object`);
+    return;
+  }
+
+  if (options.enabled !== undefined && typeof options.enabled !== 'boolean') {
+    problems.push(`${path}.enabled must be true or false`);
+  }
+
+  for (const key of ['minPrice', 'maxPrice']) {
+    if (options[key] !== undefined && (!Number.isFinite(options[key]) || options[key] < 0)) {
+      problems.push(`${path}.${key} must be a non-negative number`);
+    }
+  }
+
+  if (Number.isFinite(options.minPrice) && Number.isFinite(options.maxPrice) && options.minPrice > options.maxPrice) {
+    problems.push(`${path}.minPrice must not be greater than maxPrice`);
+  }
+
+  if (options.leaseMonths !== undefined && (!Number.isInteger(options.leaseMonths) || options.leaseMonths < 1)) {
+    problems.push(`${path}.leaseMonths must be a whole number of months`);
+  }
+}
+
+/**
+ * Validate a selectors object and push any problems found
+ * @param {*} selectors - Selectors object from the config
+ * @param {string} path - Path of the selectors in the config (for error messages)
+ * @param {Array<string>} problems - List to push problems onto
+ */
+function validateSelectors(selectors, path, problems) {
+  if (selectors === undefined) return;
+
+  if (!isObject(selectors)) {
+    problems.push(`${path} must be an object`);
+    return;
+  }
+
+  for (const [key, field] of Object.entries(selectors)) {
+    if (typeof field === 'string' && field.trim()) continue;
+
+    const isFieldObject = isObject(field)
+      && (field.selector === undefined || (typeof field.selector === 'string' && field.selector.trim()))
+      && (field.attribute === undefined || (typeof field.attribute === 'string' && field.attribute.trim()))
+      && (field.selector !== undefined || field.attribute !== undefined);
+
+    if (!isFieldObject) {
+      problems.push(`${path}.${key} must be a CSS selector or { "selector", "attribute" }`);
+    }
+  }
+}
+
+/**
+ * Validate a raw config object and normalize it into the shape used by the scraper
+ * @param {*} raw - Parsed config file contents
+ * @param {string} [source] - Where the config came from (for error messages)
+ * @returns {Object} - Normalized config with properties and their plans
+ * @throws {ConfigError} - If any entry is malformed
+ */
+export function validateConfig(raw, source = 'config') {
+  const problems = [];
+  const prefix = `Invalid config (${source})`;
+
+  if (!isObject(raw)) {
+    throw new ConfigError(`${prefix}: expected a JSON object at the top level`);
+  }
+
+  if (!Array.isArray(raw.properties) || raw.properties.length === 0) {
+    throw new ConfigError(`${prefix}: "properties" must be a non-empty array`);
+  }
+
+  const propertyIds = new Set();
+  const planIds = new Set();
+
+  raw.properties.forEach((property, i) => {
+    const propertyPath = `properties[${i}]`;
+
+    if (!isObject(property)) {
+      problems.push(`${propertyPath} must be an object`);
+      return;
+    }
+
+    if (typeof property.name !== 'string' || !property.name.trim()) {
+      problems.push(`${propertyPath}.name must be a non-empty string`);
+    }
+
+    if (property.id !== undefined) {
+      if (typeof property.id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(property.id)) {
+        problems.push(`${propertyPath}.id must be lowercase letters, numbers and dashes`);
+      } else if (propertyIds.has(property.id)) {
+        problems.push(`${propertyPath}.id "${property.id}" is used by more than one property`);
+      } else {
+        propertyIds.add(property.id);
+      }
+    }
+
+    validateOptions(property.options, `${propertyPath}.options`, problems);
+    validateSelectors(property.selectors, `${propertyPath}.selectors`, problems);
+
+    const adapter = property.adapter ?? DEFAULT_ADAPTER;
+    if (!listAdapters().includes(adapter)) {
+      problems.push(`${propertyPath}.adapter "${adapter}" is not one of: ${listAdapters().join(', ')}`);
+    }
+
+    if (!Array.isArray(property.plans) || property.plans.length === 0) {
+      problems.push(`${propertyPath}.plans must be a non-empty array`);
+      return;
+    }
+
+    const planNames = new Set();
+
+    property.plans.forEach((plan, j) => {
+      const planPath = `${propertyPath}.plans[${j}]`;
+
+      if (!isObject(plan)) {
+        problems.push(`${planPath} must be an object`);
+        return;
+      }
+
+      if (typeof plan.name !== 'string' || !plan.name.trim()) {
+        problems.push(`${planPath}.name must be a non-empty string`);
+      } else if (planNames.has(plan.name)) {
+        problems.push(`${planPath}.name "${plan.name}" is used by more than one plan in this property`);
+      } else {
+        planNames.add(plan.name);
+      }
+
+      if (typeof plan.url !== 'string' || !isHttpUrl(plan.url)) {
+        problems.push(`${planPath}.url must be an absolute http(s) URL`);
+      }
+
+      // Plans are matched between runs by ID, so every plan needs its own
+      if (plan.id !== undefined && (typeof plan.id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(plan.id))) {
+        problems.push(`${planPath}.id must be lowercase letters, numbers and dashes`);
+      } else if (typeof plan.name === 'string' && typeof plan.url === 'string') {
+        const planId = plan.id ?? getDefaultPlanId(plan);
+        if (planIds.has(planId)) {
+          problems.push(`${planPath}.id "${planId}" is used by more than one plan (set "id" on the plan to tell them apart)`);
+        } else {
+          planIds.add(planId);
+        }
+      }
+
+      validateOptions(plan.options, `${planPath}.options`, problems);
+      validateSelectors(plan.selectors, `${planPath}.selectors`, problems);
+
+      if (adapter === 'generic' && isObject(property.selectors ?? {}) && isObject(plan.selectors ?? {})) {
+        const selectors = { ...property.selectors, ...plan.selectors };
+        for (const key of ['unit', 'unitNumber', 'price']) {
+          if (!selectors[key]) {
+            problems.push(`${planPath} uses the generic adapter but has no selectors.${key} (set it on the property or the plan)`);
+          }
+        }
+      }
+    });
+  });
+
+  // Run times in reports and subjects are shown in this timezone
+  if (raw.timezone !== undefined && (typeof raw.timezone !== 'string' || !isValidTimeZone(raw.timezone))) {
+    problems.push('timezone must be a timezone name like "America/Los_Angeles"');
+  }
+
+  validateAlertRules(raw.alerts, problems);
+  validateHealthOptions(raw.health, problems);
+  validateNotifications(raw.notifications, problems);
+  validateReportOptions(raw.report, problems);
+  validateScraperOptions(raw.scraper, problems);
+  validateSchedule(raw.schedule, problems);
+  validateLedgerOptions(raw.ledger, problems);
+
+  if (problems.length > 0) {
+    throw new ConfigError(`${prefix}:`, problems);
+  }
+
+  return {
+    ...raw,
+    properties: raw.properties.map((property) => {
+      const id = property.id || slugify(property.name);
+
+      return {
+        ...property,
+        id,
+        name: property.name.trim(),
+        adapter: property.adapter ?? DEFAULT_ADAPTER,
+        plans: property.plans.map(plan => ({
+          ...plan,
+          id: plan.id ?? getDefaultPlanId(plan),
+          name: plan.name.trim(),
+          selectors: { ...property.selectors, ...plan.selectors },
+          options: { ...DEFAULT_PLAN_OPTIONS, ...property.options, ...plan.options },
+        })),
+      };
+    }),
+  };
+}
+
+/**
+ * Load and validate the tracker config file
+ * @param {string} [configPath] - Path to the config file (defaults to TRACKER_CONFIG or config.json)
+ * @returns {Promise<Object>} - Normalized config
+ * @throws {ConfigError} - If the file is missing, not valid JSON, or malformed
+ */
+export async function loadConfig(configPath = process.env.TRACKER_CONFIG || DEFAULT_CONFIG_FILE) {
+  const fullPath = resolve(configPath);
+  let contents;
+
+  try {
+    contents = await readFile(fullPath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new ConfigError(`Config file not found: ${fullPath}`);
+    }
+    throw error;
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(contents);
+  } catch (error) {
+    throw new ConfigError(`Config file ${fullPath} is not valid JSON: ${error.message}`);
+  }
+
+  return validateConfig(raw, fullPath);
+}
+
+/**
+ * Get the enabled plans from a config, each tagged with its property and site adapter
+ * @param {Object} config - Normalized config from loadConfig()
+ * @returns {Array<Object>} - Plans with property info attached
+ */
+export function getEnabledPlans(config) {
+  return config.properties.flatMap(property =>
+    property.plans
+      .filter(plan => plan.options.enabled)
+      .map(plan => ({
+        ...plan,
+        propertyId: property.id,
+        propertyName: property.name,
+        adapter: property.adapter,
+      }))
+  );
+}
+
+/**
+ * List every email address a config sends to: the email channels' recipients
+ * (RECIPIENT_EMAIL unless a channel lists its own), alert rule recipients and
+ * health alert recipients. Committed state only keeps hashes of them (see
+ * getRecipientKey()), so this is how they are found again.
+ * @param {Object} config - Normalized config from loadConfig()
+ * @returns {Array<string>}
+ */
+export function getConfiguredAddresses(config) {
+  const channels = config.notifications?.channels || DEFAULT_CHANNELS;
+  return [...new Set([
+    ...channels.filter(c => c.type === 'email').flatMap(getChannelRecipients),
+    ...(config.alerts?.rules || []).flatMap(rule => rule.recipients),
+    ...(config.health?.recipients || []),
+  ])];
+}
@@ -0,0 +1,439 @@
+import { writeFile, mkdir } from 'fs/promises';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { loadHistory } from './store.js';
+import { buildUnitTimelines, buildPlanSeries } from './timeline.js';
+import { getPricePerSqft } from './attributes.js';
+import { formatTimestamp } from './dates.js';
+import { loadConfig } from './config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Static dashboard built from the price history.
+ *
+ * Every page is a single HTML file with its styles, charts (inline SVG) and
+ * scripts inlined, so the output folder can be opened locally or published
+ * as-is to GitHub Pages:
+ *
+ * - index.html: price-over-time chart per plan and the currently listed units
+ * - units.html: every unit ever seen with its price history
+ * - removed.html: units that stopped being listed recently
+ */
+export const DASHBOARD_DIR = join(__dirname, 'site');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far back the removed units page looks, in days before the latest run
+const REMOVED_WINDOW_DAYS = 30;
+
+const CHART_WIDTH = 720;
+const CHART_HEIGHT = 240;
+const CHART_PADDING = { top: 16, right: 16, bottom: 28, left: 64 };
+
+const SERIES = [
+  { key: 'max', label: 'Highest', color: '#dc2626' },
+  { key: 'median', label: 'Median', color: '#3b82f6' },
+  { key: 'min', label: 'Lowest', color: '#16a34a' },
+];
+
+const PAGES = [
+  { file: 'index.html', title: 'Overview' },
+  { file: 'units.html', title: 'Unit History' },
+  { file: 'removed.html', title: 'Removed Units' },
+];
+
+/**
+ * Escape text for use in HTML
+ * @param {*} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format a price for display
+ * @param {number|null} price
+ * @returns {string}
+ */
+function formatPrice(price) {
+  return Number.isFinite(price) ? `$${price.toLocaleString('en-US')}` : '–';
+}
+
+/**
+ * Render a price-over-time line chart as inline SVG
+ * @param {Array<Object>} points - Points from buildPlanSeries()
+ * @returns {string} - SVG markup
+ */
+function renderPriceChart(points) {
+  const { top, right, bottom, left } = CHART_PADDING;
+  const plotWidth = CHART_WIDTH - left - right;
+  const plotHeight = CHART_HEIGHT - top - bottom;
+
+  const firstMs = Date.parse(points[0].date);
+  const lastMs = Date.parse(points[points.length - 1].date);
+  const spanMs = Math.max(lastMs - firstMs, DAY_MS);
+
+  let low = Math.min(...points.map(p => p.min));
+  let high = Math.max(...points.map(p => p.max));
+  if (high === low) {
+    low -= 50;
+    high += 50;
+  }
+
+  const x = date => left + ((Date.parse(date) - firstMs) / spanMs) * plotWidth;
+  const y = price => top + (1 - (price - low) / (high - low)) * plotHeight;
+
+  const gridLines = [0, 0.25, 0.5, 0.75, 1]
+    .map((fraction) => {
+      const price = Math.round(low + (high - low) * fraction);
+      const lineY = y(price).toFixed(1);
+      return `<line x1="${left}" y1="${lineY}" x2="${CHART_WIDTH - right}" y2="${lineY}" stroke="#e5e7eb" />`
+        + `<text x="${left - 8}" y="${lineY}" text-anchor="end" dominant-baseline="middle">${formatPrice(price)}</text>`;
+    })
+    .join('');
+
+  const dateLabels = [...new Set([points[0].date, points[Math.floor((points.length - 1) / 2)].date, points[points.length - 1].date])]
+    .map(date => `<text x="${x(date).toFixed(1)}" y="${CHART_HEIGHT - 8}" text-anchor="middle">${date}</text>`)
+    .join('');
+
+  const lines = SERIES
+    .map(({ key, color }) => {
+      const coords = points.map(p => `${x(p.date).toFixed(1)},${y(p[key]).toFixed(1)}`).join(' ');
+      return points.length === 1
+        ? `<circle cx="${x(points[0].date).toFixed(1)}" cy="${y(points[0][key]).toFixed(1)}" r="3" fill="${color}" />`
+        : `<polyline points="${coords}" fill="none" stroke="${color}" stroke-width="2" />`;
+    })
+    .join('');
+
+  return `<svg class="chart" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="Price over time">`
+    + `${gridLines}${dateLabels}${lines}</svg>`;
+}
+
+/**
+ * Render a small price sparkline for one unit as inline SVG
+ * @param {Array<Object>} observations - Timeline observations ({ date, price })
+ * @returns {string} - SVG markup
+ */
+function renderSparkline(observations) {
+  const daily = [...new Map(observations.map(o => [o.date, o])).values()];
+  const width = 120;
+  const height = 24;
+  const prices = daily.map(o => o.price);
+  const low = Math.min(...prices);
+  const high = Math.max(...prices);
+
+  const coords = daily
+    .map((o, i) => {
+      const px = daily.length === 1 ? width / 2 : (i / (daily.length - 1)) * (width - 4) + 2;
+      const py = high === low ? height / 2 : 2 + (1 - (o.price - low) / (high - low)) * (height - 4);
+      return `${px.toFixed(1)},${py.toFixed(1)}`;
+    })
+    .join(' ');
+
+  return `<svg class="sparkline" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">`
+    + `<polyline points="${coords}" fill="none" stroke="#3b82f6" stroke-width="1.5" /></svg>`;
+}
+
+/**
+ * Wrap page content in the shared layout (styles, header, navigation)
+ * @param {Object} page - Entry from PAGES
+ * @param {string} body - Page content
+ * @param {Object} meta - { updatedAt }
+ * @returns {string} - Full HTML document
+ */
+function renderPage(page, body, { updatedAt }) {
+  const nav = PAGES
+    .map(p => `<a href="${p.file}"${p.file === page.file ? ' class="active"' : ''}>${p.title}</a>`)
+    .join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${page.title} - Rent Tracker</title>
+<style>
+  body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f3f4f6; color: #1f2937; }
+  header { background: linear-gradient(135deg, #3b82f6 0%, #2563eb 100%); color: white; padding: 20px 24px; }
+  header h1 { margin: 0; font-size: 22px; }
+  header p { margin: 4px 0 0; font-size: 13px; opacity: 0.9; }
+  nav { display: flex; gap: 4px; padding: 0 24px; background: white; border-bottom: 1px solid #e5e7eb; }
+  nav a { padding: 12px 16px; color: #6b7280; text-decoration: none; font-size: 14px; border-bottom: 2px solid transparent; }
+  nav a.active { color: #2563eb; border-bottom-color: #2563eb; font-weight: 600; }
+  main { max-width: 1100px; margin: 0 auto; padding: 24px; }
+  section { background: white; border-radius: 8px; padding: 16px 20px; margin-bottom: 24px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.08); }
+  h2 { margin: 0 0 4px; font-size: 18px; }
+  .muted { color: #6b7280; font-size: 13px; }
+  .chart { width: 100%; height: auto; margin-top: 8px; font-size: 11px; fill: #6b7280; }
+  .legend { display: flex; gap: 16px; font-size: 12px; color: #6b7280; }
+  .legend span::before { content: ''; display: inline-block; width: 10px; height: 10px; border-radius: 2px; margin-right: 6px; background: var(--color); }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  th { text-align: left; padding: 8px 10px; font-size: 11px; text-transform: uppercase; letter-spacing: 0.05em; color: #6b7280; border-bottom: 2px solid #e5e7eb; }
+  td { padding: 8px 10px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+  td.num, th.num { text-align: right; }
+  .filters { display: flex; flex-wrap: wrap; gap: 12px; margin: 12px 0; font-size: 13px; }
+  .filters input, .filters select { font: inherit; padding: 4px 8px; border: 1px solid #d1d5db; border-radius: 4px; }
+  .changes { margin: 0; padding-left: 16px; color: #6b7280; }
+  .down { color: #16a34a; }
+  .up { color: #dc2626; }
+</style>
+</head>
+<body>
+<header>
+  <h1>🏢 Rent Tracker</h1>
+  <p>Updated ${escapeHtml(updatedAt)}</p>
+</header>
+<nav>${nav}</nav>
+<main>
+${body}
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render the overview page: per-plan charts and the currently listed units
+ * @param {Map<string, Array<Object>>} planSeries - From buildPlanSeries()
+ * @param {Array<Object>} timelines - Unit timelines
+ * @returns {string} - Page content
+ */
+function renderOverview(planSeries, timelines) {
+  const legend = `<div class="legend">${SERIES.map(s => `<span style="--color: ${s.color}">${s.label}</span>`).join('')}</div>`;
+
+  const charts = [...planSeries.entries()]
+    .map(([planName, points]) => {
+      const latest = points[points.length - 1];
+      return `<section>
+  <h2>${escapeHtml(planName)}</h2>
+  <p class="muted">${latest.units} unit${latest.units !== 1 ? 's' : ''} on ${latest.date} • ${formatPrice(latest.min)} - ${formatPrice(latest.max)}</p>
+  ${legend}
+  ${renderPriceChart(points)}
+</section>`;
+    })
+    .join('\n');
+
+  const listed = timelines.filter(t => t.currentlyListed);
+  const planOptions = [...new Set(listed.map(t => t.planName))]
+    .map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`)
+    .join('');
+
+  const buildingOptions = [...new Set(listed.map(t => t.building).filter(Boolean))]
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+    .map(building => `<option value="${escapeHtml(building)}">${escapeHtml(building)}</option>`)
+    .join('');
+
+  const rows = listed
+    .map((t) => {
+      const pricePerSqft = getPricePerSqft(t.currentPrice, t.sqft);
+      return `<tr data-plan="${escapeHtml(t.planName)}" data-price="${t.currentPrice}" data-available="${escapeHtml(t.availableFrom || '')}" data-unit="${escapeHtml(t.unitNumber || '')}" data-building="${escapeHtml(t.building || '')}" data-sqft="${t.sqft ?? ''}">
+  <td>${escapeHtml(t.planName)}</td>
+  <td>${escapeHtml(t.unitNumber || 'Unknown')}</td>
+  <td>${escapeHtml(t.floor || '–')}</td>
+  <td class="num">${t.sqft ? t.sqft.toLocaleString() : '–'}</td>
+  <td class="num">${pricePerSqft !== null ? `$${pricePerSqft.toFixed(2)}` : '–'}</td>
+  <td class="num">${formatPrice(t.currentPrice)}</td>
+  <td>${escapeHtml(t.availability || 'Unknown')}</td>
+  <td class="num">${formatPrice(t.minPrice)}</td>
+  <td>${t.firstSeen}</td>
+  <td class="num">${t.daysOnMarket}</td>
+</tr>`;
+    })
+    .join('\n');
+
+  return `${charts || '<section><p class="muted">No price history yet.</p></section>'}
+<section>
+  <h2>Currently Listed</h2>
+  <div class="filters">
+    <label>Plan <select id="filter-plan"><option value="">All plans</option>${planOptions}</select></label>
+    <label>Building <select id="filter-building"><option value="">All buildings</option>${buildingOptions}</select></label>
+    <label>Max price <input id="filter-price" type="number" min="0" step="50" placeholder="Any"></label>
+    <label>Min sq ft <input id="filter-sqft" type="number" min="0" step="25" placeholder="Any"></label>
+    <label>Move in by <input id="filter-date" type="date"></label>
+    <label>Unit <input id="filter-unit" type="search" placeholder="e.g. 320-504"></label>
+  </div>
+  <table id="units">
+    <thead><tr><th>Plan</th><th>Unit</th><th>Floor</th><th class="num">Sq Ft</th><th class="num">$/Sq Ft</th><th class="num">Price</th><th>Available</th><th class="num">Lowest Ever</th><th>First Seen</th><th class="num">Days Listed</th></tr></thead>
+    <tbody>
+${rows}
+    </tbody>
+  </table>
+  <p class="muted" id="units-count"></p>
+</section>
+<script>
+  (function () {
+    var plan = document.getElementById('filter-plan');
+    var building = document.getElementById('filter-building');
+    var price = document.getElementById('filter-price');
+    var sqft = document.getElementById('filter-sqft');
+    var date = document.getElementById('filter-date');
+    var unit = document.getElementById('filter-unit');
+    var rows = document.querySelectorAll('#units tbody tr');
+    var count = document.getElementById('units-count');
+
+    function apply() {
+      var shown = 0;
+      rows.forEach(function (row) {
+        var visible = (!plan.value || row.dataset.plan === plan.value)
+          && (!building.value || row.dataset.building === building.value)
+          && (!price.value || Number(row.dataset.price) <= Number(price.value))
+          && (!sqft.value || (row.dataset.sqft !== '' && Number(row.dataset.sqft) >= Number(sqft.value)))
+          && (!date.value || (row.dataset.available !== '' && row.dataset.available <= date.value))
+          && (!unit.value || row.dataset.unit.indexOf(unit.value.trim()) !== -1);
+        row.hidden = !visible;
+        if (visible) shown++;
+      });
+      count.textContent = shown + ' of ' + rows.length + ' units shown';
+    }
+
+    [plan, building, price, sqft, date, unit].forEach(function (input) {
+      input.addEventListener('input', apply);
+    });
+    apply();
+  })();
+</script>`;
+}
+
+/**
+ * Render the unit history page: every unit ever seen and its price changes
+ * @param {Array<Object>} timelines - Unit timelines
+ * @returns {string} - Page content
+ */
+function renderUnitHistory(timelines) {
+  const rows = timelines
+    .map((t) => {
+      const changes = t.priceChanges.length > 0
+        ? `<ul class="changes">${t.priceChanges
+          .map(c => `<li>${c.date}: ${formatPrice(c.from)} → ${formatPrice(c.to)} <span class="${c.difference < 0 ? 'down' : 'up'}">(${c.difference < 0 ? '↓' : '↑'} ${formatPrice(Math.abs(c.difference))})</span></li>`)
+          .join('')}</ul>`
+        : '<span class="muted">No changes</span>';
+
+      return `<tr>
+  <td>${escapeHtml(t.planName)}</td>
+  <td>${escapeHtml(t.unitNumber || 'Unknown')}${t.currentlyListed ? '' : ' <span class="muted">(removed)</span>'}</td>
+  <td>${renderSparkline(t.observations)}</td>
+  <td class="num">${formatPrice(t.currentPrice)}</td>
+  <td class="num">${formatPrice(t.minPrice)}</td>
+  <td class="num">${formatPrice(t.medianPrice)}</td>
+  <td class="num">${formatPrice(t.maxPrice)}</td>
+  <td>${t.firstSeen} – ${t.lastSeen}</td>
+  <td>${changes}</td>
+</tr>`;
+    })
+    .join('\n');
+
+  return `<section>
+  <h2>Unit History</h2>
+  <p class="muted">Every unit seen since tracking started. Prices are the last seen price for removed units.</p>
+  <table>
+    <thead><tr><th>Plan</th><th>Unit</th><th>Trend</th><th class="num">Price</th><th class="num">Low</th><th class="num">Median</th><th class="num">High</th><th>Listed</th><th>Price Changes</th></tr></thead>
+    <tbody>
+${rows}
+    </tbody>
+  </table>
+</section>`;
+}
+
+/**
+ * Render the removed units page
+ * @param {Array<Object>} removed - Timelines of recently removed units, most recent first
+ * @returns {string} - Page content
+ */
+function renderRemoved(removed) {
+  const rows = removed
+    .map(t => `<tr>
+  <td>${escapeHtml(t.planName)}</td>
+  <td>${escapeHtml(t.unitNumber || 'Unknown')}</td>
+  <td>${escapeHtml(t.floor || '–')}</td>
+  <td class="num">${formatPrice(t.currentPrice)}</td>
+  <td class="num">${formatPrice(t.minPrice)}</td>
+  <td>${t.firstSeen}</td>
+  <td>${t.lastSeen}</td>
+  <td class="num">${t.daysOnMarket}</td>
+</tr>`)
+    .join('\n');
+
+  return `<section>
+  <h2>Recently Removed</h2>
+  <p class="muted">Units no longer listed that were last seen in the past ${REMOVED_WINDOW_DAYS} days.</p>
+  ${removed.length === 0 ? '<p class="muted">No units removed recently.</p>' : `<table>
+    <thead><tr><th>Plan</th><th>Unit</th><th>Floor</th><th class="num">Last Price</th><th class="num">Lowest</th><th>First Seen</th><th>Last Seen</th><th class="num">Days Listed</th></tr></thead>
+    <tbody>
+${rows}
+    </tbody>
+  </table>`}
+</section>`;
+}
+
+/**
+ * Build every dashboard page from history
+ * @param {Array} history - Array of historical entries (oldest first)
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - Timezone to show the update time in (defaults to UTC)
+ * @returns {Object<string, string>} - File name -> HTML
+ */
+export function buildDashboard(history, { timeZone } = {}) {
+  const latestEntry = history.length > 0 ? history[history.length - 1] : null;
+  // A repeat run only confirms the latest entry, which still counts as an update
+  const meta = { updatedAt: latestEntry ? formatTimestamp(latestEntry.lastConfirmedAt ?? latestEntry.timestamp, timeZone) : 'never' };
+
+  const timelines = [...buildUnitTimelines(history).values()]
+    .sort((a, b) => a.planName.localeCompare(b.planName) || String(a.unitNumber).localeCompare(String(b.unitNumber)));
+
+  const cutoffMs = latestEntry ? Date.parse(latestEntry.date) - REMOVED_WINDOW_DAYS * DAY_MS : 0;
+  const removed = timelines
+    .filter(t => !t.currentlyListed && Date.parse(t.lastSeen) >= cutoffMs)
+    .sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt));
+
+  const bodies = {
+    'index.html': renderOverview(buildPlanSeries(history), timelines),
+    'units.html': renderUnitHistory(timelines),
+    'removed.html': renderRemoved(removed),
+  };
+
+  return Object.fromEntries(PAGES.map(page => [page.file, renderPage(page, bodies[page.file], meta)]));
+}
+
+/**
+ * Build the dashboard from the history store and write it to a folder
+ * @param {Object} [options]
+ * @param {string} [options.outDir] - Folder to write the pages to
+ * @param {Array} [options.history] - History to use instead of loading the store
+ * @param {string} [options.timeZone] - Timezone to show the update time in
+ * @returns {Promise<Array<string>>} - Paths of the files written
+ */
+export async function writeDashboard({ outDir = DASHBOARD_DIR, history, timeZone } = {}) {
+  const entries = history || await loadHistory();
+  const pages = buildDashboard(entries, { timeZone });
+
+  await mkdir(outDir, { recursive: true });
+  // GitHub Pages would otherwise run the folder through Jekyll
+  await writeFile(join(outDir, '.nojekyll'), '');
+
+  const written = [];
+  for (const [file, html] of Object.entries(pages)) {
+    const path = join(outDir, file);
+    await writeFile(path, html);
+    written.push(path);
+  }
+
+  console.log(`📊 Dashboard written to ${outDir} (${entries.length} runs)`);
+  return written;
+}
+
+// Run directly if this file is executed
+if (process.argv[1] && process.argv[1].endsWith('dashboard.js')) {
+  loadConfig()
+    .then(config => writeDashboard({ outDir: process.argv[2] || DASHBOARD_DIR, timeZone: config.timezone }))
+    .catch((error) => {
+      console.error('Dashboard build failed:', error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,205 @@
+/**
+ * Date helpers for availability text.
+ *
+ * All dates are plain YYYY-MM-DD strings and are computed in UTC, so the
+ * result doesn't depend on the timezone of the machine running the scraper.
+ * Run timestamps are shown in the configured timezone (see formatTimestamp()).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// A month/day more than this many days before the reference date is taken to be
+// next year's (e.g. "Jan 5" seen on Dec 20); more than this many after, last year's
+const YEAR_WINDOW_DAYS = 183;
+
+/**
+ * Format a UTC date as YYYY-MM-DD
+ * @param {Date} date
+ * @returns {string}
+ */
+function toIsoDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Get today's date as YYYY-MM-DD (UTC)
+ * @returns {string}
+ */
+export function today() {
+  return toIsoDate(new Date());
+}
+
+/**
+ * Move a YYYY-MM-DD date by a number of days
+ * @param {string} isoDate
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string}
+ */
+export function addDays(isoDate, days) {
+  return toIsoDate(new Date(Date.parse(isoDate) + days * DAY_MS));
+}
+
+/**
+ * Build a YYYY-MM-DD date from parts, or null if the parts aren't a real date
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day - 1-31
+ * @returns {string|null}
+ */
+function buildDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return toIsoDate(date);
+}
+
+/**
+ * Pick the year for a month/day with no year, relative to a reference date
+ * @param {number} month - 1-12
+ * @param {number} day - 1-31
+ * @param {string} referenceDate - YYYY-MM-DD the text was seen on
+ * @returns {string|null} - YYYY-MM-DD, or null if the month/day isn't a real date
+ */
+export function inferYear(month, day, referenceDate) {
+  const referenceYear = parseInt(referenceDate.slice(0, 4), 10);
+  const referenceMs = Date.parse(referenceDate);
+
+  for (const year of [referenceYear, referenceYear + 1, referenceYear - 1]) {
+    const candidate = buildDate(year, month, day);
+    if (candidate && Math.abs(Date.parse(candidate) - referenceMs) <= YEAR_WINDOW_DAYS * DAY_MS) {
+      return candidate;
+    }
+  }
+
+  // Feb 29 in a year with no leap day nearby, or similar
+  return buildDate(referenceYear, month, day);
+}
+
+/**
+ * Format a YYYY-MM-DD date for display (e.g. "2026-02-20" -> "Feb 20")
+ * @param {string} isoDate
+ * @returns {string}
+ */
+export function formatShortDate(isoDate) {
+  const [, month, day] = isoDate.split('-').map(Number);
+  const name = MONTHS[month - 1];
+  return `${name[0].toUpperCase()}${name.slice(1)} ${day}`;
+}
+
+/**
+ * Check if a string is a timezone name the runtime knows (e.g. "America/Los_Angeles")
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the local date and time of an instant in a timezone
+ * @param {string|number} time - ISO timestamp or epoch milliseconds
+ * @param {string} [timeZone] - IANA timezone name (defaults to UTC)
+ * @returns {{ date: string, time: string, zone: string }} - YYYY-MM-DD, HH:MM (24-hour) and the
+ *   zone's short name (e.g. { date: "2026-01-19", time: "08:00", zone: "PST" })
+ */
+export function getZonedTime(time, timeZone = 'UTC') {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+      timeZoneName: 'short',
+    }).formatToParts(new Date(time)).map(part => [part.type, part.value])
+  );
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}`, zone: parts.timeZoneName };
+}
+
+/**
+ * Get the instant a local date and time in a timezone falls on
+ * (e.g. "2026-01-19" "08:00" in America/Los_Angeles -> 2026-01-19T16:00:00.000Z).
+ * A time skipped by a daylight saving change falls an hour later.
+ * @param {string} isoDate - YYYY-MM-DD
+ * @param {string} clock - HH:MM (24-hour)
+ * @param {string} [timeZone] - IANA timezone name (defaults to UTC)
+ * @returns {number} - Epoch milliseconds
+ */
+export function zonedTimeToEpoch(isoDate, clock, timeZone = 'UTC') {
+  const wall = Date.parse(`${isoDate}T${clock}:00.000Z`);
+  const offsetAt = (time) => {
+    const local = getZonedTime(time, timeZone);
+    return Date.parse(`${local.date}T${local.time}:00.000Z`) - Math.floor(time / 60000) * 60000;
+  };
+
+  const first = wall - offsetAt(wall);
+  const second = wall - offsetAt(first);
+  if (second === first) return first;
+
+  // Across a DST change: whichever shows the time asked for, or the later one in a skipped hour
+  const local = getZonedTime(second, timeZone);
+  return local.date === isoDate && local.time === clock ? second : Math.max(first, second);
+}
+
+/**
+ * Format a run timestamp as local date and time in a timezone
+ * (e.g. "2026-01-19T16:00:00.000Z" -> "2026-01-19 08:00 PST" in America/Los_Angeles)
+ * @param {string} timestamp - ISO timestamp
+ * @param {string} [timeZone] - IANA timezone name (defaults to UTC)
+ * @returns {string}
+ */
+export function formatTimestamp(timestamp, timeZone = 'UTC') {
+  const { date, time, zone } = getZonedTime(timestamp, timeZone);
+  return `${date} ${time} ${zone}`;
+}
+
+/**
+ * Normalize availability text into display text plus an ISO move-in date
+ *
+ * - "Available Now" -> move-in on the reference date
+ * - "Feb 20", "Mar 03", "4/15" -> year inferred from the reference date
+ * - "2026-02-20" (e.g. from data-spaces-soonest) -> used as-is
+ * - "Call for Details", "Unknown" -> no date
+ *
+ * @param {string} text - Availability text from the page or from history
+ * @param {string} referenceDate - YYYY-MM-DD the text was seen on
+ * @returns {{ availability: string, availableFrom: string|null }}
+ */
+export function normalizeAvailability(text, referenceDate) {
+  const availability = text || 'Unknown';
+
+  if (/\bnow\b/i.test(availability)) {
+    return { availability: 'Available Now', availableFrom: referenceDate };
+  }
+
+  const isoMatch = availability.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (isoMatch) {
+    const availableFrom = buildDate(Number(isoMatch[1]), Number(isoMatch[2]), Number(isoMatch[3]));
+    return { availability: availableFrom ? formatShortDate(availableFrom) : availability, availableFrom };
+  }
+
+  const namedMatch = availability.match(/\b([A-Za-z]{3})[a-z]*\.?\s+(\d{1,2})\b/);
+  if (namedMatch) {
+    const month = MONTHS.indexOf(namedMatch[1].toLowerCase()) + 1;
+    if (month > 0) {
+      return { availability, availableFrom: inferYear(month, Number(namedMatch[2]), referenceDate) };
+    }
+  }
+
+  const numericMatch = availability.match(/\b(\d{1,2})[\/\-](\d{1,2})\b/);
+  if (numericMatch) {
+    return { availability, availableFrom: inferYear(Number(numericMatch[1]), Number(numericMatch[2]), referenceDate) };
+  }
+
+  return { availability, availableFrom: null };
+}
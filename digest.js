@@ -0,0 +1,156 @@
+import { buildUnitTimelines, buildPlanSeries } from './timeline.js';
+import { addDays, today } from './dates.js';
+
+/**
+ * Digest reports: a roll-up of a whole week or month of history, sent
+ * instead of the run-vs-previous-run report.
+ */
+
+/**
+ * Digest periods: how many days each covers, ending on the digest date
+ */
+export const DIGEST_PERIODS = {
+  week: { days: 7, label: 'Weekly' },
+  month: { days: 30, label: 'Monthly' },
+};
+
+// How many of the best current deals to list
+const MAX_DEALS = 5;
+
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+
+/**
+ * Turn a digest period from a CLI flag or env var into a DIGEST_PERIODS key
+ * @param {string} value - e.g. "week", "weekly", "month", "monthly"
+ * @returns {string} - "week" or "month"
+ * @throws {Error} - If the value isn't a known period
+ */
+export function parseDigestPeriod(value) {
+  const period = String(value).trim().toLowerCase().replace(/ly$/, '');
+  if (!DIGEST_PERIODS[period]) {
+    throw new Error(`Unknown digest period "${value}" (use week or month)`);
+  }
+  return period;
+}
+
+/**
+ * Draw a text sparkline (e.g. "▃▃▂▁▅") that works in plain text and any email client
+ * @param {Array<number>} values
+ * @returns {string}
+ */
+export function sparkline(values) {
+  if (values.length === 0) return '';
+
+  const low = Math.min(...values);
+  const high = Math.max(...values);
+  return values
+    .map((value) => {
+      const level = high === low ? 3 : Math.round(((value - low) / (high - low)) * (SPARK_CHARS.length - 1));
+      return SPARK_CHARS[level];
+    })
+    .join('');
+}
+
+/**
+ * Summarize a unit timeline for the digest's unit lists
+ * @param {Object} timeline - Timeline from buildUnitTimelines()
+ * @returns {Object}
+ */
+function digestUnit(timeline) {
+  return {
+    planName: timeline.planName,
+    unitNumber: timeline.unitNumber,
+    floor: timeline.floor,
+    price: timeline.currentPrice,
+    firstSeen: timeline.firstSeen,
+    lastSeen: timeline.lastSeen,
+    daysOnMarket: timeline.daysOnMarket,
+  };
+}
+
+/**
+ * Build a digest of the history over a week or month
+ * @param {Array} history - Array of historical entries (oldest first)
+ * @param {Object} [options]
+ * @param {string} [options.period] - "week" (default) or "month"
+ * @param {string} [options.endDate] - Last day covered, YYYY-MM-DD (defaults to the latest run)
+ * @returns {Object} - { period, label, from, to, date, runs, plans, added, removed, averageDaysListed, bestDeals }
+ */
+export function buildDigest(history, { period = 'week', endDate } = {}) {
+  const { days, label } = DIGEST_PERIODS[period];
+  const upToEnd = endDate ? history.filter(e => e.date <= endDate) : history;
+  const to = endDate || (upToEnd.length > 0 ? upToEnd[upToEnd.length - 1].date : today());
+  const from = addDays(to, -(days - 1));
+  const entries = upToEnd.filter(e => e.date >= from);
+
+  // Plan details (URL, property) from the latest run that has the plan
+  const planInfo = new Map();
+  for (const entry of entries) {
+    for (const plan of entry.plans || []) {
+      planInfo.set(plan.name, plan);
+    }
+  }
+
+  const plans = [...buildPlanSeries(entries).entries()].map(([planName, points]) => {
+    const first = points[0];
+    const last = points[points.length - 1];
+    return {
+      planName,
+      propertyName: planInfo.get(planName)?.propertyName,
+      url: planInfo.get(planName)?.url,
+      startMedian: first.median,
+      endMedian: last.median,
+      medianChange: last.median - first.median,
+      startMin: first.min,
+      endMin: last.min,
+      minChange: last.min - first.min,
+      units: last.units,
+      points,
+      sparkline: sparkline(points.map(p => p.median)),
+    };
+  });
+
+  const timelines = [...buildUnitTimelines(upToEnd).values()];
+
+  const added = timelines
+    .filter(t => t.firstSeen >= from)
+    .sort((a, b) => a.firstSeenAt.localeCompare(b.firstSeenAt))
+    .map(digestUnit);
+
+  const removed = timelines
+    .filter(t => !t.currentlyListed && t.lastSeen >= from)
+    .sort((a, b) => a.lastSeenAt.localeCompare(b.lastSeenAt))
+    .map(digestUnit);
+
+  const averageDaysListed = removed.length > 0
+    ? Math.round(removed.reduce((sum, u) => sum + u.daysOnMarket, 0) / removed.length)
+    : null;
+
+  // Current units priced under their own typical price
+  const bestDeals = timelines
+    .filter(t => t.currentlyListed && t.currentPrice < t.medianPrice)
+    .map(t => ({
+      ...digestUnit(t),
+      medianPrice: t.medianPrice,
+      minPrice: t.minPrice,
+      maxPrice: t.maxPrice,
+      belowMedian: t.medianPrice - t.currentPrice,
+      atLowest: t.currentPrice === t.minPrice,
+    }))
+    .sort((a, b) => b.belowMedian - a.belowMedian)
+    .slice(0, MAX_DEALS);
+
+  return {
+    period,
+    label,
+    from,
+    to,
+    date: to,
+    runs: entries.length,
+    plans,
+    added,
+    removed,
+    averageDaysListed,
+    bestDeals,
+  };
+}
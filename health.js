@@ -0,0 +1,99 @@
+import { getPlanKey, findPreviousPlan } from './identity.js';
+
+/**
+ * Scrape health checks: spot runs that look like a broken scraper rather
+ * than real listing changes, so they aren't saved or reported as removals.
+ */
+
+/**
+ * Default thresholds, overridable with the `health` section of the config
+ * (which can also set `recipients` for the "scraper broken" alert)
+ */
+export const DEFAULT_HEALTH_OPTIONS = {
+  // A plan is only checked for empty results or drops if it had at least this many units last run
+  minPreviousUnits: 3,
+  // Flag a plan whose unit count fell by more than this fraction since last run
+  maxDropRatio: 0.5,
+};
+
+/**
+ * Validate the `health` section of the config and push any problems found
+ * @param {*} health - `health` section of the config
+ * @param {Array<string>} problems - List to push problems onto
+ */
+export function validateHealthOptions(health, problems) {
+  if (health === undefined) return;
+
+  if (health === null || typeof health !== 'object' || Array.isArray(health)) {
+    problems.push('health must be an object');
+    return;
+  }
+
+  if (health.minPreviousUnits !== undefined && (!Number.isInteger(health.minPreviousUnits) || health.minPreviousUnits < 1)) {
+    problems.push('health.minPreviousUnits must be a whole number of at least 1');
+  }
+
+  if (health.maxDropRatio !== undefined && (!Number.isFinite(health.maxDropRatio) || health.maxDropRatio <= 0 || health.maxDropRatio >= 1)) {
+    problems.push('health.maxDropRatio must be a number between 0 and 1');
+  }
+
+  if (health.recipients !== undefined && (!Array.isArray(health.recipients) || health.recipients.length === 0
+    || !health.recipients.every(r => typeof r === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(r)))) {
+    problems.push('health.recipients must be a non-empty array of email addresses');
+  }
+}
+
+/**
+ * Check a scrape for failed plans, empty results and sudden drops in unit count
+ * @param {Object} currentData - Data from scrapeAllPlans()
+ * @param {Object|null} previousData - Previous entry from history
+ * @param {Object} [options] - Thresholds (see DEFAULT_HEALTH_OPTIONS)
+ * @returns {Object} - { healthy, issues: [{ planName, url, type, message, previousUnits, currentUnits }] }
+ */
+export function checkScrapeHealth(currentData, previousData, options = {}) {
+  const { minPreviousUnits, maxDropRatio } = { ...DEFAULT_HEALTH_OPTIONS, ...options };
+  const issues = [];
+
+  const previousPlans = new Map();
+  for (const plan of previousData?.plans || []) {
+    previousPlans.set(getPlanKey(plan), plan);
+  }
+
+  if (currentData.plans.length === 0) {
+    issues.push({
+      planName: null,
+      url: null,
+      type: 'no-plans',
+      message: 'The scrape returned no plans at all',
+      previousUnits: null,
+      currentUnits: 0,
+    });
+  }
+
+  for (const plan of currentData.plans) {
+    const currentUnits = (plan.units || []).length;
+    const previousPlan = findPreviousPlan(previousPlans, plan);
+    const previousUnits = previousPlan ? (previousPlan.units || []).length : null;
+    const issue = { planName: plan.name, url: plan.url, previousUnits, currentUnits };
+
+    if (plan.success === false) {
+      issues.push({ ...issue, type: 'failed', message: `Scrape failed: ${plan.error || 'unknown error'}` });
+      continue;
+    }
+
+    if (previousUnits === null || previousUnits < minPreviousUnits) {
+      continue;
+    }
+
+    if (currentUnits === 0) {
+      issues.push({ ...issue, type: 'empty', message: `Found no units (previous run had ${previousUnits})` });
+    } else if (currentUnits < previousUnits * (1 - maxDropRatio)) {
+      issues.push({ ...issue, type: 'drop', message: `Unit count fell from ${previousUnits} to ${currentUnits}` });
+    }
+  }
+
+  return {
+    healthy: issues.length === 0,
+    issues,
+  };
+}
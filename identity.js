@@ -0,0 +1,78 @@
+/**
+ * Stable identity for plans and units across runs. Plans are matched by ID
+ * rather than the name scraped from the page, and units by building and unit
+ * number within their property, so a unit keeps its identity when it moves
+ * to another plan.
+ */
+
+/**
+ * Turn a name into an ID (e.g. "Plan C + Den" -> "plan-c-den")
+ * @param {string} text
+ * @returns {string}
+ */
+export function slugify(text) {
+  return String(text).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Work out the ID of a configured plan that doesn't set one: the `detail=`
+ * query parameter of its URL (e.g. "162036"), or else its name as a slug
+ * @param {Object} plan - Plan from the config or a history entry ({ name, url })
+ * @returns {string}
+ */
+export function getDefaultPlanId(plan) {
+  try {
+    const detail = new URL(plan.url).searchParams.get('detail');
+    if (detail && /^[a-z0-9][a-z0-9-]*$/i.test(detail.trim())) {
+      return detail.trim().toLowerCase();
+    }
+  } catch {
+    // Not a URL; fall back to the name
+  }
+  return slugify(plan.name);
+}
+
+/**
+ * Get the key used to match a plan between runs: its ID, or its name for
+ * runs saved before plans had IDs
+ * @param {Object} plan - Plan from a history entry
+ * @returns {string}
+ */
+export function getPlanKey(plan) {
+  return plan.id ? `id:${plan.id}` : `name:${plan.name}`;
+}
+
+/**
+ * Find a plan in the previous run's plans, mapped by getPlanKey().
+ * Runs saved before plans had IDs can only be matched by name.
+ * @param {Map<string, Object>} previousPlans - Previous plans by key
+ * @param {Object} plan - Plan from the current run
+ * @returns {Object|undefined}
+ */
+export function findPreviousPlan(previousPlans, plan) {
+  return previousPlans.get(getPlanKey(plan)) || previousPlans.get(getPlanKey({ name: plan.name }));
+}
+
+/**
+ * Get a unit's ID: its unit number, led by the building when the number
+ * doesn't already include it (e.g. "320-504", "B-1204")
+ * @param {Object} unit - Unit record or unit change from a report
+ * @returns {string}
+ */
+export function getUnitId(unit) {
+  if (unit.id) return unit.id;
+
+  const number = String(unit.unitNumber || 'unknown').trim().toUpperCase().replace(/\s+/g, '-');
+  const building = unit.building ? String(unit.building).trim().toUpperCase() : null;
+  return building && !number.startsWith(`${building}-`) ? `${building}-${number}` : number;
+}
+
+/**
+ * Get the key used to follow a unit across runs and plans: its ID within its property
+ * @param {Object} plan - Plan the unit is listed under (history plan or plan report)
+ * @param {Object} unit - Unit record or unit change from a report
+ * @returns {string}
+ */
+export function getUnitKey(plan, unit) {
+  return `${plan.propertyId || ''}::${getUnitId(unit)}`;
+}
@@ -1,58 +1,37 @@
 import 'dotenv/config';
-import { readFile, writeFile, mkdir } from 'fs/promises';
-import { existsSync } from 'fs';
-import { dirname, join } from 'path';
-import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
 import { scrapeAllPlans } from './scraper.js';
-import { sendReport } from './notifier.js';
+import { sendReport, sendAlerts, sendScraperAlert, sendDigest, sendHeldMessages, getReportDateLabel } from './notifier.js';
+import { attachUnitStats, describeUnitStats } from './timeline.js';
+import { loadHistory, getLastEntry, appendEntry } from './store.js';
+import { loadConfig, getConfiguredAddresses } from './config.js';
+import { evaluateAlertRules } from './alerts.js';
+import { checkScrapeHealth } from './health.js';
+import { buildDigest, parseDigestPeriod } from './digest.js';
+import { describeConcessionChange } from './concessions.js';
+import { describeUnitAttributes, filterReport } from './attributes.js';
+import { getPlanKey, findPreviousPlan, getUnitId, getUnitKey } from './identity.js';
+import { getCheapestTerm, compareLeaseTerms, describeLeaseTerms, describeLeaseTermChange } from './lease.js';
+import { getSchedule, findDueWork, loadScheduleState, saveScheduleState } from './schedule.js';
+import { formatTimestamp } from './dates.js';
+import { getLedgerOptions, loadLedger, saveLedger, withMissingUnits, trackMissingUnits, pruneLedger } from './ledger.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-const HISTORY_FILE = join(__dirname, 'data', 'history.json');
-
-/**
- * Load price history from the JSON file
- * @returns {Promise<Array>} - Array of historical entries
- */
-async function loadHistory() {
-  try {
-    const data = await readFile(HISTORY_FILE, 'utf-8');
-    return JSON.parse(data);
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      console.log('History file not found, starting fresh');
-      return [];
-    }
-    throw error;
-  }
-}
-
-/**
- * Save price history to the JSON file
- * @param {Array} history - Array of historical entries
- */
-async function saveHistory(history) {
-  // Ensure data directory exists
-  const dataDir = dirname(HISTORY_FILE);
-  if (!existsSync(dataDir)) {
-    await mkdir(dataDir, { recursive: true });
-  }
-  
-  await writeFile(HISTORY_FILE, JSON.stringify(history, null, 2));
-  console.log(`History saved to ${HISTORY_FILE}`);
-}
+export { SEND_MODES } from './schedule.js';
 
 /**
- * Get the last entry from history
- * @param {Array} history - Array of historical entries
- * @returns {Object|null} - Last entry or null if empty
+ * Check if a unit's move-in date changed between two runs.
+ * "Available Now" is compared as text, since its date is always the run date;
+ * other availability is compared by ISO date when both runs have one.
+ * @param {Object} currentUnit - Unit from the current run
+ * @param {Object} previousUnit - Same unit from the previous run
+ * @returns {boolean}
  */
-function getLastEntry(history) {
-  if (!history || history.length === 0) {
-    return null;
-  }
-  return history[history.length - 1];
+function isAvailabilityChanged(currentUnit, previousUnit) {
+  const availabilityKey = (unit) => {
+    if (unit.availability === 'Available Now') return 'now';
+    return unit.availableFrom || unit.availability || 'Unknown';
+  };
+  return availabilityKey(currentUnit) !== availabilityKey(previousUnit);
 }
 
 /**
@@ -61,43 +40,71 @@ function getLastEntry(history) {
  * @param {Object|null} previousData - Previous entry from history
  * @returns {Object} - Report object with changes by plan
  */
-function comparePrices(currentData, previousData) {
+export function comparePrices(currentData, previousData) {
   const planReports = [];
   
-  // Create a map of previous plans by name for easy lookup
+  // Map previous plans by ID, so a plan whose name on the page changed still matches,
+  // and every previous unit by its key, to spot units listed under another plan
   const previousPlans = new Map();
+  const previousUnitPlans = new Map();
   if (previousData && previousData.plans) {
     for (const plan of previousData.plans) {
-      previousPlans.set(plan.name, plan);
+      previousPlans.set(getPlanKey(plan), plan);
+      for (const unit of plan.units || []) {
+        previousUnitPlans.set(getUnitKey(plan, unit), plan);
+      }
     }
   }
   
+  // Units listed in this run, so a unit that moved plans isn't also reported as removed
+  const currentUnitKeys = new Set(
+    currentData.plans.flatMap(plan => (plan.units || []).map(unit => getUnitKey(plan, unit)))
+  );
+  
   // Compare each current plan with previous
   for (const currentPlan of currentData.plans) {
-    const previousPlan = previousPlans.get(currentPlan.name);
+    const previousPlan = findPreviousPlan(previousPlans, currentPlan);
     const unitChanges = [];
     
-    // Create map of previous units by a unique key (unit number + price)
+    // Create map of previous units by their stable ID (building and unit number)
     const previousUnits = new Map();
     if (previousPlan && previousPlan.units) {
       for (const unit of previousPlan.units) {
-        const key = `${unit.unitNumber || 'unknown'}-${unit.floor || 'unknown'}`;
-        previousUnits.set(key, unit);
+        previousUnits.set(getUnitId(unit), unit);
       }
     }
     
     // Compare each current unit
     for (const currentUnit of currentPlan.units || []) {
-      const unitKey = `${currentUnit.unitNumber || 'unknown'}-${currentUnit.floor || 'unknown'}`;
-      const previousUnit = previousUnits.get(unitKey);
+      let previousUnit = previousUnits.get(getUnitId(currentUnit));
+      let movedFrom = null;
+      
+      // Not in this plan last run: it may have been listed under another plan
+      if (!previousUnit) {
+        const fromPlan = previousUnitPlans.get(getUnitKey(currentPlan, currentUnit));
+        if (fromPlan && fromPlan !== previousPlan) {
+          previousUnit = fromPlan.units.find(u => getUnitId(u) === getUnitId(currentUnit));
+          movedFrom = fromPlan.name;
+        }
+      }
       
       let status = 'new';
       let previousPrice = null;
       let difference = 0;
+      let previousAvailability = null;
+      let availabilityChanged = false;
+      let previousConcession = null;
+      let concessionChanged = false;
+      let leaseTermChanges = [];
       
       if (previousUnit) {
         previousPrice = previousUnit.price;
         difference = currentUnit.price - previousPrice;
+        previousAvailability = previousUnit.availability;
+        availabilityChanged = isAvailabilityChanged(currentUnit, previousUnit);
+        previousConcession = previousUnit.concession ?? null;
+        concessionChanged = (currentUnit.concession ?? null) !== previousConcession;
+        leaseTermChanges = compareLeaseTerms(currentUnit.leaseTerms, previousUnit.leaseTerms);
         
         if (difference < 0) {
           status = 'decreased';
@@ -109,41 +116,89 @@ function comparePrices(currentData, previousData) {
       }
       
       unitChanges.push({
+        id: getUnitId(currentUnit),
         unitNumber: currentUnit.unitNumber,
+        building: currentUnit.building ?? null,
         floor: currentUnit.floor,
+        beds: currentUnit.beds ?? null,
+        baths: currentUnit.baths ?? null,
+        sqft: currentUnit.sqft ?? null,
+        pricePerSqft: currentUnit.pricePerSqft ?? null,
+        view: currentUnit.view ?? null,
+        features: currentUnit.features ?? [],
         currentPrice: currentUnit.price,
         previousPrice,
         difference,
         status,
+        movedFrom,
+        moved: movedFrom !== null,
         availability: currentUnit.availability,
+        availableFrom: currentUnit.availableFrom ?? null,
+        previousAvailability,
+        availabilityChanged,
+        concession: currentUnit.concession ?? null,
+        effectivePrice: currentUnit.effectivePrice ?? null,
+        previousConcession,
+        concessionChanged,
+        leaseTerms: currentUnit.leaseTerms ?? null,
+        cheapestTerm: getCheapestTerm(currentUnit.leaseTerms),
+        leaseTermChanges,
+        leaseTermsChanged: leaseTermChanges.length > 0,
+        leaseTermsMissing: Boolean(currentUnit.leaseTermsError),
       });
     }
     
-    // Check for units that were removed
+    // Check for units that were removed (rather than moved to another plan)
     if (previousPlan && previousPlan.units) {
-      const currentUnitKeys = new Set(
-        (currentPlan.units || []).map(u => `${u.unitNumber || 'unknown'}-${u.floor || 'unknown'}`)
-      );
+      const planUnitIds = new Set((currentPlan.units || []).map(getUnitId));
       
       for (const prevUnit of previousPlan.units) {
-        const unitKey = `${prevUnit.unitNumber || 'unknown'}-${prevUnit.floor || 'unknown'}`;
-        if (!currentUnitKeys.has(unitKey)) {
+        if (!planUnitIds.has(getUnitId(prevUnit)) && !currentUnitKeys.has(getUnitKey(previousPlan, prevUnit))) {
           unitChanges.push({
+            id: getUnitId(prevUnit),
             unitNumber: prevUnit.unitNumber,
+            building: prevUnit.building ?? null,
             floor: prevUnit.floor,
+            beds: prevUnit.beds ?? null,
+            baths: prevUnit.baths ?? null,
+            sqft: prevUnit.sqft ?? null,
+            pricePerSqft: null,
+            view: prevUnit.view ?? null,
+            features: prevUnit.features ?? [],
             currentPrice: null,
             previousPrice: prevUnit.price,
             difference: 0,
             status: 'removed',
+            movedFrom: null,
+            moved: false,
             availability: 'No longer available',
+            availableFrom: null,
+            previousAvailability: prevUnit.availability,
+            availabilityChanged: false,
+            concession: null,
+            effectivePrice: null,
+            previousConcession: prevUnit.concession ?? null,
+            concessionChanged: false,
+            leaseTerms: null,
+            cheapestTerm: null,
+            leaseTermChanges: [],
+            leaseTermsChanged: false,
+            leaseTermsMissing: false,
           });
         }
       }
     }
     
     planReports.push({
+      planId: currentPlan.id ?? null,
       planName: currentPlan.name,
+      propertyId: currentPlan.propertyId,
+      propertyName: currentPlan.propertyName,
       url: currentPlan.url,
+      concession: currentPlan.concession ?? null,
+      beds: currentPlan.beds ?? null,
+      baths: currentPlan.baths ?? null,
+      sqft: currentPlan.sqft ?? null,
       totalUnits: currentPlan.totalUnits,
       priceRange: currentPlan.priceRange,
       units: unitChanges,
@@ -160,15 +215,19 @@ function comparePrices(currentData, previousData) {
 /**
  * Check if the report contains any meaningful updates
  * @param {Object} report - Report object with plan reports
- * @returns {boolean} - True if there are new, removed, increased, or decreased units
+ * @returns {boolean} - True if there are new, removed, increased, decreased or moved units, or move-in date, special or lease term changes
  */
-function hasUpdates(report) {
+export function hasUpdates(report) {
   const allUnits = report.plans.flatMap(p => p.units);
   const hasChanges = allUnits.some(unit => 
     unit.status === 'new' || 
     unit.status === 'removed' || 
     unit.status === 'increased' || 
-    unit.status === 'decreased'
+    unit.status === 'decreased' ||
+    unit.moved ||
+    unit.availabilityChanged ||
+    unit.concessionChanged ||
+    unit.leaseTermsChanged
   );
   return hasChanges;
 }
@@ -176,22 +235,29 @@ function hasUpdates(report) {
 /**
  * Print a summary of the report to console
  * @param {Object} report - Report object with plan reports
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - Timezone to show run times in (defaults to UTC)
+ * @param {Function} [options.log] - Where progress messages go (default: console.log)
  */
-function printReportSummary(report) {
-  console.log('\n' + '='.repeat(70));
-  console.log(`RENT PRICE REPORT - ${report.date}`);
-  console.log('='.repeat(70) + '\n');
+export function printReportSummary(report, options = {}) {
+  const log = options.log ?? console.log;
+  log('\n' + '='.repeat(70));
+  log(`RENT PRICE REPORT - ${getReportDateLabel(report, options)}`);
+  log('='.repeat(70) + '\n');
   
   for (const planReport of report.plans) {
-    console.log(`${planReport.planName}`);
-    console.log(`  URL: ${planReport.url}`);
-    console.log(`  Total Units: ${planReport.totalUnits}`);
+    log(`${planReport.planName}`);
+    log(`  URL: ${planReport.url}`);
+    log(`  Total Units: ${planReport.totalUnits}`);
     
     if (planReport.priceRange) {
-      console.log(`  Price Range: $${planReport.priceRange.min.toLocaleString()} - $${planReport.priceRange.max.toLocaleString()}`);
+      log(`  Price Range: $${planReport.priceRange.min.toLocaleString()} - $${planReport.priceRange.max.toLocaleString()}`);
+    }
+    if (planReport.concession) {
+      log(`  Special: ${planReport.concession}`);
     }
     
-    console.log('  Units:');
+    log('  Units:');
     
     for (const unit of planReport.units) {
       const unitLabel = unit.unitNumber || 'Unknown';
@@ -213,100 +279,353 @@ function printReportSummary(report) {
           statusStr = '✕ REMOVED';
           break;
         default:
-          statusStr = '– No change';
+          if (unit.moved) {
+            statusStr = `🔀 MOVED FROM ${unit.movedFrom.toUpperCase()}`;
+          } else if (unit.availabilityChanged) {
+            statusStr = '📅 MOVE-IN DATE CHANGED';
+          } else if (unit.concessionChanged) {
+            statusStr = `🎁 ${describeConcessionChange(unit).toUpperCase()}`;
+          } else if (unit.leaseTermsChanged) {
+            statusStr = '📝 LEASE TERM PRICES CHANGED';
+          } else {
+            statusStr = '– No change';
+          }
       }
       
-      console.log(`    • ${unitLabel}${floorLabel}: ${priceStr} - ${statusStr}`);
+      log(`    • ${unitLabel}${floorLabel}: ${priceStr} - ${statusStr}`);
       if (unit.availability && unit.availability !== 'Unknown') {
-        console.log(`      Available: ${unit.availability}`);
+        const wasStr = unit.availabilityChanged ? ` (was ${unit.previousAvailability})` : '';
+        log(`      Available: ${unit.availability}${wasStr}`);
+      }
+      if (unit.moved && unit.status !== 'unchanged') {
+        log(`      Moved from ${unit.movedFrom}`);
+      }
+      const attributesText = describeUnitAttributes(unit, unit.currentPrice);
+      if (attributesText) {
+        log(`      ${attributesText}`);
+      }
+      if (unit.concession) {
+        const effectiveStr = unit.effectivePrice !== null && unit.effectivePrice !== unit.currentPrice
+          ? ` (effective $${unit.effectivePrice.toLocaleString()}/mo)`
+          : '';
+        log(`      Special: ${unit.concession}${effectiveStr}`);
+      } else if (unit.concessionChanged) {
+        log(`      Special ended: ${unit.previousConcession}`);
+      }
+      if (unit.cheapestTerm) {
+        log(`      Lease terms: ${describeLeaseTerms(unit.leaseTerms)} (cheapest: ${unit.cheapestTerm.months} mo)`);
+      } else if (unit.leaseTermsMissing) {
+        log('      Lease terms: couldn\'t be read this run');
+      }
+      if (unit.leaseTermsChanged) {
+        log(`      Term changes: ${unit.leaseTermChanges.map(describeLeaseTermChange).join(', ')}`);
+      }
+      const statsText = describeUnitStats(unit.stats);
+      if (statsText) {
+        log(`      History: ${statsText}`);
       }
     }
     
-    console.log();
+    log();
   }
   
-  console.log('='.repeat(70) + '\n');
+  log('='.repeat(70) + '\n');
 }
 
 /**
- * Main function - orchestrates the entire process
+ * Get the digest period asked for with --digest=week|month or DIGEST
+ * @returns {string|null} - "week", "month", or null for a normal run
  */
-async function main() {
-  console.log('Starting Rent Price Tracker...\n');
+function getDigestPeriod() {
+  const { values } = parseArgs({ options: { digest: { type: 'string' } }, strict: false });
+  const value = values.digest ?? process.env.DIGEST;
+  return value ? parseDigestPeriod(value) : null;
+}
+
+/**
+ * Get the delivery options every notification from a run shares: the
+ * timezone to show times in, and quiet hours to hold notifications for
+ * @param {Object} config - Loaded config
+ * @param {Object} [options]
+ * @param {string} [options.stateFile] - Scheduler state file held notifications are kept in
+ * @param {number} [options.now] - Epoch milliseconds (defaults to now)
+ * @param {Function} [options.log] - Where progress messages go (default: console.log)
+ * @returns {Object} - { timeZone, quietHours, stateFile, now, log }
+ */
+function getDeliveryOptions(config, { stateFile, now, log } = {}) {
+  return { timeZone: config.timezone, quietHours: getSchedule(config).quietHours, stateFile, now, log };
+}
+
+/**
+ * Send a digest of the stored history instead of scraping
+ * @param {string} period - "week" or "month"
+ * @param {Array<Object>} [channels] - Notification channels from the config
+ * @param {Object} [delivery] - Timezone, quiet hours and log options for sendDigest()
+ */
+export async function runDigest(period, channels, delivery = {}) {
+  const log = delivery.log ?? console.log;
+  log(`Building ${period}ly digest from history...`);
+  const history = await loadHistory({ log });
+  if (history.length === 0) {
+    log('No history yet, nothing to digest');
+    return;
+  }
   
-  try {
-    // Step 1: Scrape current prices
-    console.log('Step 1: Scraping current prices...');
-    const currentData = await scrapeAllPlans();
-    
-    // Step 2: Load history
-    console.log('\nStep 2: Loading history...');
-    const history = await loadHistory();
-    const previousData = getLastEntry(history);
-    
-    if (previousData) {
-      console.log(`Found previous entry from ${previousData.date}`);
-    } else {
-      console.log('No previous data found (first run)');
+  const digest = buildDigest(history, { period });
+  log(`Digest covers ${digest.from} to ${digest.to} (${digest.runs} runs)`);
+  log(`  ✨ ${digest.added.length} new, 🚫 ${digest.removed.length} removed, 💎 ${digest.bestDeals.length} deals`);
+  
+  const results = await sendDigest(digest, { channels, ...delivery });
+  if (results.some(r => r.error)) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Decide whether the report goes out, logging why
+ * @param {string} sendMode - One of SEND_MODES
+ * @param {Object} report - Report from comparePrices()
+ * @param {Function} log - Where to log why
+ * @returns {boolean}
+ */
+function shouldSendReport(sendMode, report, log) {
+  const reportHasUpdates = hasUpdates(report);
+  
+  log(`Send mode: ${sendMode}`);
+  log(`Report has updates: ${reportHasUpdates}`);
+  
+  if (sendMode === 'always') {
+    log('Mode is "always" - sending email regardless of updates');
+    return true;
+  }
+  if (sendMode === 'conditional') {
+    if (reportHasUpdates) {
+      log('Mode is "conditional" and updates found - sending email');
+      return true;
     }
-    
-    // Step 3: Compare prices
-    console.log('\nStep 3: Comparing prices...');
-    const report = comparePrices(currentData, previousData);
-    
-    // Print summary to console
-    printReportSummary(report);
-    
-    // Step 4: Send email notification (conditional based on SEND_MODE)
-    console.log('Step 4: Checking if email should be sent...');
-    const sendMode = process.env.SEND_MODE || 'always';
-    const reportHasUpdates = hasUpdates(report);
-    
-    console.log(`Send mode: ${sendMode}`);
-    console.log(`Report has updates: ${reportHasUpdates}`);
-    
-    let shouldSendEmail = false;
-    
-    if (sendMode === 'always') {
-      console.log('Mode is "always" - sending email regardless of updates');
-      shouldSendEmail = true;
-    } else if (sendMode === 'conditional') {
-      if (reportHasUpdates) {
-        console.log('Mode is "conditional" and updates found - sending email');
-        shouldSendEmail = true;
-      } else {
-        console.log('Mode is "conditional" but no updates found - skipping email');
-        shouldSendEmail = false;
-      }
-    } else {
-      console.log(`Unknown send mode "${sendMode}" - defaulting to always send`);
-      shouldSendEmail = true;
+    log('Mode is "conditional" but no updates found - skipping email');
+    return false;
+  }
+  if (sendMode === 'alerts') {
+    log('Mode is "alerts" - only alert rule emails are sent');
+    return false;
+  }
+  log(`Unknown send mode "${sendMode}" - defaulting to always send`);
+  return true;
+}
+
+/**
+ * Run the tracker: scrape, check the scrape looks sane, compare with the
+ * last run, send the report and alerts, and save the run to history
+ * @param {Object} config - Loaded config
+ * @param {Object} [options]
+ * @param {string} [options.sendMode] - One of SEND_MODES (defaults to SEND_MODE, then "always")
+ * @param {boolean} [options.dryRun] - Only scrape, compare and print: nothing is sent or saved
+ * @param {string} [options.record] - Directory to record the scrape to
+ * @param {string} [options.replay] - Directory of a recorded scrape to replay instead of the live site
+ * @param {string} [options.historyFile] - History store to compare with and save to (defaults to data/history.jsonl)
+ * @param {string} [options.stateFile] - Scheduler state file notifications held for quiet hours are kept in
+ * @param {string} [options.ledgerFile] - Notification ledger (defaults to data/ledger.json)
+ * @param {Function} [options.log] - Where progress messages go (default: console.log)
+ * @returns {Promise<Object|null>} - The report (its units filtered by report.filters), or null if the scrape failed
+ *   its health check (the exit code is set)
+ */
+export async function runTracker(config, options = {}) {
+  const { sendMode = process.env.SEND_MODE || 'always', dryRun = false, log = console.log } = options;
+  const channels = config.notifications?.channels;
+  const delivery = getDeliveryOptions(config, options);
+  const ledgerOptions = getLedgerOptions(config);
+  const ledger = await loadLedger(options.ledgerFile, { now: options.now });
+  const store = {
+    ...(options.historyFile ? { file: options.historyFile, legacyFile: options.historyFile } : {}),
+    timeZone: config.timezone,
+    log,
+  };
+  
+  // Step 1: Scrape current prices
+  log('Step 1: Scraping current prices...');
+  const currentData = await scrapeAllPlans({ config, record: options.record, replay: options.replay, log });
+  
+  // Step 2: Load history
+  log('\nStep 2: Loading history...');
+  const history = await loadHistory(store);
+  const previousData = getLastEntry(history);
+  
+  if (previousData) {
+    log(`Found previous entry from ${previousData.date}`);
+  } else {
+    log('No previous data found (first run)');
+  }
+  
+  // Check the scrape looks sane before trusting it as a real change
+  const health = checkScrapeHealth(currentData, previousData, config.health);
+  if (!health.healthy) {
+    console.error('\n⚠️  Scrape health check failed:');
+    for (const issue of health.issues) {
+      console.error(`  • ${issue.planName || 'All plans'}: ${issue.message}`);
     }
+    log('Skipping comparison and history write for this run');
     
-    if (shouldSendEmail) {
-      console.log('Sending email report...');
+    if (!dryRun) {
       try {
-        await sendReport(report);
+        await sendScraperAlert(health, currentData, { channels, recipients: config.health?.recipients, ...delivery });
       } catch (error) {
-        console.error('Warning: Could not send email:', error.message);
-        console.log('Continuing to save history...');
+        console.error('Warning: Could not send scraper alert:', error.message);
       }
-    } else {
-      console.log('Email sending skipped (no updates for conditional send)');
     }
     
-    // Step 5: Save to history
-    console.log('\nStep 5: Saving to history...');
-    history.push(currentData);
-    await saveHistory(history);
+    // Fail the run so the workflow shows it too
+    process.exitCode = 1;
+    return null;
+  }
+  
+  // Step 3: Compare prices
+  log('\nStep 3: Comparing prices...');
+  // Units missing for fewer than removedAfterRuns runs are compared as if still listed
+  const compareWith = withMissingUnits(previousData, ledger);
+  const fullReport = trackMissingUnits(comparePrices(currentData, compareWith), compareWith, ledger, ledgerOptions);
+  attachUnitStats(fullReport, [...history, currentData]);
+  
+  // The report covers the units matching report.filters; alert rules have their own filters
+  const report = filterReport(fullReport, config.report?.filters);
+  if (report !== fullReport) {
+    const countUnits = r => r.plans.reduce((sum, plan) => sum + plan.units.length, 0);
+    log(`🔎 Report filters leave out ${countUnits(fullReport) - countUnits(report)} of ${countUnits(fullReport)} units`);
+  }
+  
+  const missingCount = Object.keys(ledger.missing).length;
+  if (missingCount > 0) {
+    log(`⏳ ${missingCount} unit${missingCount !== 1 ? 's' : ''} missing but not reported as removed until missing ${ledgerOptions.removedAfterRuns} runs in a row`);
+  }
+  
+  // Print summary to console
+  printReportSummary(report, { timeZone: config.timezone, log });
+  
+  if (dryRun) {
+    log('Dry run - nothing sent or saved to history');
+    return report;
+  }
+  
+  // Step 4: Send the report to the notification channels (conditional based on the send mode)
+  log('Step 4: Checking if the report should be sent...');
+  if (shouldSendReport(sendMode, report, log)) {
+    log('Sending report...');
+    const results = await sendReport(report, { channels, groupBy: config.report?.groupBy, ...delivery, ledger, dedupe: ledgerOptions.dedupe });
+    if (results.some(r => r.error)) {
+      log('Continuing to save history...');
+    }
+  } else {
+    log(`Report sending skipped (send mode "${sendMode}")`);
+  }
+  
+  // Evaluate alert rules - each fired rule goes to its own recipients
+  const alertRules = config.alerts?.rules || [];
+  if (alertRules.length > 0) {
+    const firedAlerts = evaluateAlertRules(fullReport, alertRules);
+    log(`\nAlert rules: ${firedAlerts.length} of ${alertRules.length} fired`);
     
-    console.log('\nRent Price Tracker completed successfully!');
+    for (const alert of firedAlerts) {
+      log(`  🔔 ${alert.name}: ${alert.matches.length} unit${alert.matches.length !== 1 ? 's' : ''} → ${alert.rule.recipients.join(', ')}`);
+    }
     
+    if (firedAlerts.length > 0) {
+      await sendAlerts(report, firedAlerts, { channels, ...delivery, ledger, dedupe: ledgerOptions.dedupe });
+    }
+  }
+  
+  // Step 5: Save to history
+  log('\nStep 5: Saving to history...');
+  await appendEntry(currentData, store);
+  pruneLedger(ledger, currentData, previousData);
+  await saveLedger(ledger, options.ledgerFile);
+  
+  log('\nRent Price Tracker completed successfully!');
+  return report;
+}
+
+/**
+ * Do whatever the schedule says is due now (see schedule.js): send held
+ * notifications whose quiet hours are over, then the scheduled run, then
+ * scheduled digests. Meant to be triggered every hour.
+ * @param {Object} config - Loaded config
+ * @param {Object} [options]
+ * @param {number} [options.now] - Epoch milliseconds (defaults to now)
+ * @param {string} [options.stateFile] - Scheduler state file
+ * @param {string} [options.historyFile] - History store for the run
+ * @param {string} [options.ledgerFile] - Notification ledger for the run
+ * @param {Function} [options.log] - Where progress messages go (default: console.log)
+ * @returns {Promise<Object>} - What was due, from findDueWork()
+ */
+export async function runScheduled(config, options = {}) {
+  const { now = Date.now(), stateFile, log = console.log } = options;
+  const due = findDueWork(getSchedule(config), await loadScheduleState(stateFile), { now, timeZone: config.timezone });
+
+  /**
+   * Note scheduled work as done before doing it, so a failure isn't retried every hour
+   * @param {(state: Object) => void} update
+   */
+  const markDone = async (update) => {
+    const state = await loadScheduleState(stateFile);
+    update(state);
+    await saveScheduleState(state, stateFile);
+  };
+
+  if (due.held.length > 0) {
+    log(`🌅 Sending ${due.held.length} notification${due.held.length !== 1 ? 's' : ''} held for quiet hours`);
+    const results = await sendHeldMessages({
+      stateFile,
+      ledgerFile: options.ledgerFile,
+      now,
+      channels: config.notifications?.channels,
+      addresses: getConfiguredAddresses(config),
+      log,
+    });
+    if (results.some(r => r.error)) {
+      process.exitCode = 1;
+    }
+  }
+
+  if (due.run) {
+    log(`⏰ Scheduled run for ${formatTimestamp(due.run.scheduledFor, config.timezone)} (send mode "${due.run.send}")\n`);
+    await markDone((state) => { state.lastRun = due.run.scheduledFor; });
+    await runTracker(config, { sendMode: due.run.send, historyFile: options.historyFile, ledgerFile: options.ledgerFile, stateFile, now, log });
+  }
+
+  for (const { period, scheduledFor } of due.digests) {
+    log(`\n⏰ Scheduled ${period}ly digest for ${formatTimestamp(scheduledFor, config.timezone)}`);
+    await markDone((state) => { state.lastDigests = { ...state.lastDigests, [period]: scheduledFor }; });
+    await runDigest(period, config.notifications?.channels, getDeliveryOptions(config, { stateFile, now, log }));
+  }
+
+  if (!due.run && due.digests.length === 0 && due.held.length === 0) {
+    log(`Nothing scheduled at ${formatTimestamp(new Date(now).toISOString(), config.timezone)}`);
+  }
+  return due;
+}
+
+/**
+ * Main function - orchestrates the entire process
+ */
+async function main() {
+  console.log('Starting Rent Price Tracker...\n');
+  
+  try {
+    const config = await loadConfig();
+    
+    const digestPeriod = getDigestPeriod();
+    if (digestPeriod) {
+      await runDigest(digestPeriod, config.notifications?.channels, getDeliveryOptions(config));
+      return;
+    }
+    
+    await runTracker(config);
   } catch (error) {
     console.error('Error running Rent Price Tracker:', error);
     process.exit(1);
   }
 }
 
-// Run the main function
-main();
+// Run the main function when executed directly (not when imported by tests)
+if (process.argv[1] && process.argv[1].endsWith('index.js')) {
+  main();
+}
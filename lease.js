@@ -0,0 +1,84 @@
+/**
+ * Lease term pricing: the term-to-price matrix stored on a unit
+ * ([{ months, price }], sorted by months) and how it changed between runs.
+ */
+
+/**
+ * Get the cheapest lease term (the shorter one when two cost the same)
+ * @param {Array<Object>|null} leaseTerms - Unit lease terms
+ * @returns {Object|null} - { months, price }, or null without terms
+ */
+export function getCheapestTerm(leaseTerms) {
+  if (!leaseTerms || leaseTerms.length === 0) return null;
+  return leaseTerms.reduce((best, term) => (
+    term.price < best.price || (term.price === best.price && term.months < best.months) ? term : best
+  ));
+}
+
+/**
+ * Compare a unit's lease term prices with the previous run, term by term.
+ * Units without terms in either run have nothing to compare, so a site
+ * starting (or stopping) to show terms isn't reported as a change.
+ * @param {Array<Object>|null} currentTerms - Terms from the current run
+ * @param {Array<Object>|null} previousTerms - Terms from the previous run
+ * @returns {Array<Object>} - { months, price, previousPrice, difference, status } for each term that changed,
+ *   where status is 'new', 'removed', 'increased' or 'decreased'
+ */
+export function compareLeaseTerms(currentTerms, previousTerms) {
+  if (!currentTerms?.length || !previousTerms?.length) return [];
+
+  const previousPrices = new Map(previousTerms.map(t => [t.months, t.price]));
+  const currentMonths = new Set(currentTerms.map(t => t.months));
+  const changes = [];
+
+  for (const term of currentTerms) {
+    const previousPrice = previousPrices.get(term.months);
+    if (previousPrice === undefined) {
+      changes.push({ months: term.months, price: term.price, previousPrice: null, difference: 0, status: 'new' });
+    } else if (term.price !== previousPrice) {
+      const difference = term.price - previousPrice;
+      changes.push({
+        months: term.months,
+        price: term.price,
+        previousPrice,
+        difference,
+        status: difference < 0 ? 'decreased' : 'increased',
+      });
+    }
+  }
+
+  for (const term of previousTerms) {
+    if (!currentMonths.has(term.months)) {
+      changes.push({ months: term.months, price: null, previousPrice: term.price, difference: 0, status: 'removed' });
+    }
+  }
+
+  return changes.sort((a, b) => a.months - b.months);
+}
+
+/**
+ * Describe a unit's lease terms in one line (e.g. "6 mo $5,400 • 12 mo $5,114 • 15 mo $5,050")
+ * @param {Array<Object>|null} leaseTerms - Unit lease terms
+ * @returns {string}
+ */
+export function describeLeaseTerms(leaseTerms) {
+  return (leaseTerms || []).map(t => `${t.months} mo $${t.price.toLocaleString()}`).join(' • ');
+}
+
+/**
+ * Describe one lease term change (e.g. "12 mo ↓ $50", "18 mo new at $5,000", "6 mo dropped")
+ * @param {Object} change - Change from compareLeaseTerms()
+ * @returns {string}
+ */
+export function describeLeaseTermChange(change) {
+  switch (change.status) {
+    case 'decreased':
+      return `${change.months} mo ↓ $${Math.abs(change.difference).toLocaleString()}`;
+    case 'increased':
+      return `${change.months} mo ↑ $${Math.abs(change.difference).toLocaleString()}`;
+    case 'new':
+      return `${change.months} mo new at $${change.price.toLocaleString()}`;
+    default:
+      return `${change.months} mo dropped`;
+  }
+}
@@ -0,0 +1,499 @@
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { getPlanKey, findPreviousPlan, getUnitId, getUnitKey } from './identity.js';
+import { getChannelLabel, getChannelRecipients, getRecipientKey } from './channels/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Notification ledger: what each recipient has been told about each unit,
+ * units that have gone missing but don't count as removed yet, and snoozes.
+ *
+ * - Reports and alerts only go to a recipient when they include something the
+ *   recipient hasn't been told (a new price, move-in date or special, a unit
+ *   listed or removed), so repeat runs don't repeat the same news.
+ * - A unit has to be missing for `removedAfterRuns` runs in a row before it is
+ *   reported as removed, so a unit that flaps in and out of the listing isn't
+ *   announced as removed and new over and over.
+ * - A snooze leaves a unit or a whole plan out of someone's reports and alerts
+ *   until it runs out.
+ * - A report or alert held for quiet hours is only pending until it goes out
+ *   (see recordHeldDelivery()), so one that is dropped or fails is news again.
+ *
+ * The ledger is committed with the history, so recipients are kept under
+ * getRecipientKey() (a hash for an email address), and units drop out of it
+ * once they are neither listed nor missing (see pruneLedger()).
+ */
+
+/**
+ * Default ledger options, overridable with the `ledger` section of the config
+ */
+export const DEFAULT_LEDGER_OPTIONS = {
+  // Skip sending a recipient a report or alert with nothing they haven't been told
+  dedupe: true,
+  // Runs in a row a unit has to be missing before it's reported as removed (1 reports it straight away)
+  removedAfterRuns: 2,
+};
+
+/**
+ * Ledger file, committed with the history so every run sees it
+ */
+export const LEDGER_FILE = join(__dirname, 'data', 'ledger.json');
+
+/**
+ * Snooze lengths: a count of hours, days or weeks (e.g. "12h", "7d", "2w")
+ */
+const DURATION_PATTERN = /^(\d+)([hdw])$/;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const DURATION_UNITS = { h: HOUR_MS, d: 24 * HOUR_MS, w: 7 * 24 * HOUR_MS };
+
+/**
+ * Validate the `ledger` section of the config and push any problems found
+ * @param {*} ledger - `ledger` section of the config
+ * @param {Array<string>} problems - List to push problems onto
+ */
+export function validateLedgerOptions(ledger, problems) {
+  if (ledger === undefined) return;
+
+  if (ledger === null || typeof ledger !== 'object' || Array.isArray(ledger)) {
+    problems.push('ledger must be an object');
+    return;
+  }
+
+  if (ledger.dedupe !== undefined && typeof ledger.dedupe !== 'boolean') {
+    problems.push('ledger.dedupe must be true or false');
+  }
+
+  if (ledger.removedAfterRuns !== undefined && (!Number.isInteger(ledger.removedAfterRuns) || ledger.removedAfterRuns < 1)) {
+    problems.push('ledger.removedAfterRuns must be a whole number of at least 1');
+  }
+}
+
+/**
+ * Get the ledger options from a config, with defaults filled in
+ * @param {Object} config - Loaded config
+ * @returns {Object} - See DEFAULT_LEDGER_OPTIONS
+ */
+export function getLedgerOptions(config) {
+  return { ...DEFAULT_LEDGER_OPTIONS, ...config.ledger };
+}
+
+/**
+ * Load the ledger, dropping snoozes that have run out
+ * @param {string} [file] - Path to the ledger file
+ * @param {Object} [options]
+ * @param {number} [options.now] - Epoch milliseconds (defaults to now)
+ * @returns {Promise<Object>} - { missing, told, snoozes }
+ */
+export async function loadLedger(file = LEDGER_FILE, { now = Date.now() } = {}) {
+  const ledger = existsSync(file) ? JSON.parse(await readFile(file, 'utf-8')) : {};
+  const loaded = { missing: {}, told: {}, snoozes: [], ...ledger };
+  loaded.snoozes = loaded.snoozes.filter(s => !s.until || Date.parse(s.until) > now);
+  return loaded;
+}
+
+/**
+ * Save the ledger
+ * @param {Object} ledger - { missing, told, snoozes }
+ * @param {string} [file] - Path to the ledger file
+ */
+export async function saveLedger(ledger, file = LEDGER_FILE) {
+  await mkdir(dirname(file), { recursive: true });
+  await writeFile(file, JSON.stringify(ledger, null, 2) + '\n');
+}
+
+/**
+ * Get the key a recipient's entries and snoozes are kept under
+ * @param {string} recipient - Email address or channel label
+ * @returns {string}
+ */
+function getLedgerRecipient(recipient) {
+  return getRecipientKey(recipient).toLowerCase();
+}
+
+/**
+ * Get who a channel's copy of a report or alert counts as told in the ledger
+ * @param {Object} channel - Channel entry
+ * @returns {Array<string>} - Email addresses, or the channel's label
+ */
+export function getLedgerRecipients(channel) {
+  const addresses = getChannelRecipients(channel);
+  return addresses.length > 0 ? addresses : [getChannelLabel(channel)];
+}
+
+/**
+ * Drop what recipients were told about units that are no longer listed or
+ * missing, so the ledger doesn't grow with every unit ever listed. Units of
+ * plans that couldn't be scraped this run count as still listed.
+ * @param {Object} ledger - From loadLedger(); `told` is updated
+ * @param {Object} currentData - This run's scraped data
+ * @param {Object|null} previousData - Previous entry from history
+ */
+export function pruneLedger(ledger, currentData, previousData) {
+  const previousPlans = new Map((previousData?.plans || []).map(plan => [getPlanKey(plan), plan]));
+  const listed = new Set(Object.keys(ledger.missing));
+  for (const plan of currentData.plans) {
+    const units = plan.success === false ? findPreviousPlan(previousPlans, plan)?.units : plan.units;
+    for (const unit of units || []) {
+      listed.add(getUnitKey(plan, unit));
+    }
+  }
+
+  for (const [recipient, told] of Object.entries(ledger.told)) {
+    const kept = Object.entries(told).filter(([unitKey]) => listed.has(unitKey));
+    if (kept.length > 0) {
+      ledger.told[recipient] = Object.fromEntries(kept);
+    } else {
+      delete ledger.told[recipient];
+    }
+  }
+}
+
+/**
+ * Put units that are missing but not yet removed back into the previous run,
+ * so comparing against it doesn't report them as new if they come back
+ * @param {Object|null} previousData - Previous entry from history
+ * @param {Object} ledger - From loadLedger()
+ * @returns {Object|null} - Copy of the entry with the missing units in their plans
+ */
+export function withMissingUnits(previousData, ledger) {
+  if (!previousData) return null;
+
+  const missing = Object.values(ledger.missing);
+  return {
+    ...previousData,
+    plans: previousData.plans.map((plan) => {
+      const units = missing
+        .filter(m => m.plan === getPlanKey(plan) && !(plan.units || []).some(u => getUnitId(u) === getUnitId(m.unit)))
+        .map(m => m.unit);
+      return units.length > 0 ? { ...plan, units: [...(plan.units || []), ...units] } : plan;
+    }),
+  };
+}
+
+/**
+ * Hold back removals of units that haven't been missing for long enough yet,
+ * counting the runs each one has been missing in the ledger. Units that are
+ * listed again drop out of the count.
+ * @param {Object} report - Report from comparePrices(), against withMissingUnits() of the previous run
+ * @param {Object|null} previousData - The previous run as compared against (from withMissingUnits())
+ * @param {Object} ledger - From loadLedger(); `missing` is updated
+ * @param {Object} [options]
+ * @param {number} [options.removedAfterRuns] - See DEFAULT_LEDGER_OPTIONS
+ * @returns {Object} - The report, without the held back removals
+ */
+export function trackMissingUnits(report, previousData, ledger, { removedAfterRuns = DEFAULT_LEDGER_OPTIONS.removedAfterRuns } = {}) {
+  const reportedPlans = new Set(report.plans.map(plan => getPlanKey({ id: plan.planId, name: plan.planName })));
+  const previousPlans = new Map((previousData?.plans || []).map(plan => [getPlanKey(plan), plan]));
+
+  // Plans that weren't scraped this run keep their counts as they were
+  const missing = Object.fromEntries(Object.entries(ledger.missing).filter(([, m]) => !reportedPlans.has(m.plan)));
+
+  for (const plan of report.plans) {
+    const planKey = getPlanKey({ id: plan.planId, name: plan.planName });
+    plan.units = plan.units.filter((unit) => {
+      if (unit.status !== 'removed') return true;
+
+      const key = getUnitKey(plan, unit);
+      const missingRuns = (ledger.missing[key]?.missingRuns ?? 0) + 1;
+      if (missingRuns >= removedAfterRuns) return true;
+
+      const previousUnit = findPreviousPlan(previousPlans, { id: plan.planId, name: plan.planName })?.units.find(u => getUnitId(u) === unit.id);
+      if (!previousUnit) return true;
+
+      missing[key] = { plan: planKey, missingRuns, since: ledger.missing[key]?.since ?? report.timestamp, unit: previousUnit };
+      return false;
+    });
+  }
+
+  ledger.missing = missing;
+  return report;
+}
+
+/**
+ * Get what a recipient would be told about a unit, to compare with what they were told
+ * @param {Object} unit - Unit change from a report
+ * @returns {string}
+ */
+function getUnitState(unit) {
+  if (unit.status === 'removed') return 'removed';
+  // "Available Now" moves with the run date, so it's compared as text
+  const availability = unit.availability === 'Available Now' ? 'now' : unit.availableFrom || unit.availability || '';
+  return [unit.currentPrice, availability, unit.concession ?? ''].join('|');
+}
+
+/**
+ * Check if a snooze covers a unit for a recipient
+ * @param {Object} snooze - { target, recipient, until }
+ * @param {string} recipient - Email address or channel label
+ * @param {Object} plan - Plan report (or alert match) the unit is listed under
+ * @param {Object} unit - Unit change from a report
+ * @returns {boolean}
+ */
+function isSnoozed(snooze, recipient, plan, unit) {
+  if (snooze.recipient && snooze.recipient !== getLedgerRecipient(recipient)) return false;
+
+  const target = snooze.target.toLowerCase();
+  return [getUnitId(unit), unit.unitNumber, plan.planId, plan.planName]
+    .some(name => name !== null && name !== undefined && String(name).toLowerCase() === target);
+}
+
+/**
+ * Get what a recipient was last told about a unit, in a report or by an alert rule.
+ * Each recipient's entries are kept by unit key: { report: { state, at }, alerts: { [rule ID]: { state, at } } },
+ * with `heldUntil` on entries still held for quiet hours.
+ * @param {Object} told - The recipient's entries in `ledger.told`
+ * @param {Object} plan - Plan report (or alert match) the unit is listed under
+ * @param {Object} unit - Unit change from a report
+ * @param {Object|null} rule - Alert rule, for alerts
+ * @param {number} now - Epoch milliseconds
+ * @returns {string|undefined} - State from getUnitState()
+ */
+function getToldState(told, plan, unit, rule, now) {
+  const entry = told[getUnitKey(plan, unit)];
+  const state = rule ? entry?.alerts?.[rule.id] : entry?.report;
+  // A held delivery that hasn't gone out by the end of quiet hours isn't going to
+  if (state?.heldUntil && Date.parse(state.heldUntil) <= now) return undefined;
+  return state?.state;
+}
+
+/**
+ * Note what a recipient was told about a unit
+ * @param {Object} told - The recipient's entries in `ledger.told`
+ * @param {Object} plan - Plan report (or alert match) the unit is listed under
+ * @param {Object} unit - Unit change from a report
+ * @param {Object|null} rule - Alert rule, for alerts
+ * @param {string} at - ISO timestamp
+ * @param {string|null} [heldUntil] - When the delivery goes out, if it's held for quiet hours
+ */
+function setToldState(told, plan, unit, rule, at, heldUntil = null) {
+  const entry = (told[getUnitKey(plan, unit)] ||= {});
+  const state = heldUntil ? { state: getUnitState(unit), at, heldUntil } : { state: getUnitState(unit), at };
+  if (rule) {
+    (entry.alerts ||= {})[rule.id] = state;
+  } else {
+    entry.report = state;
+  }
+}
+
+/**
+ * Get a recipient's copy of a report: without their snoozed units and plans,
+ * and whether it has anything they haven't been told
+ * @param {Object} report - Report from comparePrices()
+ * @param {string} recipient - Email address or channel label
+ * @param {Object} ledger - From loadLedger()
+ * @param {Object} [options]
+ * @param {boolean} [options.dedupe] - Check for news (otherwise every report counts as news)
+ * @param {number} [options.now] - Epoch milliseconds (defaults to now)
+ * @returns {Object} - { report, snoozed: [unit keys left out], hasNews }
+ */
+export function getRecipientReport(report, recipient, ledger, { dedupe = true, now = Date.now() } = {}) {
+  const told = ledger.told[getLedgerRecipient(recipient)] || {};
+  const snoozed = [];
+  let hasNews = !dedupe;
+
+  const plans = report.plans.map(plan => ({
+    ...plan,
+    units: plan.units.filter((unit) => {
+      if (ledger.snoozes.some(s => isSnoozed(s, recipient, plan, unit))) {
+        snoozed.push(getUnitKey(plan, unit));
+        return false;
+      }
+      hasNews ||= getToldState(told, plan, unit, null, now) !== getUnitState(unit);
+      return true;
+    }),
+  }));
+
+  return { report: snoozed.length > 0 ? { ...report, plans } : report, snoozed, hasNews };
+}
+
+/**
+ * Note that recipients were sent a report
+ * @param {Object} report - Report they were sent
+ * @param {Array<string>} recipients - Email addresses or channel labels
+ * @param {Object} ledger - From loadLedger(); `told` is updated
+ * @param {Object} [options]
+ * @param {number} [options.now] - Epoch milliseconds (defaults to now)
+ * @param {string|null} [options.heldUntil] - When the report goes out, if it was held for quiet
+ *   hours; it stays pending until recordHeldDelivery() settles it
+ */
+export function recordReport(report, recipients, ledger, { now = Date.now(), heldUntil = null } = {}) {
+  const at = new Date(now).toISOString();
+  for (const recipient of recipients) {
+    const told = (ledger.told[getLedgerRecipient(recipient)] ||= {});
+    for (const plan of report.plans) {
+      for (const unit of plan.units) {
+        setToldState(told, plan, unit, null, at, heldUntil);
+      }
+    }
+  }
+}
+
+/**
+ * Split channels into groups that get the same copy of a report, leaving out
+ * recipients with nothing new. Email channels are split by recipient.
+ * @param {Object} report - Report from comparePrices()
+ * @param {Array<Object>} channels - Channel entries
+ * @param {Object} ledger - From loadLedger()
+ * @param {Object} [options]
+ * @param {boolean} [options.dedupe] - Leave out recipients who have been told everything in the report
+ * @returns {Object} - { deliveries: [{ report, channels, recipients }], skipped: [recipients] }
+ */
+export function planReportDeliveries(report, channels, ledger, options = {}) {
+  const groups = new Map();
+  const skipped = [];
+
+  for (const channel of channels.filter(c => c.enabled !== false)) {
+    const recipients = getLedgerRecipients(channel);
+    const byGroup = new Map();
+    for (const recipient of recipients) {
+      const copy = getRecipientReport(report, recipient, ledger, options);
+      if (!copy.hasNews) {
+        skipped.push(recipient);
+        continue;
+      }
+      const key = copy.snoozed.join(',');
+      if (!groups.has(key)) groups.set(key, { report: copy.report, channels: [], recipients: [] });
+      byGroup.set(key, [...(byGroup.get(key) || []), recipient]);
+    }
+
+    for (const [key, group] of byGroup) {
+      // Only split an email channel when its recipients get different copies
+      const whole = byGroup.size === 1 && group.length === recipients.length;
+      groups.get(key).channels.push(channel.type === 'email' && !whole ? { ...channel, recipients: group } : channel);
+      groups.get(key).recipients.push(...group);
+    }
+  }
+
+  return { deliveries: [...groups.values()], skipped };
+}
+
+/**
+ * Get the fired alerts a recipient should get: without snoozed units, and
+ * (with dedupe) without units they've already been alerted about as they are now
+ * @param {Array<Object>} alerts - Fired alerts from evaluateAlertRules()
+ * @param {string} recipient - Email address or channel label
+ * @param {Object} ledger - From loadLedger()
+ * @param {Object} [options]
+ * @param {boolean} [options.dedupe]
+ * @param {number} [options.now] - Epoch milliseconds (defaults to now)
+ * @returns {Array<Object>} - Alerts with only the matches left to send (none if nothing is)
+ */
+export function filterAlerts(alerts, recipient, ledger, { dedupe = true, now = Date.now() } = {}) {
+  const told = ledger.told[getLedgerRecipient(recipient)] || {};
+  return alerts
+    .map(alert => ({
+      ...alert,
+      matches: alert.matches.filter(match => !ledger.snoozes.some(s => isSnoozed(s, recipient, match, match.unit))
+        && (!dedupe || getToldState(told, match, match.unit, alert.rule, now) !== getUnitState(match.unit))),
+    }))
+    .filter(alert => alert.matches.length > 0);
+}
+
+/**
+ * Note that a recipient was sent alerts
+ * @param {Array<Object>} alerts - Alerts they were sent
+ * @param {string} recipient - Email address or channel label
+ * @param {Object} ledger - From loadLedger(); `told` is updated
+ * @param {Object} [options]
+ * @param {number} [options.now] - Epoch milliseconds (defaults to now)
+ * @param {string|null} [options.heldUntil] - See recordReport()
+ */
+export function recordAlerts(alerts, recipient, ledger, { now = Date.now(), heldUntil = null } = {}) {
+  const at = new Date(now).toISOString();
+  const told = (ledger.told[getLedgerRecipient(recipient)] ||= {});
+  for (const alert of alerts) {
+    for (const match of alert.matches) {
+      setToldState(told, match, match.unit, alert.rule, at, heldUntil);
+    }
+  }
+}
+
+/**
+ * Settle a report or alert held for quiet hours once it is released: the
+ * recipients it was sent to are told, and for everyone else (it failed, or
+ * their channel is gone) the pending entries are dropped, so the news goes
+ * out again with the next run
+ * @param {Object} message - The held notification, with its `report` or `alerts`
+ * @param {Array<string>} recipients - Everyone it was held for: email addresses (or their
+ *   getRecipientKey()) or channel labels
+ * @param {Object} ledger - From loadLedger(); `told` is updated
+ * @param {Object} [options]
+ * @param {Array<string>} [options.sent] - Recipients it was sent to
+ * @param {number} [options.now] - Epoch milliseconds (defaults to now)
+ */
+export function recordHeldDelivery(message, recipients, ledger, { sent = [], now = Date.now() } = {}) {
+  const at = new Date(now).toISOString();
+  const reached = new Set(sent.map(getLedgerRecipient));
+  const units = message.alerts
+    ? message.alerts.flatMap(alert => alert.matches.map(match => ({ plan: match, unit: match.unit, rule: alert.rule })))
+    : message.report.plans.flatMap(plan => plan.units.map(unit => ({ plan, unit, rule: null })));
+
+  for (const recipient of recipients.map(getLedgerRecipient)) {
+    const told = ledger.told[recipient];
+    if (!told) continue;
+
+    for (const { plan, unit, rule } of units) {
+      const entry = told[getUnitKey(plan, unit)];
+      const state = rule ? entry?.alerts?.[rule.id] : entry?.report;
+      // Left alone if a later delivery has told them something else since
+      if (!state?.heldUntil || state.state !== getUnitState(unit)) continue;
+
+      if (reached.has(recipient)) {
+        setToldState(told, plan, unit, rule, at);
+      } else if (rule) {
+        delete entry.alerts[rule.id];
+      } else {
+        delete entry.report;
+      }
+    }
+  }
+}
+
+/**
+ * Turn a snooze length into milliseconds
+ * @param {string} duration - e.g. "12h", "7d", "2w"
+ * @returns {number|null} - Milliseconds, or null if it isn't a length
+ */
+export function parseDuration(duration) {
+  const match = String(duration).match(DURATION_PATTERN);
+  return match && Number(match[1]) > 0 ? Number(match[1]) * DURATION_UNITS[match[2]] : null;
+}
+
+/**
+ * Snooze a unit or plan, replacing any snooze of the same target for the same recipient
+ * @param {Object} ledger - From loadLedger(); `snoozes` is updated
+ * @param {string} target - Unit number or ID, or plan name or ID
+ * @param {Object} [options]
+ * @param {string|null} [options.recipient] - Email address or channel label (defaults to everyone)
+ * @param {number|null} [options.duration] - Milliseconds, from parseDuration() (defaults to until unsnoozed)
+ * @param {number} [options.now] - Epoch milliseconds (defaults to now)
+ * @returns {Object} - The snooze: { target, recipient, until }, with the recipient's key from getRecipientKey()
+ */
+export function addSnooze(ledger, target, { recipient = null, duration = null, now = Date.now() } = {}) {
+  removeSnooze(ledger, target, { recipient });
+  const snooze = { target, recipient: recipient && getLedgerRecipient(recipient), until: duration ? new Date(now + duration).toISOString() : null };
+  ledger.snoozes.push(snooze);
+  return snooze;
+}
+
+/**
+ * Remove the snooze of a unit or plan for a recipient (or for everyone)
+ * @param {Object} ledger - From loadLedger(); `snoozes` is updated
+ * @param {string} target - Unit number or ID, or plan name or ID, as snoozed
+ * @param {Object} [options]
+ * @param {string|null} [options.recipient]
+ * @returns {number} - How many snoozes were removed
+ */
+export function removeSnooze(ledger, target, { recipient = null } = {}) {
+  const matches = s => s.target.toLowerCase() === target.toLowerCase()
+    && (s.recipient ?? null) === (recipient && getLedgerRecipient(recipient));
+  const before = ledger.snoozes.length;
+  ledger.snoozes = ledger.snoozes.filter(s => !matches(s));
+  return before - ledger.snoozes.length;
+}
@@ -0,0 +1,126 @@
+import { loadHistory, replaceHistory, HISTORY_FILE, LEGACY_HISTORY_FILE } from './store.js';
+import { normalizeAvailability } from './dates.js';
+import { parseUnitNumber } from './attributes.js';
+import { getDefaultPlanId, getUnitId } from './identity.js';
+import { loadConfig } from './config.js';
+
+/**
+ * One-off rewrites of stored history, for when the shape of a run changes.
+ * Each migration maps one history entry to its new form and must be safe to
+ * run more than once. Migrations also get `{ config }`, the tracker config.
+ */
+const MIGRATIONS = {
+  /**
+   * Add an ISO `availableFrom` move-in date to every unit, inferring the
+   * year from the date of the run the unit was seen in
+   */
+  'availability-dates': entry => ({
+    ...entry,
+    plans: entry.plans.map(plan => ({
+      ...plan,
+      units: (plan.units || []).map(unit => (
+        unit.availableFrom !== undefined
+          ? unit
+          : { ...unit, availableFrom: normalizeAvailability(unit.availability, entry.date).availableFrom }
+      )),
+    })),
+  }),
+
+  /**
+   * Re-read `building` and `floor` from every unit number. Older runs took
+   * the floor from the first digit, so "320-504" was stored as floor 3.
+   */
+  'unit-attributes': entry => ({
+    ...entry,
+    plans: entry.plans.map(plan => ({
+      ...plan,
+      units: (plan.units || []).map((unit) => {
+        const { building, floor } = parseUnitNumber(unit.unitNumber);
+        return { ...unit, building, floor: floor ?? unit.floor };
+      }),
+    })),
+  }),
+
+  /**
+   * Give every plan its stable `id` and `propertyId`, taken from the
+   * configured plan with the same URL (or worked out from the URL), and
+   * every unit its `id`, so plans and units match by ID from then on
+   */
+  'stable-ids': (entry, { config } = {}) => {
+    const configured = new Map(
+      (config?.properties || []).flatMap(property =>
+        property.plans.map(plan => [plan.url, { id: plan.id, propertyId: property.id }])
+      )
+    );
+
+    return {
+      ...entry,
+      plans: entry.plans.map((plan) => {
+        const match = configured.get(plan.url);
+        return {
+          ...plan,
+          id: plan.id ?? match?.id ?? getDefaultPlanId(plan),
+          ...(plan.propertyId || match ? { propertyId: plan.propertyId ?? match.propertyId } : {}),
+          units: (plan.units || []).map(unit => ({ ...unit, id: getUnitId(unit) })),
+        };
+      }),
+    };
+  },
+};
+
+/**
+ * List the names of the available migrations
+ * @returns {Array<string>}
+ */
+export function listMigrations() {
+  return Object.keys(MIGRATIONS);
+}
+
+/**
+ * Apply a migration to history entries in memory
+ * @param {string} name - Migration name
+ * @param {Array<Object>} history - History entries, oldest first
+ * @param {Object} [context] - { config } for migrations that need it
+ * @returns {Array<Object>} - Migrated entries
+ */
+export function applyMigration(name, history, context = {}) {
+  const migrate = MIGRATIONS[name];
+  if (!migrate) {
+    throw new Error(`Unknown migration "${name}" (available: ${listMigrations().join(', ')})`);
+  }
+  return history.map(entry => migrate(entry, context));
+}
+
+/**
+ * Run a migration against the history store and write the result back
+ * @param {string} name - Migration name
+ * @param {Object} [options]
+ * @param {string} [options.file] - Path to the store
+ * @param {string} [options.legacyFile] - Legacy history.json, read if the store doesn't exist yet
+ * @param {Object} [options.config] - Already loaded config (defaults to reading the config file)
+ * @returns {Promise<number>} - Number of runs migrated
+ */
+export async function runMigration(name, { file = HISTORY_FILE, legacyFile = LEGACY_HISTORY_FILE, config } = {}) {
+  const history = await loadHistory({ file, legacyFile });
+  const migrated = applyMigration(name, history, { config: config ?? await loadConfig() });
+  await replaceHistory(migrated, { file });
+  console.log(`Migration "${name}" applied to ${migrated.length} runs`);
+  return migrated.length;
+}
+
+// Allow running directly: `node migrations.js <name>`
+if (process.argv[1] && process.argv[1].endsWith('migrations.js')) {
+  const name = process.argv[2];
+
+  if (!name) {
+    console.log('Usage: node migrations.js <name>');
+    console.log(`Available migrations: ${listMigrations().join(', ')}`);
+    process.exit(0);
+  }
+
+  runMigration(name)
+    .catch((error) => {
+      console.error('Migration failed:', error.message);
+      process.exit(1);
+    });
+}
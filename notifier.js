@@ -1,5 +1,13 @@
 import 'dotenv/config';
-import { Resend } from 'resend';
+import { describeUnitStats } from './timeline.js';
+import { groupAlertsByRecipient } from './alerts.js';
+import { sendToChannels, getChannelLabel, getChannelRecipients, getRecipientKey, DEFAULT_CHANNELS } from './channels/index.js';
+import { splitQuietChannels, holdMessage, loadScheduleState, saveScheduleState } from './schedule.js';
+import { planReportDeliveries, recordReport, filterAlerts, recordAlerts, recordHeldDelivery, getLedgerRecipients, loadLedger, saveLedger } from './ledger.js';
+import { formatShortDate, formatTimestamp } from './dates.js';
+import { describeConcessionChange } from './concessions.js';
+import { describeLeaseTerms, describeLeaseTermChange } from './lease.js';
+import { describeUnitAttributes, groupUnits } from './attributes.js';
 
 /**
  * Format a price change for display
@@ -40,6 +48,38 @@ function formatChange(change) {
         };
       case 'unchanged':
       default:
+        if (change.moved) {
+          return {
+            color: '#4338ca', // indigo
+            bgColor: '#e0e7ff',
+            icon: '🔀',
+            text: `Moved from ${change.movedFrom}`,
+          };
+        }
+        if (change.availabilityChanged) {
+          return {
+            color: '#7c3aed', // purple
+            bgColor: '#ede9fe',
+            icon: '📅',
+            text: 'Move-in date changed',
+          };
+        }
+        if (change.concessionChanged) {
+          return {
+            color: '#b45309', // amber
+            bgColor: '#fef3c7',
+            icon: '🎁',
+            text: describeConcessionChange(change),
+          };
+        }
+        if (change.leaseTermsChanged) {
+          return {
+            color: '#0f766e', // teal
+            bgColor: '#ccfbf1',
+            icon: '📝',
+            text: 'Lease term prices changed',
+          };
+        }
         return {
           color: '#6b7280', // gray
           bgColor: '#f3f4f6',
@@ -49,13 +89,141 @@ function formatChange(change) {
   }
 }
 
+/**
+ * Check if a unit's special brings its effective rent below the advertised price
+ * @param {Object} unit - Unit change from a report
+ * @returns {boolean}
+ */
+function hasEffectiveDiscount(unit) {
+  return unit.effectivePrice != null && unit.currentPrice != null && unit.effectivePrice !== unit.currentPrice;
+}
+
+/**
+ * Order a plan's units for display: grouped by an attribute when one is set.
+ * Each unit comes back with the label of the group it starts, if any.
+ * @param {Array<Object>} units - Unit changes from a plan report
+ * @param {string} [groupBy] - One of UNIT_GROUPINGS
+ * @returns {Array<Object>} - { unit, groupLabel }
+ */
+function orderUnits(units, groupBy) {
+  if (!groupBy) return units.map(unit => ({ unit, groupLabel: null }));
+  return groupUnits(units, groupBy).flatMap(group =>
+    group.units.map((unit, i) => ({ unit, groupLabel: i === 0 ? group.label : null }))
+  );
+}
+
+/**
+ * Get the display name for the properties covered by a report
+ * @param {Array} plans - Plan reports
+ * @returns {string} - Property names joined for display
+ */
+function getPropertyLabel(plans) {
+  const names = [...new Set(plans.map(p => p.propertyName).filter(Boolean))];
+  return names.length > 0 ? names.join(' • ') : 'CityLine Flats';
+}
+
+/**
+ * Get the time of a run for display: its timestamp in the configured
+ * timezone, or just its date for runs without one
+ * @param {Object} run - Report or history entry with date and timestamp
+ * @param {string} [timeZone] - IANA timezone name (defaults to UTC)
+ * @returns {string}
+ */
+function getRunLabel(run, timeZone) {
+  return run.timestamp ? formatTimestamp(run.timestamp, timeZone) : run.date;
+}
+
+/**
+ * Get the time a report covers: its run's time, or "from → to" for a report
+ * comparing two runs further apart (see buildRunReport() in runs.js)
+ * @param {Object} report - Report object with date and timestamp, and since if set
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - Timezone to show times in (defaults to UTC)
+ * @returns {string}
+ */
+export function getReportDateLabel(report, { timeZone } = {}) {
+  return report.since
+    ? `${getRunLabel(report.since, timeZone)} → ${getRunLabel(report, timeZone)}`
+    : getRunLabel(report, timeZone);
+}
+
+/**
+ * Generate the HTML block listing the alert rules that fired
+ * @param {Array<Object>} alerts - Fired alerts from evaluateAlertRules()
+ * @returns {string} - HTML for the alerts block (empty if none fired)
+ */
+function generateAlertsHtml(alerts) {
+  if (!alerts || alerts.length === 0) return '';
+  
+  const alertsHtml = alerts
+    .map((alert) => {
+      const matchesHtml = alert.matches
+        .map(({ planName, unit }) => {
+          const priceDisplay = unit.currentPrice ? `$${unit.currentPrice.toLocaleString()}/mo` : 'N/A';
+          return `<li style="margin: 2px 0;">Unit ${unit.unitNumber} (${planName}) – ${priceDisplay} – ${unit.availability || 'Unknown'}</li>`;
+        })
+        .join('');
+      
+      return `
+        <p style="margin: 0 0 4px 0; font-size: 14px; font-weight: 600; color: #92400e;">🔔 ${alert.name}</p>
+        <ul style="margin: 0 0 12px 0; padding-left: 20px; font-size: 13px; color: #78350f;">${matchesHtml}</ul>
+      `;
+    })
+    .join('');
+  
+  return `
+        <!-- Alerts -->
+        <div style="background-color: #fffbeb; padding: 16px 24px; border: 1px solid #fcd34d; border-top: none;">
+          ${alertsHtml}
+        </div>
+  `;
+}
+
+/**
+ * Summarize a report's unit changes in one line (e.g. "2 price drops • 1 new unit • 5 unchanged")
+ * @param {Object} report - Report object with plans
+ * @returns {string} - Summary line
+ */
+function summarizeReport(report) {
+  // Count all unit changes across all plans
+  const allUnits = report.plans.flatMap(p => p.units);
+  const summary = {
+    decreased: allUnits.filter((u) => u.status === 'decreased').length,
+    increased: allUnits.filter((u) => u.status === 'increased').length,
+    unchanged: allUnits.filter((u) => u.status === 'unchanged').length,
+    new: allUnits.filter((u) => u.status === 'new').length,
+    removed: allUnits.filter((u) => u.status === 'removed').length,
+    availability: allUnits.filter((u) => u.availabilityChanged).length,
+    moved: allUnits.filter((u) => u.moved).length,
+    concessions: allUnits.filter((u) => u.concessionChanged).length,
+    leaseTerms: allUnits.filter((u) => u.leaseTermsChanged).length,
+  };
+  
+  const summaryParts = [];
+  if (summary.decreased > 0) summaryParts.push(`${summary.decreased} price drop${summary.decreased > 1 ? 's' : ''}`);
+  if (summary.increased > 0) summaryParts.push(`${summary.increased} increase${summary.increased > 1 ? 's' : ''}`);
+  if (summary.new > 0) summaryParts.push(`${summary.new} new unit${summary.new > 1 ? 's' : ''}`);
+  if (summary.removed > 0) summaryParts.push(`${summary.removed} removed`);
+  if (summary.availability > 0) summaryParts.push(`${summary.availability} move-in date change${summary.availability > 1 ? 's' : ''}`);
+  if (summary.moved > 0) summaryParts.push(`${summary.moved} moved between plans`);
+  if (summary.concessions > 0) summaryParts.push(`${summary.concessions} special${summary.concessions > 1 ? 's' : ''} changed`);
+  if (summary.leaseTerms > 0) summaryParts.push(`${summary.leaseTerms} lease term change${summary.leaseTerms > 1 ? 's' : ''}`);
+  if (summary.unchanged > 0) summaryParts.push(`${summary.unchanged} unchanged`);
+  
+  return summaryParts.length > 0 ? summaryParts.join(' • ') : 'No units found';
+}
+
 /**
  * Generate HTML email content from the report
  * @param {Object} report - Report object with date and plans
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.alerts] - Fired alert rules to list above the report
+ * @param {string} [options.groupBy] - Unit attribute to group each plan's units by (see UNIT_GROUPINGS)
+ * @param {string} [options.timeZone] - Timezone to show run times in (defaults to UTC)
  * @returns {string} - HTML email content
  */
-function generateEmailHtml(report) {
-  const { date, plans } = report;
+export function generateEmailHtml(report, options = {}) {
+  const { plans } = report;
   
   // Generate HTML for each plan
   const plansHtml = plans
@@ -64,8 +232,8 @@ function generateEmailHtml(report) {
         ? `$${plan.priceRange.min.toLocaleString()} - $${plan.priceRange.max.toLocaleString()}`
         : 'N/A';
       
-      const unitsHtml = plan.units
-        .map((unit) => {
+      const unitsHtml = orderUnits(plan.units, options.groupBy)
+        .map(({ unit, groupLabel }) => {
           const format = formatChange(unit);
           const unitLabel = unit.unitNumber ? `Unit ${unit.unitNumber}` : 'Unit';
           const priceDisplay = unit.currentPrice
@@ -82,19 +250,75 @@ function generateEmailHtml(report) {
           const rowStyle = `padding: 12px 16px; border-bottom: 1px solid #e5e7eb; ${opacity}`;
           
           // Format availability prominently - always show it
-          const availabilityText = unit.availability || 'Unknown';
+          const availabilityText = unit.availabilityChanged
+            ? `${unit.availability || 'Unknown'} (was ${unit.previousAvailability || 'Unknown'})`
+            : unit.availability || 'Unknown';
           const availabilityBgColor = isRemoved ? '#fee2e2' : '#f0fdf4';
           const availabilityTextColor = isRemoved ? '#dc2626' : '#16a34a';
           const availabilityHtml = `<div style="margin-top: 6px; padding: 4px 10px; background-color: ${availabilityBgColor}; color: ${availabilityTextColor}; border-radius: 4px; font-size: 12px; font-weight: 500; display: inline-block;">📅 ${availabilityText}</div>`;
           
-          return `
+          // A repriced unit that moved plans still says where it came from
+          const movedHtml = unit.moved && unit.status !== 'unchanged'
+            ? `<div style="margin-top: 6px; color: #4338ca; font-size: 12px;">🔀 Moved from ${escapeHtml(unit.movedFrom)}</div>`
+            : '';
+          
+          // Specials like "6 weeks free", or the one that just ended
+          let concessionHtml = '';
+          if (unit.concession) {
+            concessionHtml = `<div style="margin-top: 6px; padding: 4px 10px; background-color: #fef3c7; color: #b45309; border-radius: 4px; font-size: 12px; font-weight: 500; display: inline-block;">🎁 ${escapeHtml(unit.concession)}</div>`;
+          } else if (unit.concessionChanged) {
+            concessionHtml = `<div style="margin-top: 6px; color: #9ca3af; font-size: 12px;">🎁 Special ended: <span style="text-decoration: line-through;">${escapeHtml(unit.previousConcession)}</span></div>`;
+          }
+          
+          // Price for each lease length, cheapest in bold, and the terms whose price changed
+          let leaseTermsHtml = '';
+          if (unit.cheapestTerm) {
+            const termsHtml = unit.leaseTerms
+              .map(t => (t.months === unit.cheapestTerm.months
+                ? `<strong style="color: #0f766e;">${t.months} mo $${t.price.toLocaleString()}</strong>`
+                : `${t.months} mo $${t.price.toLocaleString()}`))
+              .join(' • ');
+            const changesHtml = unit.leaseTermsChanged
+              ? `<br><span style="color: #0f766e;">Changed: ${unit.leaseTermChanges.map(describeLeaseTermChange).join(', ')}</span>`
+              : '';
+            leaseTermsHtml = `<div style="margin-top: 6px; color: #4b5563; font-size: 11px;">📝 ${termsHtml}${changesHtml}</div>`;
+          } else if (unit.leaseTermsMissing) {
+            leaseTermsHtml = '<div style="margin-top: 6px; color: #9ca3af; font-size: 11px;">📝 Lease terms couldn\'t be read this run</div>';
+          }
+          const effectiveHtml = hasEffectiveDiscount(unit)
+            ? `<br><span style="color: #b45309; font-size: 11px;">$${unit.effectivePrice.toLocaleString()}/mo effective</span>`
+            : '';
+          
+          // Lifetime stats from the full history (e.g. "lowest ever: $5,010, listed 23 days")
+          const statsText = describeUnitStats(unit.stats);
+          const statsHtml = statsText
+            ? `<div style="margin-top: 6px; color: #6b7280; font-size: 11px;">📈 ${statsText}</div>`
+            : '';
+          
+          // Size, bed/bath count and view (e.g. "1 bd / 1 ba • 812 sq ft • $6.30/sq ft")
+          const attributesText = describeUnitAttributes(unit, unit.currentPrice);
+          const attributesHtml = attributesText
+            ? `<div style="color: #6b7280; font-size: 12px;">${escapeHtml(attributesText)}</div>`
+            : '';
+          
+          const groupHtml = groupLabel
+            ? `<tr><td colspan="3" style="padding: 8px 16px; background-color: #eff6ff; color: #1d4ed8; font-size: 12px; font-weight: 600;">${escapeHtml(groupLabel)}</td></tr>`
+            : '';
+          
+          return `${groupHtml}
             <tr>
               <td style="${rowStyle}">
                 <div style="font-weight: 600; font-size: 15px; color: #1f2937; margin-bottom: 4px; ${textDecoration}">${unitLabel}</div>
+                ${attributesHtml}
                 ${availabilityHtml}
+                ${movedHtml}
+                ${concessionHtml}
+                ${leaseTermsHtml}
+                ${statsHtml}
               </td>
               <td style="${rowStyle} text-align: right; vertical-align: top;">
                 <span style="font-size: 18px; font-weight: 700; color: #1f2937; ${textDecoration}">${priceDisplay}</span>
+                ${effectiveHtml}
                 ${unit.previousPrice ? `<br><span style="color: #9ca3af; font-size: 11px; ${textDecoration}">was ${previousDisplay}/mo</span>` : ''}
               </td>
               <td style="${rowStyle} text-align: center; vertical-align: top;">
@@ -107,6 +331,8 @@ function generateEmailHtml(report) {
         })
         .join('');
       
+      const planDetailsText = describeUnitAttributes(plan);
+      
       return `
         <div style="margin-bottom: 24px;">
           <div style="background-color: #f9fafb; padding: 12px 16px; border-left: 4px solid #3b82f6;">
@@ -114,8 +340,9 @@ function generateEmailHtml(report) {
               ${plan.planName}
             </h2>
             <p style="margin: 4px 0 0 0; font-size: 13px; color: #6b7280;">
-              ${plan.totalUnits} unit${plan.totalUnits !== 1 ? 's' : ''} available • Price range: ${priceRangeText}
+              ${planDetailsText ? `${planDetailsText} • ` : ''}${plan.totalUnits} unit${plan.totalUnits !== 1 ? 's' : ''} available • Price range: ${priceRangeText}
             </p>
+            ${plan.concession ? `<p style="margin: 4px 0 0 0; font-size: 13px; color: #b45309;">🎁 ${escapeHtml(plan.concession)}</p>` : ''}
           </div>
           <table style="width: 100%; border-collapse: collapse; background-color: white;">
             <thead>
@@ -134,24 +361,7 @@ function generateEmailHtml(report) {
     })
     .join('');
   
-  // Count all unit changes across all plans
-  const allUnits = plans.flatMap(p => p.units);
-  const summary = {
-    decreased: allUnits.filter((u) => u.status === 'decreased').length,
-    increased: allUnits.filter((u) => u.status === 'increased').length,
-    unchanged: allUnits.filter((u) => u.status === 'unchanged').length,
-    new: allUnits.filter((u) => u.status === 'new').length,
-    removed: allUnits.filter((u) => u.status === 'removed').length,
-  };
-  
-  const summaryParts = [];
-  if (summary.decreased > 0) summaryParts.push(`${summary.decreased} price drop${summary.decreased > 1 ? 's' : ''}`);
-  if (summary.increased > 0) summaryParts.push(`${summary.increased} increase${summary.increased > 1 ? 's' : ''}`);
-  if (summary.new > 0) summaryParts.push(`${summary.new} new unit${summary.new > 1 ? 's' : ''}`);
-  if (summary.removed > 0) summaryParts.push(`${summary.removed} removed`);
-  if (summary.unchanged > 0) summaryParts.push(`${summary.unchanged} unchanged`);
-  
-  const summaryText = summaryParts.length > 0 ? summaryParts.join(' • ') : 'No units found';
+  const summaryText = summarizeReport(report);
   
   return `
     <!DOCTYPE html>
@@ -169,10 +379,12 @@ function generateEmailHtml(report) {
             🏠 Rent Price Report
           </h1>
           <p style="margin: 8px 0 0 0; color: rgba(255,255,255,0.9); font-size: 14px;">
-            CityLine Flats • ${new Date(date).toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}
+            ${getPropertyLabel(plans)} • ${report.since
+              ? `Changes from ${getRunLabel(report.since, options.timeZone)} to ${getRunLabel(report, options.timeZone)}`
+              : getRunLabel(report, options.timeZone)}
           </p>
         </div>
-        
+        ${generateAlertsHtml(options.alerts)}
         <!-- Summary -->
         <div style="background-color: white; padding: 16px 24px; border-left: 1px solid #e5e7eb; border-right: 1px solid #e5e7eb;">
           <p style="margin: 0; color: #4b5563; font-size: 14px; text-align: center;">
@@ -207,15 +419,28 @@ function generateEmailHtml(report) {
 /**
  * Generate plain text email content from the report
  * @param {Object} report - Report object with date and plans
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.alerts] - Fired alert rules to list above the report
+ * @param {string} [options.groupBy] - Unit attribute to group each plan's units by (see UNIT_GROUPINGS)
+ * @param {string} [options.timeZone] - Timezone to show run times in (defaults to UTC)
  * @returns {string} - Plain text email content
  */
-function generateEmailText(report) {
-  const { date, plans } = report;
+export function generateEmailText(report, options = {}) {
+  const { plans } = report;
   
-  let text = `RENT PRICE REPORT - ${date}\n`;
-  text += `CityLine Flats\n`;
+  let text = `RENT PRICE REPORT - ${getReportDateLabel(report, options)}\n`;
+  text += `${getPropertyLabel(plans)}\n`;
   text += '='.repeat(70) + '\n\n';
   
+  for (const alert of options.alerts || []) {
+    text += `ALERT: ${alert.name}\n`;
+    for (const { planName, unit } of alert.matches) {
+      const priceDisplay = unit.currentPrice ? `$${unit.currentPrice.toLocaleString()}` : 'N/A';
+      text += `  • Unit ${unit.unitNumber} (${planName}): ${priceDisplay} - ${unit.availability || 'Unknown'}\n`;
+    }
+    text += '\n';
+  }
+  
   for (const plan of plans) {
     const priceRangeText = plan.priceRange
       ? `$${plan.priceRange.min.toLocaleString()} - $${plan.priceRange.max.toLocaleString()}`
@@ -225,9 +450,19 @@ function generateEmailText(report) {
     text += `  URL: ${plan.url}\n`;
     text += `  Total Units: ${plan.totalUnits}\n`;
     text += `  Price Range: ${priceRangeText}\n`;
+    const planDetailsText = describeUnitAttributes(plan);
+    if (planDetailsText) {
+      text += `  Layout: ${planDetailsText}\n`;
+    }
+    if (plan.concession) {
+      text += `  Special: ${plan.concession}\n`;
+    }
     text += `  Units:\n`;
     
-    for (const unit of plan.units) {
+    for (const { unit, groupLabel } of orderUnits(plan.units, options.groupBy)) {
+      if (groupLabel) {
+        text += `    ${groupLabel}:\n`;
+      }
       const format = formatChange(unit);
       const unitLabel = unit.unitNumber || 'Unit';
       const floorLabel = unit.floor ? ` (Floor ${unit.floor})` : '';
@@ -237,7 +472,33 @@ function generateEmailText(report) {
       
       text += `    • ${unitLabel}${floorLabel}: ${priceDisplay} - ${format.text}\n`;
       if (unit.availability && unit.availability !== 'Unknown') {
-        text += `      Available: ${unit.availability}\n`;
+        const wasText = unit.availabilityChanged ? ` (was ${unit.previousAvailability || 'Unknown'})` : '';
+        text += `      Available: ${unit.availability}${wasText}\n`;
+      }
+      if (unit.moved && unit.status !== 'unchanged') {
+        text += `      Moved from ${unit.movedFrom}\n`;
+      }
+      const attributesText = describeUnitAttributes(unit, unit.currentPrice);
+      if (attributesText) {
+        text += `      Details: ${attributesText}\n`;
+      }
+      if (unit.concession) {
+        const effectiveText = hasEffectiveDiscount(unit) ? ` (effective $${unit.effectivePrice.toLocaleString()}/mo)` : '';
+        text += `      Special: ${unit.concession}${effectiveText}\n`;
+      } else if (unit.concessionChanged) {
+        text += `      Special ended (was ${unit.previousConcession})\n`;
+      }
+      if (unit.cheapestTerm) {
+        text += `      Lease terms: ${describeLeaseTerms(unit.leaseTerms)} (cheapest: ${unit.cheapestTerm.months} mo)\n`;
+      } else if (unit.leaseTermsMissing) {
+        text += '      Lease terms: couldn\'t be read this run\n';
+      }
+      if (unit.leaseTermsChanged) {
+        text += `      Term changes: ${unit.leaseTermChanges.map(describeLeaseTermChange).join(', ')}\n`;
+      }
+      const statsText = describeUnitStats(unit.stats);
+      if (statsText) {
+        text += `      History: ${statsText}\n`;
       }
     }
     
@@ -253,9 +514,11 @@ function generateEmailText(report) {
 /**
  * Analyze the report and generate a custom subject line based on changes
  * @param {Object} report - Report object with date and plans
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - Timezone to show the run time in (defaults to UTC)
  * @returns {string} - Custom subject line
  */
-function generateSubjectLine(report) {
+export function generateSubjectLine(report, options = {}) {
   // Collect all units across all plans
   const allUnits = report.plans.flatMap(p => p.units);
   
@@ -266,11 +529,16 @@ function generateSubjectLine(report) {
     increased: allUnits.filter(u => u.status === 'increased').length,
     decreased: allUnits.filter(u => u.status === 'decreased').length,
     unchanged: allUnits.filter(u => u.status === 'unchanged').length,
+    availability: allUnits.filter(u => u.availabilityChanged).length,
+    moved: allUnits.filter(u => u.moved).length,
+    concessions: allUnits.filter(u => u.concessionChanged).length,
+    leaseTerms: allUnits.filter(u => u.leaseTermsChanged).length,
   };
   
-  const date = report.date;
+  const date = getReportDateLabel(report, options);
+  const availabilityPlural = counts.availability > 1 ? 's' : '';
   
-  // Priority order: removed > new > price changes > no changes
+  // Priority order: removed > new > price changes > move-in date changes > moved units > special changes > lease term changes > no changes
   if (counts.removed > 0) {
     const plural = counts.removed > 1 ? 's' : '';
     return `🚫 ${counts.removed} Listing${plural} Removed - ${date}`;
@@ -281,69 +549,607 @@ function generateSubjectLine(report) {
     const changes = [];
     if (counts.decreased > 0) changes.push(`${counts.decreased} ↓`);
     if (counts.increased > 0) changes.push(`${counts.increased} ↑`);
-    return `💰 Price Changes: ${changes.join(', ')} - ${date}`;
+    const dateChanges = counts.availability > 0
+      ? ` • 📅 ${counts.availability} Date Change${availabilityPlural}`
+      : '';
+    return `💰 Price Changes: ${changes.join(', ')}${dateChanges} - ${date}`;
+  } else if (counts.availability > 0) {
+    return `📅 ${counts.availability} Move-in Date Change${availabilityPlural} - ${date}`;
+  } else if (counts.moved > 0) {
+    const plural = counts.moved > 1 ? 's' : '';
+    return `🔀 ${counts.moved} Unit${plural} Moved Between Plans - ${date}`;
+  } else if (counts.concessions > 0) {
+    const plural = counts.concessions > 1 ? 's' : '';
+    return `🎁 ${counts.concessions} Special${plural} Changed - ${date}`;
+  } else if (counts.leaseTerms > 0) {
+    const plural = counts.leaseTerms > 1 ? 's' : '';
+    return `📝 ${counts.leaseTerms} Lease Term Change${plural} - ${date}`;
   } else {
     return `📊 No Changes - ${date}`;
   }
 }
 
 /**
- * Send the price report via email using Resend
+ * Generate the subject line for an email triggered by alert rules
+ * @param {Object} report - Report object with date and plans
+ * @param {Array<Object>} alerts - Fired alerts from evaluateAlertRules()
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - Timezone to show the run time in (defaults to UTC)
+ * @returns {string} - Subject naming the rules that fired
+ */
+export function generateAlertSubjectLine(report, alerts, options = {}) {
+  const date = getReportDateLabel(report, options);
+  if (alerts.length === 1) {
+    const count = alerts[0].matches.length;
+    return `🔔 ${alerts[0].name}: ${count} unit${count > 1 ? 's' : ''} - ${date}`;
+  }
+  return `🔔 ${alerts.length} Alerts: ${alerts.map(a => a.name).join(', ')} - ${date}`;
+}
+
+/**
+ * Point the email channels at specific recipients, leaving other channels alone
+ * @param {Array<Object>} [channels] - Channel entries from the config
+ * @param {string|Array<string>} [recipients] - Recipients for the email channels
+ * @returns {Array<Object>}
+ */
+function withRecipients(channels = DEFAULT_CHANNELS, recipients) {
+  if (!recipients) return channels;
+  return channels.map(c => (c.type === 'email' ? { ...c, recipients } : c));
+}
+
+/**
+ * Send a notification, holding it for channels in quiet hours until their
+ * quiet hours end (see splitQuietChannels() in schedule.js)
+ * @param {Object} message - Notification ({ type, subject, summary, text, html, ... })
+ * @param {Array<Object>} [channels] - Channel entries from the config (defaults to email)
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.quietHours] - `schedule.quietHours` (nothing is held without it)
+ * @param {string} [options.timeZone] - Timezone the quiet hours are in
+ * @param {string} [options.stateFile] - Scheduler state file the held notifications are kept in
+ * @param {number} [options.now] - Epoch milliseconds (defaults to now)
+ * @param {Object} [options.ledger] - Notification ledger the sender records the message in; a held
+ *   copy is marked so it's settled in the ledger when it is released
+ * @param {Function} [options.log] - Where progress messages go (default: console.log)
+ * @returns {Promise<Array<Object>>} - { channel, error } for each channel sent to, and { channel, error, heldUntil } for each held
+ */
+async function deliver(message, channels = DEFAULT_CHANNELS, options = {}) {
+  const log = options.log ?? console.log;
+  if (!options.quietHours || options.quietHours.length === 0) {
+    return sendToChannels(message, channels, { log });
+  }
+
+  const now = options.now ?? Date.now();
+  const { ready, held } = splitQuietChannels(channels, options.quietHours, { now, timeZone: options.timeZone });
+  if (held.length > 0) {
+    await holdMessage(message, held, { file: options.stateFile, now, timeZone: options.timeZone, ledger: Boolean(options.ledger), log });
+  }
+
+  const results = ready.length > 0 ? await sendToChannels(message, ready, { log }) : [];
+  return [...results, ...held.map(({ channel, releaseAt }) => ({ channel: getChannelLabel(channel), error: null, heldUntil: releaseAt }))];
+}
+
+/**
+ * Get who to record in the ledger after deliver(): the recipients of the
+ * channels it was sent to, if it reached all of them, and the recipients of
+ * each channel holding it, as pending until it goes out
+ * @param {Array<Object>} results - From deliver()
+ * @param {Array<Object>} channels - Channels it was delivered to
+ * @returns {Array<Object>} - { recipients, heldUntil } for each channel to record
+ */
+function getRecordedRecipients(results, channels) {
+  const heldUntil = new Map(results.filter(r => r.heldUntil).map(r => [r.channel, r.heldUntil]));
+  const sent = results.every(r => !r.error);
+  return channels
+    .filter(c => c.enabled !== false)
+    .map(channel => ({ recipients: getLedgerRecipients(channel), heldUntil: heldUntil.get(getChannelLabel(channel)) ?? null }))
+    .filter(({ heldUntil }) => heldUntil || sent);
+}
+
+/**
+ * Find the channel a held notification goes to in the config, with the
+ * addresses its hashed recipients stand for (see holdMessage() in schedule.js)
+ * @param {Object} held - Held notification from the scheduler state
+ * @param {Array<Object>} channels - Channel entries from the config
+ * @param {Array<string>} addresses - Email addresses sent to besides the channels' own
+ * @returns {Object|null} - Channel entry, or null if it is no longer configured
+ */
+function resolveHeldChannel(held, channels, addresses) {
+  // Held before only references were kept
+  if (!held.recipients) return held.channel;
+
+  const { type, name } = held.channel;
+  const configured = channels.find(c => c.type === type && (name === undefined || getChannelLabel(c) === name))
+    || (type === 'email' ? { type } : null);
+  if (!configured || type !== 'email') return configured;
+
+  const known = [...channels.filter(c => c.type === 'email').flatMap(getChannelRecipients), ...getChannelRecipients({ type }), ...addresses];
+  const byKey = new Map(known.map(address => [getRecipientKey(address), address.trim()]));
+  const recipients = held.recipients.map(key => byKey.get(key)).filter(Boolean);
+  return recipients.length > 0 ? { ...configured, recipients } : null;
+}
+
+/**
+ * Send held notifications whose quiet hours are over. They are taken out of
+ * the state file before sending, so a crash can't send them twice. Reports
+ * and alerts pending in the notification ledger are settled there: told if
+ * they went out, news again if they didn't.
+ * @param {Object} [options]
+ * @param {string} [options.stateFile] - Scheduler state file
+ * @param {string} [options.ledgerFile] - Notification ledger (defaults to data/ledger.json)
+ * @param {number} [options.now] - Epoch milliseconds (defaults to now)
+ * @param {Array<Object>} [options.channels] - Channel entries from the config (defaults to email)
+ * @param {Array<string>} [options.addresses] - Email addresses sent to besides the channels' own
+ *   (RECIPIENT_EMAIL), e.g. alert rule and health recipients; the state file only has their hashes
+ * @param {Function} [options.log] - Where progress messages go (default: console.log)
+ * @returns {Promise<Array<Object>>} - { channel, error } for each delivery
+ */
+export async function sendHeldMessages({ stateFile, ledgerFile, now = Date.now(), channels = DEFAULT_CHANNELS, addresses = [], log = console.log } = {}) {
+  const state = await loadScheduleState(stateFile);
+  const released = state.held.filter(h => Date.parse(h.releaseAt) <= now);
+  if (released.length === 0) return [];
+
+  state.held = state.held.filter(h => Date.parse(h.releaseAt) > now);
+  await saveScheduleState(state, stateFile);
+
+  const ledger = released.some(h => h.ledger) ? await loadLedger(ledgerFile, { now }) : null;
+  const results = [];
+  for (const held of released) {
+    const channel = resolveHeldChannel(held, channels, addresses);
+    const sent = channel ? await sendToChannels(held.message, [channel], { log }) : [];
+    if (!channel) {
+      log(`⚠️  Dropping "${held.message.subject}" held for ${getChannelLabel(held.channel)}: its channel or recipients are no longer configured`);
+    }
+    results.push(...sent);
+
+    if (held.ledger) {
+      const recipients = held.recipients.length > 0 ? held.recipients : [getChannelLabel(held.channel)];
+      const reached = channel && sent.every(r => !r.error) ? getLedgerRecipients(channel) : [];
+      recordHeldDelivery(held.message, recipients, ledger, { sent: reached, now });
+    }
+  }
+
+  if (ledger) {
+    await saveLedger(ledger, ledgerFile);
+  }
+  return results;
+}
+
+/**
+ * Build the notification for a price report, with every format the channels need
  * @param {Object} report - Report object with date and changes
- * @returns {Promise<Object>} - Result from Resend API
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.alerts] - Fired alert rules; names them in the subject and body
+ * @param {string} [options.groupBy] - Unit attribute to group each plan's units by
+ * @param {string} [options.timeZone] - Timezone to show run times in (defaults to UTC)
+ * @returns {Object} - { type, subject, summary, text, html, report, alerts }
  */
-export async function sendReport(report) {
-  const apiKey = process.env.RESEND_API_KEY;
-  const recipientEmail = process.env.RECIPIENT_EMAIL;
-  const senderEmail = process.env.SENDER_EMAIL || 'onboarding@resend.dev';
-  
-  if (!apiKey) {
-    throw new Error('RESEND_API_KEY environment variable is not set');
+export function buildReportMessage(report, options = {}) {
+  return {
+    type: options.alerts ? 'alerts' : 'report',
+    // Custom subject based on changes (or on the alert rules that fired)
+    subject: options.alerts
+      ? generateAlertSubjectLine(report, options.alerts, options)
+      : generateSubjectLine(report, options),
+    summary: summarizeReport(report),
+    text: generateEmailText(report, options),
+    html: generateEmailHtml(report, options),
+    report,
+    alerts: options.alerts || null,
+  };
+}
+
+/**
+ * Send the price report to every configured notification channel
+ * @param {Object} report - Report object with date and changes
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.channels] - Channel entries from the config (defaults to email)
+ * @param {string|Array<string>} [options.recipients] - Recipients for the email channels (defaults to RECIPIENT_EMAIL)
+ * @param {Array<Object>} [options.alerts] - Fired alert rules; names them in the subject and body
+ * @param {string} [options.groupBy] - Unit attribute to group each plan's units by
+ * @param {string} [options.timeZone] - Timezone to show run times in (defaults to UTC)
+ * @param {Array<Object>} [options.quietHours] - `schedule.quietHours`; channels in quiet hours get it later (see deliver())
+ * @param {Object} [options.ledger] - Notification ledger (see ledger.js): leaves out snoozed units and, with
+ *   `dedupe`, recipients who have been told everything in the report; it is updated with what was sent
+ * @param {boolean} [options.dedupe] - See DEFAULT_LEDGER_OPTIONS
+ * @param {Function} [options.log] - Where progress messages go (default: console.log)
+ * @returns {Promise<Array<Object>>} - { channel, error } for each channel
+ */
+export async function sendReport(report, options = {}) {
+  const log = options.log ?? console.log;
+  const channels = withRecipients(options.channels, options.recipients);
+  if (!options.ledger) {
+    return deliver(buildReportMessage(report, options), channels, options);
+  }
+
+  const { deliveries, skipped } = planReportDeliveries(report, channels, options.ledger, options);
+  if (skipped.length > 0) {
+    log(`🔕 Nothing new in the report for ${skipped.join(', ')}`);
   }
+
+  const results = [];
+  for (const delivery of deliveries) {
+    const deliveryResults = await deliver(buildReportMessage(delivery.report, options), delivery.channels, options);
+    for (const { recipients, heldUntil } of getRecordedRecipients(deliveryResults, delivery.channels)) {
+      recordReport(delivery.report, recipients, options.ledger, { ...options, heldUntil });
+    }
+    results.push(...deliveryResults);
+  }
+  return results;
+}
+
+/**
+ * Generate the plain text body of a "scraper broken" alert
+ * @param {Object} health - Result from checkScrapeHealth()
+ * @param {Object} currentData - The suspect scrape
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - Timezone to show the run time in (defaults to UTC)
+ * @returns {string} - Plain text email content
+ */
+export function generateScraperAlertText(health, currentData, options = {}) {
+  let text = `SCRAPER HEALTH CHECK FAILED - ${getRunLabel(currentData, options.timeZone)}\n`;
+  text += '='.repeat(70) + '\n\n';
+  text += 'This run was NOT saved to history and no price report was sent.\n\n';
   
-  if (!recipientEmail) {
-    throw new Error('RECIPIENT_EMAIL environment variable is not set');
+  for (const issue of health.issues) {
+    text += `${issue.planName || 'All plans'}\n`;
+    text += `  Problem: ${issue.message}\n`;
+    if (issue.url) {
+      text += `  URL: ${issue.url}\n`;
+    }
+    text += '\n';
   }
   
-  const resend = new Resend(apiKey);
+  text += '-'.repeat(70) + '\n';
+  text += 'Check the workflow logs, and whether the site markup has changed.\n';
+  
+  return text;
+}
+
+/**
+ * Generate the HTML body of a "scraper broken" alert
+ * @param {Object} health - Result from checkScrapeHealth()
+ * @param {Object} currentData - The suspect scrape
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - Timezone to show the run time in (defaults to UTC)
+ * @returns {string} - HTML email content
+ */
+export function generateScraperAlertHtml(health, currentData, options = {}) {
+  const issuesHtml = health.issues
+    .map(issue => `
+          <tr>
+            <td style="padding: 12px 16px; border-bottom: 1px solid #e5e7eb; vertical-align: top;">
+              <div style="font-weight: 600; font-size: 15px; color: #1f2937;">${issue.planName || 'All plans'}</div>
+              ${issue.url ? `<a href="${issue.url}" style="color: #3b82f6; font-size: 12px; text-decoration: none;">View page</a>` : ''}
+            </td>
+            <td style="padding: 12px 16px; border-bottom: 1px solid #e5e7eb; color: #991b1b; font-size: 13px; font-family: monospace;">
+              ${escapeHtml(issue.message)}
+            </td>
+          </tr>
+        `)
+    .join('');
+  
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    </head>
+    <body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; background-color: #f9fafb;">
+      <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background-color: #dc2626; border-radius: 12px 12px 0 0; padding: 24px; text-align: center;">
+          <h1 style="margin: 0; color: white; font-size: 22px; font-weight: 600;">⚠️ Scraper Health Check Failed</h1>
+          <p style="margin: 8px 0 0 0; color: rgba(255,255,255,0.9); font-size: 13px;">${getRunLabel(currentData, options.timeZone)}</p>
+        </div>
+        <div style="background-color: white; padding: 16px 24px; border: 1px solid #e5e7eb; border-top: none;">
+          <p style="margin: 0 0 12px 0; color: #4b5563; font-size: 14px;">
+            This run was <strong>not</strong> saved to history and no price report was sent.
+          </p>
+          <table style="width: 100%; border-collapse: collapse;">
+            ${issuesHtml}
+          </table>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+/**
+ * Escape text for safe inclusion in HTML (error messages can contain markup)
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Send a "scraper broken" alert instead of a price report
+ * @param {Object} health - Result from checkScrapeHealth()
+ * @param {Object} currentData - The suspect scrape
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.channels] - Channel entries from the config (defaults to email)
+ * @param {string|Array<string>} [options.recipients] - Recipients for the email channels (defaults to RECIPIENT_EMAIL)
+ * @param {string} [options.timeZone] - Timezone to show the run time in (defaults to UTC)
+ * @param {Array<Object>} [options.quietHours] - `schedule.quietHours`; channels in quiet hours get it later (see deliver())
+ * @param {Function} [options.log] - Where progress messages go (default: console.log)
+ * @returns {Promise<Array<Object>>} - { channel, error } for each channel
+ */
+export async function sendScraperAlert(health, currentData, options = {}) {
+  const count = health.issues.length;
+  
+  const message = {
+    type: 'scraper',
+    subject: `⚠️ Scraper Broken: ${count} problem${count !== 1 ? 's' : ''} - ${getRunLabel(currentData, options.timeZone)}`,
+    summary: null,
+    text: generateScraperAlertText(health, currentData, options),
+    html: generateScraperAlertHtml(health, currentData, options),
+    health,
+  };
   
-  // Generate custom subject based on changes
-  const subject = generateSubjectLine(report);
+  return deliver(message, withRecipients(options.channels, options.recipients), options);
+}
+
+/**
+ * Send fired alert rules: one email per recipient listing the rules that
+ * fired for them, plus one message with every fired rule to each chat channel
+ * @param {Object} report - Report object with date and plans
+ * @param {Array<Object>} alerts - Fired alerts from evaluateAlertRules()
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.channels] - Channel entries from the config; rule emails use the email channel's settings
+ * @param {string} [options.timeZone] - Timezone to show run times in (defaults to UTC)
+ * @param {Array<Object>} [options.quietHours] - `schedule.quietHours`; channels in quiet hours get it later (see deliver())
+ * @param {Object} [options.ledger] - Notification ledger (see ledger.js): leaves out snoozed units and, with
+ *   `dedupe`, units a recipient was already alerted about; it is updated with what was sent
+ * @param {boolean} [options.dedupe] - See DEFAULT_LEDGER_OPTIONS
+ * @param {Function} [options.log] - Where progress messages go (default: console.log)
+ * @returns {Promise<Array<Object>>} - { channel, alerts, error } for each recipient and chat channel
+ */
+export async function sendAlerts(report, alerts, options = {}) {
+  const log = options.log ?? console.log;
+  const results = [];
   
-  // Support multiple recipients - comma-separated string becomes array
-  const recipients = recipientEmail.includes(',')
-    ? recipientEmail.split(',').map(e => e.trim())
-    : recipientEmail;
+  // Rule emails use the configured email channel's settings (transports etc.)
+  const emailChannel = (options.channels || []).find(c => c.type === 'email') || { type: 'email' };
+  const deliveries = [...groupAlertsByRecipient(alerts)].map(([recipient, recipientAlerts]) => ({
+    recipient,
+    alerts: recipientAlerts,
+    channels: [{ ...emailChannel, name: recipient, recipients: [recipient] }],
+  }));
   
-  console.log(`Sending email report to ${Array.isArray(recipients) ? recipients.join(', ') : recipients}...`);
+  // With a ledger each chat channel is its own recipient, so it can snooze units
+  const chatChannels = (options.channels || []).filter(c => c.type !== 'email');
+  if (options.ledger) {
+    deliveries.push(...chatChannels.filter(c => c.enabled !== false).map(c => ({ recipient: getChannelLabel(c), alerts, channels: [c] })));
+  } else if (chatChannels.length > 0) {
+    deliveries.push({ recipient: null, alerts, channels: chatChannels });
+  }
   
-  try {
-    const result = await resend.emails.send({
-      from: senderEmail,
-      to: recipients,
-      subject,
-      html: generateEmailHtml(report),
-      text: generateEmailText(report),
-    });
-    
-    console.log('Resend API Response:', JSON.stringify(result, null, 2));
-    
-    if (result.error) {
-      console.error('Resend API Error:', result.error);
-      throw new Error(`Resend API Error: ${JSON.stringify(result.error)}`);
+  // Each failure is kept so one bad address doesn't stop everyone else's alerts
+  for (const delivery of deliveries) {
+    const pending = options.ledger ? filterAlerts(delivery.alerts, delivery.recipient, options.ledger, options) : delivery.alerts;
+    if (pending.length === 0) {
+      log(`🔕 Nothing new in the alerts for ${delivery.recipient}`);
+      continue;
     }
     
-    console.log('Email sent successfully!');
-    console.log('Email ID:', result.data?.id || result.id);
-    
-    return result;
-  } catch (error) {
-    console.error('Failed to send email:', error.message);
-    if (error.response) {
-      console.error('API Response:', error.response);
+    const message = buildReportMessage(report, { alerts: pending, timeZone: options.timeZone });
+    const deliveryResults = await deliver(message, delivery.channels, options);
+    if (options.ledger) {
+      for (const { heldUntil } of getRecordedRecipients(deliveryResults, delivery.channels)) {
+        recordAlerts(pending, delivery.recipient, options.ledger, { ...options, heldUntil });
+      }
     }
-    throw error;
+    results.push(...deliveryResults.map(result => ({ ...result, alerts: pending })));
   }
+  
+  return results;
+}
+
+/**
+ * Format a net price movement for the digest (e.g. "↓ $54", "↑ $20", "no change")
+ * @param {number} difference
+ * @returns {string}
+ */
+function formatMovement(difference) {
+  if (difference === 0) return 'no change';
+  return `${difference < 0 ? '↓' : '↑'} $${Math.abs(difference).toLocaleString()}`;
+}
+
+/**
+ * Format the date range a digest covers (e.g. "Jan 13 - Jan 19")
+ * @param {Object} digest - Digest from buildDigest()
+ * @returns {string}
+ */
+function formatDigestRange(digest) {
+  return `${formatShortDate(digest.from)} - ${formatShortDate(digest.to)}`;
+}
+
+/**
+ * Generate the subject line for a digest
+ * (e.g. "📆 Weekly Digest (Jan 13 - Jan 19): 3 new, 2 removed, 1 deal")
+ * @param {Object} digest - Digest from buildDigest()
+ * @returns {string} - Subject line
+ */
+export function generateDigestSubjectLine(digest) {
+  const parts = [];
+  if (digest.added.length > 0) parts.push(`${digest.added.length} new`);
+  if (digest.removed.length > 0) parts.push(`${digest.removed.length} removed`);
+  if (digest.bestDeals.length > 0) parts.push(`${digest.bestDeals.length} deal${digest.bestDeals.length !== 1 ? 's' : ''}`);
+  
+  return `📆 ${digest.label} Digest (${formatDigestRange(digest)}): ${parts.length > 0 ? parts.join(', ') : 'No changes'}`;
+}
+
+/**
+ * Generate plain text content for a digest
+ * @param {Object} digest - Digest from buildDigest()
+ * @returns {string} - Plain text email content
+ */
+export function generateDigestText(digest) {
+  let text = `${digest.label.toUpperCase()} DIGEST - ${formatDigestRange(digest)}, ${digest.to.slice(0, 4)}\n`;
+  text += `${getPropertyLabel(digest.plans)} • ${digest.runs} run${digest.runs !== 1 ? 's' : ''}\n`;
+  text += '='.repeat(70) + '\n\n';
+  
+  text += 'PRICE MOVEMENT\n';
+  for (const plan of digest.plans) {
+    text += `  ${plan.planName}: ${plan.sparkline}\n`;
+    text += `    Median $${plan.startMedian.toLocaleString()} → $${plan.endMedian.toLocaleString()} (${formatMovement(plan.medianChange)})`;
+    text += ` • Lowest $${plan.startMin.toLocaleString()} → $${plan.endMin.toLocaleString()} (${formatMovement(plan.minChange)})`;
+    text += ` • ${plan.units} unit${plan.units !== 1 ? 's' : ''} listed\n`;
+  }
+  if (digest.plans.length === 0) text += '  No runs in this period\n';
+  
+  text += `\nNEW UNITS (${digest.added.length})\n`;
+  for (const unit of digest.added) {
+    text += `  • ${unit.unitNumber} (${unit.planName}): $${unit.price.toLocaleString()} - first seen ${formatShortDate(unit.firstSeen)}\n`;
+  }
+  
+  text += `\nREMOVED UNITS (${digest.removed.length})\n`;
+  for (const unit of digest.removed) {
+    text += `  • ${unit.unitNumber} (${unit.planName}): last $${unit.price.toLocaleString()} - listed ${unit.daysOnMarket} day${unit.daysOnMarket !== 1 ? 's' : ''}\n`;
+  }
+  if (digest.averageDaysListed !== null) {
+    text += `  Average days listed: ${digest.averageDaysListed}\n`;
+  }
+  
+  text += '\nBEST DEALS\n';
+  for (const deal of digest.bestDeals) {
+    text += `  • ${deal.unitNumber} (${deal.planName}): $${deal.price.toLocaleString()} - $${deal.belowMedian.toLocaleString()} below its median of $${deal.medianPrice.toLocaleString()}${deal.atLowest ? ' (lowest ever)' : ''}\n`;
+  }
+  if (digest.bestDeals.length === 0) text += '  No units below their usual price\n';
+  
+  text += '\n' + '-'.repeat(70) + '\n';
+  text += 'Generated by Flats Rent Tracker\n';
+  
+  return text;
+}
+
+/**
+ * Generate HTML email content for a digest
+ * @param {Object} digest - Digest from buildDigest()
+ * @returns {string} - HTML email content
+ */
+export function generateDigestHtml(digest) {
+  const cell = 'padding: 10px 16px; border-bottom: 1px solid #e5e7eb; font-size: 13px; color: #1f2937;';
+  const heading = 'margin: 20px 0 8px 0; font-size: 16px; font-weight: 600; color: #1f2937;';
+  const muted = 'color: #6b7280; font-size: 12px;';
+  const movementColor = difference => (difference < 0 ? '#16a34a' : difference > 0 ? '#dc2626' : '#6b7280');
+  
+  const plansHtml = digest.plans
+    .map(plan => `
+            <tr>
+              <td style="${cell}">
+                <a href="${plan.url}" style="font-weight: 600; color: #1f2937; text-decoration: none;">${plan.planName}</a>
+                <div style="${muted}">${plan.units} unit${plan.units !== 1 ? 's' : ''} listed</div>
+              </td>
+              <td style="${cell} font-family: monospace; font-size: 16px; color: #3b82f6; letter-spacing: 1px;">${plan.sparkline}</td>
+              <td style="${cell} text-align: right;">
+                $${plan.endMedian.toLocaleString()}
+                <div style="color: ${movementColor(plan.medianChange)}; font-size: 12px;">${formatMovement(plan.medianChange)}</div>
+              </td>
+              <td style="${cell} text-align: right;">
+                $${plan.endMin.toLocaleString()}
+                <div style="color: ${movementColor(plan.minChange)}; font-size: 12px;">${formatMovement(plan.minChange)}</div>
+              </td>
+            </tr>
+          `)
+    .join('');
+  
+  const unitList = (units, describe) => (units.length > 0
+    ? `<ul style="margin: 0; padding-left: 20px; font-size: 13px; color: #374151;">${units.map(u => `<li style="margin: 2px 0;">${describe(u)}</li>`).join('')}</ul>`
+    : `<p style="margin: 0; ${muted}">None</p>`);
+  
+  const addedHtml = unitList(digest.added, u => `Unit ${u.unitNumber} (${u.planName}) – $${u.price.toLocaleString()}/mo – first seen ${formatShortDate(u.firstSeen)}`);
+  const removedHtml = unitList(digest.removed, u => `Unit ${u.unitNumber} (${u.planName}) – last $${u.price.toLocaleString()}/mo – listed ${u.daysOnMarket} day${u.daysOnMarket !== 1 ? 's' : ''}`);
+  const dealsHtml = digest.bestDeals.length > 0
+    ? unitList(digest.bestDeals, d => `<strong>Unit ${d.unitNumber}</strong> (${d.planName}) – $${d.price.toLocaleString()}/mo, <span style="color: #16a34a;">$${d.belowMedian.toLocaleString()} below its median</span> of $${d.medianPrice.toLocaleString()}${d.atLowest ? ' – lowest ever' : ''}`)
+    : `<p style="margin: 0; ${muted}">No units below their usual price</p>`;
+  
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    </head>
+    <body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; background-color: #f9fafb;">
+      <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+        
+        <!-- Header -->
+        <div style="background: linear-gradient(135deg, #7c3aed 0%, #5b21b6 100%); border-radius: 12px 12px 0 0; padding: 32px 24px; text-align: center;">
+          <h1 style="margin: 0; color: white; font-size: 24px; font-weight: 600;">
+            📆 ${digest.label} Digest
+          </h1>
+          <p style="margin: 8px 0 0 0; color: rgba(255,255,255,0.9); font-size: 14px;">
+            ${getPropertyLabel(digest.plans)} • ${formatDigestRange(digest)}, ${digest.to.slice(0, 4)}
+          </p>
+        </div>
+        
+        <div style="padding: 4px 24px 24px 24px; background-color: white; border: 1px solid #e5e7eb; border-top: none; border-radius: 0 0 12px 12px;">
+          <h2 style="${heading}">Price Movement</h2>
+          <table style="width: 100%; border-collapse: collapse;">
+            <thead>
+              <tr style="border-bottom: 2px solid #e5e7eb;">
+                <th style="padding: 8px 16px; text-align: left; ${muted}">Plan</th>
+                <th style="padding: 8px 16px; text-align: left; ${muted}">Median Trend</th>
+                <th style="padding: 8px 16px; text-align: right; ${muted}">Median</th>
+                <th style="padding: 8px 16px; text-align: right; ${muted}">Lowest</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${plansHtml}
+            </tbody>
+          </table>
+          
+          <h2 style="${heading}">✨ New Units (${digest.added.length})</h2>
+          ${addedHtml}
+          
+          <h2 style="${heading}">🚫 Removed Units (${digest.removed.length})</h2>
+          ${removedHtml}
+          ${digest.averageDaysListed !== null ? `<p style="margin: 8px 0 0 0; ${muted}">Removed units stayed listed ${digest.averageDaysListed} days on average</p>` : ''}
+          
+          <h2 style="${heading}">💎 Best Deals</h2>
+          ${dealsHtml}
+        </div>
+        
+        <!-- Footer -->
+        <div style="padding: 24px; text-align: center;">
+          <p style="margin: 0; color: #d1d5db; font-size: 11px;">
+            This digest is generated automatically by Flats Rent Tracker from ${digest.runs} run${digest.runs !== 1 ? 's' : ''}
+          </p>
+        </div>
+        
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+/**
+ * Send a digest to every configured notification channel
+ * @param {Object} digest - Digest from buildDigest()
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.channels] - Channel entries from the config (defaults to email)
+ * @param {Array<Object>} [options.quietHours] - `schedule.quietHours`; channels in quiet hours get it later (see deliver())
+ * @param {Function} [options.log] - Where progress messages go (default: console.log)
+ * @returns {Promise<Array<Object>>} - { channel, error } for each channel
+ */
+export async function sendDigest(digest, options = {}) {
+  const message = {
+    type: 'digest',
+    subject: generateDigestSubjectLine(digest),
+    summary: null,
+    text: generateDigestText(digest),
+    html: generateDigestHtml(digest),
+    digest,
+  };
+  
+  return deliver(message, options.channels, options);
 }
 
 /**
@@ -368,6 +1174,15 @@ export function createTestReport() {
             difference: -90,
             status: 'decreased',
             availability: 'Available Now',
+            stats: {
+              firstSeen: '2026-01-18',
+              lastSeen: new Date().toISOString().split('T')[0],
+              minPrice: 5010,
+              maxPrice: 5114,
+              medianPrice: 5064,
+              daysOnMarket: 23,
+              priceChangeCount: 3,
+            },
           },
           {
             unitNumber: '345-305',
@@ -446,20 +1261,7 @@ export function createTestReport() {
   };
 }
 
-// Allow running directly for testing
+// Allow running directly for testing: `node notifier.js` is `node cli.js notify --test`
 if (process.argv[1] && process.argv[1].endsWith('notifier.js')) {
-  const testReport = createTestReport();
-  console.log('Test Report:');
-  console.log(JSON.stringify(testReport, null, 2));
-  console.log('\nGenerated HTML Preview:');
-  console.log(generateEmailHtml(testReport));
-  
-  // Only send if API key is set
-  if (process.env.RESEND_API_KEY && process.env.RECIPIENT_EMAIL) {
-    sendReport(testReport)
-      .then(() => console.log('Test email sent!'))
-      .catch((error) => console.error('Failed to send test email:', error));
-  } else {
-    console.log('\nSkipping email send (RESEND_API_KEY or RECIPIENT_EMAIL not set)');
-  }
+  import('./cli.js').then(({ runCli }) => runCli(['notify', '--test', ...process.argv.slice(2)]));
 }
@@ -0,0 +1,163 @@
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { join } from 'path';
+import { getDefaultPlanId } from './identity.js';
+
+/**
+ * Record and replay of scraper network traffic.
+ *
+ * Recording saves, for each plan, every response the plan page loaded
+ * (`<plan id>.json`) and the HTML it rendered to (`<plan id>.html`), plus a
+ * `recording.json` manifest with the date of the run. Replaying serves the
+ * saved responses to Playwright through request routing, so a scrape runs
+ * against the recorded pages with no network and gives the same result
+ * every time.
+ */
+
+export const RECORDING_MANIFEST = 'recording.json';
+
+// Headers that describe the original transfer, not the saved (decoded) body
+const DROPPED_HEADERS = new Set(['content-encoding', 'content-length', 'transfer-encoding']);
+
+/**
+ * Get the key a response is saved under: method and URL, without the fragment
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL
+ * @returns {string}
+ */
+export function getRequestKey(method, url) {
+  return `${method.toUpperCase()} ${url.split('#')[0]}`;
+}
+
+/**
+ * Get the file name (without extension) a plan's recording is saved under
+ * @param {Object} plan - Plan object from the config
+ * @returns {string}
+ */
+function getRecordingName(plan) {
+  return plan.id ?? getDefaultPlanId(plan);
+}
+
+/**
+ * Route every request a page makes through the network and save its response
+ * @param {import('playwright').Page} page - Playwright page instance
+ * @param {Map<string, Object>} responses - Saved responses by getRequestKey(), filled in as the page loads
+ * @returns {Promise<void>}
+ */
+export async function recordResponses(page, responses) {
+  await page.route('**/*', async (route) => {
+    const request = route.request();
+    let response;
+    try {
+      response = await route.fetch();
+    } catch {
+      // Let the page see the failure as it would without recording
+      await route.abort().catch(() => {});
+      return;
+    }
+
+    responses.set(getRequestKey(request.method(), request.url()), {
+      method: request.method(),
+      url: request.url(),
+      status: response.status(),
+      headers: Object.fromEntries(
+        Object.entries(response.headers()).filter(([name]) => !DROPPED_HEADERS.has(name.toLowerCase()))
+      ),
+      body: (await response.body()).toString('base64'),
+    });
+    await route.fulfill({ response });
+  });
+}
+
+/**
+ * Serve every request a page makes from saved responses, failing anything
+ * that wasn't recorded so nothing reaches the network
+ * @param {import('playwright').Page} page - Playwright page instance
+ * @param {Map<string, Object>} responses - Saved responses by getRequestKey()
+ * @returns {Promise<void>}
+ */
+export async function replayResponses(page, responses) {
+  await page.route('**/*', async (route) => {
+    const request = route.request();
+    const saved = responses.get(getRequestKey(request.method(), request.url()));
+    if (!saved) {
+      await route.abort('internetdisconnected');
+      return;
+    }
+
+    await route.fulfill({
+      status: saved.status,
+      headers: saved.headers,
+      body: Buffer.from(saved.body, 'base64'),
+    });
+  });
+}
+
+/**
+ * Save a plan's recorded responses and rendered HTML
+ * @param {string} dir - Recording directory
+ * @param {Object} plan - Plan object from the config (id, name, url)
+ * @param {Object} recording
+ * @param {Map<string, Object>} recording.responses - Responses from recordResponses()
+ * @param {string} recording.html - The page's HTML after the scrape
+ * @returns {Promise<void>}
+ */
+export async function savePlanRecording(dir, plan, { responses, html }) {
+  await mkdir(dir, { recursive: true });
+  const name = getRecordingName(plan);
+  const saved = { id: name, name: plan.name, url: plan.url, responses: [...responses.values()] };
+  await writeFile(join(dir, `${name}.json`), JSON.stringify(saved, null, 2) + '\n');
+  await writeFile(join(dir, `${name}.html`), html);
+}
+
+/**
+ * Load a plan's recorded responses
+ * @param {string} dir - Recording directory
+ * @param {Object} plan - Plan object from the config (id, name)
+ * @returns {Promise<Map<string, Object>>} - Saved responses by getRequestKey()
+ * @throws {Error} - If the plan wasn't recorded
+ */
+export async function loadPlanRecording(dir, plan) {
+  let saved;
+  try {
+    saved = JSON.parse(await readFile(join(dir, `${getRecordingName(plan)}.json`), 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`No recording of ${plan.name} in ${dir} (record it with --record first)`);
+    }
+    throw error;
+  }
+  return new Map(saved.responses.map(r => [getRequestKey(r.method, r.url), r]));
+}
+
+/**
+ * Write the manifest describing a recorded run
+ * @param {string} dir - Recording directory
+ * @param {Object} result - Result of scrapeAllPlans() for the recorded run
+ * @returns {Promise<void>}
+ */
+export async function writeRecordingManifest(dir, result) {
+  await mkdir(dir, { recursive: true });
+  const manifest = {
+    date: result.date,
+    timestamp: result.timestamp,
+    plans: result.plans.map(p => ({ id: p.id, name: p.name, url: p.url, success: p.success })),
+  };
+  await writeFile(join(dir, RECORDING_MANIFEST), JSON.stringify(manifest, null, 2) + '\n');
+}
+
+/**
+ * Read the manifest of a recorded run
+ * @param {string} dir - Recording directory
+ * @returns {Promise<Object>} - { date, timestamp, plans }
+ * @throws {Error} - If the directory holds no recording
+ */
+export async function readRecordingManifest(dir) {
+  try {
+    return JSON.parse(await readFile(join(dir, RECORDING_MANIFEST), 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`No recording in ${dir} (missing ${RECORDING_MANIFEST})`);
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,162 @@
+/**
+ * Scrape runner helpers: bounded concurrency, retries with exponential
+ * backoff, per-attempt timeouts and the timing report logged after a run.
+ */
+
+/**
+ * Default scrape settings, overridable with the `scraper` section of the config
+ */
+export const DEFAULT_SCRAPER_OPTIONS = {
+  // Plans scraped at once, each in its own browser context
+  concurrency: 2,
+  // Extra attempts after a failed or empty scrape
+  retries: 2,
+  // Wait before the first retry; doubles with every retry after it
+  retryDelayMs: 2000,
+  // Give up on one attempt at a plan after this long
+  planTimeoutMs: 90000,
+  // How long to wait for unit listings to appear on a loaded page
+  unitTimeoutMs: 15000,
+};
+
+/**
+ * Validate the scraper section of the config and push any problems found
+ * @param {Object} [scraper] - Overrides for DEFAULT_SCRAPER_OPTIONS
+ * @param {Array<string>} problems - List to push problems onto
+ */
+export function validateScraperOptions(scraper, problems) {
+  if (scraper === undefined) return;
+
+  if (scraper === null || typeof scraper !== 'object' || Array.isArray(scraper)) {
+    problems.push('scraper must be an object');
+    return;
+  }
+
+  if (scraper.concurrency !== undefined && (!Number.isInteger(scraper.concurrency) || scraper.concurrency < 1)) {
+    problems.push('scraper.concurrency must be a whole number of at least 1');
+  }
+
+  if (scraper.retries !== undefined && (!Number.isInteger(scraper.retries) || scraper.retries < 0)) {
+    problems.push('scraper.retries must be a whole number of at least 0');
+  }
+
+  for (const key of ['retryDelayMs', 'planTimeoutMs', 'unitTimeoutMs']) {
+    if (scraper[key] !== undefined && (!Number.isInteger(scraper[key]) || scraper[key] < 0)) {
+      problems.push(`scraper.${key} must be a whole number of milliseconds`);
+    }
+  }
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Get the wait before a retry: the base delay, doubled for every retry before it
+ * @param {number} retry - Retry number (1 for the first retry)
+ * @param {number} baseDelayMs - Wait before the first retry
+ * @returns {number}
+ */
+export function getBackoffDelay(retry, baseDelayMs) {
+  return baseDelayMs * 2 ** (retry - 1);
+}
+
+/**
+ * Reject if a promise doesn't settle in time
+ * @param {Promise} promise
+ * @param {number} ms - Time limit
+ * @param {string} message - Error message on timeout
+ * @returns {Promise}
+ */
+export function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run a task until it succeeds or runs out of retries, backing off between attempts
+ * @param {(attempt: number) => Promise<*>} task - Called with the attempt number (starting at 1)
+ * @param {Object} [options]
+ * @param {number} [options.retries] - Extra attempts after the first
+ * @param {number} [options.retryDelayMs] - Wait before the first retry
+ * @param {(result: *) => string|null} [options.shouldRetry] - Reason to retry a result that didn't throw, or null to keep it
+ * @param {(attempt: number, reason: string, delayMs: number) => void} [options.onRetry] - Called before each retry
+ * @returns {Promise<{ result: *, attempts: number }>}
+ * @throws {Error} - The last error, if the final attempt threw
+ */
+export async function withRetries(task, options = {}) {
+  const {
+    retries = DEFAULT_SCRAPER_OPTIONS.retries,
+    retryDelayMs = DEFAULT_SCRAPER_OPTIONS.retryDelayMs,
+    shouldRetry = () => null,
+    onRetry = () => {},
+  } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    let reason;
+    try {
+      const result = await task(attempt);
+      reason = shouldRetry(result);
+      if (!reason || attempt > retries) {
+        return { result, attempts: attempt };
+      }
+    } catch (error) {
+      if (attempt > retries) throw error;
+      reason = error.message;
+    }
+
+    const delayMs = getBackoffDelay(attempt, retryDelayMs);
+    onRetry(attempt, reason, delayMs);
+    await sleep(delayMs);
+  }
+}
+
+/**
+ * Map items through an async worker, running at most `limit` at once.
+ * Results keep the order of the items.
+ * @param {Array} items
+ * @param {number} limit - Most workers running at once
+ * @param {(item: *, worker: number) => Promise<*>} worker - Called with the item and the worker slot (0 to limit - 1)
+ * @returns {Promise<Array>}
+ */
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const slots = Array.from({ length: Math.min(limit, items.length) }, async (_, slot) => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], slot);
+    }
+  });
+
+  await Promise.all(slots);
+  return results;
+}
+
+/**
+ * Format the per-plan timing report logged after a scrape
+ * @param {Array<Object>} timings - { planName, success, units, attempts, durationMs }
+ * @param {number} totalMs - Wall-clock time of the whole scrape
+ * @returns {string}
+ */
+export function formatTimingReport(timings, totalMs) {
+  const width = Math.max(4, ...timings.map(t => t.planName.length));
+  const lines = timings.map((t) => {
+    const status = t.success ? '✓' : '✗';
+    const attempts = `${t.attempts} attempt${t.attempts !== 1 ? 's' : ''}`;
+    return `  ${status} ${t.planName.padEnd(width)}  ${(t.durationMs / 1000).toFixed(1).padStart(6)}s  ${attempts}, ${t.units} unit${t.units !== 1 ? 's' : ''}`;
+  });
+
+  const summed = timings.reduce((sum, t) => sum + t.durationMs, 0);
+  lines.push(`  Total: ${(totalMs / 1000).toFixed(1)}s (${(summed / 1000).toFixed(1)}s of plan time)`);
+  return ['⏱️  Scrape timings:', ...lines].join('\n');
+}
@@ -0,0 +1,149 @@
+import { comparePrices } from './index.js';
+import { attachUnitStats } from './timeline.js';
+
+/**
+ * Lookups over stored runs: find a run by date or timestamp, summarize
+ * runs, and rebuild the report comparing any two of them.
+ */
+
+/**
+ * A run asked for by date or timestamp isn't in history
+ */
+export class RunNotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RunNotFoundError';
+  }
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Relative run references and how far back they point: "last-week" and
+ * "last-month", or a count of days, weeks or months (e.g. "3d", "2w", "1m")
+ */
+const RELATIVE_PATTERN = /^(?:last-(week|month)|(\d+)([dwm]))$/;
+
+/**
+ * Step a timestamp back by whole calendar months, keeping the time of day
+ * and clamping to the end of shorter months (Mar 31 -> Feb 28)
+ * @param {number} time - Epoch milliseconds
+ * @param {number} months - Months to go back
+ * @returns {number}
+ */
+function subtractMonths(time, months) {
+  const date = new Date(time);
+  const day = date.getUTCDate();
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() - months);
+  const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  date.setUTCDate(Math.min(day, daysInMonth));
+  return date.getTime();
+}
+
+/**
+ * Get the time a relative reference points at
+ * @param {Array<string>} match - Match of RELATIVE_PATTERN
+ * @param {number} time - Epoch milliseconds of the run it is relative to
+ * @returns {number}
+ */
+function getRelativeTime(match, time) {
+  const [, named, count, unit] = match;
+  if (named === 'week') return time - 7 * DAY_MS;
+  if (named === 'month') return subtractMonths(time, 1);
+  if (unit === 'd') return time - Number(count) * DAY_MS;
+  if (unit === 'w') return time - Number(count) * 7 * DAY_MS;
+  return subtractMonths(time, Number(count));
+}
+
+/**
+ * Find a run in history
+ * @param {Array} history - Array of historical entries (oldest first)
+ * @param {string} ref - "latest", a date (YYYY-MM-DD, the last run that day), a run's exact
+ *   timestamp, or a time before the anchor run ("last-week", "last-month", "3d", "2w", "1m"),
+ *   which finds the run nearest that time - the same time of day last week, say
+ * @param {Object} [options]
+ * @param {number} [options.anchor] - Index of the run relative references count back from (defaults to the latest)
+ * @returns {number} - Index of the run in history
+ * @throws {RunNotFoundError} - If no run matches
+ */
+export function findRunIndex(history, ref, { anchor = history.length - 1 } = {}) {
+  if (history.length === 0) {
+    throw new RunNotFoundError('History is empty; run a scrape first');
+  }
+
+  const relative = ref.match(RELATIVE_PATTERN);
+  if (relative) {
+    const target = getRelativeTime(relative, Date.parse(history[anchor].timestamp));
+    if (target < Date.parse(history[0].timestamp) - DAY_MS) {
+      throw new RunNotFoundError(`No run ${ref} before ${history[anchor].date}; history starts ${history[0].date}`);
+    }
+
+    // The run nearest the target (the earlier one on a tie)
+    let nearest = 0;
+    for (let i = 1; i <= anchor; i++) {
+      if (Math.abs(Date.parse(history[i].timestamp) - target) < Math.abs(Date.parse(history[nearest].timestamp) - target)) {
+        nearest = i;
+      }
+    }
+    return nearest;
+  }
+
+  let index = -1;
+  if (ref === 'latest') {
+    index = history.length - 1;
+  } else if (DATE_PATTERN.test(ref)) {
+    index = history.findLastIndex(entry => entry.date === ref);
+  } else {
+    index = history.findIndex(entry => entry.timestamp === ref);
+  }
+
+  if (index === -1) {
+    throw new RunNotFoundError(`No run ${DATE_PATTERN.test(ref) ? 'on' : 'at'} ${ref} in history`);
+  }
+  return index;
+}
+
+/**
+ * Summarize a stored run without its units
+ * @param {Object} entry - Run from history
+ * @returns {Object} - { date, timestamp, lastConfirmedAt, plans, units, failedPlans }
+ */
+export function summarizeRun(entry) {
+  const plans = entry.plans || [];
+  return {
+    date: entry.date,
+    timestamp: entry.timestamp,
+    lastConfirmedAt: entry.lastConfirmedAt ?? null,
+    plans: plans.length,
+    units: plans.reduce((sum, plan) => sum + (plan.units || []).length, 0),
+    failedPlans: plans.filter(plan => plan.success === false).map(plan => plan.name),
+  };
+}
+
+/**
+ * Rebuild the report comparing two stored runs, with unit stats as of the later one.
+ * With `from`, the report is the change over the whole stretch between the runs
+ * and carries `since` ({ date, timestamp } of the earlier run) for the formatters
+ * to show; prices in between don't appear.
+ * @param {Array} history - Array of historical entries (oldest first)
+ * @param {Object} [refs]
+ * @param {string} [refs.to] - Run to report on (see findRunIndex; defaults to the latest)
+ * @param {string} [refs.from] - Run to compare against, relative references counting
+ *   back from `to` (defaults to the run before `to`)
+ * @returns {Object} - Report from comparePrices()
+ * @throws {RunNotFoundError} - If either run isn't in history
+ */
+export function buildRunReport(history, { from, to = 'latest' } = {}) {
+  const toIndex = findRunIndex(history, to);
+  const fromIndex = from ? findRunIndex(history, from, { anchor: toIndex }) : toIndex - 1;
+  const previous = fromIndex >= 0 ? history[fromIndex] : null;
+
+  const report = comparePrices(history[toIndex], previous);
+  if (from) {
+    report.since = { date: previous.date, timestamp: previous.timestamp };
+  }
+  return attachUnitStats(report, history.slice(0, toIndex + 1));
+}
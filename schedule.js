@@ -0,0 +1,389 @@
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { addDays, getZonedTime, zonedTimeToEpoch, formatTimestamp } from './dates.js';
+import { DIGEST_PERIODS } from './digest.js';
+import { getChannelLabel, getChannelRecipients, getRecipientKey } from './channels/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Run schedule and quiet hours, in the configured timezone.
+ *
+ * A single workflow triggers `node cli.js scheduled` every hour; the
+ * schedule decides whether that hour scrapes (and how the report is sent),
+ * sends a digest, or does nothing. Quiet hours hold notifications for a
+ * recipient until their quiet hours end, when the next trigger delivers them.
+ */
+
+/**
+ * Ways the daily report can be sent: every run, only runs with updates,
+ * or never (only alert rule emails go out)
+ */
+export const SEND_MODES = ['always', 'conditional', 'alerts'];
+
+/**
+ * Default schedule, overridable with the `schedule` section of the config
+ */
+export const DEFAULT_SCHEDULE = {
+  // Scrapes, and how each one sends the report
+  runs: [
+    { at: '00:00', send: 'conditional' },
+    { at: '04:00', send: 'conditional' },
+    { at: '08:00', send: 'always' },
+    { at: '12:00', send: 'conditional' },
+    { at: '16:00', send: 'conditional' },
+    { at: '20:00', send: 'conditional' },
+  ],
+  // Digests: a weekday for weekly ones, a day of the month for monthly ones
+  digests: [
+    { period: 'week', day: 'monday', at: '08:00' },
+    { period: 'month', day: 1, at: '08:00' },
+  ],
+  // { from, to } with no recipients for everyone, or with recipients (email addresses or channel names) for them
+  quietHours: [],
+  // A run or digest still goes ahead this long after its time, so a late or missed trigger is picked up by the next one
+  windowMinutes: 120,
+};
+
+/**
+ * Scheduler state: the last scheduled run and digests, and held notifications
+ */
+export const SCHEDULE_STATE_FILE = join(__dirname, 'data', 'schedule.json');
+
+const CLOCK_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Check if a value is a plain object
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate the `schedule` section of the config and push any problems found
+ * @param {*} schedule - `schedule` section of the config
+ * @param {Array<string>} problems - List to push problems onto
+ */
+export function validateSchedule(schedule, problems) {
+  if (schedule === undefined) return;
+
+  if (!isObject(schedule)) {
+    problems.push('schedule must be an object');
+    return;
+  }
+
+  if (schedule.runs !== undefined) {
+    if (!Array.isArray(schedule.runs)) {
+      problems.push('schedule.runs must be an array');
+    } else {
+      schedule.runs.forEach((run, i) => {
+        if (!isObject(run) || !CLOCK_PATTERN.test(run.at)) {
+          problems.push(`schedule.runs[${i}].at must be a time like "08:00"`);
+        } else if (run.send !== undefined && !SEND_MODES.includes(run.send)) {
+          problems.push(`schedule.runs[${i}].send must be one of: ${SEND_MODES.join(', ')}`);
+        }
+      });
+    }
+  }
+
+  if (schedule.digests !== undefined) {
+    if (!Array.isArray(schedule.digests)) {
+      problems.push('schedule.digests must be an array');
+    } else {
+      schedule.digests.forEach((digest, i) => {
+        const path = `schedule.digests[${i}]`;
+        if (!isObject(digest) || !DIGEST_PERIODS[digest.period]) {
+          problems.push(`${path}.period must be one of: ${Object.keys(DIGEST_PERIODS).join(', ')}`);
+          return;
+        }
+        if (!CLOCK_PATTERN.test(digest.at)) {
+          problems.push(`${path}.at must be a time like "08:00"`);
+        }
+        if (digest.period === 'week' && !WEEKDAYS.includes(digest.day)) {
+          problems.push(`${path}.day must be a weekday name like "monday"`);
+        }
+        if (digest.period === 'month' && (!Number.isInteger(digest.day) || digest.day < 1 || digest.day > 28)) {
+          problems.push(`${path}.day must be a day of the month from 1 to 28`);
+        }
+      });
+    }
+  }
+
+  if (schedule.quietHours !== undefined) {
+    if (!Array.isArray(schedule.quietHours)) {
+      problems.push('schedule.quietHours must be an array');
+    } else {
+      schedule.quietHours.forEach((quiet, i) => {
+        const path = `schedule.quietHours[${i}]`;
+        if (!isObject(quiet) || !CLOCK_PATTERN.test(quiet.from) || !CLOCK_PATTERN.test(quiet.to) || quiet.from === quiet.to) {
+          problems.push(`${path} must have different "from" and "to" times like "22:00" and "07:00"`);
+          return;
+        }
+        if (quiet.recipients !== undefined && (!Array.isArray(quiet.recipients) || quiet.recipients.length === 0
+          || !quiet.recipients.every(r => typeof r === 'string' && r.trim()))) {
+          problems.push(`${path}.recipients must be a non-empty array of email addresses or channel names`);
+        }
+      });
+
+      if (schedule.quietHours.filter(q => isObject(q) && q.recipients === undefined).length > 1) {
+        problems.push('schedule.quietHours can have only one entry without recipients');
+      }
+    }
+  }
+
+  if (schedule.windowMinutes !== undefined && (!Number.isInteger(schedule.windowMinutes) || schedule.windowMinutes < 1)) {
+    problems.push('schedule.windowMinutes must be a whole number of at least 1');
+  }
+}
+
+/**
+ * Get the schedule from a config, with defaults filled in
+ * @param {Object} config - Loaded config
+ * @returns {Object} - See DEFAULT_SCHEDULE
+ */
+export function getSchedule(config) {
+  return { ...DEFAULT_SCHEDULE, ...config.schedule };
+}
+
+/**
+ * Get the times a daily clock time fell on today and yesterday (local to the timezone)
+ * @param {string} at - HH:MM
+ * @param {number} now - Epoch milliseconds
+ * @param {string} timeZone
+ * @returns {Array<Object>} - { date, time } for each, with date the local YYYY-MM-DD
+ */
+function getRecentOccurrences(at, now, timeZone) {
+  const { date } = getZonedTime(now, timeZone);
+  return [addDays(date, -1), date].map(day => ({ date: day, time: zonedTimeToEpoch(day, at, timeZone) }));
+}
+
+/**
+ * Pick the latest occurrence that is due: already past, still inside the
+ * window, and after the last time this kind of work was done
+ * @param {Array<Object>} occurrences - { time, ... }
+ * @param {number} now - Epoch milliseconds
+ * @param {number} windowMinutes
+ * @param {string|null} lastDone - ISO time of the occurrence last done
+ * @returns {Object|null}
+ */
+function pickDue(occurrences, now, windowMinutes, lastDone) {
+  const due = occurrences
+    .filter(o => o.time <= now && now - o.time < windowMinutes * 60000)
+    .filter(o => !lastDone || o.time > Date.parse(lastDone))
+    .sort((a, b) => b.time - a.time);
+  return due[0] || null;
+}
+
+/**
+ * Find the scheduled run that is due now, if any
+ * @param {Object} schedule - From getSchedule()
+ * @param {Object} options
+ * @param {number} options.now - Epoch milliseconds
+ * @param {string} [options.timeZone] - Timezone the schedule's times are in (defaults to UTC)
+ * @param {string|null} [options.lastRun] - ISO time of the last scheduled run done (from the state file)
+ * @returns {Object|null} - { at, send, scheduledFor } (scheduledFor as ISO), or null
+ */
+export function findDueRun(schedule, { now, timeZone = 'UTC', lastRun = null }) {
+  const occurrences = schedule.runs.flatMap(run =>
+    getRecentOccurrences(run.at, now, timeZone).map(({ time }) => ({ ...run, time }))
+  );
+  const due = pickDue(occurrences, now, schedule.windowMinutes, lastRun);
+  return due && { at: due.at, send: due.send ?? 'conditional', scheduledFor: new Date(due.time).toISOString() };
+}
+
+/**
+ * Find the scheduled digests that are due now
+ * @param {Object} schedule - From getSchedule()
+ * @param {Object} options
+ * @param {number} options.now - Epoch milliseconds
+ * @param {string} [options.timeZone] - Timezone the schedule's times are in (defaults to UTC)
+ * @param {Object<string, string>} [options.lastDigests] - Period -> ISO time of the last one done
+ * @returns {Array<Object>} - { period, scheduledFor } for each due digest
+ */
+export function findDueDigests(schedule, { now, timeZone = 'UTC', lastDigests = {} }) {
+  return schedule.digests
+    .map((digest) => {
+      const occurrences = getRecentOccurrences(digest.at, now, timeZone).filter(({ date }) => (
+        digest.period === 'week'
+          ? WEEKDAYS[new Date(Date.parse(date)).getUTCDay()] === digest.day
+          : Number(date.slice(8)) === digest.day
+      ));
+      const due = pickDue(occurrences, now, schedule.windowMinutes, lastDigests[digest.period] ?? null);
+      return due && { period: digest.period, scheduledFor: new Date(due.time).toISOString() };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Get the quiet hours that apply to a recipient: their own entry, or the one for everyone
+ * @param {Array<Object>} quietHours - `schedule.quietHours`
+ * @param {string} recipient - Email address or channel name
+ * @returns {Object|null} - { from, to }, or null if they have none
+ */
+export function getQuietHours(quietHours, recipient) {
+  const own = quietHours.find(q => q.recipients?.some(r => r.toLowerCase() === recipient.toLowerCase()));
+  return own ?? quietHours.find(q => q.recipients === undefined) ?? null;
+}
+
+/**
+ * Get when quiet hours in progress end
+ * @param {Object|null} quiet - { from, to } (from after to spans midnight, e.g. 22:00-07:00)
+ * @param {number} now - Epoch milliseconds
+ * @param {string} [timeZone] - Timezone the times are in (defaults to UTC)
+ * @returns {number|null} - Epoch milliseconds quiet hours end, or null if it isn't quiet now
+ */
+export function getQuietEnd(quiet, now, timeZone = 'UTC') {
+  if (!quiet) return null;
+
+  const { date, time } = getZonedTime(now, timeZone);
+  const spansMidnight = quiet.from > quiet.to;
+  const isQuiet = spansMidnight ? time >= quiet.from || time < quiet.to : time >= quiet.from && time < quiet.to;
+  if (!isQuiet) return null;
+
+  // Before midnight in a window that spans it, quiet hours end tomorrow
+  const endDate = spansMidnight && time >= quiet.from ? addDays(date, 1) : date;
+  return zonedTimeToEpoch(endDate, quiet.to, timeZone);
+}
+
+/**
+ * Split channels into those that can be sent to now and those in quiet hours.
+ * Email channels are split by recipient, so one person's quiet hours don't
+ * hold everyone else's copy.
+ * @param {Array<Object>} channels - Channel entries
+ * @param {Array<Object>} quietHours - `schedule.quietHours`
+ * @param {Object} options
+ * @param {number} options.now - Epoch milliseconds
+ * @param {string} [options.timeZone] - Timezone the quiet hours are in
+ * @returns {Object} - { ready: [channel], held: [{ channel, releaseAt }] } (releaseAt as ISO)
+ */
+export function splitQuietChannels(channels, quietHours, { now, timeZone }) {
+  const ready = [];
+  const held = [];
+
+  for (const channel of channels.filter(c => c.enabled !== false)) {
+    const recipients = getChannelRecipients(channel);
+    const byRelease = new Map();
+    for (const recipient of recipients) {
+      const releaseAt = getQuietEnd(getQuietHours(quietHours, recipient), now, timeZone);
+      byRelease.set(releaseAt, [...(byRelease.get(releaseAt) || []), recipient]);
+    }
+
+    // Nobody in this channel is quiet (or it has no recipients to check): send as configured
+    if (byRelease.size === 0 || (byRelease.size === 1 && byRelease.has(null))) {
+      ready.push(channel);
+      continue;
+    }
+
+    for (const [releaseAt, group] of byRelease) {
+      const split = channel.type === 'email' ? { ...channel, recipients: group } : channel;
+      if (releaseAt === null) {
+        ready.push(split);
+      } else {
+        held.push({ channel: split, releaseAt: new Date(releaseAt).toISOString() });
+      }
+    }
+  }
+
+  return { ready, held };
+}
+
+/**
+ * Load the scheduler state
+ * @param {string} [file] - Path to the state file
+ * @returns {Promise<Object>} - { lastRun, lastDigests, held }
+ */
+export async function loadScheduleState(file = SCHEDULE_STATE_FILE) {
+  const state = existsSync(file) ? JSON.parse(await readFile(file, 'utf-8')) : {};
+  return { lastRun: null, lastDigests: {}, held: [], ...state };
+}
+
+/**
+ * Save the scheduler state
+ * @param {Object} state - { lastRun, lastDigests, held }
+ * @param {string} [file] - Path to the state file
+ */
+export async function saveScheduleState(state, file = SCHEDULE_STATE_FILE) {
+  await mkdir(dirname(file), { recursive: true });
+  await writeFile(file, JSON.stringify(state, null, 2) + '\n');
+}
+
+/**
+ * Get what a held notification keeps of its channel: the type and configured
+ * name, which are looked up in the config again when it is released. Alert
+ * emails are named after their recipient, so email channels keep a name only
+ * if it isn't an address.
+ * @param {Object} channel - Channel entry
+ * @returns {Object} - { type, name? }
+ */
+function getHeldChannel(channel) {
+  const name = getChannelLabel(channel);
+  return name !== channel.type && getRecipientKey(name) === name ? { type: channel.type, name } : { type: channel.type };
+}
+
+/**
+ * Drop alert rule recipients from a notification before it is kept in the state file
+ * @param {Object} message - Notification from notifier.js
+ * @returns {Object}
+ */
+function withoutRecipients(message) {
+  if (!message.alerts) return message;
+  return { ...message, alerts: message.alerts.map(({ rule, ...alert }) => ({ ...alert, rule: { ...rule, recipients: undefined } })) };
+}
+
+/**
+ * Hold a notification for channels in quiet hours. The state file is
+ * committed, so it keeps only each channel's type and name and hashed
+ * recipients (see getRecipientKey()); sendHeldMessages() in notifier.js
+ * finds the channel and addresses in the config again.
+ * @param {Object} message - Notification from notifier.js
+ * @param {Array<Object>} held - { channel, releaseAt } from splitQuietChannels()
+ * @param {Object} [options]
+ * @param {string} [options.file] - Path to the state file
+ * @param {number} [options.now] - Epoch milliseconds
+ * @param {string} [options.timeZone] - Timezone to log release times in
+ * @param {boolean} [options.ledger] - Whether it's pending in the notification ledger, to be
+ *   settled when it is released (see recordHeldDelivery() in ledger.js)
+ * @param {Function} [options.log] - Where progress messages go (default: console.log)
+ */
+export async function holdMessage(message, held, { file = SCHEDULE_STATE_FILE, now = Date.now(), timeZone, ledger = false, log = console.log } = {}) {
+  const state = await loadScheduleState(file);
+  const heldAt = new Date(now).toISOString();
+  state.held.push(...held.map(({ channel, releaseAt }) => ({
+    heldAt,
+    releaseAt,
+    channel: getHeldChannel(channel),
+    recipients: getChannelRecipients(channel).map(getRecipientKey),
+    message: withoutRecipients(message),
+    ...(ledger ? { ledger: true } : {}),
+  })));
+  await saveScheduleState(state, file);
+
+  for (const { channel, releaseAt } of held) {
+    log(`🌙 Holding "${message.subject}" for ${getChannelRecipients(channel).join(', ')} until ${formatTimestamp(releaseAt, timeZone)} (quiet hours)`);
+  }
+}
+
+/**
+ * Find everything the schedule says is due now
+ * @param {Object} schedule - From getSchedule()
+ * @param {Object} state - From loadScheduleState()
+ * @param {Object} options
+ * @param {number} options.now - Epoch milliseconds
+ * @param {string} [options.timeZone] - Timezone the schedule's times are in (defaults to UTC)
+ * @returns {Object} - { run, digests, held }: the due run (or null), the due digests, and the
+ *   held notifications whose quiet hours are over
+ */
+export function findDueWork(schedule, state, { now, timeZone = 'UTC' }) {
+  return {
+    run: findDueRun(schedule, { now, timeZone, lastRun: state.lastRun }),
+    digests: findDueDigests(schedule, { now, timeZone, lastDigests: state.lastDigests }),
+    held: state.held.filter(h => Date.parse(h.releaseAt) <= now),
+  };
+}
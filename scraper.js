@@ -1,241 +1,192 @@
 import { chromium } from 'playwright';
+import { loadConfig, getEnabledPlans } from './config.js';
+import { getAdapter } from './adapters/index.js';
+import { normalizeAvailability, today } from './dates.js';
+import { applyConcessions } from './concessions.js';
+import { applyUnitAttributes, parsePlanDetails } from './attributes.js';
+import { getDefaultPlanId } from './identity.js';
+import {
+  DEFAULT_SCRAPER_OPTIONS, withRetries, withTimeout, mapWithConcurrency, formatTimingReport,
+} from './runner.js';
+import {
+  recordResponses, replayResponses, savePlanRecording, loadPlanRecording, writeRecordingManifest, readRecordingManifest,
+} from './recorder.js';
 
-/**
- * Floor plans to track with their URLs
- */
-const FLOOR_PLANS = [
-  {
-    name: 'Plan B',
-    url: 'https://citylineflats.com/apartments/?spaces_tab=plan-detail&detail=162036',
-  },
-  {
-    name: 'Plan C + Den',
-    url: 'https://citylineflats.com/apartments/?spaces_tab=plan-detail&detail=162039',
-  },
-  {
-    name: 'Plan D',
-    url: 'https://citylineflats.com/apartments/?spaces_tab=plan-detail&detail=162038',
-  },
-];
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
 
 /**
- * Extract price from text (handles formats like "$1,234", "$1234", "Starting at $1,234")
- * @param {string} text - Text containing a price
- * @returns {number|null} - Price as number or null if not found
- */
-function extractPrice(text) {
-  if (!text) return null;
-  const match = text.match(/\$[\d,]+/);
-  if (match) {
-    return parseInt(match[0].replace(/[$,]/g, ''), 10);
-  }
-  return null;
-}
-
-/**
- * Extract individual units from the page
+ * Extract individual units from the page using the plan's site adapter
  * @param {import('playwright').Page} page - Playwright page instance
- * @returns {Array} - Array of unit objects
+ * @param {Object} [plan] - Plan from the config (adapter, selectors, options)
+ * @param {Object} [options]
+ * @param {string} [options.referenceDate] - Scrape date (YYYY-MM-DD) used to infer move-in years
+ * @param {string|null} [options.planConcession] - Plan-wide special, if already read from the page
+ * @param {Object} [options.planDetails] - Plan { beds, baths, sqft }, if already read from the page
+ * @param {number} [options.unitTimeout] - How long to wait for unit listings to appear (ms)
+ * @param {Function} [options.log] - Where progress messages go (default: console.log)
+ * @returns {Promise<Array>} - Array of unit objects
  */
-async function extractUnits(page) {
-  const units = [];
+export async function extractUnits(page, plan = {}, options = {}) {
+  const log = options.log ?? console.log;
+  const adapter = getAdapter(plan.adapter);
+  const referenceDate = options.referenceDate || today();
+  const adapterPlan = { options: {}, selectors: {}, ...plan };
   
   try {
-    // Wait for unit listings to load
-    await page.waitForTimeout(2000);
+    // Wait for unit listings to load; extract whatever is there if they never show
+    const unitTimeout = options.unitTimeout ?? DEFAULT_SCRAPER_OPTIONS.unitTimeoutMs;
+    if (!await adapter.waitForUnits(page, adapterPlan, { timeout: unitTimeout })) {
+      log(`  No unit listings after ${unitTimeout / 1000}s, reading the page as it is`);
+    }
     
-    // Look for article elements with data-spaces-unit attribute (specific to this website)
-    const unitArticles = await page.$$('article[data-spaces-unit]');
+    const units = await adapter.extractUnits(page, adapterPlan, { log });
+    const planConcession = options.planConcession !== undefined
+      ? options.planConcession
+      : await adapter.detectConcession(page, adapterPlan);
+    const planDetails = options.planDetails || parsePlanDetails(await adapter.detectPlanDetails(page, adapterPlan));
     
-    console.log(`  Found ${unitArticles.length} unit articles`);
+    // Store a real ISO move-in date alongside the display text
+    const datedUnits = units.map(unit => ({
+      ...unit,
+      availableFrom: unit.availableFrom || normalizeAvailability(unit.availability, referenceDate).availableFrom,
+    }));
     
-    if (unitArticles.length > 0) {
-      // Use the structured data from article elements
-      for (const article of unitArticles) {
-        try {
-          // Get unit number from data attribute
-          const unitNumber = await article.getAttribute('data-spaces-unit');
-          if (!unitNumber) continue;
-          
-          // Get price from the .spaces-unit-price element
-          const priceElement = await article.$('.spaces-unit-price');
-          if (!priceElement) continue;
-          
-          const priceText = await priceElement.textContent();
-          const price = parseInt(priceText.replace(/[$,]/g, ''), 10);
-          
-          if (price < 1000 || price > 20000) continue;
-          
-          // Get availability date - prioritize the actual text display
-          let availability = 'Unknown';
-          
-          // First: check the availability text element (most accurate for "Available Now")
-          const availElement = await article.$('[data-spaces-control="unit-default-available-date"]');
-          if (availElement) {
-            const availText = await availElement.textContent();
-            
-            // Check if it says "Now" anywhere
-            if (/now/i.test(availText)) {
-              availability = 'Available Now';
-            } else {
-              // Extract the date part (e.g., "Avail.\n Feb 20" -> "Feb 20")
-              const dateMatch = availText.match(/([A-Z][a-z]+\s+\d{1,2})/);
-              if (dateMatch) {
-                availability = dateMatch[1];
-              }
-            }
-          }
-          
-          // Fallback: if still unknown, try data-spaces-soonest attribute
-          if (availability === 'Unknown') {
-            const soonestDate = await article.getAttribute('data-spaces-soonest');
-            if (soonestDate) {
-              // Format: "2026-02-20" -> "Feb 20"
-              const date = new Date(soonestDate);
-              const month = date.toLocaleDateString('en-US', { month: 'short' });
-              const day = date.getDate();
-              availability = `${month} ${day}`;
-            }
-          }
-          
-          // Extract floor from unit number
-          const floorFromUnit = unitNumber.match(/^(\d)/);
-          const floor = floorFromUnit ? floorFromUnit[1] : null;
-          
-          units.push({
-            unitNumber,
-            floor,
-            price,
-            priceFormatted: `$${price.toLocaleString()}`,
-            availability,
-          });
-          
-          console.log(`    ✓ Unit ${unitNumber}: $${price} - ${availability}`);
-          
-        } catch (error) {
-          console.log(`    ✗ Error processing unit: ${error.message}`);
-          continue;
-        }
-      }
-    }
+    // Size and bed/bath count from the plan page, unless the unit card has its own
+    const detailedUnits = applyUnitAttributes(datedUnits, planDetails);
     
-    // Fallback: if no articles found, try text-based extraction
-    if (units.length === 0) {
-      console.log('  No article elements found, trying text-based extraction...');
-      
-      const bodyText = await page.textContent('body');
-      const unitPattern = /Unit\s+(\d{3}-\d{3}|\d{3,4}[A-Z]?)([\s\S]{0,500}?)\$(\d{1,2},?\d{3})\s*\/\s*mo/gi;
-      let match;
-      
-      while ((match = unitPattern.exec(bodyText)) !== null) {
-        const unitNumber = match[1];
-        const contextText = match[2];
-        const priceStr = match[3];
-        const price = parseInt(priceStr.replace(/,/g, ''), 10);
-        
-        if (price >= 1000 && price <= 20000) {
-          if (!units.find(u => u.unitNumber === unitNumber)) {
-            const floorFromUnit = unitNumber.match(/^(\d)/);
-            
-            let availability = 'Call for Details';
-            if (/Avail\.\s*Now|Available\s*Now/i.test(contextText)) {
-              availability = 'Available Now';
-            } else {
-              const datePatterns = [
-                /Avail\.\s*([A-Z][a-z]+\s+\d{1,2})/i,
-                /Avail\.\s*(\d{1,2}[\/\-]\d{1,2})/i,
-              ];
-              
-              for (const pattern of datePatterns) {
-                const dateMatch = contextText.match(pattern);
-                if (dateMatch) {
-                  availability = dateMatch[1];
-                  break;
-                }
-              }
-            }
-            
-            units.push({
-              unitNumber,
-              floor: floorFromUnit ? floorFromUnit[1] : null,
-              price,
-              priceFormatted: `$${price.toLocaleString()}`,
-              availability,
-            });
-            
-            console.log(`    ✓ Unit ${unitNumber}: $${price} - ${availability}`);
-          }
-        }
+    // Specials like "6 weeks free" are stored with the effective rent they work out to
+    return applyConcessions(detailedUnits, { planConcession, leaseMonths: adapterPlan.options.leaseMonths });
+  } catch (error) {
+    log('  Error extracting units:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Open each unit's lease term pricing and store it as a term-to-price matrix
+ * @param {import('playwright').Page} page - Playwright page instance
+ * @param {Array} units - Units from extractUnits()
+ * @param {Object} [plan] - Plan from the config (adapter, selectors, options)
+ * @param {Object} [options]
+ * @param {Function} [options.log] - Where progress messages go (default: console.log)
+ * @returns {Promise<Array>} - Units, with leaseTerms ([{ months, price }]) where the page has them,
+ *   or leaseTermsError where it has them but they couldn't be read
+ */
+export async function extractLeaseTerms(page, units, plan = {}, { log = console.log } = {}) {
+  const adapter = getAdapter(plan.adapter);
+  const adapterPlan = { options: {}, selectors: {}, ...plan };
+  const results = [];
+  
+  for (const unit of units) {
+    try {
+      const leaseTerms = await adapter.extractLeaseTerms(page, unit, adapterPlan);
+      if (leaseTerms.length > 0) {
+        log(`    ✓ Unit ${unit.unitNumber} lease terms: ${leaseTerms.map(t => `${t.months} mo $${t.price}`).join(', ')}`);
+        results.push({ ...unit, leaseTerms });
+        continue;
       }
+    } catch (error) {
+      log(`    ✗ Could not read lease terms for unit ${unit.unitNumber}: ${error.message}`);
+      results.push({ ...unit, leaseTermsError: error.message });
+      continue;
     }
-    
-  } catch (error) {
-    console.log('  Error extracting units:', error.message);
+    results.push(unit);
   }
   
-  return units;
+  return results;
+}
+
+/**
+ * Build the record stored for a plan that couldn't be scraped
+ * @param {Object} plan - Plan object from the config
+ * @param {Error} error - Why the scrape failed
+ * @returns {Object}
+ */
+function buildFailedPlan(plan, error) {
+  return {
+    id: plan.id ?? getDefaultPlanId(plan),
+    name: plan.name,
+    url: plan.url,
+    propertyId: plan.propertyId,
+    propertyName: plan.propertyName,
+    units: [],
+    totalUnits: 0,
+    priceRange: null,
+    scrapedAt: new Date().toISOString(),
+    success: false,
+    error: error.message,
+  };
 }
 
 /**
  * Scrape a single floor plan page for price and availability
  * @param {import('playwright').Page} page - Playwright page instance
- * @param {Object} plan - Plan object with name and url
+ * @param {Object} plan - Plan object from the config (name, url, options, property info)
+ * @param {Object} [options]
+ * @param {number} [options.unitTimeout] - How long to wait for unit listings to appear (ms)
+ * @param {string} [options.referenceDate] - Scrape date (YYYY-MM-DD) used to infer move-in years
+ * @param {Function} [options.log] - Where progress messages go (default: console.log)
  * @returns {Object} - Scraped data for the plan
  */
-async function scrapePlan(page, plan) {
-  console.log(`Scraping ${plan.name}...`);
+export async function scrapePlan(page, plan, options = {}) {
+  const log = options.log ?? console.log;
+  log(`Scraping ${plan.name}...`);
   
   try {
     // Use 'domcontentloaded' instead of 'networkidle' for better reliability
     await page.goto(plan.url, { waitUntil: 'domcontentloaded', timeout: 60000 });
     
-    // Wait for the page to fully render
-    await page.waitForTimeout(3000);
+    // A special shown for the whole plan applies to every unit without its own
+    let concession = null;
+    try {
+      concession = await getAdapter(plan.adapter).detectConcession(page, plan);
+    } catch {
+      // No plan-wide special
+    }
     
-    let planName = plan.name;
-    let units = [];
+    // Bed/bath count and size from the plan's summary line
+    let planDetails = parsePlanDetails(null);
+    try {
+      planDetails = parsePlanDetails(await getAdapter(plan.adapter).detectPlanDetails(page, plan));
+    } catch {
+      // No summary line
+    }
     
-    // Extract individual units from the page
-    units = await extractUnits(page);
+    // Extract individual units from the page, then their lease term pricing
+    const units = await extractLeaseTerms(
+      page,
+      await extractUnits(page, plan, {
+        planConcession: concession, planDetails, unitTimeout: options.unitTimeout, referenceDate: options.referenceDate, log,
+      }),
+      plan,
+      { log }
+    );
     
-    console.log(`  Found ${units.length} units for ${plan.name}`);
+    log(`  Found ${units.length} units for ${plan.name}`);
     
     // Try to get the actual plan name from the page
-    const nameSelectors = [
-      '.plan-name',
-      '.floor-plan-name',
-      '.unit-name',
-      'h1',
-      'h2',
-      '.spaces-detail-name',
-    ];
-    
-    for (const selector of nameSelectors) {
-      try {
-        const element = await page.$(selector);
-        if (element) {
-          const text = await element.textContent();
-          if (text && text.trim() && text.trim().length < 50) {
-            // Only use if it looks like a plan name
-            if (/plan|bed|studio|den/i.test(text)) {
-              planName = text.trim();
-              break;
-            }
-          }
-        }
-      } catch {
-        // Selector not found, continue
-      }
+    let planName = plan.name;
+    try {
+      planName = await getAdapter(plan.adapter).detectPlanName(page, plan) || plan.name;
+    } catch {
+      // Keep the configured name
     }
     
     // Log a warning if no units found
     if (units.length === 0) {
-      console.log(`  ⚠️  No units found for ${plan.name}. The page may have loaded incorrectly.`);
+      log(`  ⚠️  No units found for ${plan.name}. The page may have loaded incorrectly.`);
     }
     
     return {
+      id: plan.id ?? getDefaultPlanId(plan),
       name: planName,
       url: plan.url,
+      propertyId: plan.propertyId,
+      propertyName: plan.propertyName,
+      ...(concession ? { concession } : {}),
+      beds: planDetails.beds,
+      baths: planDetails.baths,
+      sqft: planDetails.sqft,
       units,
       totalUnits: units.length,
       priceRange: units.length > 0 ? {
@@ -247,67 +198,160 @@ async function scrapePlan(page, plan) {
     };
   } catch (error) {
     console.error(`Error scraping ${plan.name}:`, error.message);
-    return {
-      name: plan.name,
-      url: plan.url,
-      units: [],
-      totalUnits: 0,
-      priceRange: null,
-      scrapedAt: new Date().toISOString(),
-      success: false,
-      error: error.message,
-    };
+    return buildFailedPlan(plan, error);
   }
 }
 
 /**
- * Scrape all floor plans and return the results
+ * Scrape a plan in a fresh page, retrying with exponential backoff when the
+ * page fails to load, shows no units, or takes longer than the plan timeout
+ * @param {import('playwright').BrowserContext} context - Browser context to open pages in
+ * @param {Object} plan - Plan object from the config
+ * @param {Object} [options] - Scraper options (see DEFAULT_SCRAPER_OPTIONS), plus:
+ * @param {string} [options.record] - Directory to save the plan's responses and rendered HTML to
+ * @param {string} [options.replay] - Directory of a recording to serve the plan from, with no network
+ * @param {string} [options.referenceDate] - Scrape date (YYYY-MM-DD) used to infer move-in years
+ * @param {Function} [options.log] - Where progress messages go (default: console.log)
+ * @returns {Promise<Object>} - { result, timing }: the plan data from the last attempt,
+ *   and { planName, success, units, attempts, durationMs } for the timing report
+ */
+export async function scrapePlanWithRetries(context, plan, options = {}) {
+  const { retries, retryDelayMs, planTimeoutMs, unitTimeoutMs, log = console.log } = { ...DEFAULT_SCRAPER_OPTIONS, ...options };
+  const startedAt = Date.now();
+  
+  const { result, attempts } = await withRetries(async () => {
+    const page = await context.newPage();
+    try {
+      const responses = options.replay ? await loadPlanRecording(options.replay, plan) : new Map();
+      if (options.replay) await replayResponses(page, responses);
+      if (options.record) await recordResponses(page, responses);
+      
+      const data = await withTimeout(
+        scrapePlan(page, plan, { unitTimeout: unitTimeoutMs, referenceDate: options.referenceDate, log }),
+        planTimeoutMs,
+        `Timed out after ${planTimeoutMs / 1000}s`
+      );
+      
+      if (options.record && data.success) {
+        await savePlanRecording(options.record, plan, { responses, html: await page.content() });
+      }
+      return data;
+    } catch (error) {
+      console.error(`Error scraping ${plan.name}:`, error.message);
+      return buildFailedPlan(plan, error);
+    } finally {
+      // Closing the page also stops an attempt that timed out
+      await page.close().catch(() => {});
+    }
+  }, {
+    retries,
+    retryDelayMs,
+    shouldRetry: (data) => {
+      if (!data.success) return data.error;
+      return data.totalUnits === 0 ? 'no units found' : null;
+    },
+    onRetry: (attempt, reason, delayMs) => {
+      log(`  ↻ Retrying ${plan.name} in ${delayMs / 1000}s (attempt ${attempt + 1} of ${retries + 1}): ${reason}`);
+    },
+  });
+  
+  return {
+    result,
+    timing: {
+      planName: plan.name,
+      success: result.success,
+      units: result.totalUnits,
+      attempts,
+      durationMs: Date.now() - startedAt,
+    },
+  };
+}
+
+/**
+ * Scrape all floor plans listed in the config and return the results.
+ * Plans are scraped a few at a time (scraper.concurrency in the config),
+ * each worker in its own browser context, and results keep the config order.
+ * With `record`, each plan's responses and rendered HTML are saved to a
+ * directory; with `replay`, a saved recording is scraped again with no
+ * network, dated as the recorded run, so it gives the same result every time.
+ * @param {Object} [options]
+ * @param {Object} [options.config] - Already loaded config (skips reading the config file)
+ * @param {string} [options.configPath] - Path to the config file
+ * @param {string} [options.record] - Directory to record the run to
+ * @param {string} [options.replay] - Directory of a recorded run to replay
+ * @param {Function} [options.log] - Where progress messages go (default: console.log)
  * @returns {Promise<Object>} - Object containing date and array of plan data
  */
-export async function scrapeAllPlans() {
-  console.log('Starting scraper...');
+export async function scrapeAllPlans(options = {}) {
+  const log = options.log ?? console.log;
+  log('Starting scraper...');
+  
+  const config = options.config || await loadConfig(options.configPath);
+  const plans = getEnabledPlans(config);
+  
+  log(`Tracking ${plans.length} plan${plans.length !== 1 ? 's' : ''} from config`);
+  
+  if (options.record && options.replay) {
+    throw new Error('Choose either record or replay, not both');
+  }
+  
+  const recording = options.replay ? await readRecordingManifest(options.replay) : null;
+  if (recording) {
+    log(`Replaying the run recorded ${recording.timestamp} from ${options.replay}`);
+  } else if (options.record) {
+    log(`Recording to ${options.record}`);
+  }
   
   const browser = await chromium.launch({
     headless: true,
   });
   
-  const context = await browser.newContext({
-    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-  });
-  
-  const page = await context.newPage();
-  const results = [];
+  const scraperOptions = {
+    ...DEFAULT_SCRAPER_OPTIONS,
+    ...config.scraper,
+    record: options.record,
+    replay: options.replay,
+    referenceDate: recording?.date,
+    log,
+    // A replayed page gives the same answer every time, so retrying only adds backoff
+    ...(recording ? { retries: 0 } : {}),
+  };
+  const startedAt = Date.now();
+  let scraped;
   
   try {
-    for (const plan of FLOOR_PLANS) {
-      const data = await scrapePlan(page, plan);
-      results.push(data);
-    }
+    // One context per worker, so plans scraped side by side don't share cookies or storage
+    const contexts = await Promise.all(
+      Array.from({ length: Math.min(scraperOptions.concurrency, plans.length) }, () => browser.newContext({ userAgent: USER_AGENT }))
+    );
+    
+    scraped = await mapWithConcurrency(plans, scraperOptions.concurrency, (plan, worker) => (
+      scrapePlanWithRetries(contexts[worker], plan, scraperOptions)
+    ));
   } finally {
     await browser.close();
   }
   
+  const results = scraped.map(s => s.result);
+  log(formatTimingReport(scraped.map(s => s.timing), Date.now() - startedAt));
+  
   const scraperResult = {
-    date: new Date().toISOString().split('T')[0],
-    timestamp: new Date().toISOString(),
+    date: recording?.date ?? new Date().toISOString().split('T')[0],
+    timestamp: recording?.timestamp ?? new Date().toISOString(),
     plans: results,
   };
   
-  console.log('Scraping complete!');
-  console.log(JSON.stringify(scraperResult, null, 2));
+  if (options.record) {
+    await writeRecordingManifest(options.record, scraperResult);
+    log(`Recorded ${results.filter(p => p.success).length} of ${results.length} plans to ${options.record}`);
+  }
+  
+  log('Scraping complete!');
   
   return scraperResult;
 }
 
-// Allow running directly for testing
+// Allow running directly: `node scraper.js [--record <dir> | --replay <dir>]` is `node cli.js scrape`
 if (process.argv[1] && process.argv[1].endsWith('scraper.js')) {
-  scrapeAllPlans()
-    .then((result) => {
-      console.log('\nFinal Result:');
-      console.log(JSON.stringify(result, null, 2));
-    })
-    .catch((error) => {
-      console.error('Scraper failed:', error);
-      process.exit(1);
-    });
+  import('./cli.js').then(({ runCli }) => runCli(['scrape', ...process.argv.slice(2)]));
 }
@@ -0,0 +1,315 @@
+import { createServer } from 'http';
+import { loadHistory } from './store.js';
+import { buildUnitTimelines, getUnitStats } from './timeline.js';
+import { getDefaultPlanId, getUnitId, getUnitKey } from './identity.js';
+import { findRunIndex, summarizeRun, buildRunReport, RunNotFoundError } from './runs.js';
+import { generateEmailHtml, generateEmailText } from './notifier.js';
+import { filterReport, matchesAttributeFilters, parseAttributeFilters, validateAttributeFilters } from './attributes.js';
+
+/**
+ * Local HTTP API over the history store, so other tools can read the
+ * tracker's data without parsing the store themselves. Every request reads
+ * the store again, so the answers include runs saved since the server started.
+ *
+ *   GET /plans                   Every plan, as last seen
+ *   GET /plans/:id/units         A plan's units as last seen, with lifetime stats
+ *   GET /units/:id/history       A unit's timeline (?property= when the ID is in several properties)
+ *   GET /runs                    Summary of every run, oldest first (?limit= for the newest N)
+ *   GET /runs/:run               One stored run
+ *   GET /runs/:run/email         The report email for a run (?format=text for plain text)
+ *   GET /report/latest           The newest run compared with the one before it
+ *   GET /report?from=&to=        Any two runs compared (`to` defaults to the latest run)
+ *
+ * A run is "latest", a date (the last run that day) or a run's timestamp; `from`
+ * also takes a time before `to` ("last-week", "last-month", "3d", "2w", "1m").
+ *
+ * Plan units, emails and reports only include the units matching the unit
+ * filters (see matchesAttributeFilters()): `report.filters` from the config,
+ * with any given in the query string in place of the same ones
+ * (?building=320&beds=1,2&minFloor=5&minSqft=700&maxPricePerSqft=7&feature=balcony).
+ */
+
+export const DEFAULT_PORT = 8787;
+
+/**
+ * Query parameters for the unit filters, by filter name
+ */
+const FILTER_PARAMS = {
+  buildings: 'building',
+  beds: 'beds',
+  minFloor: 'minFloor',
+  minSqft: 'minSqft',
+  maxPricePerSqft: 'maxPricePerSqft',
+  features: 'feature',
+};
+
+/**
+ * Error answered with an HTTP status and a JSON { error } body
+ */
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * Get the ID a plan is served under: its stored ID, or the one it would get
+ * from the config for runs saved before plans had IDs
+ * @param {Object} plan - Plan from a history entry
+ * @returns {string}
+ */
+function getServedPlanId(plan) {
+  return plan.id ?? getDefaultPlanId(plan);
+}
+
+/**
+ * Find each plan's latest appearance in history
+ * @param {Array} history - Array of historical entries (oldest first)
+ * @returns {Map<string, Object>} - Plan ID -> { plan, entry }, in the order plans were last listed
+ */
+function getLatestPlans(history) {
+  const latest = new Map();
+  for (let i = history.length - 1; i >= 0; i--) {
+    for (const plan of history[i].plans || []) {
+      const id = getServedPlanId(plan);
+      if (!latest.has(id)) latest.set(id, { plan, entry: history[i] });
+    }
+  }
+  return latest;
+}
+
+/**
+ * `GET /plans`
+ * @param {Array} history
+ * @returns {Array<Object>}
+ */
+function listPlans(history) {
+  return [...getLatestPlans(history)].map(([id, { plan, entry }]) => ({
+    id,
+    name: plan.name,
+    url: plan.url,
+    propertyId: plan.propertyId ?? null,
+    propertyName: plan.propertyName ?? null,
+    beds: plan.beds ?? null,
+    baths: plan.baths ?? null,
+    sqft: plan.sqft ?? null,
+    totalUnits: plan.totalUnits ?? (plan.units || []).length,
+    priceRange: plan.priceRange ?? null,
+    lastSeen: entry.date,
+    lastSeenAt: entry.timestamp,
+    success: plan.success !== false,
+  }));
+}
+
+/**
+ * `GET /plans/:id/units`
+ * @param {Array} history
+ * @param {string} id - Plan ID
+ * @param {Object} filters - Unit filters, from getFilters()
+ * @returns {Object} - { id, name, lastSeen, lastSeenAt, units }
+ */
+function listPlanUnits(history, id, filters) {
+  const found = getLatestPlans(history).get(id);
+  if (!found) {
+    throw new HttpError(404, `No plan "${id}" in history`);
+  }
+
+  const { plan, entry } = found;
+  const timelines = buildUnitTimelines(history);
+  return {
+    id,
+    name: plan.name,
+    lastSeen: entry.date,
+    lastSeenAt: entry.timestamp,
+    units: (plan.units || []).filter(unit => matchesAttributeFilters(unit, filters)).map((unit) => {
+      const timeline = timelines.get(getUnitKey(plan, unit));
+      return { ...unit, id: getUnitId(unit), stats: timeline ? getUnitStats(timeline) : null };
+    }),
+  };
+}
+
+/**
+ * `GET /units/:id/history`
+ * @param {Array} history
+ * @param {string} id - Unit ID (e.g. "320-504")
+ * @param {string|null} property - Property ID, needed when the unit ID is in several properties
+ * @returns {Object} - Timeline from buildUnitTimelines()
+ */
+function getUnitHistory(history, id, property) {
+  const unitId = getUnitId({ unitNumber: id });
+  const matches = [...buildUnitTimelines(history).values()].filter((timeline) => {
+    const [propertyId, timelineUnitId] = timeline.key.split('::');
+    return timelineUnitId === unitId && (property === null || propertyId === property);
+  });
+
+  if (matches.length === 0) {
+    throw new HttpError(404, `No unit "${id}" in history`);
+  }
+  if (matches.length > 1) {
+    throw new HttpError(400, `Unit "${id}" is in more than one property; add ?property=<id>`);
+  }
+  return { id: unitId, ...matches[0] };
+}
+
+/**
+ * Parse a positive whole number from the query string
+ * @param {string|null} value
+ * @param {string} name - Parameter name (for the error)
+ * @returns {number|null}
+ */
+function parseLimit(value, name) {
+  if (value === null) return null;
+  if (!/^\d+$/.test(value) || Number(value) === 0) {
+    throw new HttpError(400, `${name} must be a positive whole number`);
+  }
+  return Number(value);
+}
+
+/**
+ * Get the unit filters for a request: the server's, with any in the query string in their place
+ * @param {URLSearchParams} query
+ * @param {Object} [defaults] - `report.filters` from the config
+ * @returns {Object}
+ * @throws {HttpError} - 400 for a filter that isn't valid
+ */
+function getFilters(query, defaults) {
+  const filters = parseAttributeFilters(Object.fromEntries(Object.entries(FILTER_PARAMS)
+    .map(([key, param]) => [key, query.has(param) ? query.getAll(param) : undefined])));
+
+  const problems = [];
+  validateAttributeFilters(filters, 'filter', problems);
+  if (problems.length > 0) {
+    throw new HttpError(400, problems[0].replace(/^filter\.(\w+)/, (_, key) => FILTER_PARAMS[key]));
+  }
+  return { ...defaults, ...filters };
+}
+
+/**
+ * Decode a path parameter
+ * @param {string} value - Percent-encoded path segment
+ * @returns {string}
+ * @throws {HttpError} - 400 for a malformed escape (e.g. "%E0%A4%A")
+ */
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    throw new HttpError(400, `Malformed path parameter "${value}"`);
+  }
+}
+
+/**
+ * Routes as [method, pattern, handler]. Handlers get the history, the
+ * decoded path parameters and the query string, and return { json } or
+ * { html } / { text }.
+ */
+const ROUTES = [
+  ['GET', /^\/plans$/, history => ({ json: listPlans(history) })],
+  ['GET', /^\/plans\/([^/]+)\/units$/, (history, [id], query, options) => ({
+    json: listPlanUnits(history, id, getFilters(query, options.filters)),
+  })],
+  ['GET', /^\/units\/([^/]+)\/history$/, (history, [id], query) => ({
+    json: getUnitHistory(history, id, query.get('property')),
+  })],
+  ['GET', /^\/runs$/, (history, params, query) => {
+    const limit = parseLimit(query.get('limit'), 'limit');
+    return { json: (limit ? history.slice(-limit) : history).map(summarizeRun) };
+  }],
+  ['GET', /^\/runs\/([^/]+)$/, (history, [ref]) => ({ json: history[findRunIndex(history, ref)] })],
+  ['GET', /^\/runs\/([^/]+)\/email$/, (history, [ref], query, options) => {
+    const report = filterReport(buildRunReport(history, { to: ref }), getFilters(query, options.filters));
+    return query.get('format') === 'text'
+      ? { text: generateEmailText(report, options) }
+      : { html: generateEmailHtml(report, options) };
+  }],
+  ['GET', /^\/report\/latest$/, (history, params, query, options) => ({
+    json: filterReport(buildRunReport(history), getFilters(query, options.filters)),
+  })],
+  ['GET', /^\/report$/, (history, params, query, options) => ({
+    json: filterReport(
+      buildRunReport(history, { from: query.get('from') || undefined, to: query.get('to') || 'latest' }),
+      getFilters(query, options.filters)
+    ),
+  })],
+];
+
+/**
+ * Answer one request
+ * @param {import('http').IncomingMessage} req
+ * @param {Object} options - { store, groupBy, filters, timeZone }
+ * @returns {Promise<Object>} - { status, json } or { status, html } / { status, text }
+ */
+async function handleRequest(req, options) {
+  const url = new URL(req.url, 'http://localhost');
+  const path = url.pathname.replace(/\/+$/, '') || '/';
+
+  const matching = ROUTES.filter(([, pattern]) => pattern.test(path));
+  if (matching.length === 0) {
+    throw new HttpError(404, `Not found: ${path}`);
+  }
+
+  const route = matching.find(([method]) => method === req.method);
+  if (!route) {
+    throw new HttpError(405, `${req.method} is not supported on ${path}`);
+  }
+
+  const [, pattern, handler] = route;
+  const params = path.match(pattern).slice(1).map(decodeParam);
+  const history = await loadHistory(options.store);
+  return { status: 200, ...handler(history, params, url.searchParams, { groupBy: options.groupBy, filters: options.filters, timeZone: options.timeZone }) };
+}
+
+/**
+ * Create the API server (not yet listening)
+ * @param {Object} [options]
+ * @param {Object} [options.store] - Store options for loadHistory() ({ file, legacyFile })
+ * @param {string} [options.groupBy] - Unit attribute to group units by in rendered emails
+ * @param {Object} [options.filters] - Unit filters (`report.filters`) for plan units, emails and reports
+ * @param {string} [options.timeZone] - Timezone for run times in rendered emails
+ * @returns {import('http').Server}
+ */
+export function createApiServer(options = {}) {
+  return createServer(async (req, res) => {
+    let result;
+    try {
+      result = await handleRequest(req, options);
+    } catch (error) {
+      const status = error instanceof HttpError ? error.status : error instanceof RunNotFoundError ? 404 : 500;
+      if (status === 500) console.error(`Error answering ${req.method} ${req.url}:`, error);
+      result = { status, json: { error: error.message } };
+    }
+
+    if (result.html !== undefined) {
+      res.writeHead(result.status, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(result.html);
+    } else if (result.text !== undefined) {
+      res.writeHead(result.status, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end(result.text);
+    } else {
+      res.writeHead(result.status, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify(result.json, null, 2));
+    }
+  });
+}
+
+/**
+ * Start the API server
+ * @param {Object} [options] - Options for createApiServer(), plus:
+ * @param {number} [options.port] - Port to listen on (0 picks a free one)
+ * @param {string} [options.host] - Interface to listen on (local only by default)
+ * @param {Function} [options.log] - Where to say the server is up (default: console.log)
+ * @returns {Promise<Object>} - { server, url }
+ */
+export async function startServer({ port = DEFAULT_PORT, host = '127.0.0.1', log = console.log, ...options } = {}) {
+  const server = createApiServer(options);
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  const url = `http://${host}:${server.address().port}`;
+  log(`🌐 Serving the history API at ${url} (try ${url}/report/latest)`);
+  return { server, url };
+}
@@ -0,0 +1,577 @@
+import { readFile, writeFile, appendFile, rename, mkdir, open } from 'fs/promises';
+import { existsSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { isDeepStrictEqual } from 'util';
+import { getPlanKey } from './identity.js';
+import { getZonedTime } from './dates.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Append-only history store.
+ *
+ * Each line of data/history.jsonl is one run:
+ * - `{ "type": "snapshot", date, timestamp, plans }` holds the full run
+ * - `{ "type": "delta", date, timestamp, plans }` holds each plan's fields with
+ *   only the units that were added, updated or removed since the previous run
+ * - `{ "type": "confirm", timestamp }` is a later run on the same local day that found
+ *   exactly what the previous run did; rather than adding a run, it sets that
+ *   run's `lastConfirmedAt`
+ *
+ * A full snapshot is written every SNAPSHOT_INTERVAL runs, so reading the
+ * latest run, or appending the next one, only reads and replays the lines
+ * from the last snapshot on (see readTailRecords()).
+ */
+export const HISTORY_FILE = join(__dirname, 'data', 'history.jsonl');
+
+/**
+ * The original single-file history, migrated into the store on first write
+ */
+export const LEGACY_HISTORY_FILE = join(__dirname, 'data', 'history.json');
+
+const SNAPSHOT_INTERVAL = 100;
+
+// Bytes read at a time when reading the store backwards
+const TAIL_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Get the key used to match a plan between runs: its stable ID (see
+ * identity.js) within its property, so a renamed plan still diffs
+ * @param {Object} plan - Plan from a history entry
+ * @returns {string}
+ */
+function planKey(plan) {
+  return `${plan.propertyId || ''}|${getPlanKey(plan)}`;
+}
+
+/**
+ * Get the key plans were matched by before they had IDs
+ * @param {Object} plan - Plan from a history entry
+ * @returns {string}
+ */
+function legacyPlanKey(plan) {
+  return `${plan.propertyId || ''}|${plan.name}`;
+}
+
+/**
+ * Build a lookup of the previous run's plans, by ID and then (for runs
+ * stored before plans had IDs) by name
+ * @param {Array<Object>} plans - Plans from the previous entry
+ * @returns {(plan: Object) => Object|undefined} - Finds the previous plan matching a plan
+ */
+function matchPlans(plans) {
+  const byKey = new Map(plans.map(p => [planKey(p), p]));
+  const byName = new Map(plans.map(p => [legacyPlanKey(p), p]));
+  return plan => byKey.get(planKey(plan)) || byName.get(legacyPlanKey(plan));
+}
+
+/**
+ * Check if units can be diffed by unit number (every unit has a distinct one)
+ * @param {Array} units - Units from a plan
+ * @returns {boolean}
+ */
+function hasUniqueUnitNumbers(units) {
+  const numbers = units.map(u => u.unitNumber);
+  return numbers.every(Boolean) && new Set(numbers).size === numbers.length;
+}
+
+/**
+ * Apply a unit delta to the previous run's units
+ * @param {Array} previousUnits - Units from the previous run
+ * @param {Object} delta - { added, updated, removed, order }
+ * @returns {Array} - Units for this run
+ */
+function applyUnitDelta(previousUnits, delta) {
+  const removed = new Set(delta.removed || []);
+  const updated = new Map((delta.updated || []).map(u => [u.unitNumber, u]));
+
+  const units = previousUnits
+    .filter(u => !removed.has(u.unitNumber))
+    .map(u => updated.get(u.unitNumber) || u)
+    .concat(delta.added || []);
+
+  if (delta.order) {
+    const byNumber = new Map(units.map(u => [u.unitNumber, u]));
+    return delta.order.map(number => byNumber.get(number));
+  }
+
+  return units;
+}
+
+/**
+ * Encode a history entry as a delta against the previous entry
+ * @param {Object} entry - Entry to store
+ * @param {Object} previous - Previous entry in history
+ * @returns {Object} - Delta record
+ */
+function encodeDelta(entry, previous) {
+  const findPreviousPlan = matchPlans(previous.plans);
+
+  const plans = entry.plans.map((plan) => {
+    const { units = [], ...fields } = plan;
+    const previousPlan = findPreviousPlan(plan);
+
+    // Store the full unit list when there's nothing reliable to diff against
+    if (!previousPlan || !hasUniqueUnitNumbers(units) || !hasUniqueUnitNumbers(previousPlan.units || [])) {
+      return plan;
+    }
+
+    const previousUnits = new Map(previousPlan.units.map(u => [u.unitNumber, u]));
+    const currentNumbers = new Set(units.map(u => u.unitNumber));
+
+    const delta = {
+      added: units.filter(u => !previousUnits.has(u.unitNumber)),
+      updated: units.filter(u => previousUnits.has(u.unitNumber) && !isDeepStrictEqual(u, previousUnits.get(u.unitNumber))),
+      removed: previousPlan.units.map(u => u.unitNumber).filter(n => !currentNumbers.has(n)),
+    };
+
+    // Record the order only if replaying the delta wouldn't reproduce it
+    const replayed = applyUnitDelta(previousPlan.units, delta).map(u => u.unitNumber);
+    const order = units.map(u => u.unitNumber);
+    if (!isDeepStrictEqual(replayed, order)) {
+      delta.order = order;
+    }
+
+    for (const key of Object.keys(delta)) {
+      if (delta[key].length === 0) delete delta[key];
+    }
+
+    return { ...fields, unitDelta: delta };
+  });
+
+  return { type: 'delta', ...entry, plans };
+}
+
+/**
+ * Get the day a run happened on in a timezone (entry.date is the UTC day)
+ * @param {Object} entry - History entry
+ * @param {string} timeZone - IANA timezone name
+ * @returns {string} - YYYY-MM-DD
+ */
+function getRunDay(entry, timeZone) {
+  return entry.timestamp ? getZonedTime(entry.timestamp, timeZone).date : entry.date;
+}
+
+/**
+ * Check if a run is a repeat of the previous one: the same day in the
+ * configured timezone, and the same plans and units (when each plan was
+ * scraped aside)
+ * @param {Object} entry - Run about to be stored
+ * @param {Object|null} previous - Previous entry in history
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - Timezone the day is counted in (defaults to UTC)
+ * @returns {boolean}
+ */
+export function isRepeatRun(entry, previous, { timeZone = 'UTC' } = {}) {
+  if (!previous || getRunDay(entry, timeZone) !== getRunDay(previous, timeZone)) {
+    return false;
+  }
+
+  // Round-trip through JSON so undefined fields match their stored (absent) form
+  const comparable = plans => JSON.parse(JSON.stringify(plans.map(({ scrapedAt, ...plan }) => plan)));
+  return isDeepStrictEqual(comparable(entry.plans), comparable(previous.plans));
+}
+
+/**
+ * Decode a stored record back into a full history entry
+ * @param {Object} record - Parsed line from the store
+ * @param {Object|null} previous - Previous decoded entry
+ * @returns {Object} - Full history entry (for a confirmation, the previous entry updated)
+ */
+function decodeRecord(record, previous) {
+  const { type, ...entry } = record;
+
+  if (type === 'snapshot') {
+    return entry;
+  }
+
+  if (type !== 'delta' && type !== 'confirm') {
+    throw new Error(`Unknown history record type "${type}"`);
+  }
+  if (!previous) {
+    throw new Error(`History ${type} has no previous run to apply to`);
+  }
+
+  if (type === 'confirm') {
+    return { ...previous, lastConfirmedAt: entry.timestamp };
+  }
+
+  const findPreviousPlan = matchPlans(previous.plans);
+
+  return {
+    ...entry,
+    plans: entry.plans.map((plan) => {
+      if (!plan.unitDelta) return plan;
+
+      const { unitDelta, ...fields } = plan;
+      const previousPlan = findPreviousPlan(plan);
+      return { ...fields, units: applyUnitDelta(previousPlan ? previousPlan.units : [], unitDelta) };
+    }),
+  };
+}
+
+/**
+ * Read and parse the lines of the store
+ * @param {string} file - Path to the JSONL file
+ * @returns {Promise<Array<Object>>} - Parsed records
+ */
+async function readRecords(file) {
+  const contents = await readFile(file, 'utf-8');
+  const lines = contents.split('\n');
+  const records = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+    try {
+      records.push(JSON.parse(lines[i]));
+    } catch (error) {
+      // A crash mid-append can leave a partial last line; anything else is corruption
+      if (i >= lines.length - 2) {
+        console.warn(`Ignoring incomplete last line in ${file}`);
+        break;
+      }
+      throw new Error(`Corrupt history record on line ${i + 1} of ${file}: ${error.message}`);
+    }
+  }
+
+  return records;
+}
+
+/**
+ * Read and parse the store's records from its last snapshot on, reading
+ * the file backwards from the end so the rest of it isn't read at all
+ * @param {string} file - Path to the JSONL file
+ * @returns {Promise<Array<Object>>} - Parsed records, oldest first, starting with the
+ *   last snapshot (or every record, if there is no snapshot)
+ */
+async function readTailRecords(file) {
+  const records = [];
+  const handle = await open(file, 'r');
+  try {
+    let position = (await handle.stat()).size;
+    let partial = Buffer.alloc(0);
+
+    while (position > 0 && records[0]?.type !== 'snapshot') {
+      const length = Math.min(TAIL_CHUNK_SIZE, position);
+      position -= length;
+      const chunk = Buffer.alloc(length);
+      await handle.read(chunk, 0, length, position);
+      const buffer = Buffer.concat([chunk, partial]);
+
+      // The first line in the buffer may carry on before it, unless the buffer starts the file
+      const newline = position > 0 ? buffer.indexOf(0x0a) : -1;
+      if (position > 0 && newline === -1) {
+        partial = buffer;
+        continue;
+      }
+      partial = buffer.subarray(0, Math.max(newline, 0));
+
+      const lines = buffer.subarray(newline + 1).toString('utf-8').split('\n');
+      for (let i = lines.length - 1; i >= 0 && records[0]?.type !== 'snapshot'; i--) {
+        if (!lines[i].trim()) continue;
+        try {
+          records.unshift(JSON.parse(lines[i]));
+        } catch (error) {
+          // A crash mid-append can leave a partial last line; anything else is corruption
+          if (records.length === 0) {
+            console.warn(`Ignoring incomplete last line in ${file}`);
+            continue;
+          }
+          throw new Error(`Corrupt history record ${records.length + 1} lines from the end of ${file}: ${error.message}`);
+        }
+      }
+    }
+  } finally {
+    await handle.close();
+  }
+
+  return records;
+}
+
+/**
+ * Replay records into full history entries
+ * @param {Array<Object>} records - Parsed records, oldest first
+ * @returns {Array<Object>} - Full history entries
+ */
+function replayRecords(records) {
+  const history = [];
+  let previous = null;
+
+  for (const record of records) {
+    previous = decodeRecord(record, previous);
+    if (record.type === 'confirm') {
+      history[history.length - 1] = previous;
+    } else {
+      history.push(previous);
+    }
+  }
+
+  return history;
+}
+
+/**
+ * Encode full history entries as store records, with a snapshot every SNAPSHOT_INTERVAL runs
+ * @param {Array<Object>} history - Full history entries, oldest first
+ * @returns {Array<Object>} - Records to write
+ */
+function encodeHistory(history) {
+  return history.map((entry, i) => (
+    i % SNAPSHOT_INTERVAL === 0
+      ? { type: 'snapshot', ...entry }
+      : encodeDelta(entry, history[i - 1])
+  ));
+}
+
+/**
+ * Read the legacy data/history.json file
+ * @param {string} file - Path to the legacy file
+ * @returns {Promise<Array>} - Array of historical entries
+ */
+async function readLegacyHistory(file) {
+  return JSON.parse(await readFile(file, 'utf-8'));
+}
+
+/**
+ * Ensure the data directory for a file exists
+ * @param {string} file - File about to be written
+ */
+async function ensureDir(file) {
+  const dataDir = dirname(file);
+  if (!existsSync(dataDir)) {
+    await mkdir(dataDir, { recursive: true });
+  }
+}
+
+/**
+ * Write full history to the store, replacing its contents.
+ * The new file is written next to the old one, checked by replaying it,
+ * and only then renamed into place.
+ * @param {Array<Object>} history - Full history entries, oldest first
+ * @param {string} file - Path to the JSONL file
+ */
+async function writeHistory(history, file) {
+  const records = encodeHistory(history);
+
+  await ensureDir(file);
+  const tempFile = `${file}.tmp`;
+  await writeFile(tempFile, records.map(r => JSON.stringify(r)).join('\n') + (records.length > 0 ? '\n' : ''));
+
+  const expected = JSON.parse(JSON.stringify(history));
+  if (!isDeepStrictEqual(replayRecords(await readRecords(tempFile)), expected)) {
+    throw new Error(`Rewritten history in ${tempFile} does not match the original runs; ${file} was left unchanged`);
+  }
+
+  await rename(tempFile, file);
+}
+
+/**
+ * Load the full price history
+ * @param {Object} [options]
+ * @param {string} [options.file] - Path to the store (defaults to data/history.jsonl)
+ * @param {string} [options.legacyFile] - Legacy history.json read when the store doesn't exist yet
+ * @param {Function} [options.log] - Where progress messages go (default: console.log)
+ * @returns {Promise<Array>} - Array of historical entries, oldest first
+ */
+export async function loadHistory({ file = HISTORY_FILE, legacyFile = LEGACY_HISTORY_FILE, log = console.log } = {}) {
+  if (existsSync(file)) {
+    return replayRecords(await readRecords(file));
+  }
+
+  if (existsSync(legacyFile)) {
+    return readLegacyHistory(legacyFile);
+  }
+
+  log('History file not found, starting fresh');
+  return [];
+}
+
+/**
+ * Get the last entry from history
+ * @param {Array} history - Array of historical entries
+ * @returns {Object|null} - Last entry or null if empty
+ */
+export function getLastEntry(history) {
+  if (!history || history.length === 0) {
+    return null;
+  }
+  return history[history.length - 1];
+}
+
+/**
+ * Load only the most recent entry, replaying from the last snapshot
+ * @param {Object} [options]
+ * @param {string} [options.file] - Path to the store
+ * @param {string} [options.legacyFile] - Legacy history.json read when the store doesn't exist yet
+ * @param {Function} [options.log] - Where progress messages go (default: console.log)
+ * @returns {Promise<Object|null>} - Last entry or null if there is no history
+ */
+export async function loadLastEntry({ file = HISTORY_FILE, legacyFile = LEGACY_HISTORY_FILE, log } = {}) {
+  if (!existsSync(file)) {
+    return getLastEntry(await loadHistory({ file, legacyFile, log }));
+  }
+
+  return getLastEntry(replayRecords(await readTailRecords(file)));
+}
+
+/**
+ * Append a run to the store.
+ * If the store doesn't exist yet but a legacy history.json does, it is migrated first.
+ * A repeat of the previous run (see isRepeatRun()) only marks that run as confirmed.
+ * @param {Object} entry - Scraped data for this run
+ * @param {Object} [options]
+ * @param {string} [options.file] - Path to the store
+ * @param {string} [options.legacyFile] - Legacy history.json to migrate
+ * @param {string} [options.timeZone] - Timezone repeat runs are matched by day in (defaults to UTC)
+ * @param {Function} [options.log] - Where progress messages go (default: console.log)
+ * @returns {Promise<string>} - Type of record written: "snapshot", "delta" or "confirm"
+ */
+export async function appendEntry(entry, { file = HISTORY_FILE, legacyFile = LEGACY_HISTORY_FILE, timeZone, log = console.log } = {}) {
+  if (!existsSync(file) && existsSync(legacyFile)) {
+    await migrateLegacyHistory({ file, legacyFile });
+  }
+
+  let record = { type: 'snapshot', ...entry };
+  let previous = null;
+
+  if (existsSync(file)) {
+    const records = await readTailRecords(file);
+    previous = records[0]?.type === 'snapshot' ? getLastEntry(replayRecords(records)) : null;
+
+    if (isRepeatRun(entry, previous, { timeZone })) {
+      record = { type: 'confirm', timestamp: entry.timestamp };
+    } else if (previous && records.length < SNAPSHOT_INTERVAL) {
+      record = encodeDelta(entry, previous);
+    }
+  }
+
+  await ensureDir(file);
+  await appendFile(file, JSON.stringify(record) + '\n');
+
+  if (record.type === 'confirm') {
+    log(`No changes since the run at ${previous.timestamp}; marked it confirmed in ${file}`);
+  } else {
+    log(`History saved to ${file}`);
+  }
+  return record.type;
+}
+
+/**
+ * Convert the legacy history.json into the append-only store.
+ * The legacy file is left in place; it is no longer read once the store exists.
+ * @param {Object} [options]
+ * @param {string} [options.file] - Path to the store
+ * @param {string} [options.legacyFile] - Legacy history.json to convert
+ * @returns {Promise<number>} - Number of runs migrated
+ */
+export async function migrateLegacyHistory({ file = HISTORY_FILE, legacyFile = LEGACY_HISTORY_FILE } = {}) {
+  const history = await readLegacyHistory(legacyFile);
+  await writeHistory(history, file);
+  console.log(`Migrated ${history.length} runs from ${legacyFile} to ${file}`);
+  return history.length;
+}
+
+/**
+ * Rewrite the store with fresh snapshots and minimal deltas
+ * (also migrates history.json if the store doesn't exist yet)
+ * @param {Object} [options]
+ * @param {string} [options.file] - Path to the store
+ * @param {string} [options.legacyFile] - Legacy history.json to migrate
+ * @returns {Promise<number>} - Number of runs in the compacted store
+ */
+export async function compactHistory({ file = HISTORY_FILE, legacyFile = LEGACY_HISTORY_FILE } = {}) {
+  if (!existsSync(file)) {
+    if (!existsSync(legacyFile)) {
+      console.log('No history to compact');
+      return 0;
+    }
+    return migrateLegacyHistory({ file, legacyFile });
+  }
+
+  const history = await loadHistory({ file, legacyFile });
+  await writeHistory(history, file);
+  console.log(`Compacted ${history.length} runs in ${file}`);
+  return history.length;
+}
+
+/**
+ * Fold each repeat run (see isRepeatRun()) into the run it repeats, as
+ * appendEntry() does for new runs
+ * @param {Array<Object>} history - Full history entries, oldest first
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - Timezone repeat runs are matched by day in (defaults to UTC)
+ * @returns {Array<Object>} - History with one entry per distinct run, repeats noted in `lastConfirmedAt`
+ */
+export function collapseRepeatRuns(history, { timeZone } = {}) {
+  const collapsed = [];
+
+  for (const entry of history) {
+    const previous = getLastEntry(collapsed);
+    if (isRepeatRun(entry, previous, { timeZone })) {
+      collapsed[collapsed.length - 1] = { ...previous, lastConfirmedAt: entry.timestamp };
+    } else {
+      collapsed.push(entry);
+    }
+  }
+
+  return collapsed;
+}
+
+/**
+ * Rewrite the store with repeat runs folded into the runs they repeat
+ * (also migrates history.json if the store doesn't exist yet)
+ * @param {Object} [options]
+ * @param {string} [options.file] - Path to the store
+ * @param {string} [options.legacyFile] - Legacy history.json to migrate
+ * @param {string} [options.timeZone] - Timezone repeat runs are matched by day in (defaults to UTC)
+ * @returns {Promise<number>} - Number of runs left in the store
+ */
+export async function dedupeHistory({ file = HISTORY_FILE, legacyFile = LEGACY_HISTORY_FILE, timeZone } = {}) {
+  const history = await loadHistory({ file, legacyFile });
+  const collapsed = collapseRepeatRuns(history, { timeZone });
+  await writeHistory(collapsed, file);
+  console.log(`Folded ${history.length - collapsed.length} repeat runs into the runs they repeat; ${collapsed.length} runs left in ${file}`);
+  return collapsed.length;
+}
+
+/**
+ * Replace the full contents of the store, e.g. after a history migration.
+ * Like compaction, the new file is checked before it replaces the old one.
+ * @param {Array<Object>} history - Full history entries, oldest first
+ * @param {Object} [options]
+ * @param {string} [options.file] - Path to the store
+ */
+export async function replaceHistory(history, { file = HISTORY_FILE } = {}) {
+  await writeHistory(history, file);
+  console.log(`Rewrote ${history.length} runs in ${file}`);
+}
+
+// Allow running directly: `node store.js compact` or `node store.js dedupe`
+if (process.argv[1] && process.argv[1].endsWith('store.js')) {
+  const command = process.argv[2];
+
+  if (command === 'compact' || command === 'migrate') {
+    compactHistory()
+      .catch((error) => {
+        console.error('History compaction failed:', error);
+        process.exit(1);
+      });
+  } else if (command === 'dedupe') {
+    // Days are counted in the configured timezone, as they are for new runs
+    import('./config.js')
+      .then(({ loadConfig }) => loadConfig())
+      .then(config => dedupeHistory({ timeZone: config.timezone }))
+      .catch((error) => {
+        console.error('History dedupe failed:', error);
+        process.exit(1);
+      });
+  } else {
+    console.log('Usage: node store.js compact|dedupe');
+    console.log('  compact  Rewrites data/history.jsonl with fresh snapshots and minimal deltas,');
+    console.log('           converting data/history.json first if the store does not exist yet.');
+    console.log('  dedupe   Also folds runs that found exactly what the run before them did');
+    console.log('           that day (in the configured timezone) into that run, as new runs are saved.');
+    process.exit(command ? 1 : 0);
+  }
+}
@@ -0,0 +1,169 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateAlertRules, validateAlertRules, groupAlertsByRecipient, getRuleName } from '../alerts.js';
+import { generateAlertSubjectLine, generateEmailText } from '../notifier.js';
+
+/**
+ * Build a unit change as it appears in a comparePrices() report
+ */
+function unit(unitNumber, status, currentPrice, { previousPrice = null, availability = 'Available Now', ...attributes } = {}) {
+  return {
+    unitNumber,
+    building: unitNumber.split('-')[0],
+    floor: unitNumber[0],
+    currentPrice,
+    previousPrice,
+    difference: previousPrice !== null && currentPrice !== null ? currentPrice - previousPrice : 0,
+    status,
+    availability,
+    ...attributes,
+  };
+}
+
+const report = {
+  date: '2026-02-10',
+  plans: [
+    {
+      planName: 'Plan B',
+      url: 'https://example.com/plan-b',
+      units: [
+        unit('320-504', 'decreased', 4950, { previousPrice: 5114, sqft: 812, features: ['Balcony', 'City views'] }),
+        unit('350-218', 'unchanged', 4900, { previousPrice: 4900 }),
+        unit('412-109', 'new', 5300, { availability: 'Feb 25', sqft: 760 }),
+        unit('340-212', 'removed', null, { previousPrice: 4800, availability: 'No longer available' }),
+      ],
+    },
+    {
+      planName: 'Plan D',
+      url: 'https://example.com/plan-d',
+      units: [
+        unit('520-101', 'new', 6100, { availability: 'Apr 1' }),
+        unit('345-305', 'decreased', 6000, { previousPrice: 6050 }),
+      ],
+    },
+  ],
+};
+
+/**
+ * Evaluate a single rule and return [planName, unitNumber] pairs it matched
+ */
+function matched(rule) {
+  const [fired] = evaluateAlertRules(report, [{ id: 'rule', recipients: ['a@example.com'], ...rule }]);
+  return fired ? fired.matches.map(m => [m.planName, m.unit.unitNumber]) : [];
+}
+
+describe('evaluateAlertRules', () => {
+  test('priceBelow matches changed units under the price in the listed plans', () => {
+    assert.deepEqual(matched({ type: 'priceBelow', price: 5000, plans: ['Plan B'] }), [['Plan B', '320-504']]);
+  });
+
+  test('includeUnchanged also matches units that did not change', () => {
+    assert.deepEqual(
+      matched({ type: 'priceBelow', price: 5000, includeUnchanged: true }),
+      [['Plan B', '320-504'], ['Plan B', '350-218']]
+    );
+  });
+
+  test('priceDrop matches decreases of at least the amount', () => {
+    assert.deepEqual(matched({ type: 'priceDrop', amount: 100 }), [['Plan B', '320-504']]);
+    assert.deepEqual(matched({ type: 'priceDrop', amount: 50 }), [['Plan B', '320-504'], ['Plan D', '345-305']]);
+  });
+
+  test('newUnit matches new units, optionally on high floors only', () => {
+    assert.deepEqual(matched({ type: 'newUnit' }), [['Plan B', '412-109'], ['Plan D', '520-101']]);
+    assert.deepEqual(matched({ type: 'newUnit', minFloor: 5 }), [['Plan D', '520-101']]);
+  });
+
+  test('filters on building, size, price per square foot and features', () => {
+    assert.deepEqual(matched({ type: 'newUnit', buildings: ['520'] }), [['Plan D', '520-101']]);
+    assert.deepEqual(matched({ type: 'priceBelow', price: 5500, minSqft: 800 }), [['Plan B', '320-504']]);
+    assert.deepEqual(matched({ type: 'priceBelow', price: 5500, maxPricePerSqft: 6.5 }), [['Plan B', '320-504']]);
+    assert.deepEqual(matched({ type: 'priceDrop', amount: 10, features: ['city view'] }), [['Plan B', '320-504']]);
+  });
+
+  test('availableBefore compares move-in dates in the report year', () => {
+    assert.deepEqual(matched({ type: 'availableBefore', date: '2026-03-01' }), [['Plan B', '320-504'], ['Plan B', '412-109'], ['Plan D', '345-305']]);
+    assert.deepEqual(matched({ type: 'availableBefore', date: '2026-02-01' }), []);
+  });
+
+  test('treats an unchanged unit with a new move-in date as changed', () => {
+    const moved = { ...unit('350-218', 'unchanged', 4900, { previousPrice: 4900 }), availabilityChanged: true };
+    const [fired] = evaluateAlertRules(
+      { date: '2026-02-10', plans: [{ planName: 'Plan B', url: 'https://example.com/plan-b', units: [moved] }] },
+      [{ id: 'now', type: 'availableBefore', date: '2026-03-01', recipients: ['a@example.com'] }]
+    );
+    assert.deepEqual(fired.matches.map(m => m.unit.unitNumber), ['350-218']);
+  });
+
+  test('never matches removed units and skips rules that match nothing', () => {
+    assert.deepEqual(matched({ type: 'priceBelow', price: 4850, includeUnchanged: true }), []);
+    assert.deepEqual(evaluateAlertRules(report, []), []);
+  });
+});
+
+describe('validateAlertRules', () => {
+  test('accepts a valid rule set', () => {
+    const problems = [];
+    validateAlertRules({
+      rules: [
+        { id: 'cheap-b', type: 'priceBelow', price: 5000, plans: ['Plan B'], recipients: ['a@example.com'] },
+        { id: 'drop', type: 'priceDrop', amount: 100, recipients: ['b@example.com'] },
+        { id: 'high', type: 'newUnit', minFloor: 4, recipients: ['a@example.com'] },
+        { id: 'soon', type: 'availableBefore', date: '2026-03-01', recipients: ['a@example.com'] },
+      ],
+    }, problems);
+    assert.deepEqual(problems, []);
+  });
+
+  test('reports malformed rules', () => {
+    const problems = [];
+    validateAlertRules({
+      rules: [
+        { id: 'x', type: 'priceBelow', recipients: ['not-an-email'] },
+        { id: 'x', type: 'sometimes', recipients: [] },
+        { id: 'y', type: 'availableBefore', date: 'March 1', recipients: ['a@example.com'], minFloor: 'high' },
+      ],
+    }, problems);
+
+    assert.deepEqual(problems, [
+      'alerts.rules[0].price must be a positive number',
+      'alerts.rules[0].recipients contains an invalid email address: "not-an-email"',
+      'alerts.rules[1].id "x" is used by more than one rule',
+      'alerts.rules[1].type must be one of: priceBelow, priceDrop, newUnit, availableBefore',
+      'alerts.rules[1].recipients must be a non-empty array of email addresses',
+      'alerts.rules[2].date must be a date like 2026-03-01',
+      'alerts.rules[2].minFloor must be a whole number',
+    ]);
+  });
+});
+
+describe('alert delivery', () => {
+  const rules = [
+    { id: 'cheap-b', name: 'Plan B under $5,000', type: 'priceBelow', price: 5000, plans: ['Plan B'], recipients: ['a@example.com'] },
+    { id: 'drop', type: 'priceDrop', amount: 40, recipients: ['A@example.com', 'b@example.com'] },
+  ];
+
+  test('groups fired rules by recipient', () => {
+    const grouped = groupAlertsByRecipient(evaluateAlertRules(report, rules));
+
+    assert.deepEqual([...grouped.keys()], ['a@example.com', 'b@example.com']);
+    assert.deepEqual(grouped.get('a@example.com').map(a => a.rule.id), ['cheap-b', 'drop']);
+    assert.deepEqual(grouped.get('b@example.com').map(a => a.rule.id), ['drop']);
+  });
+
+  test('names the rules that fired in the subject and body', () => {
+    const fired = evaluateAlertRules(report, rules);
+
+    assert.equal(generateAlertSubjectLine(report, fired.slice(0, 1)), '🔔 Plan B under $5,000: 1 unit - 2026-02-10');
+    assert.equal(
+      generateAlertSubjectLine(report, fired),
+      '🔔 2 Alerts: Plan B under $5,000, Price drop of $40+ - 2026-02-10'
+    );
+    assert.match(generateEmailText(report, { alerts: fired }), /ALERT: Plan B under \$5,000\n  • Unit 320-504 \(Plan B\): \$4,950/);
+  });
+
+  test('builds a name from the rule type when none is configured', () => {
+    assert.equal(getRuleName({ type: 'newUnit', minFloor: 4 }), 'New unit on floor 4+');
+    assert.equal(getRuleName({ type: 'availableBefore', date: '2026-03-01' }), 'Available before Mar 1');
+  });
+});
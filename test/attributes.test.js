@@ -0,0 +1,239 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseUnitNumber,
+  parseSqft,
+  parsePlanDetails,
+  detectView,
+  applyUnitAttributes,
+  describeUnitAttributes,
+  groupUnits,
+  matchesAttributeFilters,
+  filterReport,
+  parseAttributeFilters,
+  validateAttributeFilters,
+  validateReportOptions,
+} from '../attributes.js';
+import { buildUnit } from '../adapters/common.js';
+import { applyMigration } from '../migrations.js';
+
+describe('parseUnitNumber', () => {
+  test('reads the building and floor from building-unit numbers', () => {
+    assert.deepEqual(parseUnitNumber('320-504'), { building: '320', floor: '5' });
+    assert.deepEqual(parseUnitNumber('345-1204'), { building: '345', floor: '12' });
+    assert.deepEqual(parseUnitNumber('B 210A'), { building: 'B', floor: '2' });
+  });
+
+  test('reads the floor from plain unit numbers', () => {
+    assert.deepEqual(parseUnitNumber('1204'), { building: null, floor: '12' });
+    assert.deepEqual(parseUnitNumber('305'), { building: null, floor: '3' });
+  });
+
+  test('gives up on unit numbers it does not recognize', () => {
+    assert.deepEqual(parseUnitNumber('PH-A'), { building: null, floor: null });
+    assert.deepEqual(parseUnitNumber(''), { building: null, floor: null });
+  });
+
+  test('is what buildUnit stores', () => {
+    const unit = buildUnit({ unitNumber: '320-504', price: 5114, availability: 'Available Now' });
+    assert.equal(unit.building, '320');
+    assert.equal(unit.floor, '5');
+  });
+});
+
+describe('parsePlanDetails', () => {
+  test('reads beds, baths and size from a summary line', () => {
+    assert.deepEqual(parsePlanDetails('1 Bed • 1 Bath • 812 Sq. Ft.'), { beds: 1, baths: 1, sqft: 812 });
+    assert.deepEqual(parsePlanDetails('2 BR / 2.5 BA / 1,240 sqft'), { beds: 2, baths: 2.5, sqft: 1240 });
+  });
+
+  test('counts a studio as zero beds', () => {
+    assert.deepEqual(parsePlanDetails('Studio | 1 Bath | 540 SF'), { beds: 0, baths: 1, sqft: 540 });
+  });
+
+  test('leaves out what the text does not say', () => {
+    assert.deepEqual(parsePlanDetails('Corner home'), { beds: null, baths: null, sqft: null });
+    assert.deepEqual(parsePlanDetails(null), { beds: null, baths: null, sqft: null });
+    assert.equal(parseSqft('Approx. 1,040 square feet'), 1040);
+  });
+});
+
+describe('applyUnitAttributes', () => {
+  const units = [
+    { unitNumber: '320-504', price: 5114, features: ['Balcony', 'City views'] },
+    { unitNumber: '320-416', price: 5035, sqft: 840 },
+  ];
+
+  test('fills in plan details and works out price per square foot', () => {
+    const [first, second] = applyUnitAttributes(units, { beds: 1, baths: 1, sqft: 812 });
+    assert.equal(first.sqft, 812);
+    assert.equal(first.pricePerSqft, 6.3);
+    assert.equal(first.view, 'City views');
+    assert.equal(second.sqft, 840, 'unit card size wins');
+    assert.equal(second.beds, 1);
+    assert.equal(second.view, undefined);
+  });
+
+  test('leaves units alone without details', () => {
+    assert.deepEqual(applyUnitAttributes(units), [
+      { ...units[0], view: 'City views' },
+      { ...units[1], pricePerSqft: 5.99 },
+    ]);
+    assert.equal(detectView(['Courtyard view', 'Balcony']), 'Courtyard view');
+  });
+
+  test('describes the attributes in one line', () => {
+    const [unit] = applyUnitAttributes(units, { beds: 1, baths: 1, sqft: 812 });
+    assert.equal(describeUnitAttributes(unit), '1 bd / 1 ba • 812 sq ft • $6.30/sq ft • City views');
+    assert.equal(describeUnitAttributes(unit, 4872), '1 bd / 1 ba • 812 sq ft • $6.00/sq ft • City views');
+    assert.equal(describeUnitAttributes({ beds: 0, sqft: 540 }), 'Studio • 540 sq ft');
+    assert.equal(describeUnitAttributes({}), '');
+  });
+});
+
+describe('groupUnits', () => {
+  const units = [
+    { unitNumber: '345-1001', building: '345', floor: '10' },
+    { unitNumber: '320-504', building: '320', floor: '5' },
+    { unitNumber: 'PH-A', building: null, floor: null },
+    { unitNumber: '320-215', building: '320', floor: '2' },
+  ];
+
+  test('groups by building, keeping unit order, with unknowns last', () => {
+    assert.deepEqual(
+      groupUnits(units, 'building').map(g => [g.label, g.units.map(u => u.unitNumber)]),
+      [['Building 320', ['320-504', '320-215']], ['Building 345', ['345-1001']], ['Other buildings', ['PH-A']]]
+    );
+  });
+
+  test('sorts floors by number', () => {
+    assert.deepEqual(groupUnits(units, 'floor').map(g => g.label), ['Floor 2', 'Floor 5', 'Floor 10', 'Unknown floor']);
+  });
+});
+
+describe('matchesAttributeFilters', () => {
+  const unit = {
+    building: '320',
+    floor: '5',
+    beds: 1,
+    sqft: 812,
+    currentPrice: 5114,
+    features: ['Balcony', 'City views'],
+  };
+
+  test('matches when every filter that is set matches', () => {
+    assert.equal(matchesAttributeFilters(unit, {}), true);
+    assert.equal(matchesAttributeFilters(unit, { buildings: ['320'], minFloor: 5, beds: [1, 2] }), true);
+    assert.equal(matchesAttributeFilters(unit, { minSqft: 800, maxPricePerSqft: 6.5, features: ['balcony'] }), true);
+  });
+
+  test('fails on any filter that does not match', () => {
+    assert.equal(matchesAttributeFilters(unit, { buildings: ['345'] }), false);
+    assert.equal(matchesAttributeFilters(unit, { minFloor: 6 }), false);
+    assert.equal(matchesAttributeFilters(unit, { beds: [0] }), false);
+    assert.equal(matchesAttributeFilters(unit, { minSqft: 900 }), false);
+    assert.equal(matchesAttributeFilters(unit, { maxPricePerSqft: 6 }), false);
+    assert.equal(matchesAttributeFilters(unit, { features: ['balcony', 'washer'] }), false);
+  });
+
+  test('does not match units missing the attribute', () => {
+    assert.equal(matchesAttributeFilters({ currentPrice: 5000 }, { minSqft: 500 }), false);
+    assert.equal(matchesAttributeFilters({ currentPrice: 5000 }, { maxPricePerSqft: 10 }), false);
+  });
+});
+
+describe('filterReport', () => {
+  const report = {
+    date: '2026-01-19',
+    plans: [{ planName: 'Plan B', units: [{ unitNumber: '320-504', floor: '5' }, { unitNumber: '350-218', floor: '2' }] }],
+  };
+
+  test('keeps only the units matching the filters', () => {
+    assert.deepEqual(filterReport(report, { minFloor: 3 }).plans[0].units.map(u => u.unitNumber), ['320-504']);
+    assert.equal(report.plans[0].units.length, 2);
+  });
+
+  test('returns the report itself without filters', () => {
+    assert.equal(filterReport(report, undefined), report);
+    assert.equal(filterReport(report, {}), report);
+  });
+});
+
+describe('parseAttributeFilters', () => {
+  test('reads repeated or comma-separated lists and numbers', () => {
+    assert.deepEqual(parseAttributeFilters({ buildings: ['320', '345, 350'], beds: '0,1', minFloor: '5', features: 'balcony' }), {
+      buildings: ['320', '345', '350'],
+      features: ['balcony'],
+      beds: [0, 1],
+      minFloor: 5,
+    });
+    assert.deepEqual(parseAttributeFilters({}), {});
+  });
+
+  test('leaves bad values for validation to report', () => {
+    const problems = [];
+    validateAttributeFilters(parseAttributeFilters({ minFloor: 'high', beds: 'one' }), 'filter', problems);
+    assert.deepEqual(problems, ['filter.minFloor must be a whole number', 'filter.beds must be a non-empty array of bedroom counts']);
+  });
+});
+
+describe('attribute validation', () => {
+  test('reports malformed filters', () => {
+    const problems = [];
+    validateAttributeFilters(
+      { buildings: '320', minFloor: 4.5, beds: [], minSqft: 0, maxPricePerSqft: 'cheap', features: [''] },
+      'rule',
+      problems
+    );
+    assert.deepEqual(problems, [
+      'rule.buildings must be a non-empty array of building numbers',
+      'rule.minFloor must be a whole number',
+      'rule.beds must be a non-empty array of bedroom counts',
+      'rule.minSqft must be a positive number',
+      'rule.maxPricePerSqft must be a positive number',
+      'rule.features must be a non-empty array of words',
+    ]);
+  });
+
+  test('checks the report grouping', () => {
+    const problems = [];
+    validateReportOptions({ groupBy: 'floor' }, problems);
+    validateReportOptions(undefined, problems);
+    assert.deepEqual(problems, []);
+
+    validateReportOptions({ groupBy: 'color' }, problems);
+    assert.deepEqual(problems, ['report.groupBy "color" is not one of: building, floor, beds, view']);
+  });
+
+  test('checks the report filters', () => {
+    const problems = [];
+    validateReportOptions({ filters: { buildings: ['320'], minFloor: 3 } }, problems);
+    assert.deepEqual(problems, []);
+
+    validateReportOptions({ filters: ['320'] }, problems);
+    validateReportOptions({ filters: { beds: 1 } }, problems);
+    assert.deepEqual(problems, ['report.filters must be an object', 'report.filters.beds must be a non-empty array of bedroom counts']);
+  });
+});
+
+describe('unit-attributes migration', () => {
+  test('re-reads building and floor from stored unit numbers and can run twice', () => {
+    const history = [{
+      date: '2026-01-10',
+      plans: [{
+        name: 'Plan B',
+        units: [
+          { unitNumber: '320-504', floor: '3', price: 5114 },
+          { unitNumber: 'PH-A', floor: 'P', price: 9000 },
+        ],
+      }],
+    }];
+
+    const migrated = applyMigration('unit-attributes', history);
+    assert.deepEqual(
+      migrated[0].plans[0].units.map(u => [u.building, u.floor]),
+      [['320', '5'], [null, 'P']]
+    );
+    assert.deepEqual(applyMigration('unit-attributes', migrated), migrated);
+  });
+});
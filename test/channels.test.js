@@ -0,0 +1,352 @@
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { sendToChannels, validateNotifications, getRecipientKey } from '../channels/index.js';
+import { buildReportMessage, sendReport, sendScraperAlert, sendAlerts, sendHeldMessages, createTestReport } from '../notifier.js';
+import { loadScheduleState } from '../schedule.js';
+import { loadLedger, saveLedger } from '../ledger.js';
+import { buildDiscordPayloads } from '../channels/discord.js';
+import { buildSlackPayload } from '../channels/slack.js';
+
+/**
+ * Start a stub webhook server that records every request.
+ * Paths starting with /fail answer with a 500.
+ */
+async function startStubServer() {
+  const requests = [];
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ path: req.url, headers: req.headers, body: JSON.parse(body) });
+      if (req.url.startsWith('/fail')) {
+        res.writeHead(500);
+        res.end('webhook exploded');
+      } else {
+        res.writeHead(200);
+        res.end('ok');
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    requests,
+    url: path => `http://127.0.0.1:${port}${path}`,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+const alerts = [{
+  rule: { id: 'cheap', type: 'priceBelow', price: 5100, recipients: ['a@example.com'] },
+  name: 'Any plan under $5,100',
+  matches: [{ planName: 'Plan B', url: 'https://example.com/plan-b', unit: { unitNumber: '350-201' } }],
+}];
+
+describe('notification channels', () => {
+  let stub;
+
+  before(async () => {
+    stub = await startStubServer();
+    // Keep the per-channel send logs out of the test output
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await stub.close();
+  });
+
+  test('posts the report to Slack as Block Kit', async () => {
+    stub.requests.length = 0;
+    const results = await sendReport(createTestReport(), { channels: [{ type: 'slack', url: stub.url('/slack') }] });
+
+    assert.deepEqual(results, [{ channel: 'slack', error: null }]);
+    const { body } = stub.requests[0];
+    assert.match(body.text, /^🚫 1 Listing Removed/);
+    assert.equal(body.blocks[0].type, 'header');
+    assert.equal(body.blocks[0].text.text, body.text);
+
+    const sections = body.blocks.filter(b => b.type === 'section').map(b => b.text.text);
+    assert.ok(sections.some(t => t.startsWith('*<https://citylineflats.com/') && t.includes('350-201: $5,010 ↓ $90')));
+    assert.ok(sections.some(t => t.includes('340-212: ✕ Removed (was $5,050)')));
+  });
+
+  test('posts the report to Discord as embeds', async () => {
+    stub.requests.length = 0;
+    await sendReport(createTestReport(), { channels: [{ type: 'discord', url: stub.url('/discord') }] });
+
+    const { body } = stub.requests[0];
+    assert.match(body.content, /^\*\*🚫 1 Listing Removed/);
+    assert.equal(body.embeds.length, createTestReport().plans.length);
+    assert.ok(body.embeds[0].description.includes('350-201: $5,010 ↓ $90'));
+  });
+
+  test('splits Discord embeds over several messages to stay within its limits', () => {
+    const report = createTestReport();
+    const [plan] = report.plans;
+    const units = Array.from({ length: 60 }, (_, i) => ({ ...plan.units[0], unitNumber: `320-${100 + i}` }));
+    report.plans = Array.from({ length: 12 }, (_, i) => ({ ...plan, planName: `Plan ${i}`, units }));
+
+    const payloads = buildDiscordPayloads(buildReportMessage(report));
+    assert.ok(payloads.length > 1);
+    assert.match(payloads[0].content, /^\*\*/);
+    assert.ok(payloads.slice(1).every(p => p.content === undefined));
+    assert.deepEqual(payloads.flatMap(p => p.embeds).map(e => e.title), report.plans.map(p => p.planName));
+    for (const { embeds } of payloads) {
+      assert.ok(embeds.length <= 10);
+      assert.ok(embeds.reduce((sum, e) => sum + e.title.length + e.description.length, 0) <= 6000);
+    }
+  });
+
+  test('escapes Slack markup in plan and unit text', () => {
+    const report = createTestReport();
+    report.plans[0].planName = 'Studio <A> & B';
+    report.plans[0].units[0].unitNumber = '<!channel>';
+
+    const sections = buildSlackPayload(buildReportMessage(report)).blocks.filter(b => b.type === 'section').map(b => b.text.text);
+    assert.ok(sections[0].includes('|Studio &lt;A&gt; &amp; B>*'));
+    assert.ok(sections[0].includes('&lt;!channel&gt;'));
+    assert.doesNotMatch(sections.join('\n'), /<!channel>/);
+  });
+
+  test('posts JSON with custom headers to a generic webhook', async () => {
+    stub.requests.length = 0;
+    const report = createTestReport();
+    await sendReport(report, {
+      channels: [{ type: 'webhook', url: stub.url('/hook'), headers: { Authorization: 'Bearer secret' } }],
+    });
+
+    const { body, headers } = stub.requests[0];
+    assert.equal(headers.authorization, 'Bearer secret');
+    assert.equal(body.type, 'report');
+    assert.equal(body.report.plans.length, report.plans.length);
+    assert.equal(body.alerts, null);
+  });
+
+  test('keeps sending to the other channels when one fails', async () => {
+    stub.requests.length = 0;
+    const results = await sendToChannels(buildReportMessage(createTestReport()), [
+      { type: 'slack', name: 'broken slack', url: stub.url('/fail') },
+      { type: 'discord', url: stub.url('/discord') },
+      { type: 'webhook', url: stub.url('/hook'), enabled: false },
+    ]);
+
+    assert.equal(results.length, 2);
+    assert.equal(results[0].channel, 'broken slack');
+    assert.match(results[0].error.message, /HTTP 500 .*webhook exploded/);
+    assert.deepEqual(results[1], { channel: 'discord', error: null });
+    assert.deepEqual(stub.requests.map(r => r.path), ['/fail', '/discord']);
+  });
+
+  test('reports a missing webhook URL as a channel error', async () => {
+    const saved = process.env.SLACK_WEBHOOK_URL;
+    delete process.env.SLACK_WEBHOOK_URL;
+    try {
+      const [result] = await sendToChannels(buildReportMessage(createTestReport()), [{ type: 'slack' }]);
+      assert.match(result.error.message, /SLACK_WEBHOOK_URL/);
+    } finally {
+      if (saved !== undefined) process.env.SLACK_WEBHOOK_URL = saved;
+    }
+  });
+
+  test('posts scraper alerts with their issues', async () => {
+    stub.requests.length = 0;
+    const health = { healthy: false, issues: [{ planName: 'Plan B', message: 'Found no units (previous run had 5)' }] };
+    await sendScraperAlert(health, { date: '2026-01-19', plans: [] }, {
+      channels: [{ type: 'slack', url: stub.url('/slack') }, { type: 'webhook', url: stub.url('/hook') }],
+    });
+
+    const [slack, webhook] = stub.requests.map(r => r.body);
+    assert.equal(slack.text, '⚠️ Scraper Broken: 1 problem - 2026-01-19');
+    assert.ok(slack.blocks[1].text.text.includes('*Plan B*: Found no units'));
+    assert.equal(webhook.type, 'scraper');
+    assert.deepEqual(webhook.health, health);
+  });
+
+  test('posts every fired alert once to chat channels, without rule recipients', async () => {
+    stub.requests.length = 0;
+    const saved = process.env.RESEND_API_KEY;
+    delete process.env.RESEND_API_KEY;
+    try {
+      const results = await sendAlerts(createTestReport(), alerts, {
+        channels: [{ type: 'email' }, { type: 'webhook', url: stub.url('/hook') }],
+      });
+
+      // The email to the rule's recipient fails here (no API key) but the webhook still gets it
+      assert.deepEqual(results.map(r => [r.channel, r.error === null]), [['a@example.com', false], ['webhook', true]]);
+      const { body } = stub.requests[0];
+      assert.equal(body.type, 'alerts');
+      assert.deepEqual(body.alerts.map(a => [a.id, a.name]), [['cheap', 'Any plan under $5,100']]);
+      assert.ok(!JSON.stringify(body.alerts).includes('a@example.com'));
+    } finally {
+      if (saved !== undefined) process.env.RESEND_API_KEY = saved;
+    }
+  });
+
+  test('doesn\'t resend a report or alert with nothing new to a channel with a ledger', async () => {
+    stub.requests.length = 0;
+    const ledger = { missing: {}, told: {}, snoozes: [] };
+    const channels = [{ type: 'webhook', url: stub.url('/hook') }];
+    const report = createTestReport();
+    const fired = [{ ...alerts[0], matches: [{ ...alerts[0].matches[0], unit: report.plans[0].units[0] }] }];
+
+    await sendReport(report, { channels, ledger });
+    await sendReport(report, { channels, ledger });
+    await sendAlerts(report, fired, { channels, ledger });
+    await sendAlerts(report, fired, { channels, ledger });
+
+    assert.deepEqual(stub.requests.map(r => r.body.type), ['report', 'alerts']);
+    assert.ok(ledger.told.webhook);
+  });
+
+  test('holds a channel in quiet hours and sends it once they end', async () => {
+    stub.requests.length = 0;
+    const dir = await mkdtemp(join(tmpdir(), 'tracker-quiet-'));
+    const stateFile = join(dir, 'schedule.json');
+    const channels = [{ type: 'slack', name: 'night-owl', url: stub.url('/slack') }, { type: 'discord', url: stub.url('/discord') }];
+    try {
+      const results = await sendReport(createTestReport(), {
+        channels,
+        quietHours: [{ from: '22:00', to: '07:00', recipients: ['night-owl'] }],
+        timeZone: 'America/Los_Angeles',
+        stateFile,
+        now: Date.parse('2026-01-19T07:00:00Z'), // 23:00 PST
+      });
+
+      assert.deepEqual(results, [
+        { channel: 'discord', error: null },
+        { channel: 'night-owl', error: null, heldUntil: '2026-01-19T15:00:00.000Z' },
+      ]);
+      assert.deepEqual(stub.requests.map(r => r.path), ['/discord']);
+
+      // Nothing is released before quiet hours end
+      assert.deepEqual(await sendHeldMessages({ stateFile, now: Date.parse('2026-01-19T14:00:00Z'), channels }), []);
+
+      const released = await sendHeldMessages({ stateFile, now: Date.parse('2026-01-19T15:00:00Z'), channels });
+      assert.deepEqual(released, [{ channel: 'night-owl', error: null }]);
+      assert.deepEqual(stub.requests.map(r => r.path), ['/discord', '/slack']);
+      assert.match(stub.requests[1].body.text, /^🚫 1 Listing Removed/);
+      assert.deepEqual((await loadScheduleState(stateFile)).held, []);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('records a held report in the ledger only once it is sent', async () => {
+    stub.requests.length = 0;
+    const dir = await mkdtemp(join(tmpdir(), 'tracker-quiet-'));
+    const stateFile = join(dir, 'schedule.json');
+    const ledgerFile = join(dir, 'ledger.json');
+    const channels = [{ type: 'slack', name: 'night-owl', url: stub.url('/slack') }, { type: 'webhook', name: 'night-hook', url: stub.url('/fail') }];
+    const report = createTestReport();
+    const options = { channels, quietHours: [{ from: '22:00', to: '07:00' }], timeZone: 'America/Los_Angeles', stateFile };
+    const toldAbout = (ledger, recipient) => Object.values(ledger.told[recipient] || {}).map(entry => entry.report);
+    try {
+      const ledger = { missing: {}, told: {}, snoozes: [] };
+      await sendReport(report, { ...options, ledger, now: Date.parse('2026-01-19T07:00:00Z') });
+      assert.equal(stub.requests.length, 0);
+      assert.ok(toldAbout(ledger, 'night-hook').every(told => told.heldUntil === '2026-01-19T15:00:00.000Z'));
+      await saveLedger(ledger, ledgerFile);
+
+      // Still held an hour later, so it isn't held twice
+      await sendReport(report, { ...options, ledger, now: Date.parse('2026-01-19T08:00:00Z') });
+      assert.equal((await loadScheduleState(stateFile)).held.length, 2);
+
+      mock.method(console, 'error', () => {});
+      await sendHeldMessages({ stateFile, ledgerFile, now: Date.parse('2026-01-19T15:00:00Z'), channels });
+      mock.restoreAll();
+
+      const settled = await loadLedger(ledgerFile);
+      assert.ok(toldAbout(settled, 'night-owl').length > 0);
+      assert.ok(toldAbout(settled, 'night-owl').every(told => !told.heldUntil));
+      assert.deepEqual(toldAbout(settled, 'night-hook').filter(Boolean), []);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('keeps only hashed recipients of a held email and finds their addresses on release', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'tracker-quiet-'));
+    const stateFile = join(dir, 'schedule.json');
+    const saved = process.env.RESEND_API_KEY;
+    delete process.env.RESEND_API_KEY;
+    try {
+      await sendAlerts(createTestReport(), [{ ...alerts[0], rule: { ...alerts[0].rule, recipients: ['Night@example.com'] } }], {
+        channels: [{ type: 'email', name: 'inbox' }],
+        quietHours: [{ from: '22:00', to: '07:00' }],
+        timeZone: 'America/Los_Angeles',
+        stateFile,
+        now: Date.parse('2026-01-19T07:00:00Z'), // 23:00 PST
+      });
+
+      const [held] = (await loadScheduleState(stateFile)).held;
+      assert.deepEqual(held.channel, { type: 'email' });
+      assert.deepEqual(held.recipients, [getRecipientKey('night@example.com')]);
+      assert.doesNotMatch(JSON.stringify(held), /night@example\.com/i);
+
+      // Sending fails here (no API key), but it goes to the address from the config
+      const [released] = await sendHeldMessages({ stateFile, now: Date.parse('2026-01-19T15:00:00Z'), channels: [{ type: 'email', name: 'inbox' }], addresses: ['Night@example.com'] });
+      assert.equal(released.channel, 'inbox');
+      assert.match(released.error.message, /RESEND_API_KEY/);
+    } finally {
+      if (saved !== undefined) process.env.RESEND_API_KEY = saved;
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('getRecipientKey', () => {
+  test('hashes email addresses and keeps channel labels', () => {
+    assert.match(getRecipientKey('a@example.com'), /^sha256:[0-9a-f]{16}$/);
+    assert.equal(getRecipientKey(' A@Example.com'), getRecipientKey('a@example.com'));
+    assert.equal(getRecipientKey('team'), 'team');
+  });
+});
+
+describe('validateNotifications', () => {
+  test('accepts a valid channel list', () => {
+    const problems = [];
+    validateNotifications({
+      channels: [
+        { type: 'email', recipients: ['me@example.com'] },
+        { type: 'slack', url: 'https://hooks.slack.com/services/T/B/X', name: 'team' },
+        { type: 'discord', enabled: false },
+        { type: 'webhook', url: 'http://localhost:8080/hook', headers: { 'X-Token': 'abc' } },
+      ],
+    }, problems);
+    assert.deepEqual(problems, []);
+  });
+
+  test('reports malformed channels', () => {
+    const problems = [];
+    validateNotifications({
+      channels: [
+        { type: 'pager' },
+        { type: 'slack', url: 'ftp://example.com' },
+        { type: 'email', recipients: ['nope'] },
+        { type: 'webhook', headers: ['x'], enabled: 'yes' },
+      ],
+    }, problems);
+
+    assert.deepEqual(problems, [
+      'notifications.channels[0].type must be one of: email, slack, discord, webhook',
+      'notifications.channels[1].url must be an http(s) URL',
+      'notifications.channels[2].recipients must be a non-empty array of email addresses',
+      'notifications.channels[3].headers must be an object of header names to string values',
+      'notifications.channels[3].enabled must be true or false',
+    ]);
+  });
+
+  test('requires a channels array', () => {
+    const problems = [];
+    validateNotifications({ channels: 'slack' }, problems);
+    assert.deepEqual(problems, ['notifications.channels must be an array']);
+  });
+});
@@ -0,0 +1,178 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, writeFile, rm, symlink } from 'fs/promises';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { appendEntry } from '../store.js';
+import { parseCliArgs, runCli, UsageError } from '../cli.js';
+import { historyRun, CITYLINE_PLAN } from './helpers/history.js';
+
+const HISTORY = [
+  historyRun('2026-01-17', [['320-504', 5114], ['350-218', 5064]], CITYLINE_PLAN),
+  historyRun('2026-01-18', [['320-504', 5050], ['350-218', 5064]], CITYLINE_PLAN),
+  historyRun('2026-01-19', [['320-504', 5050], ['345-305', 4990]], CITYLINE_PLAN),
+];
+
+describe('parseCliArgs', () => {
+  test('reads the command, its arguments and the default format', () => {
+    assert.deepEqual(parseCliArgs(['history', 'units']), { command: 'history', rest: ['units'], values: { format: 'text' } });
+    assert.equal(parseCliArgs(['history', 'export']).values.format, 'json');
+    assert.equal(parseCliArgs(['preview-email']).values.format, 'html');
+    assert.deepEqual(
+      parseCliArgs(['run', '--send-mode', 'conditional', '--config', 'other.json']).values,
+      { 'send-mode': 'conditional', config: 'other.json', format: 'text' }
+    );
+  });
+
+  test('shows the help without a command', () => {
+    assert.equal(parseCliArgs([]).command, null);
+    assert.equal(parseCliArgs(['report', '--help']).command, null);
+  });
+
+  test('rejects unknown commands, options, formats and send modes', () => {
+    assert.throws(() => parseCliArgs(['deploy']), /Unknown command "deploy"/);
+    assert.throws(() => parseCliArgs(['scrape', '--verbose']), UsageError);
+    assert.throws(() => parseCliArgs(['scrape', '--format', 'html']), /scrape can't output "html" \(use text or json\)/);
+    assert.throws(() => parseCliArgs(['run', '--send-mode', 'never']), /--send-mode "never" is not one of: always, conditional, alerts/);
+    assert.throws(() => parseCliArgs(['scrape', '--record', 'a', '--replay', 'b']), /either --record or --replay/);
+    assert.throws(() => parseCliArgs(['report', '--to', 'latest', '--date', '2026-01-18']), /either --to or --date/);
+  });
+
+  test('reads the scheduled command\'s options', () => {
+    assert.deepEqual(parseCliArgs(['scheduled', '--check', '--state', 's.json']).values, { check: true, state: 's.json', format: 'text' });
+    assert.throws(() => parseCliArgs(['scheduled', '--format', 'csv']), /scheduled can't output "csv"/);
+  });
+});
+
+describe('runCli', () => {
+  let dir;
+  let file;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'tracker-cli-'));
+    file = join(dir, 'history.jsonl');
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    for (const entry of HISTORY) {
+      await appendEntry(entry, { file, legacyFile: file });
+    }
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    process.exitCode = undefined;
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('lists units from the history store', async () => {
+    const out = join(dir, 'units.txt');
+    await runCli(['history', 'units', '--history', file, '--out', out]);
+
+    const lines = (await readFile(out, 'utf-8')).trim().split('\n');
+    assert.match(lines[0], /^Unit\s+Plan\s+Price\s+Low\s+High/);
+    assert.match(lines[2], /^320-504\s+Plan B\s+\$5,050\s+\$5,050\s+\$5,114\s+2026-01-17\s+2026-01-19\s+1\s+yes$/);
+    assert.match(lines[4], /^350-218\s+Plan B\s+\$5,064.*\s+no$/);
+    assert.equal(process.exitCode, undefined);
+  });
+
+  test('exports history as one CSV row per unit per run', async () => {
+    const out = join(dir, 'history.csv');
+    await runCli(['history', 'export', '--history', file, '--format', 'csv', '--out', out]);
+
+    const lines = (await readFile(out, 'utf-8')).trim().split('\n');
+    assert.equal(lines[0], 'date,timestamp,property,plan,unit,price,effectivePrice,availability,availableFrom');
+    assert.equal(lines[1], '2026-01-17,2026-01-17T16:00:00.000Z,CityLine Flats,Plan B,320-504,5114,,Available Now,');
+    assert.equal(lines.length, 7);
+  });
+
+  test('re-renders a past report in the chosen format', async () => {
+    const out = join(dir, 'report.json');
+    await runCli(['report', '--date', '2026-01-18', '--history', file, '--format', 'json', '--out', out]);
+
+    const report = JSON.parse(await readFile(out, 'utf-8'));
+    assert.equal(report.date, '2026-01-18');
+
+    const text = join(dir, 'report.txt');
+    await runCli(['report', '--from', '2026-01-17', '--history', file, '--out', text]);
+    assert.match(await readFile(text, 'utf-8'), /^RENT PRICE REPORT - 2026-01-17 08:00 PST → 2026-01-19 08:00 PST\n/);
+
+    const html = join(dir, 'preview.html');
+    await runCli(['preview-email', '--history', file, '--out', html]);
+    assert.match(await readFile(html, 'utf-8'), /<html/i);
+  });
+
+  test('filters the units in a report by their attributes', async () => {
+    const out = join(dir, 'report.json');
+    // Floors 5 and 3 pass, 350-218 (floor 2, removed) doesn't
+    await runCli(['report', '--history', file, '--format', 'json', '--out', out, '--min-floor', '3']);
+    assert.deepEqual(JSON.parse(await readFile(out, 'utf-8')).plans[0].units.map(u => u.unitNumber), ['320-504', '345-305']);
+
+    await runCli(['report', '--history', file, '--out', out, '--beds', 'one']);
+    assert.equal(process.exitCode, 1);
+    assert.match(console.error.mock.calls.at(-1).arguments[0], /^--beds must be a non-empty array of bedroom counts/);
+  });
+
+  test('checks what the schedule has due without doing it', async () => {
+    const state = join(dir, 'schedule.json');
+    const out = join(dir, 'due.txt');
+    const done = new Date().toISOString();
+    await writeFile(state, JSON.stringify({ lastRun: done, lastDigests: { week: done, month: done }, held: [] }));
+
+    await runCli(['scheduled', '--check', '--state', state, '--out', out]);
+    assert.equal(await readFile(out, 'utf-8'), 'due=false\nscrape=false\n');
+
+    await writeFile(state, JSON.stringify({ lastRun: done, lastDigests: { week: done, month: done }, held: [{ releaseAt: '2026-01-19T15:00:00.000Z' }] }));
+    await runCli(['scheduled', '--check', '--state', state, '--out', out]);
+    assert.equal(await readFile(out, 'utf-8'), 'due=true\nscrape=false\n');
+  });
+
+  test('snoozes and unsnoozes units in the ledger', async () => {
+    const ledger = join(dir, 'ledger.json');
+    const out = join(dir, 'snoozes.json');
+    await runCli(['snooze', 'add', '350-218', '--for', '7d', '--ledger', ledger]);
+    await runCli(['snooze', 'add', 'Plan B', '--recipient', 'a@example.com', '--ledger', ledger, '--format', 'json', '--out', out]);
+
+    const snoozes = JSON.parse(await readFile(out, 'utf-8'));
+    assert.deepEqual(snoozes.map(s => [s.target, s.recipient, s.until === null]), [['350-218', null, false], ['Plan B', 'a@example.com', true]]);
+
+    await runCli(['snooze', 'remove', '350-218', '--ledger', ledger, '--format', 'json', '--out', out]);
+    assert.deepEqual(JSON.parse(await readFile(out, 'utf-8')).map(s => s.target), ['Plan B']);
+    assert.equal(process.exitCode, undefined);
+
+    await runCli(['snooze', 'add', '350-218', '--for', 'a while', '--ledger', ledger]);
+    assert.equal(process.exitCode, 1);
+    assert.match(console.error.mock.calls[0].arguments[0], /--for "a while" is not a length like 12h, 7d or 2w/);
+  });
+
+  test('writes the output to stdout and progress to stderr', async () => {
+    const ledger = join(dir, 'ledger.json');
+    const { log } = console;
+    const logged = console.log.mock.callCount();
+    const write = mock.method(process.stdout, 'write', () => true);
+    await runCli(['snooze', 'add', '350-218', '--ledger', ledger, '--format', 'json']);
+    write.mock.restore();
+
+    assert.deepEqual(JSON.parse(write.mock.calls.map(c => c.arguments[0]).join('')).map(s => s.target), ['350-218']);
+    assert.match(console.error.mock.calls[0].arguments[0], /^😴 Snoozed 350-218 for everyone/);
+    assert.equal(console.log.mock.callCount(), logged);
+    assert.equal(console.log, log);
+  });
+
+  test('runs through a bin link named after the package', async () => {
+    const bin = join(dir, 'rent-tracker');
+    await symlink(join(dirname(fileURLToPath(import.meta.url)), '..', 'cli.js'), bin);
+
+    const { stdout } = await promisify(execFile)(process.execPath, [bin, '--help']);
+    assert.match(stdout, /^Usage: node cli\.js <command>/);
+  });
+
+  test('fails with the usage for a bad call', async () => {
+    await runCli(['history', 'colors', '--history', file]);
+
+    assert.equal(process.exitCode, 1);
+    assert.match(console.error.mock.calls[0].arguments[0], /history needs one of: .*\n\nUsage: node cli\.js/);
+  });
+});
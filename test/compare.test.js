@@ -0,0 +1,320 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { comparePrices, hasUpdates } from '../index.js';
+
+/**
+ * Build a scraped snapshot in the shape stored in history
+ * @param {string} date - Snapshot date
+ * @param {Object<string, Array>} plans - Plan name -> [unitNumber, price, availability] tuples
+ * @returns {Object}
+ */
+function snapshot(date, plans) {
+  return {
+    date,
+    timestamp: `${date}T16:00:00.000Z`,
+    plans: Object.entries(plans).map(([name, units]) => ({
+      name,
+      url: `https://example.com/${encodeURIComponent(name)}`,
+      units: units.map(([unitNumber, price, availability = 'Available Now']) => ({
+        unitNumber,
+        floor: unitNumber[0],
+        price,
+        priceFormatted: `$${price.toLocaleString()}`,
+        availability,
+      })),
+      totalUnits: units.length,
+      priceRange: units.length > 0
+        ? { min: Math.min(...units.map(u => u[1])), max: Math.max(...units.map(u => u[1])) }
+        : null,
+    })),
+  };
+}
+
+/**
+ * Get [unitNumber, status, difference] tuples for a plan report
+ */
+function statuses(planReport) {
+  return planReport.units.map(u => [u.unitNumber, u.status, u.difference]);
+}
+
+describe('comparePrices', () => {
+  test('marks every unit as new on the first run', () => {
+    const current = snapshot('2026-01-19', { 'Plan B': [['320-504', 5114], ['350-218', 5064]] });
+    const report = comparePrices(current, null);
+
+    assert.equal(report.date, '2026-01-19');
+    assert.equal(report.timestamp, current.timestamp);
+    assert.deepEqual(statuses(report.plans[0]), [
+      ['320-504', 'new', 0],
+      ['350-218', 'new', 0],
+    ]);
+    assert.equal(report.plans[0].units[0].previousPrice, null);
+  });
+
+  test('detects increases, decreases, unchanged and removed units', () => {
+    const previous = snapshot('2026-01-18', {
+      'Plan B': [['320-504', 5114], ['350-218', 5064], ['350-212', 5064], ['320-215', 5438]],
+    });
+    const current = snapshot('2026-01-19', {
+      'Plan B': [['320-504', 5010], ['350-218', 5100], ['350-212', 5064], ['345-305', 5200]],
+    });
+
+    const [plan] = comparePrices(current, previous).plans;
+
+    assert.deepEqual(statuses(plan), [
+      ['320-504', 'decreased', -104],
+      ['350-218', 'increased', 36],
+      ['350-212', 'unchanged', 0],
+      ['345-305', 'new', 0],
+      ['320-215', 'removed', 0],
+    ]);
+
+    const removed = plan.units.find(u => u.status === 'removed');
+    assert.equal(removed.currentPrice, null);
+    assert.equal(removed.previousPrice, 5438);
+    assert.equal(removed.availability, 'No longer available');
+  });
+
+  test('treats a plan missing from the previous run as all new', () => {
+    const previous = snapshot('2026-01-18', { 'Plan B': [['320-504', 5114]] });
+    const current = snapshot('2026-01-19', {
+      'Plan B': [['320-504', 5114]],
+      'Plan D': [['412-109', 6100]],
+    });
+
+    const report = comparePrices(current, previous);
+
+    assert.deepEqual(statuses(report.plans[0]), [['320-504', 'unchanged', 0]]);
+    assert.deepEqual(statuses(report.plans[1]), [['412-109', 'new', 0]]);
+  });
+
+  test('carries plan totals and price range into the report', () => {
+    const current = snapshot('2026-01-19', { 'Plan B': [['320-504', 5114], ['350-218', 5064]] });
+    const [plan] = comparePrices(current, null).plans;
+
+    assert.equal(plan.planName, 'Plan B');
+    assert.equal(plan.totalUnits, 2);
+    assert.deepEqual(plan.priceRange, { min: 5064, max: 5114 });
+  });
+});
+
+describe('availability changes', () => {
+  test('flags a unit whose move-in date changed even if the price did not', () => {
+    const previous = snapshot('2026-01-18', { 'Plan B': [['320-504', 5114, 'Feb 20'], ['350-218', 5064, 'Mar 3']] });
+    const current = snapshot('2026-01-19', { 'Plan B': [['320-504', 5114, 'Available Now'], ['350-218', 5064, 'Mar 3']] });
+
+    const [changed, same] = comparePrices(current, previous).plans[0].units;
+
+    assert.equal(changed.status, 'unchanged');
+    assert.equal(changed.availabilityChanged, true);
+    assert.equal(changed.previousAvailability, 'Feb 20');
+    assert.equal(same.availabilityChanged, false);
+  });
+
+  test('compares by move-in date when both runs have one', () => {
+    const previous = snapshot('2026-01-18', { 'Plan B': [['320-504', 5114, 'Feb 20']] });
+    const current = snapshot('2026-01-19', { 'Plan B': [['320-504', 5114, 'Feb 20']] });
+    previous.plans[0].units[0].availableFrom = '2026-02-20';
+    current.plans[0].units[0].availableFrom = '2026-02-20';
+
+    assert.equal(comparePrices(current, previous).plans[0].units[0].availabilityChanged, false);
+
+    current.plans[0].units[0].availableFrom = '2026-02-21';
+    assert.equal(comparePrices(current, previous).plans[0].units[0].availabilityChanged, true);
+  });
+
+  test('does not flag a unit that stays "Available Now" across days', () => {
+    const previous = snapshot('2026-01-18', { 'Plan B': [['320-504', 5114]] });
+    const current = snapshot('2026-01-19', { 'Plan B': [['320-504', 5114]] });
+    previous.plans[0].units[0].availableFrom = '2026-01-18';
+    current.plans[0].units[0].availableFrom = '2026-01-19';
+
+    assert.equal(comparePrices(current, previous).plans[0].units[0].availabilityChanged, false);
+  });
+
+  test('never flags new or removed units', () => {
+    const previous = snapshot('2026-01-18', { 'Plan B': [['320-504', 5114, 'Feb 20']] });
+    const current = snapshot('2026-01-19', { 'Plan B': [['350-218', 5064, 'Mar 3']] });
+
+    const units = comparePrices(current, previous).plans[0].units;
+
+    assert.deepEqual(units.map(u => [u.status, u.availabilityChanged]), [['new', false], ['removed', false]]);
+  });
+});
+
+describe('concession changes', () => {
+  test('flags a special that appears, changes or ends', () => {
+    const previous = snapshot('2026-01-18', { 'Plan B': [['320-504', 5114], ['320-416', 5035], ['350-218', 5064], ['345-210', 5499]] });
+    const current = snapshot('2026-01-19', { 'Plan B': [['320-504', 5114], ['320-416', 5035], ['350-218', 5064], ['345-210', 5499]] });
+    Object.assign(current.plans[0].units[0], { concession: '6 weeks free', effectivePrice: 4524 });
+    previous.plans[0].units[1].concession = '$500 off move-in';
+    previous.plans[0].units[2].concession = '$500 off move-in';
+    Object.assign(current.plans[0].units[2], { concession: '1 month free', effectivePrice: 4642 });
+
+    const units = comparePrices(current, previous).plans[0].units;
+
+    assert.deepEqual(
+      units.map(u => [u.unitNumber, u.status, u.concessionChanged, u.concession, u.previousConcession, u.effectivePrice]),
+      [
+        ['320-504', 'unchanged', true, '6 weeks free', null, 4524],
+        ['320-416', 'unchanged', true, null, '$500 off move-in', null],
+        ['350-218', 'unchanged', true, '1 month free', '$500 off move-in', 4642],
+        ['345-210', 'unchanged', false, null, null, null],
+      ]
+    );
+  });
+
+  test('carries the plan-wide special into the report', () => {
+    const current = snapshot('2026-01-19', { 'Plan B': [['320-504', 5114]] });
+    current.plans[0].concession = '6 weeks free';
+
+    assert.equal(comparePrices(current, null).plans[0].concession, '6 weeks free');
+  });
+});
+
+describe('lease term changes', () => {
+  test('compares term prices and picks the cheapest term', () => {
+    const previous = snapshot('2026-01-18', { 'Plan B': [['320-504', 5114]] });
+    const current = snapshot('2026-01-19', { 'Plan B': [['320-504', 5114]] });
+    previous.plans[0].units[0].leaseTerms = [{ months: 12, price: 5114 }, { months: 15, price: 5064 }];
+    current.plans[0].units[0].leaseTerms = [{ months: 12, price: 5114 }, { months: 15, price: 5014 }];
+
+    const [unit] = comparePrices(current, previous).plans[0].units;
+
+    assert.equal(unit.status, 'unchanged');
+    assert.equal(unit.leaseTermsChanged, true);
+    assert.deepEqual(unit.cheapestTerm, { months: 15, price: 5014 });
+    assert.deepEqual(unit.leaseTermChanges, [{ months: 15, price: 5014, previousPrice: 5064, difference: -50, status: 'decreased' }]);
+  });
+
+  test('does not flag units without terms in the previous run', () => {
+    const previous = snapshot('2026-01-18', { 'Plan B': [['320-504', 5114]] });
+    const current = snapshot('2026-01-19', { 'Plan B': [['320-504', 5114]] });
+    current.plans[0].units[0].leaseTerms = [{ months: 12, price: 5114 }];
+
+    const [unit] = comparePrices(current, previous).plans[0].units;
+
+    assert.equal(unit.leaseTermsChanged, false);
+    assert.deepEqual(unit.cheapestTerm, { months: 12, price: 5114 });
+    assert.equal(hasUpdates(comparePrices(current, previous)), false);
+  });
+
+  test('marks units whose terms could not be read', () => {
+    const current = snapshot('2026-01-19', { 'Plan B': [['320-504', 5114], ['320-505', 5200]] });
+    current.plans[0].units[0].leaseTermsError = "Lease terms didn't load within 5s";
+    current.plans[0].units[1].leaseTerms = [{ months: 12, price: 5200 }];
+
+    const [missing, read] = comparePrices(current, null).plans[0].units;
+
+    assert.equal(missing.leaseTermsMissing, true);
+    assert.equal(missing.cheapestTerm, null);
+    assert.equal(read.leaseTermsMissing, false);
+  });
+});
+
+describe('stable identity', () => {
+  /**
+   * Give each plan in a snapshot an ID and property
+   */
+  function withIds(data, ids) {
+    data.plans.forEach((plan, i) => Object.assign(plan, { id: ids[i], propertyId: 'cityline-flats' }));
+    return data;
+  }
+
+  test('matches a plan by ID when its name on the page changed', () => {
+    const previous = withIds(snapshot('2026-01-18', { 'Plan B': [['320-504', 5114]] }), ['162036']);
+    const current = withIds(snapshot('2026-01-19', { 'Plan B (1 Bed)': [['320-504', 5050]] }), ['162036']);
+
+    assert.deepEqual(statuses(comparePrices(current, previous).plans[0]), [['320-504', 'decreased', -64]]);
+  });
+
+  test('still matches plans by name against runs saved without IDs', () => {
+    const previous = snapshot('2026-01-18', { 'Plan B': [['320-504', 5114]] });
+    const current = withIds(snapshot('2026-01-19', { 'Plan B': [['320-504', 5114]] }), ['162036']);
+
+    assert.deepEqual(statuses(comparePrices(current, previous).plans[0]), [['320-504', 'unchanged', 0]]);
+  });
+
+  test('reports a unit that moved to another plan instead of removed and new', () => {
+    const previous = withIds(snapshot('2026-01-18', {
+      'Plan B': [['320-504', 5114], ['350-218', 5064]],
+      'Plan D': [['345-305', 6000]],
+    }), ['162036', '162038']);
+    const current = withIds(snapshot('2026-01-19', {
+      'Plan B': [['350-218', 5064]],
+      'Plan D': [['345-305', 6000], ['320-504', 5010]],
+    }), ['162036', '162038']);
+
+    const report = comparePrices(current, previous);
+    const [planB, planD] = report.plans;
+
+    assert.deepEqual(statuses(planB), [['350-218', 'unchanged', 0]]);
+    assert.deepEqual(
+      planD.units.map(u => [u.unitNumber, u.status, u.moved, u.movedFrom, u.previousPrice]),
+      [
+        ['345-305', 'unchanged', false, null, 6000],
+        ['320-504', 'decreased', true, 'Plan B', 5114],
+      ]
+    );
+    assert.equal(hasUpdates(report), true);
+  });
+});
+
+describe('unit attributes', () => {
+  test('carries size, building and features into the report, including for removed units', () => {
+    const previous = snapshot('2026-01-18', { 'Plan B': [['320-504', 5114], ['345-210', 5200]] });
+    const current = snapshot('2026-01-19', { 'Plan B': [['320-504', 5050]] });
+    Object.assign(current.plans[0], { beds: 1, baths: 1, sqft: 812 });
+    Object.assign(current.plans[0].units[0], { building: '320', beds: 1, baths: 1, sqft: 812, pricePerSqft: 6.22, features: ['City views'], view: 'City views' });
+    Object.assign(previous.plans[0].units[1], { building: '345', sqft: 900 });
+
+    const [planReport] = comparePrices(current, previous).plans;
+
+    assert.deepEqual([planReport.beds, planReport.baths, planReport.sqft], [1, 1, 812]);
+    assert.deepEqual(
+      planReport.units.map(u => [u.unitNumber, u.status, u.building, u.sqft, u.pricePerSqft, u.view, u.features]),
+      [
+        ['320-504', 'decreased', '320', 812, 6.22, 'City views', ['City views']],
+        ['345-210', 'removed', '345', 900, null, null, []],
+      ]
+    );
+  });
+});
+
+describe('hasUpdates', () => {
+  test('is false when every unit is unchanged', () => {
+    const data = snapshot('2026-01-19', { 'Plan B': [['320-504', 5114]] });
+    assert.equal(hasUpdates(comparePrices(data, data)), false);
+  });
+
+  test('is false for a report with no units', () => {
+    assert.equal(hasUpdates({ plans: [{ units: [] }] }), false);
+  });
+
+  for (const status of ['new', 'removed', 'increased', 'decreased']) {
+    test(`is true when a unit is ${status}`, () => {
+      const report = { plans: [{ units: [{ status: 'unchanged' }, { status }] }] };
+      assert.equal(hasUpdates(report), true);
+    });
+  }
+
+  test('is true when only a move-in date changed', () => {
+    const report = { plans: [{ units: [{ status: 'unchanged', availabilityChanged: true }] }] };
+    assert.equal(hasUpdates(report), true);
+  });
+
+  test('is true when only a lease term price changed', () => {
+    const report = { plans: [{ units: [{ status: 'unchanged', leaseTermsChanged: true }] }] };
+    assert.equal(hasUpdates(report), true);
+  });
+
+  test('is true when only a unit moved between plans', () => {
+    const report = { plans: [{ units: [{ status: 'unchanged', moved: true }] }] };
+    assert.equal(hasUpdates(report), true);
+  });
+
+  test('is true when only a special changed', () => {
+    const report = { plans: [{ units: [{ status: 'unchanged', concessionChanged: true }] }] };
+    assert.equal(hasUpdates(report), true);
+  });
+});
@@ -0,0 +1,87 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseConcession, getEffectiveRent, applyConcessions, describeConcessionChange } from '../concessions.js';
+
+/**
+ * Get the rent-changing terms of parsed concession text
+ */
+function terms(text) {
+  const { freeWeeks, freeMonths, oneTimeOff, monthlyOff, percentOff } = parseConcession(text);
+  return { freeWeeks, freeMonths, oneTimeOff, monthlyOff, percentOff };
+}
+
+const NONE = { freeWeeks: 0, freeMonths: 0, oneTimeOff: 0, monthlyOff: 0, percentOff: 0 };
+
+describe('parseConcession', () => {
+  test('reads free weeks and months', () => {
+    assert.deepEqual(terms('Up to 6 Weeks Free!'), { ...NONE, freeWeeks: 6 });
+    assert.deepEqual(terms('six weeks of free rent'), { ...NONE, freeWeeks: 6 });
+    assert.deepEqual(terms('First month free'), { ...NONE, freeMonths: 1 });
+    assert.deepEqual(terms('Half a month free on 14-month leases'), { ...NONE, freeMonths: 0.5 });
+  });
+
+  test('reads amounts and percentages off', () => {
+    assert.deepEqual(terms('$500 off move-in'), { ...NONE, oneTimeOff: 500 });
+    assert.deepEqual(terms('$1,000 off your first month'), { ...NONE, oneTimeOff: 1000 });
+    assert.deepEqual(terms('$100 off per month'), { ...NONE, monthlyOff: 100 });
+    assert.deepEqual(terms('5% off'), { ...NONE, percentOff: 5 });
+  });
+
+  test('adds up several terms in the same text', () => {
+    assert.deepEqual(terms('Get 1 month free + $300 off'), { ...NONE, freeMonths: 1, oneTimeOff: 300 });
+  });
+
+  test('keeps text it cannot price', () => {
+    const concession = parseConcession('  Waived\n admin fee ');
+    assert.equal(concession.text, 'Waived admin fee');
+    assert.equal(concession.recognized, false);
+    assert.equal(parseConcession(''), null);
+    assert.equal(parseConcession(null), null);
+  });
+});
+
+describe('getEffectiveRent', () => {
+  test('spreads the savings over the lease', () => {
+    assert.equal(getEffectiveRent(5200, parseConcession('6 weeks free')), 4600);
+    assert.equal(getEffectiveRent(5200, parseConcession('6 weeks free'), 18), 4800);
+    assert.equal(getEffectiveRent(5000, parseConcession('$600 off move-in')), 4950);
+    assert.equal(getEffectiveRent(5000, parseConcession('$100 off per month')), 4900);
+    assert.equal(getEffectiveRent(5000, parseConcession('5% off')), 4750);
+  });
+
+  test('leaves the price alone without a recognized special', () => {
+    assert.equal(getEffectiveRent(5000, null), 5000);
+    assert.equal(getEffectiveRent(5000, parseConcession('Waived admin fee')), 5000);
+  });
+
+  test('never goes below zero', () => {
+    assert.equal(getEffectiveRent(5000, parseConcession('2 months free'), 1), 0);
+  });
+});
+
+describe('applyConcessions', () => {
+  test('uses the unit special before the plan special', () => {
+    const units = applyConcessions(
+      [{ unitNumber: '320-504', price: 5200 }, { unitNumber: '320-416', price: 5000, concession: '$600 off move-in' }],
+      { planConcession: '6 weeks free' }
+    );
+
+    assert.deepEqual(units, [
+      { unitNumber: '320-504', price: 5200, concession: '6 weeks free', effectivePrice: 4600 },
+      { unitNumber: '320-416', price: 5000, concession: '$600 off move-in', effectivePrice: 4950 },
+    ]);
+  });
+
+  test('leaves units without a special unchanged', () => {
+    const unit = { unitNumber: '320-504', price: 5200 };
+    assert.deepEqual(applyConcessions([unit]), [unit]);
+  });
+});
+
+describe('describeConcessionChange', () => {
+  test('tells added, ended and changed specials apart', () => {
+    assert.equal(describeConcessionChange({ concession: '6 weeks free', previousConcession: null }), 'Special added');
+    assert.equal(describeConcessionChange({ concession: null, previousConcession: '6 weeks free' }), 'Special ended');
+    assert.equal(describeConcessionChange({ concession: '4 weeks free', previousConcession: '6 weeks free' }), 'Special changed');
+  });
+});
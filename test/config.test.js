@@ -0,0 +1,158 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { validateConfig, loadConfig, getEnabledPlans, ConfigError } from '../config.js';
+
+const PLAN_URL = 'https://citylineflats.com/apartments/?spaces_tab=plan-detail&detail=162036';
+
+describe('validateConfig', () => {
+  test('fills in ids, adapters and default options', () => {
+    const config = validateConfig({
+      properties: [{
+        name: ' CityLine Flats ',
+        options: { maxPrice: 9000 },
+        plans: [
+          { name: 'Plan B', url: PLAN_URL },
+          { name: 'Plan D', url: 'https://example.com/plan-d', options: { enabled: false } },
+        ],
+      }],
+    });
+
+    const [property] = config.properties;
+    assert.equal(property.id, 'cityline-flats');
+    assert.equal(property.name, 'CityLine Flats');
+    assert.equal(property.adapter, 'cityline');
+    assert.deepEqual(property.plans[0].options, { enabled: true, minPrice: 1000, maxPrice: 9000, leaseMonths: 12 });
+    // Plan IDs come from the detail= parameter, or the name without one
+    assert.deepEqual(property.plans.map(p => p.id), ['162036', 'plan-d']);
+
+    const plans = getEnabledPlans(config);
+    assert.deepEqual(plans.map(p => p.name), ['Plan B']);
+    assert.equal(plans[0].propertyName, 'CityLine Flats');
+  });
+
+  test('lists every malformed entry in one error', () => {
+    assert.throws(
+      () => validateConfig({
+        properties: [
+          { name: 'A', plans: [{ name: 'Plan B', url: 'not a url' }, { url: PLAN_URL }] },
+          { name: 'B', adapter: 'unknown', plans: [] },
+        ],
+      }),
+      (error) => {
+        assert.ok(error instanceof ConfigError);
+        assert.deepEqual(error.problems, [
+          'properties[0].plans[0].url must be an absolute http(s) URL',
+          'properties[0].plans[1].name must be a non-empty string',
+          'properties[1].adapter "unknown" is not one of: cityline, generic',
+          'properties[1].plans must be a non-empty array',
+        ]);
+        return true;
+      }
+    );
+  });
+
+  test('requires every plan to have its own ID', () => {
+    assert.throws(
+      () => validateConfig({
+        properties: [
+          { name: 'A', plans: [{ name: 'Plan B', url: PLAN_URL }] },
+          { name: 'B', plans: [{ name: 'Plan B2', url: PLAN_URL }, { name: 'Plan C', url: PLAN_URL, id: 'Plan C' }] },
+        ],
+      }),
+      (error) => {
+        assert.deepEqual(error.problems, [
+          'properties[1].plans[0].id "162036" is used by more than one plan (set "id" on the plan to tell them apart)',
+          'properties[1].plans[1].id must be lowercase letters, numbers and dashes',
+        ]);
+        return true;
+      }
+    );
+
+    const config = validateConfig({
+      properties: [{ name: 'A', plans: [{ name: 'Plan B', url: PLAN_URL }, { name: 'Plan B2', url: PLAN_URL, id: 'plan-b2' }] }],
+    });
+    assert.deepEqual(config.properties[0].plans.map(p => p.id), ['162036', 'plan-b2']);
+  });
+
+  test('requires selectors for the generic adapter', () => {
+    assert.throws(
+      () => validateConfig({
+        properties: [{
+          name: 'Other',
+          adapter: 'generic',
+          selectors: { unit: '.unit' },
+          plans: [{ name: '1 Bed', url: PLAN_URL, selectors: { price: '.rent' } }],
+        }],
+      }),
+      /has no selectors\.unitNumber/
+    );
+  });
+
+  test('rejects a lease length that is not whole months', () => {
+    assert.throws(
+      () => validateConfig({
+        properties: [{ name: 'A', plans: [{ name: 'Plan B', url: PLAN_URL, options: { leaseMonths: 0.5 } }] }],
+      }),
+      /properties\[0\]\.plans\[0\]\.options\.leaseMonths must be a whole number of months/
+    );
+  });
+
+  test('rejects scraper settings that are not whole numbers', () => {
+    assert.throws(
+      () => validateConfig({
+        properties: [{ name: 'A', plans: [{ name: 'Plan B', url: PLAN_URL }] }],
+        scraper: { concurrency: 0, retries: 1, planTimeoutMs: '90s' },
+      }),
+      (error) => {
+        assert.deepEqual(error.problems, [
+          'scraper.concurrency must be a whole number of at least 1',
+          'scraper.planTimeoutMs must be a whole number of milliseconds',
+        ]);
+        return true;
+      }
+    );
+  });
+
+  test('accepts a known timezone only', () => {
+    const properties = [{ name: 'A', plans: [{ name: 'Plan B', url: PLAN_URL }] }];
+    assert.equal(validateConfig({ properties, timezone: 'America/Los_Angeles' }).timezone, 'America/Los_Angeles');
+    assert.throws(() => validateConfig({ properties, timezone: 'Pacific Time' }), /timezone must be a timezone name/);
+  });
+
+  test('validates the schedule', () => {
+    const properties = [{ name: 'A', plans: [{ name: 'Plan B', url: PLAN_URL }] }];
+    assert.doesNotThrow(() => validateConfig({ properties, schedule: { runs: [{ at: '09:00', send: 'always' }] } }));
+    assert.throws(
+      () => validateConfig({ properties, schedule: { runs: [{ at: '9am' }], quietHours: {} } }),
+      /schedule\.runs\[0\]\.at must be a time like "08:00"[\s\S]*schedule\.quietHours must be an array/
+    );
+  });
+
+  test('rejects a config without properties', () => {
+    assert.throws(() => validateConfig({}), /"properties" must be a non-empty array/);
+    assert.throws(() => validateConfig([]), /expected a JSON object/);
+  });
+});
+
+describe('loadConfig', () => {
+  test('reports missing files and invalid JSON clearly', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'tracker-config-'));
+    try {
+      await assert.rejects(loadConfig(join(dir, 'missing.json')), /Config file not found/);
+
+      const badJson = join(dir, 'bad.json');
+      await writeFile(badJson, '{ "properties": [ }');
+      await assert.rejects(loadConfig(badJson), /is not valid JSON/);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('loads the bundled config.json', async () => {
+    const config = await loadConfig();
+    assert.ok(getEnabledPlans(config).length > 0);
+  });
+});
@@ -0,0 +1,100 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { buildDashboard, writeDashboard } from '../dashboard.js';
+import { historyRun } from './helpers/history.js';
+
+const SQFT = { sqft: 812 };
+
+const history = [
+  historyRun('2026-01-17', [['320-504', 5114], ['350-218', 5064]], {}, SQFT),
+  historyRun('2026-01-18T04:00:00.000Z', [['320-504', 5114], ['350-218', 5100]], {}, SQFT),
+  historyRun('2026-01-18', [['320-504', 5010], ['350-218', 5100]], {}, SQFT),
+  historyRun('2026-01-19', [['320-504', 5010], ['412-109', 6100, '2026-02-20']], {}, SQFT),
+];
+
+describe('buildDashboard', () => {
+  const pages = buildDashboard(history);
+
+  test('builds the overview, unit history and removed pages', () => {
+    assert.deepEqual(Object.keys(pages), ['index.html', 'units.html', 'removed.html']);
+    for (const html of Object.values(pages)) {
+      assert.match(html, /^<!DOCTYPE html>/);
+      assert.ok(html.includes('Updated 2026-01-19 16:00 UTC'));
+    }
+  });
+
+  test('shows when the latest run was last confirmed, in the timezone', () => {
+    const confirmed = [...history.slice(0, -1), { ...history[3], lastConfirmedAt: '2026-01-19T20:00:00.000Z' }];
+    const html = buildDashboard(confirmed, { timeZone: 'America/Los_Angeles' })['index.html'];
+    assert.ok(html.includes('Updated 2026-01-19 12:00 PST'));
+  });
+
+  test('is self-contained, with no external scripts, styles or images', () => {
+    for (const html of Object.values(pages)) {
+      assert.doesNotMatch(html, /<(script|link|img)[^>]+(src|href)=/);
+    }
+  });
+
+  test('charts each plan and lists the current units with filter data', () => {
+    const html = pages['index.html'];
+
+    assert.match(html, /<svg class="chart"[^>]*>.*<polyline/s);
+    assert.ok(html.includes('data-plan="Plan B" data-price="6100" data-available="2026-02-20" data-unit="412-109"'));
+    assert.ok(html.includes('data-unit="320-504"'));
+    assert.ok(!html.includes('data-unit="350-218"'));
+    assert.ok(html.includes('id="filter-price"'));
+  });
+
+  test('lists unit size and price per square foot, filterable by building and size', () => {
+    const html = pages['index.html'];
+
+    assert.ok(html.includes('data-unit="320-504" data-building="320" data-sqft="812"'));
+    assert.ok(html.includes('<td class="num">$6.17</td>'));
+    assert.ok(html.includes('<option value="412">412</option>'));
+    assert.ok(html.includes('id="filter-sqft"'));
+  });
+
+  test('shows every unit with its price changes', () => {
+    const html = pages['units.html'];
+
+    assert.ok(html.includes('2026-01-18: $5,114 → $5,010'));
+    assert.ok(html.includes('2026-01-18: $5,064 → $5,100'));
+    assert.match(html, /350-218 <span class="muted">\(removed\)<\/span>/);
+  });
+
+  test('lists units removed in the last 30 days only', () => {
+    assert.ok(pages['removed.html'].includes('<td>350-218</td>'));
+    assert.ok(!pages['removed.html'].includes('<td>320-504</td>'));
+
+    const later = [...history, historyRun('2026-02-18', [['412-109', 6100]], {}, SQFT)];
+    const removed = buildDashboard(later)['removed.html'];
+    assert.ok(removed.includes('<td>320-504</td>'));
+    assert.ok(!removed.includes('<td>350-218</td>'));
+  });
+
+  test('escapes unit and plan text', () => {
+    const html = buildDashboard([historyRun('2026-01-19', [['<b>1</b>', 5000]], {}, SQFT)])['index.html'];
+    assert.ok(html.includes('&lt;b&gt;1&lt;/b&gt;'));
+    assert.ok(!html.includes('<b>1</b>'));
+  });
+
+  test('handles an empty history', () => {
+    assert.ok(buildDashboard([])['index.html'].includes('No price history yet.'));
+  });
+});
+
+describe('writeDashboard', () => {
+  test('writes every page plus .nojekyll for GitHub Pages', async () => {
+    const outDir = await mkdtemp(join(tmpdir(), 'dashboard-'));
+    try {
+      await writeDashboard({ outDir, history });
+      assert.deepEqual((await readdir(outDir)).sort(), ['.nojekyll', 'index.html', 'removed.html', 'units.html']);
+      assert.match(await readFile(join(outDir, 'index.html'), 'utf-8'), /Plan B/);
+    } finally {
+      await rm(outDir, { recursive: true, force: true });
+    }
+  });
+});
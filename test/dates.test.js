@@ -0,0 +1,101 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeAvailability, inferYear, formatShortDate, addDays, getZonedTime, zonedTimeToEpoch, formatTimestamp } from '../dates.js';
+import { applyMigration } from '../migrations.js';
+
+describe('normalizeAvailability', () => {
+  test('uses the reference date for "Available Now"', () => {
+    assert.deepEqual(normalizeAvailability('Available Now', '2026-02-10'), {
+      availability: 'Available Now',
+      availableFrom: '2026-02-10',
+    });
+    assert.equal(normalizeAvailability('Avail. Now', '2026-02-10').availableFrom, '2026-02-10');
+  });
+
+  test('parses month names and numeric dates in the reference year', () => {
+    assert.deepEqual(normalizeAvailability('Feb 20', '2026-01-18'), { availability: 'Feb 20', availableFrom: '2026-02-20' });
+    assert.equal(normalizeAvailability('Mar 03', '2026-01-18').availableFrom, '2026-03-03');
+    assert.equal(normalizeAvailability('4/15', '2026-01-18').availableFrom, '2026-04-15');
+  });
+
+  test('infers the year across New Year', () => {
+    assert.equal(normalizeAvailability('Jan 5', '2026-12-20').availableFrom, '2027-01-05');
+    assert.equal(normalizeAvailability('Dec 28', '2027-01-03').availableFrom, '2026-12-28');
+  });
+
+  test('keeps the year from ISO dates', () => {
+    assert.deepEqual(normalizeAvailability('2027-02-20', '2026-12-01'), { availability: 'Feb 20', availableFrom: '2027-02-20' });
+  });
+
+  test('has no date for text without one', () => {
+    for (const text of ['Call for Details', 'Unknown', 'No longer available', '', undefined]) {
+      assert.equal(normalizeAvailability(text, '2026-01-18').availableFrom, null, String(text));
+    }
+  });
+
+  test('rejects impossible dates', () => {
+    assert.equal(normalizeAvailability('Feb 31', '2026-01-18').availableFrom, null);
+    assert.equal(normalizeAvailability('13/40', '2026-01-18').availableFrom, null);
+  });
+});
+
+describe('inferYear', () => {
+  test('finds the nearest leap day', () => {
+    assert.equal(inferYear(2, 29, '2027-12-15'), '2028-02-29');
+  });
+});
+
+describe('formatShortDate', () => {
+  test('formats without a leading zero', () => {
+    assert.equal(formatShortDate('2026-03-05'), 'Mar 5');
+  });
+});
+
+describe('addDays', () => {
+  test('moves across month and year boundaries', () => {
+    assert.equal(addDays('2026-01-19', -6), '2026-01-13');
+    assert.equal(addDays('2026-12-31', 1), '2027-01-01');
+    assert.equal(addDays('2028-02-28', 1), '2028-02-29');
+  });
+});
+
+describe('timezones', () => {
+  test('reads the local date and time in a timezone', () => {
+    assert.deepEqual(getZonedTime('2026-01-19T07:30:00Z', 'America/Los_Angeles'), { date: '2026-01-18', time: '23:30', zone: 'PST' });
+    assert.equal(formatTimestamp('2026-07-19T15:00:00Z', 'America/Los_Angeles'), '2026-07-19 08:00 PDT');
+    assert.equal(formatTimestamp('2026-07-19T15:00:00Z'), '2026-07-19 15:00 UTC');
+  });
+
+  test('turns a local time back into an instant, across daylight saving', () => {
+    assert.equal(new Date(zonedTimeToEpoch('2026-01-19', '08:00', 'America/Los_Angeles')).toISOString(), '2026-01-19T16:00:00.000Z');
+    assert.equal(new Date(zonedTimeToEpoch('2026-03-09', '08:00', 'America/Los_Angeles')).toISOString(), '2026-03-09T15:00:00.000Z');
+    // 02:30 doesn't exist the night clocks go forward; it lands an hour later
+    assert.equal(new Date(zonedTimeToEpoch('2026-03-08', '02:30', 'America/Los_Angeles')).toISOString(), '2026-03-08T10:30:00.000Z');
+  });
+});
+
+describe('availability-dates migration', () => {
+  test('adds move-in dates to existing history and can run twice', () => {
+    const history = [{
+      date: '2025-12-30',
+      timestamp: '2025-12-30T16:00:00.000Z',
+      plans: [{
+        name: 'Plan B',
+        units: [
+          { unitNumber: '320-504', price: 5114, availability: 'Available Now' },
+          { unitNumber: '320-416', price: 5035, availability: 'Jan 20' },
+          { unitNumber: '320-215', price: 5438, availability: 'Call for Details' },
+        ],
+      }],
+    }];
+
+    const migrated = applyMigration('availability-dates', history);
+    assert.deepEqual(migrated[0].plans[0].units.map(u => u.availableFrom), ['2025-12-30', '2026-01-20', null]);
+    assert.deepEqual(applyMigration('availability-dates', migrated), migrated);
+    assert.equal(history[0].plans[0].units[0].availableFrom, undefined);
+  });
+
+  test('rejects unknown migrations', () => {
+    assert.throws(() => applyMigration('nope', []), /Unknown migration "nope"/);
+  });
+});
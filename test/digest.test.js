@@ -0,0 +1,108 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildDigest, parseDigestPeriod, sparkline } from '../digest.js';
+import { generateDigestSubjectLine, generateDigestText, generateDigestHtml } from '../notifier.js';
+import { historyRun } from './helpers/history.js';
+
+const CITYLINE = { propertyName: 'CityLine Flats' };
+
+const history = [
+  historyRun('2026-01-05', [['101', 5000], ['201', 5200]], CITYLINE),
+  historyRun('2026-01-10', [['101', 5000], ['201', 5200]], CITYLINE),
+  historyRun('2026-01-13', [['101', 5000], ['201', 5200]], CITYLINE),
+  historyRun('2026-01-15', [['101', 4900], ['201', 5200], ['301', 5400]], CITYLINE),
+  historyRun('2026-01-19', [['101', 4800], ['301', 5400]], CITYLINE),
+];
+
+describe('buildDigest', () => {
+  test('summarizes the last week', () => {
+    const digest = buildDigest(history, { period: 'week' });
+
+    assert.equal(digest.label, 'Weekly');
+    assert.equal(digest.from, '2026-01-13');
+    assert.equal(digest.to, '2026-01-19');
+    assert.equal(digest.runs, 3);
+
+    const [plan] = digest.plans;
+    assert.equal(plan.planName, 'Plan B');
+    assert.equal(plan.startMedian, 5100);
+    assert.equal(plan.endMedian, 5100);
+    assert.equal(plan.startMin, 5000);
+    assert.equal(plan.endMin, 4800);
+    assert.equal(plan.minChange, -200);
+    assert.equal(plan.sparkline.length, 3);
+  });
+
+  test('lists units that came and went', () => {
+    const digest = buildDigest(history, { period: 'week' });
+
+    assert.deepEqual(digest.added.map(u => u.unitNumber), ['301']);
+    assert.deepEqual(digest.removed.map(u => u.unitNumber), ['201']);
+    assert.equal(digest.removed[0].daysOnMarket, 10);
+    assert.equal(digest.averageDaysListed, 10);
+  });
+
+  test('finds units below their own median price', () => {
+    const digest = buildDigest(history, { period: 'week' });
+
+    assert.equal(digest.bestDeals.length, 1);
+    const [deal] = digest.bestDeals;
+    assert.equal(deal.unitNumber, '101');
+    assert.equal(deal.price, 4800);
+    assert.equal(deal.medianPrice, 5000);
+    assert.equal(deal.belowMedian, 200);
+    assert.equal(deal.atLowest, true);
+  });
+
+  test('ends on the given date', () => {
+    const digest = buildDigest(history, { period: 'month', endDate: '2026-01-14' });
+
+    assert.equal(digest.to, '2026-01-14');
+    assert.equal(digest.from, '2025-12-16');
+    assert.equal(digest.runs, 3);
+    assert.deepEqual(digest.removed, []);
+    assert.equal(digest.averageDaysListed, null);
+  });
+});
+
+describe('parseDigestPeriod', () => {
+  test('accepts week and month in either form', () => {
+    assert.equal(parseDigestPeriod('week'), 'week');
+    assert.equal(parseDigestPeriod('Weekly'), 'week');
+    assert.equal(parseDigestPeriod('monthly'), 'month');
+    assert.throws(() => parseDigestPeriod('daily'), /Unknown digest period "daily"/);
+  });
+});
+
+describe('sparkline', () => {
+  test('scales values to the block characters', () => {
+    assert.equal(sparkline([1, 5, 8]), '▁▅█');
+    assert.equal(sparkline([5000, 5000]), '▄▄');
+    assert.equal(sparkline([]), '');
+  });
+});
+
+describe('digest messages', () => {
+  test('uses the digest subject format', () => {
+    const digest = buildDigest(history, { period: 'week' });
+    assert.equal(generateDigestSubjectLine(digest), '📆 Weekly Digest (Jan 13 - Jan 19): 1 new, 1 removed, 1 deal');
+
+    const quiet = buildDigest(history.slice(0, 3), { period: 'week' });
+    assert.equal(generateDigestSubjectLine(quiet), '📆 Weekly Digest (Jan 7 - Jan 13): No changes');
+  });
+
+  test('renders each section', () => {
+    const digest = buildDigest(history, { period: 'week' });
+    const text = generateDigestText(digest);
+
+    assert.match(text, /Median \$5,100 → \$5,100 \(no change\) • Lowest \$5,000 → \$4,800 \(↓ \$200\)/);
+    assert.match(text, /301 \(Plan B\): \$5,400 - first seen Jan 15/);
+    assert.match(text, /201 \(Plan B\): last \$5,200 - listed 10 days/);
+    assert.match(text, /Average days listed: 10/);
+    assert.match(text, /101 \(Plan B\): \$4,800 - \$200 below its median of \$5,000 \(lowest ever\)/);
+
+    const html = generateDigestHtml(digest);
+    assert.match(html, /📆 Weekly Digest/);
+    assert.match(html, /href="https:\/\/example.com\/plan-b"/);
+  });
+});
@@ -0,0 +1,93 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkScrapeHealth, validateHealthOptions } from '../health.js';
+import { generateScraperAlertText } from '../notifier.js';
+
+/**
+ * Build a scraped run with the given number of units per plan
+ * @param {Object<string, number|Object>} plans - Plan name -> unit count, or plan fields
+ * @returns {Object}
+ */
+function run(plans) {
+  return {
+    date: '2026-02-10',
+    timestamp: '2026-02-10T16:00:00.000Z',
+    plans: Object.entries(plans).map(([name, value]) => {
+      const fields = typeof value === 'number' ? { count: value } : value;
+      const units = Array.from({ length: fields.count || 0 }, (_, i) => ({ unitNumber: `320-${500 + i}`, price: 5000 }));
+      return {
+        name,
+        url: `https://example.com/${encodeURIComponent(name)}`,
+        units,
+        totalUnits: units.length,
+        success: fields.success ?? true,
+        error: fields.error,
+      };
+    }),
+  };
+}
+
+describe('checkScrapeHealth', () => {
+  test('passes a normal run', () => {
+    const health = checkScrapeHealth(run({ 'Plan B': 6, 'Plan D': 2 }), run({ 'Plan B': 7, 'Plan D': 3 }));
+    assert.deepEqual(health, { healthy: true, issues: [] });
+  });
+
+  test('passes the first run', () => {
+    assert.equal(checkScrapeHealth(run({ 'Plan B': 0 }), null).healthy, true);
+  });
+
+  test('flags failed plans', () => {
+    const health = checkScrapeHealth(
+      run({ 'Plan B': { success: false, error: 'Timeout 60000ms exceeded' }, 'Plan D': 3 }),
+      run({ 'Plan B': 5, 'Plan D': 3 })
+    );
+
+    assert.equal(health.healthy, false);
+    assert.deepEqual(health.issues.map(i => [i.planName, i.type, i.message]), [
+      ['Plan B', 'failed', 'Scrape failed: Timeout 60000ms exceeded'],
+    ]);
+  });
+
+  test('flags zero units when the previous run had many', () => {
+    const health = checkScrapeHealth(run({ 'Plan B': 0 }), run({ 'Plan B': 8 }));
+    assert.deepEqual(health.issues.map(i => [i.type, i.previousUnits, i.currentUnits]), [['empty', 8, 0]]);
+  });
+
+  test('allows a small plan to empty out', () => {
+    assert.equal(checkScrapeHealth(run({ 'Plan D': 0 }), run({ 'Plan D': 2 })).healthy, true);
+  });
+
+  test('flags sudden drops in unit count', () => {
+    const health = checkScrapeHealth(run({ 'Plan B': 3 }), run({ 'Plan B': 10 }));
+    assert.deepEqual(health.issues.map(i => [i.type, i.message]), [['drop', 'Unit count fell from 10 to 3']]);
+
+    assert.equal(checkScrapeHealth(run({ 'Plan B': 3 }), run({ 'Plan B': 10 }), { maxDropRatio: 0.8 }).healthy, true);
+  });
+
+  test('flags a run with no plans', () => {
+    assert.deepEqual(checkScrapeHealth(run({}), run({ 'Plan B': 3 })).issues.map(i => i.type), ['no-plans']);
+  });
+});
+
+describe('validateHealthOptions', () => {
+  test('reports bad thresholds', () => {
+    const problems = [];
+    validateHealthOptions({ minPreviousUnits: 0, maxDropRatio: 1.5, recipients: ['ops'] }, problems);
+    assert.deepEqual(problems, [
+      'health.minPreviousUnits must be a whole number of at least 1',
+      'health.maxDropRatio must be a number between 0 and 1',
+      'health.recipients must be a non-empty array of email addresses',
+    ]);
+  });
+});
+
+describe('generateScraperAlertText', () => {
+  test('includes the error details for each problem', () => {
+    const current = run({ 'Plan B': { success: false, error: 'net::ERR_NAME_NOT_RESOLVED' } });
+    const text = generateScraperAlertText(checkScrapeHealth(current, run({ 'Plan B': 4 })), current);
+
+    assert.match(text, /NOT saved to history/);
+    assert.match(text, /Plan B\n  Problem: Scrape failed: net::ERR_NAME_NOT_RESOLVED\n  URL: https:\/\/example.com\/Plan%20B/);
+  });
+});
@@ -0,0 +1,63 @@
+import { createServer } from 'http';
+import { readFile } from 'fs/promises';
+import { dirname, join, normalize } from 'path';
+import { fileURLToPath } from 'url';
+import { chromium } from 'playwright';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const FIXTURES_DIR = join(__dirname, '..', 'fixtures');
+
+/**
+ * Skip reason for browser tests, or false if Chromium can be launched
+ * (install it with `npx playwright install chromium --with-deps`)
+ */
+export const skipWithoutBrowser = await chromium.launch({ headless: true })
+  .then(browser => browser.close().then(() => false))
+  .catch(() => 'Chromium could not be launched (run `npx playwright install chromium --with-deps`)');
+
+/**
+ * Serve the fixtures directory over HTTP on a random local port
+ * @returns {Promise<{ url: (name: string) => string, close: () => Promise<void> }>}
+ */
+export async function startFixtureServer() {
+  const server = createServer(async (req, res) => {
+    const path = normalize(decodeURIComponent(new URL(req.url, 'http://localhost').pathname));
+    try {
+      const body = await readFile(join(FIXTURES_DIR, path));
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(body);
+    } catch {
+      res.writeHead(404);
+      res.end('Not found');
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: name => `http://127.0.0.1:${port}/${name}`,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+/**
+ * Build a config plan for a fixture page
+ * @param {string} url - Fixture URL
+ * @param {Object} [overrides] - Plan fields to override
+ * @returns {Object} - Plan in the shape returned by getEnabledPlans()
+ */
+export function fixturePlan(url, overrides = {}) {
+  return {
+    name: 'Fixture Plan',
+    url,
+    propertyId: 'fixture-property',
+    propertyName: 'Fixture Property',
+    adapter: 'cityline',
+    selectors: {},
+    options: { enabled: true, minPrice: 1000, maxPrice: 20000 },
+    ...overrides,
+  };
+}
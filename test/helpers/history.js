@@ -0,0 +1,52 @@
+import { parseUnitNumber } from '../../attributes.js';
+import { formatShortDate } from '../../dates.js';
+
+/**
+ * Plan fields for CityLine Flats' Plan B as the adapters scrape it
+ */
+export const CITYLINE_PLAN = { id: '162036', propertyId: 'cityline-flats', propertyName: 'CityLine Flats' };
+
+/**
+ * Build a plan in the shape stored in history
+ * @param {Array} units - [unitNumber, price, availableFrom] tuples
+ * @param {Object} [fields] - Plan fields to add or override (e.g. { id, propertyId })
+ * @param {Object} [unitFields] - Fields to add to every unit (e.g. { sqft: 812 })
+ * @returns {Object}
+ */
+export function historyPlan(units, fields = {}, unitFields = {}) {
+  const prices = units.map(([, price]) => price);
+  return {
+    name: 'Plan B',
+    url: 'https://example.com/plan-b',
+    units: units.map(([unitNumber, price, availableFrom = null]) => ({
+      unitNumber,
+      ...parseUnitNumber(unitNumber),
+      price,
+      priceFormatted: `$${price.toLocaleString()}`,
+      availability: availableFrom ? formatShortDate(availableFrom) : 'Available Now',
+      availableFrom,
+      ...unitFields,
+    })),
+    totalUnits: units.length,
+    priceRange: prices.length > 0 ? { min: Math.min(...prices), max: Math.max(...prices) } : null,
+    success: true,
+    ...fields,
+  };
+}
+
+/**
+ * Build a run in the shape stored in history, with one plan
+ * @param {string} when - Run date (the run is at 16:00 UTC) or full timestamp
+ * @param {Array} units - [unitNumber, price, availableFrom] tuples
+ * @param {Object} [fields] - Plan fields to add or override
+ * @param {Object} [unitFields] - Fields to add to every unit
+ * @returns {Object}
+ */
+export function historyRun(when, units, fields = {}, unitFields = {}) {
+  const timestamp = when.includes('T') ? when : `${when}T16:00:00.000Z`;
+  return {
+    date: timestamp.slice(0, 10),
+    timestamp,
+    plans: [historyPlan(units, fields, unitFields)],
+  };
+}
@@ -0,0 +1,65 @@
+import { createServer } from 'net';
+
+/**
+ * Start a minimal SMTP server on a random local port that accepts every
+ * message and keeps it in memory (no TLS or auth)
+ * @returns {Promise<{ port: number, messages: Array<{ from: string, to: Array<string>, data: string }>, close: () => Promise<void> }>}
+ */
+export async function startSmtpServer() {
+  const messages = [];
+
+  const server = createServer((socket) => {
+    let buffer = '';
+    let message = null;
+    let inData = false;
+
+    socket.write('220 localhost test SMTP\r\n');
+
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf-8');
+
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            messages.push(message);
+            socket.write('250 OK queued\r\n');
+          } else {
+            message.data += `${line.startsWith('..') ? line.slice(1) : line}\r\n`;
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') {
+          socket.write('250 localhost\r\n');
+        } else if (command === 'MAIL') {
+          message = { from: line.match(/<(.*)>/)?.[1] ?? '', to: [], data: '' };
+          socket.write('250 OK\r\n');
+        } else if (command === 'RCPT') {
+          message.to.push(line.match(/<(.*)>/)?.[1] ?? '');
+          socket.write('250 OK\r\n');
+        } else if (command === 'DATA') {
+          inData = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (command === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    port: server.address().port,
+    messages,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
@@ -0,0 +1,71 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { slugify, getDefaultPlanId, getPlanKey, findPreviousPlan, getUnitId, getUnitKey } from '../identity.js';
+import { applyMigration } from '../migrations.js';
+
+const PLAN_URL = 'https://citylineflats.com/apartments/?spaces_tab=plan-detail&detail=162036';
+
+describe('getDefaultPlanId', () => {
+  test('uses the detail= parameter of the plan URL', () => {
+    assert.equal(getDefaultPlanId({ name: 'Plan B', url: PLAN_URL }), '162036');
+  });
+
+  test('falls back to the name as a slug', () => {
+    assert.equal(getDefaultPlanId({ name: 'Plan C + Den', url: 'https://example.com/floorplans/c' }), 'plan-c-den');
+    assert.equal(getDefaultPlanId({ name: 'The Aspen' }), 'the-aspen');
+    assert.equal(slugify(' CityLine Flats '), 'cityline-flats');
+  });
+});
+
+describe('plan matching', () => {
+  test('matches by ID, and by name for plans saved without one', () => {
+    const byId = { id: '162036', name: 'Plan B' };
+    const legacy = { name: 'Plan D' };
+    const previousPlans = new Map([byId, legacy].map(p => [getPlanKey(p), p]));
+
+    assert.equal(findPreviousPlan(previousPlans, { id: '162036', name: 'Plan B (1 Bed)' }), byId);
+    assert.equal(findPreviousPlan(previousPlans, { id: '162038', name: 'Plan D' }), legacy);
+    assert.equal(findPreviousPlan(previousPlans, { id: '162039', name: 'Plan B' }), undefined);
+  });
+});
+
+describe('getUnitId', () => {
+  test('uses the unit number, with the building in front when it is not part of it', () => {
+    assert.equal(getUnitId({ unitNumber: '320-504', building: '320' }), '320-504');
+    assert.equal(getUnitId({ unitNumber: '1204', building: 'b' }), 'B-1204');
+    assert.equal(getUnitId({ unitNumber: ' 12 04 ' }), '12-04');
+    assert.equal(getUnitId({ id: '320-504', unitNumber: 'ignored' }), '320-504');
+  });
+
+  test('keys units by property, not plan', () => {
+    const unit = { unitNumber: '320-504' };
+    assert.equal(getUnitKey({ propertyId: 'cityline-flats', name: 'Plan B' }, unit), getUnitKey({ propertyId: 'cityline-flats', name: 'Plan D' }, unit));
+    assert.notEqual(getUnitKey({ propertyId: 'cityline-flats' }, unit), getUnitKey({ propertyId: 'other' }, unit));
+  });
+});
+
+describe('stable-ids migration', () => {
+  const config = {
+    properties: [{
+      id: 'cityline-flats',
+      plans: [{ id: 'plan-b', name: 'Plan B', url: PLAN_URL }],
+    }],
+  };
+
+  test('adds plan IDs from the config or the URL, and unit IDs, and can run twice', () => {
+    const history = [{
+      date: '2026-01-10',
+      plans: [
+        { name: 'Plan B', url: PLAN_URL, units: [{ unitNumber: '320-504', price: 5114 }] },
+        { name: 'Plan D', url: 'https://citylineflats.com/apartments/?detail=162038', units: [] },
+      ],
+    }];
+
+    const migrated = applyMigration('stable-ids', history, { config });
+    const [planB, planD] = migrated[0].plans;
+
+    assert.deepEqual([planB.id, planB.propertyId, planB.units[0].id], ['plan-b', 'cityline-flats', '320-504']);
+    assert.deepEqual([planD.id, planD.propertyId], ['162038', undefined]);
+    assert.deepEqual(applyMigration('stable-ids', migrated, { config }), migrated);
+  });
+});
@@ -0,0 +1,113 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { getCheapestTerm, compareLeaseTerms, describeLeaseTerms, describeLeaseTermChange } from '../lease.js';
+import { parseLeaseTerm, normalizeLeaseTerms, openLeaseTerms, LEASE_TERMS_MAX_FAILURES } from '../adapters/common.js';
+
+const terms = [{ months: 6, price: 5414 }, { months: 12, price: 5114 }, { months: 15, price: 5064 }];
+
+describe('parseLeaseTerm', () => {
+  test('reads the term length and price from the row text', () => {
+    assert.deepEqual(parseLeaseTerm('12 months $5,114'), { months: 12, price: 5114 });
+    assert.deepEqual(parseLeaseTerm('15 Mo. - $5,050/mo'), { months: 15, price: 5050 });
+    assert.deepEqual(parseLeaseTerm('6-month lease: $5,400'), { months: 6, price: 5400 });
+  });
+
+  test('prefers a term length given separately', () => {
+    assert.deepEqual(parseLeaseTerm('$4,999', '9'), { months: 9, price: 4999 });
+  });
+
+  test('skips rows without a length or a price', () => {
+    assert.equal(parseLeaseTerm('$4,999'), null);
+    assert.equal(parseLeaseTerm('Call for 18 months'), null);
+  });
+});
+
+describe('normalizeLeaseTerms', () => {
+  test('sorts by length and drops duplicates and unreadable rows', () => {
+    assert.deepEqual(
+      normalizeLeaseTerms([{ months: 15, price: 5064 }, null, { months: 6, price: 5414 }, { months: 15, price: 5100 }]),
+      [{ months: 6, price: 5414 }, { months: 15, price: 5064 }]
+    );
+  });
+});
+
+describe('openLeaseTerms', () => {
+  const failingCard = (waits) => ({
+    waitForSelector: async (selector, { timeout }) => {
+      waits.push(timeout);
+      throw new Error(`Timeout ${timeout}ms exceeded`);
+    },
+  });
+  const loadingCard = { waitForSelector: async () => {} };
+  const toggle = { click: async () => {} };
+
+  test('fails a unit whose lease terms do not load', async () => {
+    await assert.rejects(
+      openLeaseTerms({}, toggle, failingCard([]), '[data-spaces-term]', 5000),
+      /Lease terms didn't load within 5s/
+    );
+  });
+
+  test('stops waiting on a page once several units in a row fail', async () => {
+    const page = {};
+    const waits = [];
+    for (let i = 0; i < LEASE_TERMS_MAX_FAILURES + 2; i++) {
+      await assert.rejects(openLeaseTerms(page, toggle, failingCard(waits), '[data-spaces-term]', 5000));
+    }
+    assert.equal(waits.length, LEASE_TERMS_MAX_FAILURES);
+
+    // Another plan's page still waits
+    await assert.rejects(openLeaseTerms({}, toggle, failingCard(waits), '[data-spaces-term]', 5000));
+    assert.equal(waits.length, LEASE_TERMS_MAX_FAILURES + 1);
+  });
+
+  test('keeps waiting while failures are interrupted by units that load', async () => {
+    const page = {};
+    const waits = [];
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < LEASE_TERMS_MAX_FAILURES - 1; j++) {
+        await assert.rejects(openLeaseTerms(page, toggle, failingCard(waits), '[data-spaces-term]', 5000));
+      }
+      await openLeaseTerms(page, toggle, loadingCard, '[data-spaces-term]', 5000);
+    }
+    assert.equal(waits.length, 3 * (LEASE_TERMS_MAX_FAILURES - 1));
+  });
+});
+
+describe('getCheapestTerm', () => {
+  test('picks the lowest price, then the shorter term', () => {
+    assert.deepEqual(getCheapestTerm(terms), { months: 15, price: 5064 });
+    assert.deepEqual(getCheapestTerm([{ months: 12, price: 5000 }, { months: 15, price: 5000 }]), { months: 12, price: 5000 });
+    assert.equal(getCheapestTerm([]), null);
+    assert.equal(getCheapestTerm(undefined), null);
+  });
+});
+
+describe('compareLeaseTerms', () => {
+  test('reports each term that changed', () => {
+    const current = [{ months: 6, price: 5414 }, { months: 12, price: 5064 }, { months: 18, price: 5000 }];
+    const previous = [{ months: 6, price: 5414 }, { months: 12, price: 5114 }, { months: 15, price: 5064 }];
+
+    assert.deepEqual(compareLeaseTerms(current, previous), [
+      { months: 12, price: 5064, previousPrice: 5114, difference: -50, status: 'decreased' },
+      { months: 15, price: null, previousPrice: 5064, difference: 0, status: 'removed' },
+      { months: 18, price: 5000, previousPrice: null, difference: 0, status: 'new' },
+    ]);
+  });
+
+  test('has nothing to compare unless both runs have terms', () => {
+    assert.deepEqual(compareLeaseTerms(terms, terms), []);
+    assert.deepEqual(compareLeaseTerms(terms, undefined), []);
+    assert.deepEqual(compareLeaseTerms(null, terms), []);
+  });
+});
+
+describe('describing lease terms', () => {
+  test('lists terms and changes in short form', () => {
+    assert.equal(describeLeaseTerms(terms), '6 mo $5,414 • 12 mo $5,114 • 15 mo $5,064');
+    assert.equal(describeLeaseTermChange({ months: 12, difference: -50, status: 'decreased' }), '12 mo ↓ $50');
+    assert.equal(describeLeaseTermChange({ months: 6, difference: 100, status: 'increased' }), '6 mo ↑ $100');
+    assert.equal(describeLeaseTermChange({ months: 18, price: 5000, status: 'new' }), '18 mo new at $5,000');
+    assert.equal(describeLeaseTermChange({ months: 15, price: null, status: 'removed' }), '15 mo dropped');
+  });
+});
@@ -0,0 +1,271 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { comparePrices } from '../index.js';
+import {
+  validateLedgerOptions,
+  loadLedger,
+  withMissingUnits,
+  trackMissingUnits,
+  planReportDeliveries,
+  recordReport,
+  filterAlerts,
+  recordAlerts,
+  recordHeldDelivery,
+  parseDuration,
+  addSnooze,
+  removeSnooze,
+  pruneLedger,
+} from '../ledger.js';
+import { getRecipientKey } from '../channels/index.js';
+import { historyRun } from './helpers/history.js';
+
+const PLAN = { id: 'plan-b', propertyId: 'cityline' };
+
+/**
+ * An empty ledger
+ * @returns {Object}
+ */
+function emptyLedger() {
+  return { missing: {}, told: {}, snoozes: [] };
+}
+
+/**
+ * Compare a run with the previous one the way runTracker() does
+ * @param {Object} current
+ * @param {Object|null} previous
+ * @param {Object} ledger
+ * @param {number} removedAfterRuns
+ * @returns {Array} - [unitNumber, status] for each unit in the report
+ */
+function compare(current, previous, ledger, removedAfterRuns = 2) {
+  const compareWith = withMissingUnits(previous, ledger);
+  const report = trackMissingUnits(comparePrices(current, compareWith), compareWith, ledger, { removedAfterRuns });
+  return report.plans[0].units.map(u => [u.unitNumber, u.status]);
+}
+
+describe('validateLedgerOptions', () => {
+  test('reports bad options', () => {
+    const problems = [];
+    validateLedgerOptions({ dedupe: 'yes', removedAfterRuns: 0 }, problems);
+    assert.deepEqual(problems, [
+      'ledger.dedupe must be true or false',
+      'ledger.removedAfterRuns must be a whole number of at least 1',
+    ]);
+  });
+});
+
+describe('missing units', () => {
+  const runs = [
+    historyRun('2026-01-17', [['320-504', 5114], ['350-218', 5064]], PLAN),
+    historyRun('2026-01-18', [['320-504', 5114]], PLAN),
+    historyRun('2026-01-19', [['320-504', 5114], ['350-218', 5064]], PLAN),
+  ];
+
+  test('a unit that flaps out for one run is neither removed nor new', () => {
+    const ledger = emptyLedger();
+    assert.deepEqual(compare(runs[1], runs[0], ledger), [['320-504', 'unchanged']]);
+    assert.equal(ledger.missing['cityline::350-218'].missingRuns, 1);
+
+    assert.deepEqual(compare(runs[2], runs[1], ledger), [['320-504', 'unchanged'], ['350-218', 'unchanged']]);
+    assert.deepEqual(ledger.missing, {});
+  });
+
+  test('a unit missing for removedAfterRuns runs in a row is removed once', () => {
+    const ledger = emptyLedger();
+    const gone = historyRun('2026-01-19', [['320-504', 5114]], PLAN);
+    compare(runs[1], runs[0], ledger);
+
+    assert.deepEqual(compare(gone, runs[1], ledger), [['320-504', 'unchanged'], ['350-218', 'removed']]);
+    assert.deepEqual(ledger.missing, {});
+    assert.deepEqual(compare(historyRun('2026-01-20', [['320-504', 5114]], PLAN), gone, ledger), [['320-504', 'unchanged']]);
+  });
+
+  test('reports removals straight away with removedAfterRuns 1', () => {
+    assert.deepEqual(compare(runs[1], runs[0], emptyLedger(), 1), [['320-504', 'unchanged'], ['350-218', 'removed']]);
+  });
+});
+
+describe('report deliveries', () => {
+  const channels = [
+    { type: 'email', recipients: ['a@example.com', 'b@example.com'] },
+    { type: 'slack', name: 'team' },
+  ];
+  const report = comparePrices(historyRun('2026-01-19', [['320-504', 5010], ['350-218', 5064]], PLAN), historyRun('2026-01-18', [['320-504', 5114], ['350-218', 5064]], PLAN));
+
+  test('sends recipients only reports with something they haven\'t been told', () => {
+    const ledger = emptyLedger();
+    const first = planReportDeliveries(report, channels, ledger);
+    assert.equal(first.deliveries.length, 1);
+    assert.deepEqual(first.deliveries[0].channels, channels);
+
+    recordReport(report, first.deliveries[0].recipients, ledger);
+    assert.deepEqual(planReportDeliveries(report, channels, ledger), {
+      deliveries: [],
+      skipped: ['a@example.com', 'b@example.com', 'team'],
+    });
+    assert.equal(planReportDeliveries(report, channels, ledger, { dedupe: false }).deliveries.length, 1);
+
+    // Only a@ was told about 320-504 dropping again
+    const later = comparePrices(historyRun('2026-01-20', [['320-504', 4990], ['350-218', 5064]], PLAN), historyRun('2026-01-19', [['320-504', 5010], ['350-218', 5064]], PLAN));
+    recordReport(later, ['a@example.com'], ledger);
+    const { deliveries } = planReportDeliveries(later, channels, ledger);
+    assert.deepEqual(deliveries[0].channels, [{ type: 'email', recipients: ['b@example.com'] }, { type: 'slack', name: 'team' }]);
+  });
+
+  test('leaves snoozed units and plans out of the snoozer\'s copy', () => {
+    const ledger = emptyLedger();
+    addSnooze(ledger, '350-218', { recipient: 'a@example.com' });
+    addSnooze(ledger, 'plan b', { recipient: 'team' });
+
+    const { deliveries, skipped } = planReportDeliveries(report, channels, ledger);
+    assert.deepEqual(skipped, ['team']);
+    assert.deepEqual(deliveries.map(d => [d.recipients, d.report.plans[0].units.map(u => u.unitNumber)]), [
+      [['a@example.com'], ['320-504']],
+      [['b@example.com'], ['320-504', '350-218']],
+    ]);
+  });
+});
+
+describe('alert dedupe', () => {
+  const report = comparePrices(historyRun('2026-01-19', [['320-504', 5010]], PLAN), historyRun('2026-01-18', [['320-504', 5114]], PLAN));
+  const plan = report.plans[0];
+  const alerts = [{
+    rule: { id: 'cheap' },
+    name: 'Under $5,100',
+    matches: [{ planId: plan.planId, propertyId: plan.propertyId, planName: plan.planName, url: plan.url, unit: plan.units[0] }],
+  }];
+
+  test('alerts about a unit once until it changes, and not while it is snoozed', () => {
+    const ledger = emptyLedger();
+    assert.equal(filterAlerts(alerts, 'a@example.com', ledger).length, 1);
+
+    recordAlerts(alerts, 'a@example.com', ledger);
+    assert.deepEqual(filterAlerts(alerts, 'A@example.com', ledger), []);
+    assert.equal(filterAlerts(alerts, 'b@example.com', ledger).length, 1);
+    assert.deepEqual(Object.keys(ledger.told), [getRecipientKey('a@example.com')]);
+
+    addSnooze(ledger, '320-504', { recipient: 'b@example.com' });
+    assert.deepEqual(filterAlerts(alerts, 'b@example.com', ledger), []);
+  });
+
+  test('keeps an alert held for quiet hours pending until it is sent', () => {
+    const ledger = emptyLedger();
+    const heldUntil = '2026-01-19T15:00:00.000Z';
+    const message = { alerts };
+    recordAlerts(alerts, 'a@example.com', ledger, { now: Date.parse('2026-01-19T07:00:00Z'), heldUntil });
+    recordAlerts(alerts, 'team', ledger, { now: Date.parse('2026-01-19T07:00:00Z'), heldUntil });
+
+    // Not alerted again while it's held, but news again if it isn't out by the end of quiet hours
+    assert.deepEqual(filterAlerts(alerts, 'a@example.com', ledger, { now: Date.parse('2026-01-19T08:00:00Z') }), []);
+    assert.equal(filterAlerts(alerts, 'a@example.com', ledger, { now: Date.parse(heldUntil) }).length, 1);
+
+    recordHeldDelivery(message, [getRecipientKey('a@example.com'), 'team'], ledger, { sent: ['a@example.com'], now: Date.parse(heldUntil) });
+    assert.deepEqual(filterAlerts(alerts, 'a@example.com', ledger, { now: Date.parse('2026-01-20T00:00:00Z') }), []);
+    assert.equal(filterAlerts(alerts, 'team', ledger, { now: Date.parse('2026-01-20T00:00:00Z') }).length, 1);
+  });
+});
+
+describe('held reports', () => {
+  const report = comparePrices(historyRun('2026-01-19', [['320-504', 5010]], PLAN), historyRun('2026-01-18', [['320-504', 5114]], PLAN));
+  const heldUntil = '2026-01-19T15:00:00.000Z';
+
+  test('are told once sent and news again once dropped', () => {
+    const ledger = emptyLedger();
+    recordReport(report, ['a@example.com', 'b@example.com'], ledger, { heldUntil });
+    const [unitKey] = Object.keys(ledger.told[getRecipientKey('a@example.com')]);
+    assert.equal(ledger.told[getRecipientKey('a@example.com')][unitKey].report.heldUntil, heldUntil);
+
+    recordHeldDelivery({ report }, [getRecipientKey('a@example.com'), getRecipientKey('b@example.com')], ledger, { sent: ['a@example.com'], now: Date.parse(heldUntil) });
+    assert.deepEqual(ledger.told[getRecipientKey('a@example.com')][unitKey].report, { state: '5010|now|', at: heldUntil });
+    assert.equal(ledger.told[getRecipientKey('b@example.com')][unitKey].report, undefined);
+    assert.deepEqual(planReportDeliveries(report, [{ type: 'email', recipients: ['a@example.com', 'b@example.com'] }], ledger).skipped, ['a@example.com']);
+  });
+
+  test('leave entries a later report has replaced alone', () => {
+    const ledger = emptyLedger();
+    recordReport(report, ['a@example.com'], ledger, { heldUntil });
+    const later = comparePrices(historyRun('2026-01-20', [['320-504', 4990]], PLAN), historyRun('2026-01-19', [['320-504', 5010]], PLAN));
+    recordReport(later, ['a@example.com'], ledger);
+
+    recordHeldDelivery({ report }, ['a@example.com'], ledger, { now: Date.parse(heldUntil) });
+    assert.deepEqual(planReportDeliveries(later, [{ type: 'email', recipients: ['a@example.com'] }], ledger).skipped, ['a@example.com']);
+  });
+});
+
+describe('pruneLedger', () => {
+  test('forgets units that are neither listed nor missing', () => {
+    const ledger = emptyLedger();
+    const previous = historyRun('2026-01-18', [['320-504', 5114], ['350-218', 5064], ['345-305', 4990]], PLAN);
+    const current = historyRun('2026-01-19', [['320-504', 5114], ['350-218', 5064]], PLAN);
+    recordReport(comparePrices(previous, null), ['a@example.com', 'team'], ledger);
+    recordReport(comparePrices(current, previous), ['b@example.com'], ledger);
+    ledger.missing['cityline::350-218'] = { missingRuns: 1 };
+
+    pruneLedger(ledger, historyRun('2026-01-20', [['320-504', 5114]], PLAN), current);
+    assert.deepEqual(Object.values(ledger.told).map(told => Object.keys(told)), [
+      ['cityline::320-504', 'cityline::350-218'],
+      ['cityline::320-504', 'cityline::350-218'],
+      ['cityline::320-504', 'cityline::350-218'],
+    ]);
+
+    // 350-218 is reported as removed, and 320-504 leaves too
+    ledger.missing = {};
+    pruneLedger(ledger, historyRun('2026-01-21', [], PLAN), current);
+    assert.deepEqual(ledger.told, {});
+  });
+
+  test('keeps the units of a plan that failed to scrape', () => {
+    const ledger = emptyLedger();
+    const previous = historyRun('2026-01-18', [['320-504', 5114]], PLAN);
+    recordReport(comparePrices(previous, null), ['team'], ledger);
+
+    const failed = historyRun('2026-01-19', [], PLAN);
+    failed.plans[0].success = false;
+    pruneLedger(ledger, failed, previous);
+    assert.deepEqual(Object.keys(ledger.told.team), ['cityline::320-504']);
+  });
+});
+
+describe('snoozes', () => {
+  test('parses snooze lengths', () => {
+    assert.equal(parseDuration('12h'), 12 * 60 * 60 * 1000);
+    assert.equal(parseDuration('2w'), 14 * 24 * 60 * 60 * 1000);
+    assert.equal(parseDuration('0d'), null);
+    assert.equal(parseDuration('3y'), null);
+  });
+
+  test('replaces and removes snoozes per recipient', () => {
+    const ledger = emptyLedger();
+    const now = Date.parse('2026-01-19T16:00:00Z');
+    addSnooze(ledger, '350-218', { now });
+    addSnooze(ledger, '350-218', { duration: parseDuration('7d'), now });
+    addSnooze(ledger, '350-218', { recipient: 'a@example.com', now });
+
+    assert.deepEqual(ledger.snoozes, [
+      { target: '350-218', recipient: null, until: '2026-01-26T16:00:00.000Z' },
+      { target: '350-218', recipient: getRecipientKey('a@example.com'), until: null },
+    ]);
+    assert.equal(removeSnooze(ledger, '350-218'), 1);
+    assert.equal(removeSnooze(ledger, '350-218'), 0);
+  });
+
+  test('drops snoozes that have run out when loading', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'tracker-ledger-'));
+    try {
+      const file = join(dir, 'ledger.json');
+      await writeFile(file, JSON.stringify({ snoozes: [
+        { target: 'a', recipient: null, until: '2026-01-19T00:00:00.000Z' },
+        { target: 'b', recipient: null, until: null },
+      ] }));
+
+      const ledger = await loadLedger(file, { now: Date.parse('2026-01-20T00:00:00Z') });
+      assert.deepEqual(ledger.snoozes.map(s => s.target), ['b']);
+      assert.deepEqual(ledger.missing, {});
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,227 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  generateSubjectLine,
+  generateEmailHtml,
+  generateEmailText,
+  createTestReport,
+} from '../notifier.js';
+
+/**
+ * Build a report with one plan holding units of the given statuses
+ * @param {Array<string>} unitStatuses - Status for each unit ('moved' is an unchanged unit with a new move-in date,
+ *   'special' an unchanged unit whose special changed, 'terms' one whose lease term prices changed,
+ *   'movedPlan' one that moved here from another plan)
+ * @returns {Object}
+ */
+function reportWith(unitStatuses) {
+  return {
+    date: '2026-01-19',
+    plans: [{
+      planName: 'Plan B',
+      url: 'https://example.com/plan-b',
+      totalUnits: unitStatuses.length,
+      priceRange: null,
+      units: unitStatuses.map((status, i) => {
+        if (status === 'moved') return { unitNumber: `320-50${i}`, status: 'unchanged', availabilityChanged: true };
+        if (status === 'special') return { unitNumber: `320-50${i}`, status: 'unchanged', concessionChanged: true };
+        if (status === 'terms') return { unitNumber: `320-50${i}`, status: 'unchanged', leaseTermsChanged: true };
+        if (status === 'movedPlan') return { unitNumber: `320-50${i}`, status: 'unchanged', moved: true, movedFrom: 'Plan D' };
+        return { unitNumber: `320-50${i}`, status };
+      }),
+    }],
+  };
+}
+
+describe('generateSubjectLine', () => {
+  test('reports no changes', () => {
+    assert.equal(generateSubjectLine(reportWith(['unchanged', 'unchanged'])), '📊 No Changes - 2026-01-19');
+  });
+
+  test('reports no changes for an empty report', () => {
+    assert.equal(generateSubjectLine(reportWith([])), '📊 No Changes - 2026-01-19');
+  });
+
+  test('reports new listings with singular and plural forms', () => {
+    assert.equal(generateSubjectLine(reportWith(['new'])), '✨ 1 New Listing Available - 2026-01-19');
+    assert.equal(generateSubjectLine(reportWith(['new', 'new', 'unchanged'])), '✨ 2 New Listings Available - 2026-01-19');
+  });
+
+  test('reports price changes with decreases first', () => {
+    assert.equal(
+      generateSubjectLine(reportWith(['increased', 'decreased', 'decreased'])),
+      '💰 Price Changes: 2 ↓, 1 ↑ - 2026-01-19'
+    );
+    assert.equal(generateSubjectLine(reportWith(['increased'])), '💰 Price Changes: 1 ↑ - 2026-01-19');
+  });
+
+  test('gives removed listings priority over new listings and price changes', () => {
+    assert.equal(
+      generateSubjectLine(reportWith(['new', 'removed', 'decreased'])),
+      '🚫 1 Listing Removed - 2026-01-19'
+    );
+  });
+
+  test('reports move-in date changes on their own', () => {
+    assert.equal(generateSubjectLine(reportWith(['moved', 'unchanged'])), '📅 1 Move-in Date Change - 2026-01-19');
+    assert.equal(generateSubjectLine(reportWith(['moved', 'moved'])), '📅 2 Move-in Date Changes - 2026-01-19');
+  });
+
+  test('adds move-in date changes to a price change subject', () => {
+    assert.equal(
+      generateSubjectLine(reportWith(['decreased', 'moved', 'moved'])),
+      '💰 Price Changes: 1 ↓ • 📅 2 Date Changes - 2026-01-19'
+    );
+  });
+
+  test('reports special changes below move-in date changes', () => {
+    assert.equal(generateSubjectLine(reportWith(['special', 'unchanged'])), '🎁 1 Special Changed - 2026-01-19');
+    assert.equal(generateSubjectLine(reportWith(['special', 'special'])), '🎁 2 Specials Changed - 2026-01-19');
+    assert.equal(generateSubjectLine(reportWith(['special', 'moved'])), '📅 1 Move-in Date Change - 2026-01-19');
+  });
+
+  test('reports units moved between plans below move-in date changes', () => {
+    assert.equal(generateSubjectLine(reportWith(['movedPlan', 'special'])), '🔀 1 Unit Moved Between Plans - 2026-01-19');
+    assert.equal(generateSubjectLine(reportWith(['movedPlan', 'moved'])), '📅 1 Move-in Date Change - 2026-01-19');
+    assert.ok(generateEmailText(reportWith(['movedPlan'])).includes('320-500: N/A - Moved from Plan D'));
+  });
+
+  test('reports lease term changes last', () => {
+    assert.equal(generateSubjectLine(reportWith(['terms', 'unchanged'])), '📝 1 Lease Term Change - 2026-01-19');
+    assert.equal(generateSubjectLine(reportWith(['terms', 'special'])), '🎁 1 Special Changed - 2026-01-19');
+  });
+
+  test('gives new listings priority over price changes', () => {
+    assert.equal(
+      generateSubjectLine(reportWith(['decreased', 'new'])),
+      '✨ 1 New Listing Available - 2026-01-19'
+    );
+  });
+
+  test('shows the run time in the configured timezone', () => {
+    const report = { ...reportWith([]), timestamp: '2026-01-19T16:00:00.000Z' };
+    assert.equal(generateSubjectLine(report), '📊 No Changes - 2026-01-19 16:00 UTC');
+    assert.equal(generateSubjectLine(report, { timeZone: 'America/Los_Angeles' }), '📊 No Changes - 2026-01-19 08:00 PST');
+  });
+
+  test('names both runs for a report over a longer stretch', () => {
+    const report = {
+      ...reportWith(['decreased']),
+      timestamp: '2026-01-19T16:00:00.000Z',
+      since: { date: '2026-01-12', timestamp: '2026-01-12T04:00:00.000Z' },
+    };
+    assert.equal(
+      generateSubjectLine(report, { timeZone: 'America/Los_Angeles' }),
+      '💰 Price Changes: 1 ↓ - 2026-01-11 20:00 PST → 2026-01-19 08:00 PST'
+    );
+  });
+});
+
+describe('email content', () => {
+  test('HTML and text bodies list every unit and plan', () => {
+    const report = createTestReport();
+    const html = generateEmailHtml(report);
+    const text = generateEmailText(report);
+
+    for (const plan of report.plans) {
+      assert.ok(html.includes(plan.planName));
+      assert.ok(text.includes(plan.planName));
+      for (const unit of plan.units) {
+        assert.ok(html.includes(`Unit ${unit.unitNumber}`), `HTML is missing unit ${unit.unitNumber}`);
+        assert.ok(text.includes(unit.unitNumber), `text is missing unit ${unit.unitNumber}`);
+      }
+    }
+  });
+
+  test('text body shows price change wording', () => {
+    const text = generateEmailText(createTestReport());
+
+    assert.match(text, /350-201 \(Floor 3\): \$5,010 - Decreased by \$90/);
+    assert.match(text, /320-415 \(Floor 3\): \$5,200 - Increased by \$50/);
+    assert.match(text, /340-212 \(Floor 3\): N\/A - Removed/);
+  });
+
+  test('bodies show the previous move-in date for a changed date', () => {
+    const report = reportWith(['moved']);
+    Object.assign(report.plans[0].units[0], { currentPrice: 5114, availability: 'Available Now', previousAvailability: 'Feb 20' });
+
+    assert.match(generateEmailText(report), /320-500: \$5,114 - Move-in date changed\n\s+Available: Available Now \(was Feb 20\)/);
+    const html = generateEmailHtml(report);
+    assert.ok(html.includes('Available Now (was Feb 20)'));
+    assert.ok(html.includes('1 move-in date change'));
+  });
+
+  test('bodies show specials with the effective rent, and ended specials', () => {
+    const report = reportWith(['special', 'special']);
+    report.plans[0].concession = '6 weeks free';
+    Object.assign(report.plans[0].units[0], {
+      currentPrice: 5114, availability: 'Available Now', concession: '6 weeks free', effectivePrice: 4524, previousConcession: null,
+    });
+    Object.assign(report.plans[0].units[1], {
+      currentPrice: 5035, availability: 'Feb 20', concession: null, effectivePrice: null, previousConcession: '$500 off move-in',
+    });
+
+    const text = generateEmailText(report);
+    assert.match(text, /  Special: 6 weeks free\n/);
+    assert.match(text, /320-500: \$5,114 - Special added\n.*\n\s+Special: 6 weeks free \(effective \$4,524\/mo\)/);
+    assert.match(text, /320-501: \$5,035 - Special ended\n.*\n\s+Special ended \(was \$500 off move-in\)/);
+
+    const html = generateEmailHtml(report);
+    assert.ok(html.includes('🎁 6 weeks free'));
+    assert.ok(html.includes('$4,524/mo effective'));
+    assert.ok(html.includes('2 specials changed'));
+  });
+
+  test('bodies show lease terms with the cheapest one and term changes', () => {
+    const report = reportWith(['terms']);
+    Object.assign(report.plans[0].units[0], {
+      currentPrice: 5114,
+      availability: 'Available Now',
+      leaseTerms: [{ months: 12, price: 5114 }, { months: 15, price: 5014 }],
+      cheapestTerm: { months: 15, price: 5014 },
+      leaseTermChanges: [{ months: 15, price: 5014, previousPrice: 5064, difference: -50, status: 'decreased' }],
+    });
+
+    assert.match(
+      generateEmailText(report),
+      /320-500: \$5,114 - Lease term prices changed\n.*\n\s+Lease terms: 12 mo \$5,114 • 15 mo \$5,014 \(cheapest: 15 mo\)\n\s+Term changes: 15 mo ↓ \$50/
+    );
+    const html = generateEmailHtml(report);
+    assert.ok(html.includes('<strong style="color: #0f766e;">15 mo $5,014</strong>'));
+    assert.ok(html.includes('Changed: 15 mo ↓ $50'));
+    assert.ok(html.includes('1 lease term change'));
+  });
+
+  test('bodies say when a unit\'s lease terms could not be read', () => {
+    const report = reportWith(['new']);
+    Object.assign(report.plans[0].units[0], { currentPrice: 5114, availability: 'Available Now', leaseTermsMissing: true });
+
+    assert.match(generateEmailText(report), /320-500: \$5,114.*\n.*\n\s+Lease terms: couldn't be read this run\n/);
+    assert.ok(generateEmailHtml(report).includes('Lease terms couldn\'t be read this run'));
+  });
+
+  test('bodies show unit attributes and the plan layout', () => {
+    const report = reportWith(['new']);
+    Object.assign(report.plans[0], { beds: 1, baths: 1, sqft: 812 });
+    Object.assign(report.plans[0].units[0], {
+      currentPrice: 5114, availability: 'Available Now', beds: 1, baths: 1, sqft: 812, view: 'City views',
+    });
+
+    const text = generateEmailText(report);
+    assert.match(text, /Layout: 1 bd \/ 1 ba • 812 sq ft\n/);
+    assert.match(text, /Details: 1 bd \/ 1 ba • 812 sq ft • \$6\.30\/sq ft • City views\n/);
+    assert.ok(generateEmailHtml(report).includes('1 bd / 1 ba • 812 sq ft • $6.30/sq ft • City views'));
+  });
+
+  test('groups units by an attribute when asked', () => {
+    const report = reportWith(['new', 'new', 'new']);
+    Object.assign(report.plans[0].units[0], { unitNumber: '345-101', building: '345' });
+    Object.assign(report.plans[0].units[1], { unitNumber: '320-504', building: '320' });
+    Object.assign(report.plans[0].units[2], { unitNumber: 'PH-A', building: null });
+
+    const text = generateEmailText(report, { groupBy: 'building' });
+    assert.match(text, /Building 320:\n\s+• 320-504.*\n\s+Building 345:\n\s+• 345-101.*\n\s+Other buildings:\n\s+• PH-A/);
+    assert.ok(generateEmailHtml(report, { groupBy: 'building' }).includes('>Building 320</td>'));
+    assert.ok(!generateEmailText(report).includes('Building 320:'));
+  });
+});
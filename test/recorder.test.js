@@ -0,0 +1,138 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  getRequestKey,
+  recordResponses,
+  replayResponses,
+  savePlanRecording,
+  loadPlanRecording,
+  writeRecordingManifest,
+  readRecordingManifest,
+} from '../recorder.js';
+
+/**
+ * Stand-in for a Playwright page that keeps the handler passed to page.route()
+ */
+function fakePage() {
+  return {
+    handler: null,
+    async route(pattern, handler) {
+      this.handler = handler;
+    },
+  };
+}
+
+/**
+ * Stand-in for a Playwright route, recording how it was handled
+ * @param {string} url - Request URL
+ * @param {Object} [response] - What route.fetch() returns, or null to make it fail
+ */
+function fakeRoute(url, response = null) {
+  const route = {
+    handled: null,
+    request: () => ({ method: () => 'GET', url: () => url }),
+    fetch: async () => {
+      if (!response) throw new Error('net::ERR_CONNECTION_REFUSED');
+      return {
+        status: () => response.status,
+        headers: () => response.headers,
+        body: async () => Buffer.from(response.body),
+      };
+    },
+    fulfill: async (options) => { route.handled = { fulfill: options }; },
+    abort: async (reason) => { route.handled = { abort: reason ?? 'failed' }; },
+  };
+  return route;
+}
+
+const PLAN = { id: '162036', name: 'Plan B', url: 'https://citylineflats.com/apartments/?detail=162036' };
+
+describe('getRequestKey', () => {
+  test('combines the method and URL, ignoring the fragment', () => {
+    assert.equal(getRequestKey('get', 'https://example.com/plan?detail=1#units'), 'GET https://example.com/plan?detail=1');
+  });
+});
+
+describe('recordResponses and replayResponses', () => {
+  test('records responses as they pass through and replays them without the network', async () => {
+    const responses = new Map();
+    const recording = fakePage();
+    await recordResponses(recording, responses);
+
+    const route = fakeRoute(PLAN.url, {
+      status: 200,
+      headers: { 'content-type': 'text/html', 'content-encoding': 'gzip', 'content-length': '99' },
+      body: '<article data-spaces-unit="320-504"></article>',
+    });
+    await recording.handler(route);
+
+    // The page still gets the live response
+    assert.ok(route.handled.fulfill.response);
+    assert.deepEqual([...responses.keys()], [`GET ${PLAN.url}`]);
+    // Saved bodies are decoded, so the transfer headers no longer apply
+    assert.deepEqual(responses.get(`GET ${PLAN.url}`).headers, { 'content-type': 'text/html' });
+
+    const replay = fakePage();
+    await replayResponses(replay, responses);
+
+    const replayed = fakeRoute(PLAN.url);
+    await replay.handler(replayed);
+    assert.equal(replayed.handled.fulfill.status, 200);
+    assert.equal(replayed.handled.fulfill.body.toString(), '<article data-spaces-unit="320-504"></article>');
+
+    const unrecorded = fakeRoute('https://example.com/analytics.js');
+    await replay.handler(unrecorded);
+    assert.deepEqual(unrecorded.handled, { abort: 'internetdisconnected' });
+  });
+
+  test('passes failed requests on to the page without recording them', async () => {
+    const responses = new Map();
+    const page = fakePage();
+    await recordResponses(page, responses);
+
+    const route = fakeRoute(PLAN.url);
+    await page.handler(route);
+
+    assert.deepEqual(route.handled, { abort: 'failed' });
+    assert.equal(responses.size, 0);
+  });
+});
+
+describe('plan recordings on disk', () => {
+  test('saves and loads a plan recording with its rendered HTML and the run manifest', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'recording-'));
+    try {
+      const responses = new Map([[`GET ${PLAN.url}`, {
+        method: 'GET', url: PLAN.url, status: 200, headers: {}, body: Buffer.from('<html></html>').toString('base64'),
+      }]]);
+      await savePlanRecording(dir, PLAN, { responses, html: '<html><body>rendered</body></html>' });
+      await writeRecordingManifest(dir, {
+        date: '2026-01-18',
+        timestamp: '2026-01-18T14:00:00.000Z',
+        plans: [{ ...PLAN, units: [], success: true }],
+      });
+
+      assert.deepEqual(await loadPlanRecording(dir, PLAN), responses);
+      assert.equal(await readFile(join(dir, '162036.html'), 'utf-8'), '<html><body>rendered</body></html>');
+      assert.deepEqual(await readRecordingManifest(dir), {
+        date: '2026-01-18',
+        timestamp: '2026-01-18T14:00:00.000Z',
+        plans: [{ ...PLAN, success: true }],
+      });
+
+      await assert.rejects(
+        loadPlanRecording(dir, { id: 'plan-d', name: 'Plan D' }),
+        /No recording of Plan D in .* \(record it with --record first\)/
+      );
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('reports a directory without a recording clearly', async () => {
+    await assert.rejects(readRecordingManifest(join(tmpdir(), 'no-such-recording')), /No recording in .*missing recording\.json/);
+  });
+});
@@ -0,0 +1,132 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getBackoffDelay,
+  withTimeout,
+  withRetries,
+  mapWithConcurrency,
+  formatTimingReport,
+  validateScraperOptions,
+} from '../runner.js';
+
+describe('getBackoffDelay', () => {
+  test('doubles the delay with every retry', () => {
+    assert.deepEqual([1, 2, 3, 4].map(retry => getBackoffDelay(retry, 500)), [500, 1000, 2000, 4000]);
+  });
+});
+
+describe('withTimeout', () => {
+  test('resolves with the value when the promise settles in time', async () => {
+    assert.equal(await withTimeout(Promise.resolve('done'), 50, 'too slow'), 'done');
+  });
+
+  test('rejects with the message when the promise takes too long', async () => {
+    const slow = new Promise(resolve => setTimeout(resolve, 200));
+    await assert.rejects(withTimeout(slow, 10, 'Timed out after 0.01s'), /Timed out after 0\.01s/);
+  });
+});
+
+describe('withRetries', () => {
+  test('returns the first result that needs no retry', async () => {
+    const delays = [];
+    const { result, attempts } = await withRetries(async attempt => ({ units: attempt === 3 ? 2 : 0 }), {
+      retries: 3,
+      retryDelayMs: 1,
+      shouldRetry: data => (data.units === 0 ? 'no units found' : null),
+      onRetry: (attempt, reason, delayMs) => delays.push([attempt, reason, delayMs]),
+    });
+
+    assert.deepEqual(result, { units: 2 });
+    assert.equal(attempts, 3);
+    assert.deepEqual(delays, [[1, 'no units found', 1], [2, 'no units found', 2]]);
+  });
+
+  test('keeps the last result once retries run out', async () => {
+    const { result, attempts } = await withRetries(async attempt => ({ attempt }), {
+      retries: 1,
+      retryDelayMs: 1,
+      shouldRetry: () => 'still failing',
+    });
+
+    assert.deepEqual(result, { attempt: 2 });
+    assert.equal(attempts, 2);
+  });
+
+  test('retries thrown errors and rethrows the last one', async () => {
+    let calls = 0;
+    await assert.rejects(
+      withRetries(async () => {
+        calls++;
+        throw new Error(`failure ${calls}`);
+      }, { retries: 2, retryDelayMs: 1 }),
+      /failure 3/
+    );
+    assert.equal(calls, 3);
+  });
+});
+
+describe('mapWithConcurrency', () => {
+  test('runs at most the limit at once and keeps the order of the items', async () => {
+    let running = 0;
+    let mostRunning = 0;
+    const workers = new Set();
+
+    const results = await mapWithConcurrency([30, 5, 20, 5, 10], 2, async (ms, worker) => {
+      running++;
+      mostRunning = Math.max(mostRunning, running);
+      workers.add(worker);
+      await new Promise(resolve => setTimeout(resolve, ms));
+      running--;
+      return ms * 2;
+    });
+
+    assert.deepEqual(results, [60, 10, 40, 10, 20]);
+    assert.equal(mostRunning, 2);
+    assert.deepEqual([...workers].sort(), [0, 1]);
+  });
+
+  test('uses no more workers than there are items', async () => {
+    const workers = [];
+    await mapWithConcurrency(['only'], 4, async (item, worker) => workers.push(worker));
+    assert.deepEqual(workers, [0]);
+  });
+});
+
+describe('formatTimingReport', () => {
+  test('lists each plan with its time, attempts and units, then the total', () => {
+    const report = formatTimingReport([
+      { planName: 'Plan B', success: true, units: 3, attempts: 1, durationMs: 8400 },
+      { planName: 'Plan C + Den', success: false, units: 0, attempts: 3, durationMs: 41300 },
+    ], 42000);
+
+    assert.equal(report, [
+      '⏱️  Scrape timings:',
+      '  ✓ Plan B           8.4s  1 attempt, 3 units',
+      '  ✗ Plan C + Den    41.3s  3 attempts, 0 units',
+      '  Total: 42.0s (49.7s of plan time)',
+    ].join('\n'));
+  });
+});
+
+describe('validateScraperOptions', () => {
+  test('accepts a missing section or whole-number settings', () => {
+    const problems = [];
+    validateScraperOptions(undefined, problems);
+    validateScraperOptions({ concurrency: 3, retries: 0, retryDelayMs: 500, planTimeoutMs: 60000, unitTimeoutMs: 10000 }, problems);
+    assert.deepEqual(problems, []);
+  });
+
+  test('reports every invalid setting', () => {
+    const problems = [];
+    validateScraperOptions({ concurrency: 1.5, retries: -1, unitTimeoutMs: -5 }, problems);
+    assert.deepEqual(problems, [
+      'scraper.concurrency must be a whole number of at least 1',
+      'scraper.retries must be a whole number of at least 0',
+      'scraper.unitTimeoutMs must be a whole number of milliseconds',
+    ]);
+
+    const more = [];
+    validateScraperOptions([], more);
+    assert.deepEqual(more, ['scraper must be an object']);
+  });
+});
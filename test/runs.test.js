@@ -0,0 +1,91 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { findRunIndex, summarizeRun, buildRunReport, RunNotFoundError } from '../runs.js';
+import { historyRun, CITYLINE_PLAN } from './helpers/history.js';
+
+const HISTORY = [
+  historyRun('2026-01-17T16:00:00.000Z', [['320-504', 5114], ['350-218', 5064]], CITYLINE_PLAN),
+  historyRun('2026-01-18T08:00:00.000Z', [['320-504', 5100], ['350-218', 5064]], CITYLINE_PLAN),
+  historyRun('2026-01-18T16:00:00.000Z', [['320-504', 5050], ['350-218', 5064]], CITYLINE_PLAN),
+  historyRun('2026-01-19T16:00:00.000Z', [['320-504', 5050], ['345-305', 4990]], CITYLINE_PLAN),
+];
+
+describe('findRunIndex', () => {
+  test('finds the latest run, the last run on a date, or a run by timestamp', () => {
+    assert.equal(findRunIndex(HISTORY, 'latest'), 3);
+    assert.equal(findRunIndex(HISTORY, '2026-01-18'), 2);
+    assert.equal(findRunIndex(HISTORY, '2026-01-18T08:00:00.000Z'), 1);
+  });
+
+  test('fails clearly for a run that is not in history', () => {
+    assert.throws(() => findRunIndex(HISTORY, '2025-12-31'), /No run on 2025-12-31 in history/);
+    assert.throws(() => findRunIndex(HISTORY, '2026-01-18T09:00:00.000Z'), /No run at 2026-01-18T09:00:00\.000Z/);
+    assert.throws(() => findRunIndex([], 'latest'), RunNotFoundError);
+  });
+
+  test('finds the run nearest a time before the anchor run', () => {
+    const weekly = [
+      historyRun('2025-12-31T16:00:00.000Z', [['320-504', 5200]], CITYLINE_PLAN),
+      historyRun('2026-01-12T16:00:00.000Z', [['320-504', 5150]], CITYLINE_PLAN),
+      historyRun('2026-01-19T15:00:00.000Z', [['320-504', 5114]], CITYLINE_PLAN),
+      historyRun('2026-01-26T16:00:00.000Z', [['320-504', 5100]], CITYLINE_PLAN),
+      historyRun('2026-02-27T16:00:00.000Z', [['320-504', 5050]], CITYLINE_PLAN),
+      historyRun('2026-03-03T16:00:00.000Z', [['320-504', 5050]], CITYLINE_PLAN),
+      historyRun('2026-03-31T16:00:00.000Z', [['320-504', 4990]], CITYLINE_PLAN),
+    ];
+
+    assert.equal(findRunIndex(weekly, 'last-week', { anchor: 3 }), 2);
+    assert.equal(findRunIndex(weekly, '2w', { anchor: 3 }), 1);
+    // Mar 31 less a month is Feb 28, not Mar 3
+    assert.equal(findRunIndex(weekly, 'last-month'), 4);
+    assert.equal(findRunIndex(weekly, '3m'), 0);
+    assert.throws(() => findRunIndex(weekly, '6m'), /No run 6m before 2026-03-31; history starts 2025-12-31/);
+  });
+});
+
+describe('summarizeRun', () => {
+  test('counts plans and units and lists failed plans', () => {
+    const failed = { ...HISTORY[0], plans: [...HISTORY[0].plans, { name: 'Plan D', units: [], success: false }] };
+    assert.deepEqual(summarizeRun(failed), {
+      date: '2026-01-17',
+      timestamp: '2026-01-17T16:00:00.000Z',
+      lastConfirmedAt: null,
+      plans: 2,
+      units: 2,
+      failedPlans: ['Plan D'],
+    });
+  });
+});
+
+describe('buildRunReport', () => {
+  test('compares a run with the one before it, with stats as of that run', () => {
+    const report = buildRunReport(HISTORY, { to: '2026-01-18' });
+    const unit = report.plans[0].units.find(u => u.unitNumber === '320-504');
+
+    assert.equal(report.date, '2026-01-18');
+    assert.equal(unit.status, 'decreased');
+    assert.equal(unit.previousPrice, 5100);
+    assert.equal(unit.stats.lastSeen, '2026-01-18');
+  });
+
+  test('compares any two runs', () => {
+    const report = buildRunReport(HISTORY, { from: '2026-01-17', to: 'latest' });
+    const byUnit = new Map(report.plans[0].units.map(u => [u.unitNumber, u]));
+
+    assert.equal(byUnit.get('320-504').difference, -64);
+    assert.equal(byUnit.get('345-305').status, 'new');
+    assert.equal(byUnit.get('350-218').status, 'removed');
+    assert.deepEqual(report.since, { date: '2026-01-17', timestamp: '2026-01-17T16:00:00.000Z' });
+    assert.equal(buildRunReport(HISTORY).since, undefined);
+  });
+
+  test('counts relative references back from the run reported on', () => {
+    const report = buildRunReport(HISTORY, { from: '1d', to: '2026-01-19' });
+    assert.equal(report.since.timestamp, '2026-01-18T16:00:00.000Z');
+  });
+
+  test('reports the first run with everything new', () => {
+    const report = buildRunReport(HISTORY.slice(0, 1));
+    assert.ok(report.plans[0].units.every(u => u.status === 'new'));
+  });
+});
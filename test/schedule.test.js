@@ -0,0 +1,155 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_SCHEDULE,
+  validateSchedule,
+  getSchedule,
+  findDueRun,
+  findDueDigests,
+  findDueWork,
+  getQuietHours,
+  getQuietEnd,
+  splitQuietChannels,
+} from '../schedule.js';
+
+const TZ = 'America/Los_Angeles';
+
+/**
+ * Validate a schedule section and return the problems found
+ * @param {*} schedule
+ * @returns {Array<string>}
+ */
+function problemsFor(schedule) {
+  const problems = [];
+  validateSchedule(schedule, problems);
+  return problems;
+}
+
+describe('validateSchedule', () => {
+  test('accepts the default schedule and no schedule at all', () => {
+    assert.deepEqual(problemsFor(DEFAULT_SCHEDULE), []);
+    assert.deepEqual(problemsFor(undefined), []);
+    assert.deepEqual(problemsFor({ quietHours: [{ from: '22:00', to: '07:00' }, { from: '21:00', to: '09:00', recipients: ['a@example.com'] }] }), []);
+  });
+
+  test('reports malformed runs, digests and quiet hours', () => {
+    assert.deepEqual(problemsFor({
+      runs: [{ at: '8:00' }, { at: '09:00', send: 'never' }],
+      digests: [{ period: 'year' }, { period: 'week', day: 'mon', at: '08:00' }, { period: 'month', day: 31, at: '08:00' }],
+      quietHours: [{ from: '22:00', to: '22:00' }, { from: '22:00', to: '07:00', recipients: [] }, { from: '23:00', to: '06:00' }, { from: '20:00', to: '06:00' }],
+      windowMinutes: 0,
+    }), [
+      'schedule.runs[0].at must be a time like "08:00"',
+      'schedule.runs[1].send must be one of: always, conditional, alerts',
+      'schedule.digests[0].period must be one of: week, month',
+      'schedule.digests[1].day must be a weekday name like "monday"',
+      'schedule.digests[2].day must be a day of the month from 1 to 28',
+      'schedule.quietHours[0] must have different "from" and "to" times like "22:00" and "07:00"',
+      'schedule.quietHours[1].recipients must be a non-empty array of email addresses or channel names',
+      'schedule.quietHours can have only one entry without recipients',
+      'schedule.windowMinutes must be a whole number of at least 1',
+    ]);
+  });
+
+  test('fills in defaults for the parts a config leaves out', () => {
+    const schedule = getSchedule({ schedule: { windowMinutes: 30 } });
+    assert.equal(schedule.windowMinutes, 30);
+    assert.deepEqual(schedule.runs, DEFAULT_SCHEDULE.runs);
+  });
+});
+
+describe('findDueRun', () => {
+  const schedule = getSchedule({});
+
+  test('finds the run whose time has just passed, in the timezone', () => {
+    // 08:30 PST
+    assert.deepEqual(findDueRun(schedule, { now: Date.parse('2026-01-19T16:30:00Z'), timeZone: TZ }), {
+      at: '08:00',
+      send: 'always',
+      scheduledFor: '2026-01-19T16:00:00.000Z',
+    });
+    // 00:10 PST, just after midnight local
+    assert.equal(findDueRun(schedule, { now: Date.parse('2026-01-19T08:10:00Z'), timeZone: TZ }).scheduledFor, '2026-01-19T08:00:00.000Z');
+  });
+
+  test('skips a run already done and a run past its window', () => {
+    const now = Date.parse('2026-01-19T16:30:00Z');
+    assert.equal(findDueRun(schedule, { now, timeZone: TZ, lastRun: '2026-01-19T16:00:00.000Z' }), null);
+    // 10:30 PST: the 08:00 run is 2.5 hours old
+    assert.equal(findDueRun(schedule, { now: Date.parse('2026-01-19T18:30:00Z'), timeZone: TZ }), null);
+  });
+
+  test('keeps local times across daylight saving', () => {
+    // 08:05 PDT, the day after clocks went forward
+    assert.equal(findDueRun(schedule, { now: Date.parse('2026-03-09T15:05:00Z'), timeZone: TZ }).scheduledFor, '2026-03-09T15:00:00.000Z');
+  });
+});
+
+describe('findDueDigests', () => {
+  const schedule = getSchedule({});
+
+  test('sends the weekly digest on its weekday and the monthly one on its day', () => {
+    // Monday 2026-01-19, 08:30 PST
+    assert.deepEqual(findDueDigests(schedule, { now: Date.parse('2026-01-19T16:30:00Z'), timeZone: TZ }), [
+      { period: 'week', scheduledFor: '2026-01-19T16:00:00.000Z' },
+    ]);
+    // Sunday 2026-02-01, 08:30 PST
+    assert.deepEqual(findDueDigests(schedule, { now: Date.parse('2026-02-01T16:30:00Z'), timeZone: TZ }), [
+      { period: 'month', scheduledFor: '2026-02-01T16:00:00.000Z' },
+    ]);
+  });
+
+  test('skips digests already sent', () => {
+    const lastDigests = { week: '2026-01-19T16:00:00.000Z' };
+    assert.deepEqual(findDueDigests(schedule, { now: Date.parse('2026-01-19T17:00:00Z'), timeZone: TZ, lastDigests }), []);
+  });
+});
+
+describe('quiet hours', () => {
+  const quietHours = [
+    { from: '22:00', to: '07:00' },
+    { from: '12:00', to: '13:00', recipients: ['Lunch@example.com'] },
+  ];
+
+  test('uses a recipient\'s own quiet hours over everyone\'s', () => {
+    assert.deepEqual(getQuietHours(quietHours, 'lunch@example.com'), quietHours[1]);
+    assert.deepEqual(getQuietHours(quietHours, 'slack'), quietHours[0]);
+    assert.equal(getQuietHours([], 'slack'), null);
+  });
+
+  test('ends quiet hours that span midnight on the right day', () => {
+    const end = '2026-01-19T15:00:00.000Z'; // 07:00 PST
+    // 23:00 PST the night before
+    assert.equal(new Date(getQuietEnd(quietHours[0], Date.parse('2026-01-19T07:00:00Z'), TZ)).toISOString(), end);
+    // 04:00 PST
+    assert.equal(new Date(getQuietEnd(quietHours[0], Date.parse('2026-01-19T12:00:00Z'), TZ)).toISOString(), end);
+    // 08:30 PST
+    assert.equal(getQuietEnd(quietHours[0], Date.parse('2026-01-19T16:30:00Z'), TZ), null);
+  });
+
+  test('holds only the email recipients in quiet hours', () => {
+    const channels = [
+      { type: 'email', recipients: ['lunch@example.com', 'b@example.com'] },
+      { type: 'slack', name: 'team' },
+      { type: 'discord', enabled: false },
+    ];
+    // 12:15 PST: lunch@ is quiet, nobody else is
+    const { ready, held } = splitQuietChannels(channels, quietHours, { now: Date.parse('2026-01-19T20:15:00Z'), timeZone: TZ });
+
+    assert.deepEqual(ready, [{ type: 'email', recipients: ['b@example.com'] }, { type: 'slack', name: 'team' }]);
+    assert.deepEqual(held, [{ channel: { type: 'email', recipients: ['lunch@example.com'] }, releaseAt: '2026-01-19T21:00:00.000Z' }]);
+  });
+
+  test('finds held notifications that are due with the rest of the work', () => {
+    const state = {
+      lastRun: '2026-01-19T16:00:00.000Z',
+      lastDigests: { week: '2026-01-19T16:00:00.000Z' },
+      held: [{ releaseAt: '2026-01-19T15:00:00.000Z' }, { releaseAt: '2026-01-20T15:00:00.000Z' }],
+    };
+    assert.deepEqual(findDueWork(getSchedule({}), state, { now: Date.parse('2026-01-19T16:30:00Z'), timeZone: TZ }), {
+      run: null,
+      digests: [],
+      held: [{ releaseAt: '2026-01-19T15:00:00.000Z' }],
+    });
+  });
+});
@@ -0,0 +1,209 @@
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { chromium } from 'playwright';
+import { extractUnits, extractLeaseTerms, scrapePlan, scrapePlanWithRetries, scrapeAllPlans } from '../scraper.js';
+import { validateConfig } from '../config.js';
+import { comparePrices, hasUpdates } from '../index.js';
+import { startFixtureServer, fixturePlan, skipWithoutBrowser } from './helpers/fixtures.js';
+
+describe('scraper against saved plan pages', { skip: skipWithoutBrowser }, () => {
+  let server;
+  let browser;
+  let page;
+
+  before(async () => {
+    server = await startFixtureServer();
+    browser = await chromium.launch({ headless: true });
+    page = await browser.newPage();
+    // Anything that isn't the local fixture server is a bug in the test
+    await page.route(url => !url.href.startsWith(server.url('')), route => route.abort());
+  });
+
+  after(async () => {
+    await browser?.close();
+    await server?.close();
+  });
+
+  test('extractUnits reads CityLine unit cards', async () => {
+    await page.goto(server.url('cityline-plan-b.html'));
+    const units = await extractUnits(page, fixturePlan(page.url()), { referenceDate: '2026-01-18' });
+
+    const planSpecial = { concession: '6 weeks free on 12-month leases' };
+    // Beds, baths and size from the plan's summary line
+    const planDetails = { beds: 1, baths: 1, sqft: 812 };
+    assert.deepEqual(units, [
+      {
+        id: '320-504', unitNumber: '320-504', building: '320', floor: '5', price: 5114, priceFormatted: '$5,114', availability: 'Available Now', availableFrom: '2026-01-18',
+        ...planSpecial, effectivePrice: 4524, ...planDetails, pricePerSqft: 6.3, features: ['Balcony', 'City views'], view: 'City views',
+      },
+      // The unit's own special and size win over the plan's
+      {
+        id: '320-416', unitNumber: '320-416', building: '320', floor: '4', price: 5035, priceFormatted: '$5,035', availability: 'Feb 20', availableFrom: '2026-02-20',
+        concession: '$500 off move-in', effectivePrice: 4993, ...planDetails, sqft: 840, pricePerSqft: 5.99,
+      },
+      // From data-spaces-soonest, keeping the year
+      {
+        id: '350-218', unitNumber: '350-218', building: '350', floor: '2', price: 5064, priceFormatted: '$5,064', availability: 'Mar 5', availableFrom: '2026-03-05',
+        ...planSpecial, effectivePrice: 4480, ...planDetails, pricePerSqft: 6.24,
+      },
+    ]);
+  });
+
+  test('extractUnits falls back to the page text when there are no unit cards', async () => {
+    await page.goto(server.url('cityline-text-fallback.html'));
+    const units = await extractUnits(page, fixturePlan(page.url()), { referenceDate: '2025-12-20' });
+
+    assert.deepEqual(
+      units.map(u => [u.unitNumber, u.price, u.availability, u.availableFrom]),
+      [
+        ['350-227', 5411, 'Available Now', '2025-12-20'],
+        // Seen in December, so these are next year's dates
+        ['345-222', 5426, 'Mar 1', '2026-03-01'],
+        ['345-208', 5426, '4/15', '2026-04-15'],
+        ['345-210', 5499, 'Call for Details', null],
+      ]
+    );
+  });
+
+  test('extractUnits applies the plan price range', async () => {
+    await page.goto(server.url('cityline-plan-b.html'));
+    const units = await extractUnits(page, fixturePlan(page.url(), {
+      options: { minPrice: 5050, maxPrice: 20000 },
+    }));
+
+    assert.deepEqual(units.map(u => u.unitNumber), ['320-504', '350-218']);
+  });
+
+  test('extractUnits uses configured selectors with the generic adapter', async () => {
+    await page.goto(server.url('generic-plan.html'));
+    const units = await extractUnits(page, fixturePlan(page.url(), {
+      adapter: 'generic',
+      selectors: {
+        unit: '.unit-card',
+        unitNumber: { attribute: 'data-unit-id' },
+        price: '.unit-card__rent',
+        availability: '.unit-card__available',
+        concession: '.unit-card__special',
+        sqft: '.unit-card__size',
+        features: '.unit-card__features li',
+        planDetails: '.floorplan-summary',
+      },
+    }));
+
+    assert.deepEqual(
+      units.map(u => [u.unitNumber, u.floor, u.price, u.availability, u.effectivePrice, u.sqft, u.view]),
+      [
+        ['1204', '12', 3250, 'Available Now', undefined, 720, undefined],
+        ['905', '9', 3100, 'Apr 12', 2842, 760, 'Courtyard view'],
+      ]
+    );
+  });
+
+  test('extractLeaseTerms opens and reads each unit\'s lease term pricing', async () => {
+    await page.goto(server.url('cityline-plan-b.html'));
+    const plan = fixturePlan(page.url());
+    const units = await extractLeaseTerms(page, await extractUnits(page, plan), plan);
+
+    assert.deepEqual(units.map(u => [u.unitNumber, u.leaseTerms]), [
+      // Behind the "Lease options" button
+      ['320-504', [{ months: 6, price: 5414 }, { months: 12, price: 5114 }, { months: 15, price: 5064 }]],
+      // Already on the page; the row without a price is skipped
+      ['320-416', [{ months: 6, price: 5335 }, { months: 12, price: 5035 }]],
+      ['350-218', undefined],
+    ]);
+  });
+
+  test('scrapePlan returns plan data with the name from the page', async () => {
+    const url = server.url('cityline-plan-b.html');
+    const result = await scrapePlan(page, fixturePlan(url, { name: 'Configured Name' }));
+
+    assert.equal(result.success, true);
+    assert.equal(result.name, 'Plan B');
+    // Matched between runs by the configured plan's ID, not the name on the page
+    assert.equal(result.id, 'configured-name');
+    assert.equal(result.url, url);
+    assert.equal(result.propertyName, 'Fixture Property');
+    assert.equal(result.concession, '6 weeks free on 12-month leases');
+    assert.deepEqual([result.beds, result.baths, result.sqft], [1, 1, 812]);
+    assert.equal(result.totalUnits, 3);
+    assert.deepEqual(result.priceRange, { min: 5035, max: 5114 });
+    assert.equal(result.units[0].leaseTerms.length, 3);
+  });
+
+  test('scrapePlan reports a failure when the page cannot be loaded', async () => {
+    const result = await scrapePlan(page, fixturePlan('http://127.0.0.1:9/unreachable'));
+
+    assert.equal(result.success, false);
+    assert.equal(result.totalUnits, 0);
+    assert.ok(result.error);
+  });
+
+  test('scrapePlanWithRetries keeps the first successful attempt', async () => {
+    const context = await browser.newContext();
+    await context.route(url => !url.href.startsWith(server.url('')), route => route.abort());
+    try {
+      const { result, timing } = await scrapePlanWithRetries(context, fixturePlan(server.url('cityline-plan-b.html')), {
+        retries: 2, retryDelayMs: 10, unitTimeoutMs: 1000,
+      });
+
+      assert.equal(result.success, true);
+      assert.equal(timing.attempts, 1);
+      assert.equal(timing.units, 3);
+    } finally {
+      await context.close();
+    }
+  });
+
+  test('scrapePlanWithRetries retries a failed plan with backoff, then reports the failure', async () => {
+    const context = await browser.newContext();
+    try {
+      const { result, timing } = await scrapePlanWithRetries(context, fixturePlan('http://127.0.0.1:9/unreachable'), {
+        retries: 1, retryDelayMs: 10, unitTimeoutMs: 1000,
+      });
+
+      assert.equal(result.success, false);
+      assert.equal(timing.attempts, 2);
+      assert.equal(timing.success, false);
+    } finally {
+      await context.close();
+    }
+  });
+});
+
+describe('recording and replaying a scrape', { skip: skipWithoutBrowser }, () => {
+  test('replays a recorded run with no network and gets the same result', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'recording-'));
+    const server = await startFixtureServer();
+    const config = validateConfig({
+      properties: [{
+        name: 'Fixture Property',
+        plans: [
+          { name: 'Plan B', url: server.url('cityline-plan-b.html') },
+          { name: 'Text Plan', url: server.url('cityline-text-fallback.html') },
+        ],
+      }],
+      scraper: { retries: 0, unitTimeoutMs: 1000 },
+    });
+    mock.method(console, 'log', () => {});
+
+    try {
+      const recorded = await scrapeAllPlans({ config, record: dir });
+      await server.close();
+
+      const replayed = await scrapeAllPlans({ config, replay: dir });
+      const withoutTimes = run => run.plans.map(({ scrapedAt, ...plan }) => plan);
+
+      assert.equal(replayed.timestamp, recorded.timestamp);
+      assert.deepEqual(withoutTimes(replayed), withoutTimes(recorded));
+      assert.equal(replayed.plans[0].totalUnits, 3);
+      assert.equal(hasUpdates(comparePrices(replayed, recorded)), false);
+    } finally {
+      mock.restoreAll();
+      await server.close().catch(() => {});
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,146 @@
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { appendEntry } from '../store.js';
+import { startServer } from '../server.js';
+import { historyRun, historyPlan, CITYLINE_PLAN } from './helpers/history.js';
+
+/**
+ * Build a run in the shape stored in history
+ * @param {string} date - Run date
+ * @param {Object<string, Array>} plans - Plan ID -> [unitNumber, price] pairs
+ * @returns {Object}
+ */
+function run(date, plans) {
+  return {
+    ...historyRun(date, []),
+    plans: Object.entries(plans).map(([id, units]) => historyPlan(units, {
+      ...CITYLINE_PLAN,
+      id,
+      name: `Plan ${id.toUpperCase()}`,
+      url: `https://example.com/${id}`,
+    })),
+  };
+}
+
+describe('history API server', () => {
+  let dir;
+  let server;
+  let baseUrl;
+
+  /**
+   * Request a path and parse the response
+   * @param {string} path
+   * @param {Object} [init] - fetch() options
+   * @returns {Promise<Object>} - { status, type, body }
+   */
+  async function get(path, init) {
+    const response = await fetch(`${baseUrl}${path}`, init);
+    const type = response.headers.get('content-type');
+    return { status: response.status, type, body: type.startsWith('application/json') ? await response.json() : await response.text() };
+  }
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'tracker-server-'));
+    const file = join(dir, 'history.jsonl');
+    mock.method(console, 'log', () => {});
+
+    await appendEntry(run('2026-01-17', { b: [['320-504', 5114], ['350-218', 5064]], d: [['345-305', 6900]] }), { file, legacyFile: file });
+    await appendEntry(run('2026-01-18', { b: [['320-504', 5050], ['350-218', 5064]], d: [['345-305', 6900]] }), { file, legacyFile: file });
+    // 350-218 moves to Plan D, and Plan D's own unit leaves
+    await appendEntry(run('2026-01-19', { b: [['320-504', 5050]], d: [['350-218', 5064]] }), { file, legacyFile: file });
+
+    ({ server, url: baseUrl } = await startServer({ port: 0, store: { file, legacyFile: file } }));
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    mock.restoreAll();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('GET /plans lists every plan as last seen', async () => {
+    const { status, body } = await get('/plans');
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.map(p => [p.id, p.name, p.totalUnits, p.lastSeen]), [
+      ['b', 'Plan B', 1, '2026-01-19'],
+      ['d', 'Plan D', 1, '2026-01-19'],
+    ]);
+  });
+
+  test('GET /plans/:id/units lists the latest units with lifetime stats', async () => {
+    const { body } = await get('/plans/b/units');
+
+    assert.equal(body.name, 'Plan B');
+    assert.deepEqual(body.units.map(u => [u.id, u.price, u.stats.minPrice, u.stats.maxPrice]), [['320-504', 5050, 5050, 5114]]);
+    assert.equal((await get('/plans/z/units')).status, 404);
+  });
+
+  test('GET /units/:id/history follows a unit across plans', async () => {
+    const { status, body } = await get('/units/350-218/history');
+
+    assert.equal(status, 200);
+    assert.equal(body.planName, 'Plan D');
+    assert.deepEqual(body.observations.map(o => o.date), ['2026-01-17', '2026-01-18', '2026-01-19']);
+    assert.equal((await get('/units/350-218/history?property=other')).status, 404);
+  });
+
+  test('GET /runs summarizes runs, newest N with ?limit=', async () => {
+    const { body } = await get('/runs?limit=2');
+
+    assert.deepEqual(body.map(r => [r.date, r.plans, r.units]), [['2026-01-18', 2, 3], ['2026-01-19', 2, 2]]);
+    assert.equal((await get('/runs?limit=none')).status, 400);
+    assert.equal((await get('/runs/2026-01-17')).body.plans[0].units.length, 2);
+  });
+
+  test('GET /report/latest compares the newest two runs', async () => {
+    const { body } = await get('/report/latest');
+    const units = new Map(body.plans.flatMap(p => p.units.map(u => [u.unitNumber, u])));
+
+    assert.equal(body.date, '2026-01-19');
+    assert.equal(units.get('350-218').movedFrom, 'Plan B');
+    assert.equal(units.get('345-305').status, 'removed');
+  });
+
+  test('GET /report compares any two runs', async () => {
+    const { body } = await get('/report?from=2026-01-17&to=2026-01-18');
+    const unit = body.plans[0].units.find(u => u.unitNumber === '320-504');
+
+    assert.equal(unit.difference, -64);
+    assert.deepEqual((await get('/report?from=2025-12-01')).body, { error: 'No run on 2025-12-01 in history' });
+    assert.deepEqual((await get('/report?from=2d')).body.since, { date: '2026-01-17', timestamp: '2026-01-17T16:00:00.000Z' });
+  });
+
+  test('filters units by their attributes with query parameters', async () => {
+    const { body } = await get('/report/latest?minFloor=3');
+    assert.deepEqual(body.plans.map(p => p.units.map(u => u.unitNumber)), [['320-504'], ['345-305']]);
+
+    assert.deepEqual((await get('/plans/d/units?minFloor=3')).body.units, []);
+    assert.match((await get('/runs/latest/email?format=text')).body, /350-218/);
+    assert.doesNotMatch((await get('/runs/latest/email?format=text&minFloor=3')).body, /350-218/);
+    assert.deepEqual(await get('/report?minFloor=high'), { status: 400, type: 'application/json; charset=utf-8', body: { error: 'minFloor must be a whole number' } });
+  });
+
+  test('GET /runs/:run/email renders the report email', async () => {
+    const html = await get('/runs/2026-01-18/email');
+    assert.equal(html.type, 'text/html; charset=utf-8');
+    assert.match(html.body, /320-504/);
+
+    const text = await get(`/runs/${encodeURIComponent('2026-01-18T16:00:00.000Z')}/email?format=text`);
+    assert.equal(text.type, 'text/plain; charset=utf-8');
+    assert.match(text.body, /RENT PRICE REPORT - 2026-01-18/);
+  });
+
+  test('answers unknown paths and methods with a JSON error', async () => {
+    assert.deepEqual(await get('/nope'), { status: 404, type: 'application/json; charset=utf-8', body: { error: 'Not found: /nope' } });
+    assert.equal((await get('/plans', { method: 'POST' })).status, 405);
+  });
+
+  test('answers a malformed escape in the path with a 400', async () => {
+    assert.deepEqual((await get('/units/%E0%A4%A/history')).body, { error: 'Malformed path parameter "%E0%A4%A"' });
+    assert.equal((await get('/units/%E0%A4%A/history')).status, 400);
+  });
+});
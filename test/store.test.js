@@ -0,0 +1,189 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, readFile, appendFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { loadHistory, loadLastEntry, appendEntry, compactHistory, dedupeHistory, collapseRepeatRuns, isRepeatRun, getLastEntry } from '../store.js';
+import { historyRun } from './helpers/history.js';
+
+const runs = [
+  historyRun('2026-01-18', [['320-504', 5114], ['350-218', 5064]]),
+  historyRun('2026-01-19', [['320-504', 5114], ['350-218', 5064]]),
+  historyRun('2026-01-20', [['350-218', 5010], ['320-504', 5114], ['345-305', 4990]]),
+  historyRun('2026-01-21', []),
+  historyRun('2026-01-22', [['345-305', 4990]]),
+];
+
+describe('history store', () => {
+  let dir;
+  let options;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'tracker-store-'));
+    options = { file: join(dir, 'history.jsonl'), legacyFile: join(dir, 'history.json') };
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('starts empty when there is no history', async () => {
+    assert.deepEqual(await loadHistory(options), []);
+    assert.equal(await loadLastEntry(options), null);
+  });
+
+  test('appends runs and replays them exactly', async () => {
+    for (const run of runs) {
+      await appendEntry(run, options);
+    }
+
+    assert.deepEqual(await loadHistory(options), runs);
+    assert.deepEqual(await loadLastEntry(options), runs[runs.length - 1]);
+  });
+
+  test('stores unchanged runs as deltas without units', async () => {
+    await appendEntry(runs[0], options);
+    await appendEntry(runs[1], options);
+
+    const lines = (await readFile(options.file, 'utf-8')).trim().split('\n').map(l => JSON.parse(l));
+    assert.equal(lines[0].type, 'snapshot');
+    assert.equal(lines[1].type, 'delta');
+    assert.equal(lines[1].plans[0].units, undefined);
+    assert.deepEqual(lines[1].plans[0].unitDelta, {});
+  });
+
+  test('diffs a renamed plan against the same plan by its ID', async () => {
+    const withId = runs.slice(0, 2).map(run => ({ ...run, plans: run.plans.map(plan => ({ ...plan, id: '162036' })) }));
+    const renamed = { ...withId[1], plans: withId[1].plans.map(plan => ({ ...plan, name: 'Plan B (2 Bed)' })) };
+    await appendEntry(withId[0], options);
+    await appendEntry(renamed, options);
+
+    const lines = (await readFile(options.file, 'utf-8')).trim().split('\n').map(l => JSON.parse(l));
+    assert.deepEqual(lines[1].plans[0].unitDelta, {});
+    assert.deepEqual(await loadHistory(options), [withId[0], renamed]);
+  });
+
+  test('replays deltas stored before plans had IDs', async () => {
+    // Matched by name, as the store did before stable IDs
+    const legacyDelta = { type: 'delta', ...runs[1], plans: runs[1].plans.map(({ units, ...plan }) => ({ ...plan, id: '162036', unitDelta: {} })) };
+    await writeFile(options.file, [{ type: 'snapshot', ...runs[0] }, legacyDelta].map(r => JSON.stringify(r)).join('\n') + '\n');
+
+    const [, second] = await loadHistory(options);
+    assert.deepEqual(second.plans[0].units, runs[0].plans[0].units);
+  });
+
+  test('confirms a repeat run on the same day instead of adding one', async () => {
+    const later = { ...runs[0], timestamp: '2026-01-18T20:00:00.000Z' };
+    later.plans = later.plans.map(plan => ({ ...plan, scrapedAt: later.timestamp, concession: undefined }));
+
+    await appendEntry(runs[0], options);
+    assert.equal(await appendEntry(later, options), 'confirm');
+    assert.equal(await appendEntry(runs[1], options), 'delta');
+
+    assert.deepEqual(await loadHistory(options), [{ ...runs[0], lastConfirmedAt: '2026-01-18T20:00:00.000Z' }, runs[1]]);
+    assert.deepEqual(await loadLastEntry(options), runs[1]);
+  });
+
+  test('counts the same day in the configured timezone, across UTC midnight', async () => {
+    const at = timestamp => ({ ...runs[0], date: timestamp.slice(0, 10), timestamp });
+    // 15:00 and 20:00 PST on the 18th, either side of UTC midnight
+    const evening = [at('2026-01-18T23:00:00.000Z'), at('2026-01-19T04:00:00.000Z')];
+    // 23:30 PST on the 18th and 01:00 PST on the 19th, the same UTC day
+    const midnight = [at('2026-01-19T07:30:00.000Z'), at('2026-01-19T09:00:00.000Z')];
+
+    assert.equal(isRepeatRun(evening[1], evening[0], { timeZone: 'America/Los_Angeles' }), true);
+    assert.equal(isRepeatRun(evening[1], evening[0]), false);
+    assert.equal(isRepeatRun(midnight[1], midnight[0], { timeZone: 'America/Los_Angeles' }), false);
+    assert.equal(isRepeatRun(midnight[1], midnight[0]), true);
+
+    await appendEntry(evening[0], { ...options, timeZone: 'America/Los_Angeles' });
+    assert.equal(await appendEntry(evening[1], { ...options, timeZone: 'America/Los_Angeles' }), 'confirm');
+  });
+
+  test('dedupe folds repeat runs already in history', async () => {
+    const repeats = [runs[0], { ...runs[0], timestamp: '2026-01-18T20:00:00.000Z' }, { ...runs[0], timestamp: '2026-01-18T23:00:00.000Z' }, runs[1]];
+    await writeFile(options.legacyFile, JSON.stringify(repeats, null, 2));
+
+    assert.deepEqual(collapseRepeatRuns(repeats), [{ ...runs[0], lastConfirmedAt: '2026-01-18T23:00:00.000Z' }, runs[1]]);
+    assert.equal(await dedupeHistory(options), 2);
+    assert.deepEqual(await loadHistory(options), collapseRepeatRuns(repeats));
+  });
+
+  test('reads the legacy history.json until the store exists', async () => {
+    await writeFile(options.legacyFile, JSON.stringify(runs.slice(0, 3), null, 2));
+
+    assert.deepEqual(await loadHistory(options), runs.slice(0, 3));
+    assert.deepEqual(await loadLastEntry(options), runs[2]);
+  });
+
+  test('migrates the legacy history.json on the first append', async () => {
+    await writeFile(options.legacyFile, JSON.stringify(runs.slice(0, 4), null, 2));
+    await appendEntry(runs[4], options);
+
+    assert.deepEqual(await loadHistory(options), runs);
+  });
+
+  test('compaction converts history.json without losing runs', async () => {
+    await writeFile(options.legacyFile, JSON.stringify(runs, null, 2));
+
+    assert.equal(await compactHistory(options), runs.length);
+    await rm(options.legacyFile);
+    assert.deepEqual(await loadHistory(options), runs);
+  });
+
+  test('ignores a partially written last line', async () => {
+    await appendEntry(runs[0], options);
+    await appendEntry(runs[1], options);
+    await appendFile(options.file, '{"type":"delta","date":"2026-01-');
+
+    assert.deepEqual(await loadHistory(options), runs.slice(0, 2));
+    assert.deepEqual(await loadLastEntry(options), runs[1]);
+  });
+
+  test('appends without reading the lines before the last snapshot', async () => {
+    await appendEntry(runs[0], options);
+    await appendEntry(runs[1], options);
+    await writeFile(options.file, 'not a record\n' + await readFile(options.file, 'utf-8'));
+
+    assert.equal(await appendEntry(runs[2], options), 'delta');
+    assert.deepEqual(await loadLastEntry(options), runs[2]);
+    await assert.rejects(loadHistory(options), /Corrupt history record on line 1/);
+  });
+
+  test('reads back records longer than a read from the end of the file', async () => {
+    const units = Array.from({ length: 800 }, (_, i) => [`${300 + Math.floor(i / 20)}-${100 + (i % 20)}`, 5000 + i]);
+    const big = [
+      historyRun('2026-01-18', units, {}, { view: 'Courtyard — quiet side ✨' }),
+      historyRun('2026-01-19', units.map(([unit, price]) => [unit, price - 10]), {}, { view: 'Courtyard — quiet side ✨' }),
+    ];
+    for (const run of big) {
+      await appendEntry(run, options);
+    }
+
+    assert.ok((await readFile(options.file, 'utf-8')).split('\n')[0].length > 2 * 64 * 1024);
+    assert.deepEqual(await loadLastEntry(options), big[1]);
+    assert.equal(await appendEntry(big[1], options), 'confirm');
+  });
+
+  test('replays long histories across snapshots', async () => {
+    const many = Array.from({ length: 250 }, (_, i) => ({
+      ...historyRun('2026-01-01', [['320-504', 5000 + (i % 7)], ['350-218', 5064]]),
+      timestamp: new Date(Date.UTC(2026, 0, 1) + i * 3600000).toISOString(),
+    }));
+    await writeFile(options.legacyFile, JSON.stringify(many));
+    await compactHistory(options);
+
+    const lines = (await readFile(options.file, 'utf-8')).trim().split('\n').map(l => JSON.parse(l));
+    assert.deepEqual(lines.map((l, i) => [i, l.type]).filter(([, type]) => type === 'snapshot').map(([i]) => i), [0, 100, 200]);
+    assert.deepEqual(await loadHistory(options), many);
+    assert.deepEqual(await loadLastEntry(options), many[many.length - 1]);
+  });
+});
+
+describe('getLastEntry', () => {
+  test('returns the last entry or null', () => {
+    assert.equal(getLastEntry([]), null);
+    assert.equal(getLastEntry(null), null);
+    assert.deepEqual(getLastEntry(runs), runs[runs.length - 1]);
+  });
+});
@@ -0,0 +1,123 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildUnitTimelines, buildPlanSeries, attachUnitStats, describeUnitStats } from '../timeline.js';
+import { getUnitKey } from '../identity.js';
+import { comparePrices } from '../index.js';
+import { historyRun } from './helpers/history.js';
+
+const history = [
+  historyRun('2026-01-18', [['320-504', 5114], ['350-218', 5064]]),
+  historyRun('2026-01-20', [['320-504', 5114], ['350-218', 5010]]),
+  historyRun('2026-01-25', [['320-504', 5200]]),
+  historyRun('2026-02-10', [['320-504', 5150], ['345-305', 4990]]),
+];
+
+describe('buildUnitTimelines', () => {
+  test('tracks first and last seen, price changes and lifetime stats', () => {
+    const timelines = buildUnitTimelines(history);
+    const unit = timelines.get(getUnitKey({}, { unitNumber: '320-504' }));
+
+    assert.equal(unit.firstSeen, '2026-01-18');
+    assert.equal(unit.lastSeen, '2026-02-10');
+    assert.equal(unit.daysOnMarket, 23);
+    assert.equal(unit.minPrice, 5114);
+    assert.equal(unit.maxPrice, 5200);
+    assert.equal(unit.medianPrice, 5132);
+    assert.equal(unit.currentlyListed, true);
+    assert.deepEqual(
+      unit.priceChanges.map(c => [c.date, c.from, c.to, c.difference]),
+      [
+        ['2026-01-25', 5114, 5200, 86],
+        ['2026-02-10', 5200, 5150, -50],
+      ]
+    );
+  });
+
+  test('marks units missing from the latest entry as no longer listed', () => {
+    const unit = buildUnitTimelines(history).get(getUnitKey({}, { unitNumber: '350-218' }));
+
+    assert.equal(unit.lastSeen, '2026-01-20');
+    assert.equal(unit.currentlyListed, false);
+    assert.equal(unit.minPrice, 5010);
+  });
+
+  test('follows a unit that moves to another plan', () => {
+    const timelines = buildUnitTimelines([
+      historyRun('2026-01-18', [['320-504', 5114]], { name: 'Plan B' }),
+      historyRun('2026-01-19', [['320-504', 5114]], { name: 'Plan D' }),
+    ]);
+
+    assert.equal(timelines.size, 1);
+    assert.equal(timelines.get(getUnitKey({}, { unitNumber: '320-504' })).planName, 'Plan D');
+  });
+
+  test('keeps units with the same number in different properties apart', () => {
+    const first = historyRun('2026-01-18', [['1204', 3250]], { name: 'Plan B' });
+    const second = historyRun('2026-01-18', [['1204', 6000]], { name: 'The Aspen' });
+    first.plans[0].propertyId = 'cityline-flats';
+    second.plans[0].propertyId = 'example-apartments';
+
+    assert.equal(buildUnitTimelines([first, second]).size, 2);
+  });
+
+  test('returns no timelines for empty history', () => {
+    assert.equal(buildUnitTimelines([]).size, 0);
+  });
+});
+
+describe('buildPlanSeries', () => {
+  test('keeps the last run of each day with lowest, median and highest price', () => {
+    const earlierRun = { ...historyRun('2026-01-20', [['320-504', 6000]]), timestamp: '2026-01-20T04:00:00.000Z' };
+    const series = buildPlanSeries([history[0], earlierRun, ...history.slice(1)]).get('Plan B');
+
+    assert.deepEqual(series, [
+      { date: '2026-01-18', min: 5064, median: 5089, max: 5114, units: 2 },
+      { date: '2026-01-20', min: 5010, median: 5062, max: 5114, units: 2 },
+      { date: '2026-01-25', min: 5200, median: 5200, max: 5200, units: 1 },
+      { date: '2026-02-10', min: 4990, median: 5070, max: 5150, units: 2 },
+    ]);
+  });
+
+  test('follows a plan by ID when its name changes', () => {
+    const before = historyRun('2026-01-18', [['320-504', 5114]], { name: 'Plan B' });
+    const after = historyRun('2026-01-19', [['320-504', 5010]], { name: 'Plan B (1 Bed)' });
+    before.plans[0].id = '162036';
+    after.plans[0].id = '162036';
+
+    const series = buildPlanSeries([before, after]);
+    assert.deepEqual([...series.keys()], ['Plan B (1 Bed)']);
+    assert.equal(series.get('Plan B (1 Bed)').length, 2);
+  });
+
+  test('skips failed and empty plans', () => {
+    const failed = { ...historyRun('2026-01-20', []), plans: [{ name: 'Plan B', success: false, units: [] }] };
+    assert.equal(buildPlanSeries([failed, historyRun('2026-01-21', [])]).size, 0);
+  });
+});
+
+describe('attachUnitStats', () => {
+  test('adds lifetime stats to report units', () => {
+    const report = comparePrices(history[3], history[2]);
+    attachUnitStats(report, history);
+
+    const [unit, newUnit] = report.plans[0].units;
+    assert.equal(unit.stats.minPrice, 5114);
+    assert.equal(unit.stats.daysOnMarket, 23);
+    assert.equal(unit.stats.priceChangeCount, 2);
+    assert.equal(newUnit.stats.daysOnMarket, 0);
+  });
+});
+
+describe('describeUnitStats', () => {
+  test('describes lowest price and days listed', () => {
+    assert.equal(
+      describeUnitStats({ minPrice: 5010, maxPrice: 5114, daysOnMarket: 23 }),
+      'lowest ever: $5,010, highest: $5,114, listed 23 days'
+    );
+    assert.equal(
+      describeUnitStats({ minPrice: 4990, maxPrice: 4990, daysOnMarket: 0 }),
+      'lowest ever: $4,990, listed today'
+    );
+    assert.equal(describeUnitStats(null), null);
+  });
+});
@@ -0,0 +1,175 @@
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { sendWithFallback, validateTransportOptions, getTransportOrder } from '../transports/index.js';
+import { sendReport, createTestReport } from '../notifier.js';
+import { startSmtpServer } from './helpers/smtp.js';
+
+const email = {
+  from: 'tracker@example.com',
+  to: ['me@example.com'],
+  subject: '💰 Price Changes: 1 ↓ - 2026-01-19',
+  html: '<p>Unit <b>350-201</b> dropped</p>',
+  text: 'Unit 350-201 dropped',
+};
+
+describe('email transports', () => {
+  let smtp;
+  let closedPort;
+  let outboxDir;
+  const savedEnv = {};
+
+  before(async () => {
+    smtp = await startSmtpServer();
+
+    // A port nothing listens on, for a failing SMTP server
+    const closed = await startSmtpServer();
+    closedPort = closed.port;
+    await closed.close();
+
+    outboxDir = await mkdtemp(join(tmpdir(), 'outbox-'));
+
+    for (const key of ['RESEND_API_KEY', 'EMAIL_TRANSPORTS', 'RECIPIENT_EMAIL']) {
+      savedEnv[key] = process.env[key];
+      delete process.env[key];
+    }
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value !== undefined) process.env[key] = value;
+    }
+    await smtp.close();
+    await rm(outboxDir, { recursive: true, force: true });
+  });
+
+  test('sends over SMTP', async () => {
+    smtp.messages.length = 0;
+    const result = await sendWithFallback(email, {
+      transports: ['smtp'],
+      smtp: { host: '127.0.0.1', port: smtp.port, secure: false },
+    });
+
+    assert.equal(result.transport, 'smtp');
+    const [message] = smtp.messages;
+    assert.equal(message.from, 'tracker@example.com');
+    assert.deepEqual(message.to, ['me@example.com']);
+    assert.match(message.data, /Content-Type: multipart\/alternative/);
+    assert.match(message.data, /Unit 350-201 dropped/);
+  });
+
+  test('writes a multipart .eml file', async () => {
+    const result = await sendWithFallback(email, { transports: ['file'], outboxDir });
+
+    assert.equal(result.transport, 'file');
+    assert.ok(result.id.startsWith(outboxDir) && result.id.endsWith('-price-changes-1-2026-01-19.eml'));
+
+    const eml = await readFile(result.id, 'utf-8');
+    assert.match(eml, /^From: tracker@example.com$/m);
+    assert.match(eml, /^To: me@example.com$/m);
+    assert.match(eml, /^Subject: =\?UTF-8\?/m);
+    assert.match(eml, /Content-Type: multipart\/alternative/);
+    assert.match(eml, /Content-Type: text\/plain/);
+    assert.match(eml, /Content-Type: text\/html/);
+  });
+
+  test('falls back through the transports in order', async () => {
+    smtp.messages.length = 0;
+
+    // No RESEND_API_KEY, so Resend fails and SMTP takes over
+    const viaSmtp = await sendWithFallback(email, {
+      transports: ['resend', 'smtp', 'file'],
+      smtp: { host: '127.0.0.1', port: smtp.port },
+      outboxDir,
+    });
+    assert.equal(viaSmtp.transport, 'smtp');
+    assert.equal(smtp.messages.length, 1);
+
+    const viaFile = await sendWithFallback(email, {
+      transports: ['resend', 'smtp', 'file'],
+      smtp: { host: '127.0.0.1', port: closedPort },
+      outboxDir,
+    });
+    assert.equal(viaFile.transport, 'file');
+  });
+
+  test('lists every failure when no transport works', async () => {
+    await assert.rejects(
+      sendWithFallback(email, { transports: ['resend', 'smtp'], smtp: { host: '127.0.0.1', port: closedPort } }),
+      /All email transports failed \(resend: RESEND_API_KEY environment variable is not set; smtp: .*ECONNREFUSED/
+    );
+  });
+
+  test('keeps the original error for a single transport', async () => {
+    await assert.rejects(sendWithFallback(email, { transports: ['resend'] }), /^Error: RESEND_API_KEY environment variable is not set$/);
+  });
+
+  test('sends the rendered report through the email channel', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'outbox-'));
+    try {
+      const results = await sendReport(createTestReport(), {
+        channels: [{ type: 'email', recipients: ['me@example.com'], transports: ['file'], outboxDir: dir }],
+      });
+      assert.deepEqual(results, [{ channel: 'email', error: null }]);
+
+      const [file] = await readdir(dir);
+      const eml = await readFile(join(dir, file), 'utf-8');
+      assert.match(eml, /^To: me@example.com$/m);
+      assert.match(file, /-1-listing-removed-\d{4}-\d{2}-\d{2}\.eml$/);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('getTransportOrder', () => {
+  test('uses the channel config, then EMAIL_TRANSPORTS, then Resend', () => {
+    const saved = process.env.EMAIL_TRANSPORTS;
+    try {
+      delete process.env.EMAIL_TRANSPORTS;
+      assert.deepEqual(getTransportOrder({}), ['resend']);
+
+      process.env.EMAIL_TRANSPORTS = 'smtp, file';
+      assert.deepEqual(getTransportOrder({}), ['smtp', 'file']);
+      assert.deepEqual(getTransportOrder({ transports: ['file'] }), ['file']);
+    } finally {
+      if (saved === undefined) delete process.env.EMAIL_TRANSPORTS;
+      else process.env.EMAIL_TRANSPORTS = saved;
+    }
+  });
+});
+
+describe('validateTransportOptions', () => {
+  test('accepts valid settings', () => {
+    const problems = [];
+    validateTransportOptions({
+      transports: ['resend', 'smtp', 'file'],
+      smtp: { host: 'localhost', port: 1025, secure: false, user: 'tracker' },
+      outboxDir: 'outbox',
+    }, 'channel', problems);
+    assert.deepEqual(problems, []);
+  });
+
+  test('reports malformed settings', () => {
+    const problems = [];
+    validateTransportOptions({
+      transports: ['resend', 'pigeon', 'resend'],
+      smtp: { host: '', port: 70000, secure: 'no' },
+      outboxDir: '',
+    }, 'channel', problems);
+
+    assert.deepEqual(problems, [
+      'channel.transports contains an unknown transport "pigeon" (available: resend, smtp, file)',
+      'channel.transports lists a transport more than once',
+      'channel.smtp.host must be a non-empty string',
+      'channel.smtp.port must be a port number',
+      'channel.smtp.secure must be true or false',
+      'channel.outboxDir must be a non-empty string',
+    ]);
+  });
+});
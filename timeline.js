@@ -0,0 +1,209 @@
+import { getPlanKey, getUnitKey } from './identity.js';
+
+/**
+ * History queries: per-unit timelines and lifetime stats built from every
+ * snapshot in history, not just the previous run.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the median of a list of numbers
+ * @param {Array<number>} values - Numbers to take the median of
+ * @returns {number|null} - Median, or null for an empty list
+ */
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0
+    ? Math.round((sorted[middle - 1] + sorted[middle]) / 2)
+    : sorted[middle];
+}
+
+/**
+ * Count whole calendar days between two YYYY-MM-DD dates
+ * @param {string} from - Start date
+ * @param {string} to - End date
+ * @returns {number} - Days between the dates
+ */
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+}
+
+/**
+ * Build a timeline for every unit that appears anywhere in history
+ * @param {Array} history - Array of historical entries (oldest first)
+ * @returns {Map<string, Object>} - Unit key -> timeline
+ */
+export function buildUnitTimelines(history) {
+  const timelines = new Map();
+  const latestEntry = history.length > 0 ? history[history.length - 1] : null;
+
+  for (const entry of history) {
+    for (const plan of entry.plans || []) {
+      for (const unit of plan.units || []) {
+        if (!Number.isFinite(unit.price)) continue;
+
+        const key = getUnitKey(plan, unit);
+        let timeline = timelines.get(key);
+
+        if (!timeline) {
+          timeline = {
+            key,
+            planName: plan.name,
+            unitNumber: unit.unitNumber,
+            floor: unit.floor,
+            firstSeen: entry.date,
+            firstSeenAt: entry.timestamp,
+            lastSeen: entry.date,
+            lastSeenAt: entry.timestamp,
+            currentPrice: unit.price,
+            availability: unit.availability,
+            availableFrom: unit.availableFrom ?? null,
+            observations: [],
+            priceChanges: [],
+          };
+          timelines.set(key, timeline);
+        } else if (unit.price !== timeline.currentPrice) {
+          timeline.priceChanges.push({
+            date: entry.date,
+            timestamp: entry.timestamp,
+            from: timeline.currentPrice,
+            to: unit.price,
+            difference: unit.price - timeline.currentPrice,
+          });
+        }
+
+        // A unit can move between plans; it's listed under the latest one
+        timeline.planName = plan.name;
+        timeline.lastSeen = entry.date;
+        timeline.lastSeenAt = entry.timestamp;
+        timeline.currentPrice = unit.price;
+        timeline.availability = unit.availability;
+        timeline.availableFrom = unit.availableFrom ?? null;
+        // Attributes as last seen, so migrated or newly scraped ones win
+        timeline.building = unit.building ?? null;
+        timeline.floor = unit.floor;
+        timeline.beds = unit.beds ?? null;
+        timeline.sqft = unit.sqft ?? null;
+        timeline.view = unit.view ?? null;
+        timeline.observations.push({ date: entry.date, timestamp: entry.timestamp, price: unit.price });
+      }
+    }
+  }
+
+  for (const timeline of timelines.values()) {
+    const prices = timeline.observations.map(o => o.price);
+    timeline.minPrice = Math.min(...prices);
+    timeline.maxPrice = Math.max(...prices);
+    timeline.medianPrice = median(prices);
+    timeline.daysOnMarket = daysBetween(timeline.firstSeen, timeline.lastSeen);
+    timeline.currentlyListed = latestEntry !== null && timeline.lastSeenAt === latestEntry.timestamp;
+  }
+
+  return timelines;
+}
+
+/**
+ * Keep only the last run of each day, so series have one point per date
+ * @param {Array} history - Array of historical entries (oldest first)
+ * @returns {Array}
+ */
+function lastRunPerDay(history) {
+  const byDate = new Map();
+  for (const entry of history) {
+    byDate.set(entry.date, entry);
+  }
+  return [...byDate.values()];
+}
+
+/**
+ * Build the daily lowest/median/highest listed price for each plan.
+ * Plans are followed by ID and named as they were last seen.
+ * @param {Array} history - Array of historical entries (oldest first)
+ * @returns {Map<string, Array<Object>>} - Plan name -> [{ date, min, median, max, units }]
+ */
+export function buildPlanSeries(history) {
+  const series = new Map();
+  const names = new Map();
+
+  for (const entry of lastRunPerDay(history)) {
+    for (const plan of entry.plans || []) {
+      if (plan.success === false) continue;
+
+      const prices = (plan.units || []).map(u => u.price).filter(Number.isFinite);
+      if (prices.length === 0) continue;
+
+      const key = getPlanKey(plan);
+      if (!series.has(key)) {
+        series.set(key, []);
+      }
+      names.set(key, plan.name);
+      series.get(key).push({
+        date: entry.date,
+        min: Math.min(...prices),
+        median: median(prices),
+        max: Math.max(...prices),
+        units: prices.length,
+      });
+    }
+  }
+
+  return new Map([...series].map(([key, points]) => [names.get(key), points]));
+}
+
+/**
+ * Get the lifetime stats for one unit from its timeline
+ * @param {Object} timeline - Timeline from buildUnitTimelines()
+ * @returns {Object} - Stats shown next to the unit in reports
+ */
+export function getUnitStats(timeline) {
+  return {
+    firstSeen: timeline.firstSeen,
+    lastSeen: timeline.lastSeen,
+    minPrice: timeline.minPrice,
+    maxPrice: timeline.maxPrice,
+    medianPrice: timeline.medianPrice,
+    daysOnMarket: timeline.daysOnMarket,
+    priceChangeCount: timeline.priceChanges.length,
+  };
+}
+
+/**
+ * Attach lifetime stats to every unit in a comparePrices() report
+ * @param {Object} report - Report from comparePrices()
+ * @param {Array} history - Full history, including the snapshot the report was built from
+ * @returns {Object} - The same report, with a `stats` object on each unit that has history
+ */
+export function attachUnitStats(report, history) {
+  const timelines = buildUnitTimelines(history);
+
+  for (const plan of report.plans) {
+    for (const unit of plan.units) {
+      const timeline = timelines.get(getUnitKey(plan, unit));
+      unit.stats = timeline ? getUnitStats(timeline) : null;
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Describe a unit's lifetime stats in one line (e.g. "lowest ever: $5,010, listed 23 days")
+ * @param {Object|null} stats - Stats from getUnitStats()
+ * @returns {string|null} - Description, or null if there are no stats
+ */
+export function describeUnitStats(stats) {
+  if (!stats) return null;
+
+  const parts = [`lowest ever: $${stats.minPrice.toLocaleString()}`];
+  if (stats.maxPrice !== stats.minPrice) {
+    parts.push(`highest: $${stats.maxPrice.toLocaleString()}`);
+  }
+  parts.push(stats.daysOnMarket === 0
+    ? 'listed today'
+    : `listed ${stats.daysOnMarket} day${stats.daysOnMarket !== 1 ? 's' : ''}`);
+
+  return parts.join(', ');
+}
@@ -0,0 +1,54 @@
+import { writeFile, mkdir } from 'fs/promises';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import MailComposer from 'nodemailer/lib/mail-composer/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Where .eml files go by default (ignored by git)
+ */
+export const DEFAULT_OUTBOX_DIR = join(__dirname, '..', 'outbox');
+
+/**
+ * Build a file name for an email from the time and subject
+ * (e.g. "2026-01-19T16-00-00-000Z-price-changes-1.eml")
+ * @param {string} subject
+ * @returns {string}
+ */
+function emailFileName(subject) {
+  const time = new Date().toISOString().replace(/[:.]/g, '-');
+  const slug = subject.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60);
+  return `${time}-${slug || 'email'}.eml`;
+}
+
+/**
+ * Write each email to disk as a multipart .eml file instead of sending it,
+ * to preview emails in a mail client or check them in tests
+ *
+ *   "outboxDir": "outbox"
+ *
+ * The folder can also be set with EMAIL_OUTBOX_DIR.
+ */
+export const fileTransport = {
+  name: 'file',
+
+  validate(options, path, problems) {
+    if (options.outboxDir !== undefined && (typeof options.outboxDir !== 'string' || !options.outboxDir.trim())) {
+      problems.push(`${path}.outboxDir must be a non-empty string`);
+    }
+  },
+
+  async send(email, options, { log = console.log } = {}) {
+    const outboxDir = resolve(options.outboxDir || process.env.EMAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR);
+    const message = await new MailComposer(email).compile().build();
+
+    await mkdir(outboxDir, { recursive: true });
+    const path = join(outboxDir, emailFileName(email.subject));
+    await writeFile(path, message);
+
+    log(`Email written to ${path}`);
+    return { id: path };
+  },
+};
@@ -0,0 +1,125 @@
+import { resendTransport } from './resend.js';
+import { smtpTransport } from './smtp.js';
+import { fileTransport } from './file.js';
+
+/**
+ * An email transport delivers a finished email ({ from, to, subject, html, text }).
+ *
+ * The email channel tries its transports in order and stops at the first one
+ * that works, so `"transports": ["resend", "smtp", "file"]` falls back to SMTP
+ * when Resend is down and to a local .eml file when both are.
+ *
+ * @typedef {Object} EmailTransport
+ * @property {string} name - Transport name used in the config
+ * @property {(options: Object, path: string, problems: Array<string>) => void} validate
+ *   - Push problems with the transport's settings on the email channel
+ * @property {(email: Object, options: Object, io?: { log?: Function }) => Promise<{ id: string }>} send
+ *   - Deliver the email; options are the email channel's config
+ */
+
+/**
+ * Registered transports by name
+ * @type {Map<string, EmailTransport>}
+ */
+const TRANSPORTS = new Map([
+  [resendTransport.name, resendTransport],
+  [smtpTransport.name, smtpTransport],
+  [fileTransport.name, fileTransport],
+]);
+
+export const DEFAULT_TRANSPORTS = [resendTransport.name];
+
+/**
+ * Look up a transport by name
+ * @param {string} name - Transport name from the config
+ * @returns {EmailTransport}
+ * @throws {Error} - If no transport is registered under that name
+ */
+export function getTransport(name) {
+  const transport = TRANSPORTS.get(name);
+  if (!transport) {
+    throw new Error(`Unknown email transport "${name}" (available: ${listTransports().join(', ')})`);
+  }
+  return transport;
+}
+
+/**
+ * List the names of all registered transports
+ * @returns {Array<string>}
+ */
+export function listTransports() {
+  return [...TRANSPORTS.keys()];
+}
+
+/**
+ * Get the transports to try, in order: the channel's `transports`, then
+ * EMAIL_TRANSPORTS (comma-separated), then Resend only
+ * @param {Object} [options] - Email channel config
+ * @returns {Array<string>}
+ */
+export function getTransportOrder(options = {}) {
+  if (options.transports) return options.transports;
+  if (process.env.EMAIL_TRANSPORTS) {
+    return process.env.EMAIL_TRANSPORTS.split(',').map(t => t.trim()).filter(Boolean);
+  }
+  return DEFAULT_TRANSPORTS;
+}
+
+/**
+ * Validate the transport settings on an email channel and push any problems found
+ * @param {Object} options - Email channel config
+ * @param {string} path - Path of the channel in the config (for error messages)
+ * @param {Array<string>} problems - List to push problems onto
+ */
+export function validateTransportOptions(options, path, problems) {
+  const { transports } = options;
+  if (transports !== undefined) {
+    if (!Array.isArray(transports) || transports.length === 0) {
+      problems.push(`${path}.transports must be a non-empty array`);
+    } else {
+      for (const name of transports) {
+        if (!TRANSPORTS.has(name)) {
+          problems.push(`${path}.transports contains an unknown transport ${JSON.stringify(name)} (available: ${listTransports().join(', ')})`);
+        }
+      }
+      if (new Set(transports).size !== transports.length) {
+        problems.push(`${path}.transports lists a transport more than once`);
+      }
+    }
+  }
+
+  for (const transport of TRANSPORTS.values()) {
+    transport.validate(options, path, problems);
+  }
+}
+
+/**
+ * Send an email with the first transport that works
+ * @param {Object} email - { from, to, subject, html, text }
+ * @param {Object} [options] - Email channel config (transports, smtp, outboxDir)
+ * @param {Object} [io]
+ * @param {Function} [io.log] - Where progress messages go (default: console.log)
+ * @returns {Promise<{ transport: string, id: string }>} - The transport that sent it
+ * @throws {Error} - If every transport fails, listing each one's error
+ */
+export async function sendWithFallback(email, options = {}, { log = console.log } = {}) {
+  const order = getTransportOrder(options);
+  const failures = [];
+
+  for (const name of order) {
+    try {
+      const { id } = await getTransport(name).send(email, options, { log });
+      return { transport: name, id };
+    } catch (error) {
+      failures.push({ name, error });
+      if (failures.length < order.length) {
+        console.error(`Email via ${name} failed (${error.message}), trying ${order[failures.length]}...`);
+      }
+    }
+  }
+
+  if (failures.length === 1) {
+    throw failures[0].error;
+  }
+  throw new Error(`All email transports failed (${failures.map(f => `${f.name}: ${f.error.message}`).join('; ')})`);
+}
@@ -0,0 +1,29 @@
+import { Resend } from 'resend';
+
+/**
+ * Resend's hosted email API (needs RESEND_API_KEY)
+ */
+export const resendTransport = {
+  name: 'resend',
+
+  validate() {},
+
+  async send(email, options, { log = console.log } = {}) {
+    const apiKey = process.env.RESEND_API_KEY;
+    if (!apiKey) {
+      throw new Error('RESEND_API_KEY environment variable is not set');
+    }
+
+    const resend = new Resend(apiKey);
+    const result = await resend.emails.send(email);
+
+    log('Resend API Response:', JSON.stringify(result, null, 2));
+
+    if (result.error) {
+      console.error('Resend API Error:', result.error);
+      throw new Error(`Resend API Error: ${JSON.stringify(result.error)}`);
+    }
+
+    return { id: result.data?.id || result.id };
+  },
+};
@@ -0,0 +1,72 @@
+import nodemailer from 'nodemailer';
+
+/**
+ * Get the SMTP settings from the email channel's config, falling back to
+ * SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER and SMTP_PASS
+ * @param {Object} [smtp] - `smtp` section of the email channel
+ * @returns {Object} - { host, port, secure, user, pass }
+ */
+function getSmtpSettings(smtp = {}) {
+  const secure = smtp.secure ?? process.env.SMTP_SECURE === 'true';
+  return {
+    host: smtp.host || process.env.SMTP_HOST,
+    port: smtp.port || Number(process.env.SMTP_PORT) || (secure ? 465 : 587),
+    secure,
+    user: smtp.user || process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+  };
+}
+
+/**
+ * Plain SMTP, for self-hosted mail servers and local test servers
+ *
+ *   "smtp": { "host": "localhost", "port": 1025, "secure": false, "user": "tracker" }
+ *
+ * The password is only read from SMTP_PASS, so it never ends up in the config.
+ */
+export const smtpTransport = {
+  name: 'smtp',
+
+  validate(options, path, problems) {
+    const { smtp } = options;
+    if (smtp === undefined) return;
+
+    if (smtp === null || typeof smtp !== 'object' || Array.isArray(smtp)) {
+      problems.push(`${path}.smtp must be an object`);
+      return;
+    }
+    if (smtp.host !== undefined && (typeof smtp.host !== 'string' || !smtp.host.trim())) {
+      problems.push(`${path}.smtp.host must be a non-empty string`);
+    }
+    if (smtp.port !== undefined && (!Number.isInteger(smtp.port) || smtp.port < 1 || smtp.port > 65535)) {
+      problems.push(`${path}.smtp.port must be a port number`);
+    }
+    if (smtp.secure !== undefined && typeof smtp.secure !== 'boolean') {
+      problems.push(`${path}.smtp.secure must be true or false`);
+    }
+    if (smtp.user !== undefined && typeof smtp.user !== 'string') {
+      problems.push(`${path}.smtp.user must be a string`);
+    }
+  },
+
+  async send(email, options) {
+    const { host, port, secure, user, pass } = getSmtpSettings(options.smtp);
+    if (!host) {
+      throw new Error('No SMTP host (set smtp.host in the config or SMTP_HOST)');
+    }
+
+    const transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined,
+    });
+
+    try {
+      const info = await transporter.sendMail(email);
+      return { id: info.messageId };
+    } finally {
+      transporter.close();
+    }
+  },
+};